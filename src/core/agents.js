@@ -0,0 +1,530 @@
+/**
+ * @fileoverview Multi-agent market simulation
+ * Many wallets trade at once, each following a behavior profile:
+ * - 'momentum': buys tokens that rose over the lookback window, sells ones that fell
+ * - 'mean-reversion': buys tokens trading below their lookback average, sells above it
+ * - 'dca': buys the same token for the same amount every time it acts, never sells
+ * - 'panic-seller': buys at random and dumps a position once it falls from its peak
+ * - 'sniper': buys tokens that become tradable after the run starts, takes profit later
+ * - 'holder': buys a position once and never sells
+ * Wallets are split between profiles by population share. Every round each agent acts
+ * with probability `activity`, in a random order, across every token in the web;
+ * rounds run on the simulated clock, and every draw goes through random(), so a
+ * seeded fast-forward run is reproducible.
+ */
+
+import Decimal from './decimal.js';
+import { state } from './state.js';
+import { simulationEvents } from './events.js';
+import { random, randomInt } from './random.js';
+import { now, schedule, cancelTimer } from './clock.js';
+import { processBuy, processSell } from './transactions.js';
+import { getWalletById, getWalletsByTag } from './wallet.js';
+import { getPriceHistory } from './priceHistory.js';
+
+/**
+ * Behavior profiles
+ * @type {string[]}
+ */
+export const AGENT_PROFILES = ['momentum', 'mean-reversion', 'dca', 'panic-seller', 'sniper', 'holder'];
+
+/**
+ * Default population shares (percent of the agents per profile)
+ * @type {Object<string, number>}
+ */
+export const DEFAULT_POPULATION = {
+    momentum: 25,
+    'mean-reversion': 20,
+    dca: 20,
+    'panic-seller': 15,
+    sniper: 10,
+    holder: 10
+};
+
+/**
+ * @typedef {Object} AgentConfig
+ * @property {Object<string, number>} population - Share per profile; shares are relative, they need not sum to 100
+ * @property {string} walletTag - Only wallets with this tag become agents ('' = every wallet)
+ * @property {number} tradeFraction - Share of its USD balance an agent spends per buy (0-1)
+ * @property {number} interval - Simulated seconds between rounds
+ * @property {number} activity - Chance an agent acts in a round (0-1); snipers watch every round
+ * @property {number} rounds - Rounds to run (0 = until stopped)
+ * @property {number} lookback - Seconds of price history momentum and mean-reversion agents look at
+ * @property {number} threshold - % move that makes momentum, mean-reversion and panic-seller agents trade
+ * @property {number} takeProfit - % gain at which snipers sell
+ */
+
+/**
+ * @typedef {Object} Agent
+ * @property {number} walletId - Wallet the agent trades from
+ * @property {string} profile - One of AGENT_PROFILES
+ * @property {Map<number, Decimal>} entries - Token ID -> price the position was opened at
+ * @property {Map<number, Decimal>} peaks - Token ID -> highest price seen while holding
+ * @property {number|null} dcaTokenId - Token a DCA agent accumulates
+ * @property {Decimal} dcaAmount - USD a DCA agent spends each time
+ * @property {Set<number>} sniped - Tokens a sniper has already bought
+ */
+
+/**
+ * Get the default agent configuration
+ * @returns {AgentConfig} Configuration
+ */
+export function createAgentConfig() {
+    return {
+        population: { ...DEFAULT_POPULATION },
+        walletTag: '',
+        tradeFraction: 0.05,
+        interval: 5,
+        activity: 0.3,
+        rounds: 0,
+        lookback: 60,
+        threshold: 5,
+        takeProfit: 50
+    };
+}
+
+// The running simulation, or null
+let runner = null;
+
+// Pending round timer
+let roundTimer = null;
+
+/**
+ * Create empty per-profile stats
+ * @returns {Object<string, {agents: number, buys: number, sells: number, spent: Decimal, received: Decimal}>} Stats
+ */
+function createProfileStats() {
+    const stats = {};
+    AGENT_PROFILES.forEach(profile => {
+        stats[profile] = { agents: 0, buys: 0, sells: 0, spent: new Decimal(0), received: new Decimal(0) };
+    });
+    return stats;
+}
+
+/**
+ * Split a number of agents between profiles by share (largest remainder)
+ * @param {number} count - Agents to assign
+ * @param {Object<string, number>} population - Share per profile
+ * @returns {string[]} Profile per agent, grouped by profile
+ */
+export function assignProfiles(count, population) {
+    const shares = AGENT_PROFILES.map(profile => Math.max(0, Number(population[profile]) || 0));
+    const totalShare = shares.reduce((sum, share) => sum + share, 0);
+    if (totalShare <= 0) return [];
+
+    const exact = shares.map(share => count * share / totalShare);
+    const counts = exact.map(Math.floor);
+    let left = count - counts.reduce((sum, n) => sum + n, 0);
+
+    // Hand the remaining agents to the largest remainders, earlier profiles first on ties
+    const order = exact
+        .map((value, index) => ({ index, remainder: value - Math.floor(value) }))
+        .sort((a, b) => b.remainder - a.remainder || a.index - b.index);
+    for (let i = 0; left > 0; i = (i + 1) % order.length, left--) {
+        counts[order[i].index]++;
+    }
+
+    return AGENT_PROFILES.flatMap((profile, index) => Array(counts[index]).fill(profile));
+}
+
+/**
+ * Shuffle an array in place (Fisher-Yates)
+ * @param {Array} items - Items to shuffle
+ * @returns {Array} The same array
+ */
+function shuffle(items) {
+    for (let i = items.length - 1; i > 0; i--) {
+        const j = randomInt(i + 1);
+        [items[i], items[j]] = [items[j], items[i]];
+    }
+    return items;
+}
+
+/**
+ * Check an agent configuration
+ * @param {AgentConfig} config - Configuration
+ * @returns {{isValid: boolean, message?: string}} Validation result
+ */
+export function validateAgentConfig(config) {
+    const totalShare = AGENT_PROFILES.reduce((sum, profile) => sum + Math.max(0, Number(config.population?.[profile]) || 0), 0);
+    if (totalShare <= 0) {
+        return { isValid: false, message: 'Give at least one profile a population share' };
+    }
+    if (!(config.tradeFraction > 0 && config.tradeFraction <= 1)) {
+        return { isValid: false, message: 'Trade size must be between 0% and 100% of a wallet\'s USD' };
+    }
+    if (!(config.interval > 0)) {
+        return { isValid: false, message: 'Round interval must be positive' };
+    }
+    if (!(config.activity > 0 && config.activity <= 1)) {
+        return { isValid: false, message: 'Activity must be between 0% and 100%' };
+    }
+    if (!Number.isInteger(config.rounds) || config.rounds < 0) {
+        return { isValid: false, message: 'Rounds must be a whole number (0 = until stopped)' };
+    }
+    if (!(config.lookback > 0) || !(config.threshold > 0) || !(config.takeProfit > 0)) {
+        return { isValid: false, message: 'Lookback, threshold and take profit must be positive' };
+    }
+    return { isValid: true };
+}
+
+/**
+ * Get a token's current USD price
+ * @param {Token} token - Token
+ * @returns {Decimal} Price
+ */
+function getPrice(token) {
+    return token.calculateTokenPriceUSD();
+}
+
+/**
+ * Get a token's price history over the lookback window
+ * @param {Token} token - Token
+ * @returns {Decimal[]} Prices, oldest first
+ */
+function getLookbackPrices(token) {
+    return getPriceHistory(token.id, { from: now() - runner.config.lookback * 1000 }).map(point => point.price);
+}
+
+/**
+ * Pick a random token
+ * @returns {Token|null} Token, or null when there are none
+ */
+function pickToken() {
+    return state.tokens.length > 0 ? state.tokens[randomInt(state.tokens.length)] : null;
+}
+
+/**
+ * Pick a random token the agent holds
+ * @param {Agent} agent - Agent
+ * @returns {Token|null} Token, or null when it holds none
+ */
+function pickHolding(agent) {
+    const wallet = getWalletById(agent.walletId);
+    const held = state.tokens.filter(token => wallet.getTokenBalance(token.id).gt(0));
+    return held.length > 0 ? held[randomInt(held.length)] : null;
+}
+
+/**
+ * Buy a token for an agent
+ * @param {Agent} agent - Agent
+ * @param {Token} token - Token to buy
+ * @param {Decimal} [amount] - USD to spend (default: tradeFraction of the wallet's USD)
+ * @returns {Promise<boolean>} Whether the buy went through
+ */
+async function agentBuy(agent, token, amount) {
+    const wallet = getWalletById(agent.walletId);
+    const spend = Decimal.min(amount || wallet.usdBalance.times(runner.config.tradeFraction), wallet.usdBalance);
+    if (spend.lt(1)) return false;
+
+    const priceBefore = getPrice(token);
+    const result = await processBuy({
+        amount: spend,
+        walletId: agent.walletId.toString(),
+        tokenId: token.id,
+        isInitialBuy: false
+    });
+    if (!result.success) return false;
+
+    // Average the entry price over the position
+    const held = wallet.getTokenBalance(token.id).minus(result.tokensReceived || 0);
+    const entry = agent.entries.get(token.id);
+    if (entry && held.gt(0) && result.tokensReceived) {
+        const cost = entry.times(held).plus(spend);
+        agent.entries.set(token.id, cost.dividedBy(held.plus(result.tokensReceived)));
+    } else {
+        agent.entries.set(token.id, priceBefore);
+    }
+    agent.peaks.set(token.id, Decimal.max(agent.peaks.get(token.id) || 0, getPrice(token)));
+
+    recordTrade(agent, 'buy', token, result.amount || spend);
+    return true;
+}
+
+/**
+ * Sell a share of an agent's position in a token
+ * @param {Agent} agent - Agent
+ * @param {Token} token - Token to sell
+ * @param {number} fraction - Share of the position to sell (0-1)
+ * @returns {Promise<boolean>} Whether the sell went through
+ */
+async function agentSell(agent, token, fraction) {
+    const wallet = getWalletById(agent.walletId);
+    const tokenAmount = wallet.getTokenBalance(token.id).times(fraction);
+    if (tokenAmount.lte(0)) return false;
+
+    const result = await processSell({
+        tokenAmount,
+        walletId: agent.walletId.toString(),
+        tokenId: token.id
+    });
+    if (!result.success) return false;
+
+    if (wallet.getTokenBalance(token.id).lte(0)) {
+        agent.entries.delete(token.id);
+        agent.peaks.delete(token.id);
+    }
+
+    recordTrade(agent, 'sell', token, result.amount || 0);
+    return true;
+}
+
+/**
+ * Count a trade in the run's stats
+ * @param {Agent} agent - Agent that traded
+ * @param {string} side - 'buy' or 'sell'
+ * @param {Token} token - Token traded
+ * @param {Decimal} usdValue - USD spent or received
+ */
+function recordTrade(agent, side, token, usdValue) {
+    // The run can be stopped while a trade is awaited
+    if (!runner) return;
+
+    const stats = runner.stats[agent.profile];
+    if (side === 'buy') {
+        stats.buys++;
+        stats.spent = stats.spent.plus(usdValue);
+    } else {
+        stats.sells++;
+        stats.received = stats.received.plus(usdValue);
+    }
+    runner.roundTrades++;
+
+    simulationEvents.emit('agent:traded', {
+        walletId: agent.walletId,
+        profile: agent.profile,
+        side,
+        tokenId: token.id,
+        usdValue: new Decimal(usdValue)
+    });
+}
+
+/**
+ * Profile behaviors; each trades at most once per call
+ * @type {Object<string, function(Agent): Promise<void>>}
+ */
+const BEHAVIORS = {
+    momentum: async (agent) => {
+        const token = pickToken();
+        if (!token) return;
+        const prices = getLookbackPrices(token);
+        if (prices.length < 2) return;
+
+        const change = getPrice(token).minus(prices[0]).dividedBy(prices[0]).times(100);
+        if (change.gte(runner.config.threshold)) {
+            await agentBuy(agent, token);
+        } else if (change.lte(-runner.config.threshold)) {
+            await agentSell(agent, token, 0.5);
+        }
+    },
+
+    'mean-reversion': async (agent) => {
+        const token = pickToken();
+        if (!token) return;
+        const prices = getLookbackPrices(token);
+        if (prices.length < 2) return;
+
+        const average = prices.reduce((sum, price) => sum.plus(price), new Decimal(0)).dividedBy(prices.length);
+        if (average.lte(0)) return;
+        const deviation = getPrice(token).minus(average).dividedBy(average).times(100);
+        if (deviation.lte(-runner.config.threshold)) {
+            await agentBuy(agent, token);
+        } else if (deviation.gte(runner.config.threshold)) {
+            await agentSell(agent, token, 0.5);
+        }
+    },
+
+    dca: async (agent) => {
+        let token = state.tokens.find(t => t.id === agent.dcaTokenId);
+        if (!token) {
+            token = pickToken();
+            if (!token) return;
+            agent.dcaTokenId = token.id;
+        }
+        await agentBuy(agent, token, agent.dcaAmount);
+    },
+
+    'panic-seller': async (agent) => {
+        // Check the positions first: any that fell far enough from its peak is dumped
+        const wallet = getWalletById(agent.walletId);
+        for (const [tokenId, peak] of agent.peaks) {
+            const token = state.tokens.find(t => t.id === tokenId);
+            if (!token || wallet.getTokenBalance(tokenId).lte(0)) continue;
+
+            const price = getPrice(token);
+            if (price.gt(peak)) {
+                agent.peaks.set(tokenId, price);
+            } else if (price.lte(peak.times(1 - runner.config.threshold / 100))) {
+                await agentSell(agent, token, 1);
+                return;
+            }
+        }
+
+        const token = pickToken();
+        if (token) await agentBuy(agent, token);
+    },
+
+    sniper: async (agent) => {
+        // Snipe the first token that launched since the run started
+        const target = state.tokens.find(token => !runner.knownTokenIds.has(token.id) && !agent.sniped.has(token.id));
+        if (target) {
+            if (await agentBuy(agent, target)) {
+                agent.sniped.add(target.id);
+            }
+            return;
+        }
+
+        // Otherwise take profit on a position that has run far enough
+        const token = pickHolding(agent);
+        const entry = token && agent.entries.get(token.id);
+        if (entry && getPrice(token).gte(entry.times(1 + runner.config.takeProfit / 100))) {
+            await agentSell(agent, token, 1);
+        }
+    },
+
+    holder: async (agent) => {
+        if (pickHolding(agent)) return;
+        const token = pickToken();
+        if (token) await agentBuy(agent, token);
+    }
+};
+
+/**
+ * Run one round: every agent gets its chance to act, in a random order
+ */
+async function runRound() {
+    roundTimer = null;
+    if (!runner) return;
+
+    const current = runner;
+    current.round++;
+    current.roundTrades = 0;
+
+    if (!state.isPaused) {
+        for (const agent of shuffle([...current.agents])) {
+            if (runner !== current) return;
+            if (!getWalletById(agent.walletId)) continue;
+            if (agent.profile !== 'sniper' && random() >= current.config.activity) continue;
+
+            try {
+                await BEHAVIORS[agent.profile](agent);
+            } catch (error) {
+                console.error(`Agent ${agent.walletId} (${agent.profile}) failed:`, error);
+            }
+        }
+    }
+    if (runner !== current) return;
+
+    current.totalTrades += current.roundTrades;
+    simulationEvents.emit('agents:round', { round: current.round, trades: current.roundTrades, stats: getAgentStats() });
+
+    if (current.config.rounds > 0 && current.round >= current.config.rounds) {
+        stopAgents();
+        return;
+    }
+    roundTimer = schedule(current.config.interval * 1000, runRound);
+}
+
+/**
+ * Start the multi-agent simulation
+ * @param {Partial<AgentConfig>} [options={}] - Configuration; missing fields use createAgentConfig()
+ * @returns {{success: boolean, error?: string, agents?: Agent[]}} Result with the agents
+ */
+export function startAgents(options = {}) {
+    if (runner) {
+        return { success: false, error: 'Agents are already running' };
+    }
+
+    const config = { ...createAgentConfig(), ...options };
+    const validation = validateAgentConfig(config);
+    if (!validation.isValid) {
+        return { success: false, error: validation.message };
+    }
+
+    const wallets = config.walletTag ? getWalletsByTag(config.walletTag) : [...state.wallets];
+    if (wallets.length === 0) {
+        return { success: false, error: config.walletTag ? `No wallets are tagged "${config.walletTag}"` : 'No wallets to trade from' };
+    }
+
+    const profiles = assignProfiles(wallets.length, config.population);
+    const agents = shuffle(wallets).map((wallet, index) => ({
+        walletId: wallet.id,
+        profile: profiles[index],
+        entries: new Map(),
+        peaks: new Map(),
+        dcaTokenId: null,
+        dcaAmount: wallet.usdBalance.times(config.tradeFraction),
+        sniped: new Set()
+    }));
+
+    const stats = createProfileStats();
+    agents.forEach(agent => stats[agent.profile].agents++);
+
+    runner = {
+        config,
+        agents,
+        stats,
+        knownTokenIds: new Set(state.tokens.map(token => token.id)),
+        round: 0,
+        roundTrades: 0,
+        totalTrades: 0,
+        startTime: now()
+    };
+
+    console.log('Agents started:', {
+        agents: agents.length,
+        profiles: Object.fromEntries(AGENT_PROFILES.map(profile => [profile, stats[profile].agents]))
+    });
+
+    simulationEvents.emit('agents:started', { agents, config });
+    roundTimer = schedule(0, runRound);
+    return { success: true, agents };
+}
+
+/**
+ * Stop the multi-agent simulation
+ */
+export function stopAgents() {
+    if (!runner) return;
+
+    cancelTimer(roundTimer);
+    roundTimer = null;
+    const stats = getAgentStats();
+    runner = null;
+
+    console.log('Agents stopped:', { rounds: stats.round, trades: stats.totalTrades });
+    simulationEvents.emit('agents:stopped', { stats });
+}
+
+/**
+ * Check whether agents are running
+ * @returns {boolean} True while running
+ */
+export function isAgentsRunning() {
+    return runner !== null;
+}
+
+/**
+ * Get the running simulation's stats
+ * @returns {{round: number, totalTrades: number, elapsed: number, profiles: Object}|null} Stats, or null when stopped
+ */
+export function getAgentStats() {
+    if (!runner) return null;
+
+    const profiles = {};
+    AGENT_PROFILES.forEach(profile => {
+        const { agents, buys, sells, spent, received } = runner.stats[profile];
+        profiles[profile] = { agents, buys, sells, spent, received };
+    });
+
+    return {
+        round: runner.round,
+        totalTrades: runner.totalTrades,
+        elapsed: now() - runner.startTime,
+        profiles
+    };
+}
+
+// A reset or a loaded scenario replaces the wallets the agents trade from
+simulationEvents.on('state:reset', stopAgents);
+simulationEvents.on('scenario:loaded', stopAgents);
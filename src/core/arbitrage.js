@@ -0,0 +1,227 @@
+/**
+ * @fileoverview Arbitrage agent that trades price discrepancies out of the pool graph
+ * Cycles come from capitalTracking.detectArbitrageOpportunities. While the agent is
+ * on it back-runs every trade, liquidity change and WPLS price move from its wallet,
+ * so price chains re-equilibrate the way they would on-chain.
+ */
+
+import Decimal from './decimal.js';
+import { state, calculateGas, addToTotalGasUsed, updateAllTokenPrices } from './state.js';
+import { simulationEvents } from './events.js';
+import { detectArbitrageOpportunities } from './capitalTracking.js';
+import { calculatePathOutput, executeRoute } from './routing.js';
+import { getWalletById } from './wallet.js';
+
+/**
+ * Most cycles the agent trades in one run; each trade can open the next cycle
+ * @type {number}
+ */
+export const MAX_ARBITRAGE_ROUNDS = 10;
+
+/**
+ * Events after which the agent looks for arbitrage
+ * @type {string[]}
+ */
+const TRIGGER_EVENTS = ['transaction:completed', 'transfer:completed', 'liquidity:added', 'liquidity:removed', 'wpls:priceChanged'];
+
+// Unsubscribe functions while the agent listens
+let unsubscribers = [];
+
+// Guards against a run triggering itself through the events it emits
+let isRunning = false;
+
+/**
+ * Get how much of a cycle's start asset a wallet can spend
+ * @param {Wallet} wallet - Wallet funding the cycle
+ * @param {string|number} startAsset - 'USD' or a token ID
+ * @returns {Decimal} Spendable balance
+ */
+function getStartBalance(wallet, startAsset) {
+    return startAsset === 'USD' ? wallet.usdBalance : wallet.getTokenBalance(startAsset);
+}
+
+/**
+ * Quote a cycle as an executable route, with its output in the start asset
+ * @param {ArbitrageOpportunity} opportunity - Cycle to trade
+ * @param {Decimal} amountIn - Input in the start asset
+ * @returns {{route: Route, amountOut: Decimal}|null} Route and output, or null if it cannot fill
+ */
+function quoteOpportunity(opportunity, amountIn) {
+    const route = calculatePathOutput(opportunity.path, amountIn);
+    if (!route) return null;
+
+    const lastStep = opportunity.path[opportunity.path.length - 1];
+    const amountOut = lastStep.assetOut === 'WPLS'
+        ? route.totalAmountOut.times(state.plsPrice)
+        : route.totalAmountOut;
+
+    return { route, amountOut };
+}
+
+/**
+ * Trade one arbitrage cycle from a wallet
+ * The wallet pays the start asset (USD, converted to WPLS at the WPLS price when the
+ * cycle starts in a WPLS pool) and receives the cycle's output back in the same asset.
+ * @param {ArbitrageOpportunity} opportunity - Cycle to trade
+ * @param {Wallet} wallet - Wallet trading it
+ * @param {Decimal} minProfit - Minimum USD profit after gas
+ * @returns {{success: boolean, error?: string, trade?: Object}} Result with the executed trade
+ */
+function executeOpportunity(opportunity, wallet, minProfit) {
+    const balance = getStartBalance(wallet, opportunity.startAsset);
+    const amountIn = Decimal.min(opportunity.amountIn, balance);
+    if (amountIn.lte(0)) {
+        return { success: false, error: 'Insufficient balance for arbitrage' };
+    }
+
+    const quote = quoteOpportunity(opportunity, amountIn);
+    if (!quote) {
+        return { success: false, error: 'Arbitrage cycle no longer fills' };
+    }
+
+    const profit = quote.amountOut.minus(amountIn);
+    const profitUSD = opportunity.startAsset === 'USD'
+        ? profit
+        : opportunity.profitUSD.times(profit).dividedBy(opportunity.profit);
+
+    const gasUsed = state.requireGas ? calculateGas(amountIn) : new Decimal(0);
+    if (wallet.plsBalance.lt(gasUsed)) {
+        return { success: false, error: 'Insufficient PLS for gas' };
+    }
+    if (profitUSD.minus(gasUsed.times(state.plsPrice)).lte(minProfit)) {
+        return { success: false, error: 'Arbitrage not profitable after gas' };
+    }
+
+    const routeResult = executeRoute(quote.route, amountIn, wallet.id);
+    if (!routeResult.success) {
+        return { success: false, error: routeResult.error };
+    }
+
+    if (opportunity.startAsset === 'USD') {
+        wallet.subtractUSD(amountIn);
+        wallet.addUSD(quote.amountOut);
+    } else {
+        wallet.subtractTokenBalance(opportunity.startAsset, amountIn);
+        wallet.addTokenBalance(opportunity.startAsset, quote.amountOut);
+    }
+
+    if (state.requireGas) {
+        wallet.subtractPLS(gasUsed);
+        addToTotalGasUsed(gasUsed);
+    }
+
+    return {
+        success: true,
+        trade: {
+            walletId: wallet.id,
+            startAsset: opportunity.startAsset,
+            pathDescription: routeResult.pathDescription,
+            amountIn,
+            amountOut: quote.amountOut,
+            profit,
+            profitUSD,
+            gasUsed,
+            hops: routeResult.hops
+        }
+    };
+}
+
+/**
+ * Trade arbitrage cycles from a wallet until none is left worth taking
+ * @param {number} [walletId=state.arbitrageWalletId] - Wallet trading the cycles
+ * @param {Object} [options={}] - Run options
+ * @param {number} [options.maxRounds=MAX_ARBITRAGE_ROUNDS] - Most cycles to trade
+ * @param {Decimal|number} [options.minProfit=state.arbitrageMinProfit] - Minimum USD profit per cycle
+ * @returns {{success: boolean, error?: string, trades?: Object[], totalProfitUSD?: Decimal}} Run result
+ */
+export function runArbitrage(walletId = state.arbitrageWalletId, { maxRounds = MAX_ARBITRAGE_ROUNDS, minProfit = state.arbitrageMinProfit } = {}) {
+    const wallet = getWalletById(parseInt(walletId));
+    if (!wallet) {
+        return { success: false, error: 'Arbitrage wallet not found' };
+    }
+
+    const minProfitDecimal = new Decimal(minProfit);
+    const trades = [];
+    let totalProfitUSD = new Decimal(0);
+
+    isRunning = true;
+    try {
+        for (let round = 0; round < maxRounds; round++) {
+            const opportunities = detectArbitrageOpportunities({ minProfit: minProfitDecimal });
+
+            // Take the most profitable cycle this wallet can fund
+            let result = null;
+            for (const opportunity of opportunities) {
+                result = executeOpportunity(opportunity, wallet, minProfitDecimal);
+                if (result.success) break;
+            }
+
+            if (!result || !result.success) break;
+
+            trades.push(result.trade);
+            totalProfitUSD = totalProfitUSD.plus(result.trade.profitUSD);
+            updateAllTokenPrices();
+
+            console.log('Arbitrage executed:', {
+                walletId: wallet.id,
+                route: result.trade.pathDescription,
+                amountIn: result.trade.amountIn.toString(),
+                profitUSD: result.trade.profitUSD.toFixed(4)
+            });
+
+            simulationEvents.emit('arbitrage:executed', result.trade);
+        }
+    } finally {
+        isRunning = false;
+    }
+
+    return { success: true, trades, totalProfitUSD };
+}
+
+/**
+ * Run the agent after a triggering event, unless it caused the event itself
+ */
+function handleTrigger() {
+    if (isRunning || !state.arbitrageEnabled || state.isPaused) return;
+    runArbitrage();
+}
+
+/**
+ * Start or stop listening to match state.arbitrageEnabled
+ * Call after changing the setting directly, e.g. after loading a scenario.
+ */
+export function syncArbitrageAgent() {
+    if (state.arbitrageEnabled && unsubscribers.length === 0) {
+        unsubscribers = TRIGGER_EVENTS.map(eventName => simulationEvents.on(eventName, handleTrigger));
+    } else if (!state.arbitrageEnabled && unsubscribers.length > 0) {
+        unsubscribers.forEach(unsubscribe => unsubscribe());
+        unsubscribers = [];
+    }
+}
+
+/**
+ * Turn the arbitrage agent on
+ * @param {number} [walletId=state.arbitrageWalletId] - Wallet the agent trades from
+ * @returns {{success: boolean, error?: string}} Result
+ */
+export function startArbitrageAgent(walletId = state.arbitrageWalletId) {
+    if (!getWalletById(parseInt(walletId))) {
+        return { success: false, error: 'Arbitrage wallet not found' };
+    }
+
+    state.arbitrageWalletId = parseInt(walletId);
+    state.arbitrageEnabled = true;
+    syncArbitrageAgent();
+
+    // Close whatever is already open
+    runArbitrage();
+    return { success: true };
+}
+
+/**
+ * Turn the arbitrage agent off
+ */
+export function stopArbitrageAgent() {
+    state.arbitrageEnabled = false;
+    syncArbitrageAgent();
+}
@@ -0,0 +1,540 @@
+/**
+ * @fileoverview Bonding-curve launches (pump.fun style)
+ * A launched token is minted and sold along a price curve before it has any pool.
+ * Buyers pay USD into the curve's reserve and the price follows the number of
+ * tokens sold: linearly, exponentially or along a sigmoid (S-curve). Once the
+ * market cap reaches the launch threshold, or the curve is sold out, the reserve
+ * migrates into a constant product USD pool at the curve's last price and the
+ * token trades on the AMM from then on.
+ * Launches, curve trades and the migration emit 'bondingCurve:launched',
+ * 'bondingCurve:trade' and 'bondingCurve:migrated'.
+ */
+
+import Decimal from './decimal.js';
+import { simulationEvents } from './events.js';
+import { now } from './clock.js';
+
+/**
+ * Curve shapes a launch can follow
+ * @type {string[]}
+ */
+export const CURVE_TYPES = ['linear', 'exponential', 'sigmoid'];
+
+/**
+ * Default launch settings
+ * @type {{curveType: string, startPrice: string, endPrice: string, curveSupplyPercent: number, steepness: number, marketCapThreshold: string}}
+ */
+export const DEFAULT_CURVE_OPTIONS = {
+    curveType: 'linear',
+    startPrice: '0.01',        // USD price of the first token sold
+    endPrice: '0.1',           // USD price once the whole curve supply is sold
+    curveSupplyPercent: 80,    // Share of the total supply sold along the curve
+    steepness: 10,             // Sigmoid only: how sharp the S is around the midpoint
+    marketCapThreshold: '69000'
+};
+
+/**
+ * Bisection steps used to invert the sigmoid curve
+ * @type {number}
+ */
+const SOLVER_ITERATIONS = 64;
+
+/**
+ * Logistic function 1 / (1 + e^-u)
+ * @param {Decimal} u - Input
+ * @returns {Decimal} Value between 0 and 1
+ */
+function logistic(u) {
+    return new Decimal(1).dividedBy(new Decimal(1).plus(u.negated().exp()));
+}
+
+/**
+ * Softplus ln(1 + e^u), the integral of the logistic function
+ * @param {Decimal} u - Input
+ * @returns {Decimal} Value
+ */
+function softplus(u) {
+    // Large inputs would overflow e^u; softplus(u) ≈ u there
+    return u.gt(40) ? u : new Decimal(1).plus(u.exp()).ln();
+}
+
+/**
+ * @typedef {Object} CurveQuote
+ * @property {Decimal} amountIn - Amount the curve takes (a buy past the curve supply is partly filled)
+ * @property {Decimal} amountOut - Tokens bought, or USD paid out for a sell
+ * @property {Decimal} priceImpact - Price impact (%), as pools report it
+ * @property {Decimal} fee - Always 0: the curve takes no fee
+ */
+
+/**
+ * Class representing a token's launch curve
+ * The curve stores its token's ID rather than the token, so it serializes with it.
+ */
+export class BondingCurve {
+    /**
+     * Create a new BondingCurve instance
+     * @param {Object} options - Curve options
+     * @param {number} options.tokenId - Token sold along the curve
+     * @param {string} [options.curveType='linear'] - 'linear', 'exponential' or 'sigmoid'
+     * @param {string|number|Decimal} [options.startPrice] - USD price of the first token
+     * @param {string|number|Decimal} [options.endPrice] - USD price once the curve supply is sold
+     * @param {string|number|Decimal} [options.curveSupply=0] - Tokens sold along the curve
+     * @param {number} [options.steepness] - Sigmoid steepness
+     * @param {string|number|Decimal} [options.marketCapThreshold] - USD market cap that triggers migration
+     */
+    constructor({
+        tokenId,
+        curveType = DEFAULT_CURVE_OPTIONS.curveType,
+        startPrice = DEFAULT_CURVE_OPTIONS.startPrice,
+        endPrice = DEFAULT_CURVE_OPTIONS.endPrice,
+        curveSupply = 0,
+        steepness = DEFAULT_CURVE_OPTIONS.steepness,
+        marketCapThreshold = DEFAULT_CURVE_OPTIONS.marketCapThreshold
+    }) {
+        this.tokenId = tokenId;
+        this.curveType = curveType;
+        this.startPrice = new Decimal(startPrice);
+        this.endPrice = new Decimal(endPrice);
+        this.curveSupply = new Decimal(curveSupply);
+        this.steepness = steepness;
+        this.marketCapThreshold = new Decimal(marketCapThreshold);
+
+        this.sold = new Decimal(0);     // Tokens sold along the curve (net of sells)
+        this.reserve = new Decimal(0);  // USD collected; after migration, what the pool could not take
+        this.status = 'active';         // 'active' until the reserve migrates, then 'migrated'
+        this.launchedAt = now();
+        this.migratedAt = null;
+        this.poolId = null;             // Pool the reserve migrated into
+    }
+
+    /**
+     * Check whether the token still trades on the curve
+     * @returns {boolean} True before migration
+     */
+    isActive() {
+        return this.status === 'active';
+    }
+
+    /**
+     * Tokens left to sell along the curve
+     * @returns {Decimal} Remaining curve supply
+     */
+    getRemaining() {
+        return this.curveSupply.minus(this.sold);
+    }
+
+    /**
+     * Sigmoid position of an amount sold: steepness · (sold / curveSupply - 1/2)
+     * @param {Decimal} sold - Tokens sold
+     * @returns {Decimal} Logistic input
+     */
+    getSigmoidInput(sold) {
+        return sold.dividedBy(this.curveSupply).minus('0.5').times(this.steepness);
+    }
+
+    /**
+     * Logistic values at both ends of the curve, used to pin it to startPrice and endPrice
+     * @returns {{low: Decimal, span: Decimal}} Value at the start and the range up to the end
+     */
+    getSigmoidBounds() {
+        const half = new Decimal(this.steepness).dividedBy(2);
+        const low = logistic(half.negated());
+        return { low, span: logistic(half).minus(low) };
+    }
+
+    /**
+     * Growth rate of the exponential curve, ln(endPrice / startPrice) / curveSupply
+     * @returns {Decimal} Rate per token
+     */
+    getGrowthRate() {
+        return this.endPrice.dividedBy(this.startPrice).ln().dividedBy(this.curveSupply);
+    }
+
+    /**
+     * USD price after a given number of tokens has been sold
+     * @param {Decimal} sold - Tokens sold
+     * @returns {Decimal} Price
+     */
+    getPriceAt(sold) {
+        const rise = this.endPrice.minus(this.startPrice);
+
+        if (this.curveType === 'exponential') {
+            return this.startPrice.times(this.getGrowthRate().times(sold).exp());
+        }
+        if (this.curveType === 'sigmoid') {
+            const { low, span } = this.getSigmoidBounds();
+            return this.startPrice.plus(rise.times(logistic(this.getSigmoidInput(sold)).minus(low)).dividedBy(span));
+        }
+        return this.startPrice.plus(rise.times(sold).dividedBy(this.curveSupply));
+    }
+
+    /**
+     * Current USD price
+     * @returns {Decimal} Price
+     */
+    getPrice() {
+        return this.getPriceAt(this.sold);
+    }
+
+    /**
+     * USD needed to move along the curve (the area under it)
+     * @param {Decimal} from - Tokens sold before
+     * @param {Decimal} to - Tokens sold after
+     * @returns {Decimal} Cost
+     */
+    getCost(from, to) {
+        const amount = to.minus(from);
+        const rise = this.endPrice.minus(this.startPrice);
+
+        if (this.curveType === 'exponential') {
+            return this.getPriceAt(to).minus(this.getPriceAt(from)).dividedBy(this.getGrowthRate());
+        }
+        if (this.curveType === 'sigmoid') {
+            const { low, span } = this.getSigmoidBounds();
+            const area = softplus(this.getSigmoidInput(to)).minus(softplus(this.getSigmoidInput(from)))
+                .times(this.curveSupply).dividedBy(this.steepness);
+            return this.startPrice.times(amount).plus(rise.times(area.minus(low.times(amount))).dividedBy(span));
+        }
+        const slope = rise.dividedBy(this.curveSupply);
+        return this.startPrice.times(amount).plus(slope.times(to.pow(2).minus(from.pow(2))).dividedBy(2));
+    }
+
+    /**
+     * Tokens a USD amount buys from the current point, ignoring the curve supply
+     * @param {Decimal} usdAmount - USD paid
+     * @returns {Decimal} Tokens bought
+     */
+    getTokensForCost(usdAmount) {
+        const price = this.getPrice();
+
+        if (this.curveType === 'exponential') {
+            const rate = this.getGrowthRate();
+            return price.plus(usdAmount.times(rate)).dividedBy(price).ln().dividedBy(rate);
+        }
+        if (this.curveType === 'sigmoid') {
+            // The price only rises, so paying it all at the current price is an upper bound
+            let low = new Decimal(0);
+            let high = usdAmount.dividedBy(price);
+            for (let i = 0; i < SOLVER_ITERATIONS; i++) {
+                const mid = low.plus(high).dividedBy(2);
+                if (this.getCost(this.sold, this.sold.plus(mid)).gt(usdAmount)) {
+                    high = mid;
+                } else {
+                    low = mid;
+                }
+            }
+            return low;
+        }
+        // Linear: solve slope/2·Δ² + price·Δ = usdAmount
+        const slope = this.endPrice.minus(this.startPrice).dividedBy(this.curveSupply);
+        return price.pow(2).plus(slope.times(usdAmount).times(2)).sqrt().minus(price).dividedBy(slope);
+    }
+
+    /**
+     * Quote a trade without moving along the curve
+     * @param {string|number} assetIn - 'USD' to buy, or the token ID to sell
+     * @param {string|number|Decimal} amountIn - USD or tokens paid
+     * @returns {CurveQuote|null} Quote, or null if the curve cannot fill it
+     */
+    quote(assetIn, amountIn) {
+        const input = new Decimal(amountIn);
+        if (!this.isActive() || input.lte(0)) {
+            return null;
+        }
+
+        const priceBefore = this.getPrice();
+
+        if (assetIn === 'USD') {
+            const remaining = this.getRemaining();
+            if (remaining.lte(0)) {
+                return null;
+            }
+
+            // A buy past the end of the curve takes the rest of it and pays only for that
+            let tokensOut = Decimal.min(this.getTokensForCost(input), remaining);
+            const cost = tokensOut.eq(remaining) ? this.getCost(this.sold, this.curveSupply) : input;
+            const priceAfter = this.getPriceAt(this.sold.plus(tokensOut));
+
+            return {
+                amountIn: cost,
+                amountOut: tokensOut,
+                priceImpact: priceAfter.minus(priceBefore).dividedBy(priceBefore).times(100),
+                fee: new Decimal(0)
+            };
+        }
+
+        if (input.gt(this.sold)) {
+            return null;
+        }
+        const soldAfter = this.sold.minus(input);
+        const usdOut = Decimal.min(this.getCost(soldAfter, this.sold), this.reserve);
+        const priceAfter = this.getPriceAt(soldAfter);
+
+        // Pools report the move of the output asset's price; for USD that is priceBefore / priceAfter
+        return {
+            amountIn: input,
+            amountOut: usdOut,
+            priceImpact: priceBefore.dividedBy(priceAfter).minus(1).times(100),
+            fee: new Decimal(0)
+        };
+    }
+
+    /**
+     * Buy or sell along the curve
+     * @param {string|number} assetIn - 'USD' to buy, or the token ID to sell
+     * @param {string|number|Decimal} amountIn - USD or tokens paid
+     * @returns {{success: boolean, error?: string, amountIn?: Decimal, amountOut?: Decimal, priceImpact?: Decimal}} Result
+     */
+    trade(assetIn, amountIn) {
+        const quote = this.quote(assetIn, amountIn);
+        if (!quote) {
+            return { success: false, error: assetIn === 'USD' ? 'Bonding curve is sold out' : 'Not enough tokens sold on the curve to sell this many back' };
+        }
+
+        if (assetIn === 'USD') {
+            this.sold = this.sold.plus(quote.amountOut);
+            this.reserve = this.reserve.plus(quote.amountIn);
+        } else {
+            this.sold = this.sold.minus(quote.amountIn);
+            this.reserve = this.reserve.minus(quote.amountOut);
+        }
+
+        return { success: true, amountIn: quote.amountIn, amountOut: quote.amountOut, priceImpact: quote.priceImpact };
+    }
+
+    /**
+     * Market cap at the current curve price
+     * @param {Decimal} totalSupply - Token's total supply
+     * @returns {Decimal} USD market cap
+     */
+    getMarketCap(totalSupply) {
+        return this.getPrice().times(totalSupply);
+    }
+
+    /**
+     * Check whether the reserve should move into a pool
+     * @param {Decimal} totalSupply - Token's total supply
+     * @returns {boolean} True once the threshold is reached or the curve is sold out
+     */
+    shouldMigrate(totalSupply) {
+        return this.isActive() && this.reserve.gt(0) &&
+            (this.getMarketCap(totalSupply).gte(this.marketCapThreshold) || this.getRemaining().lte(0));
+    }
+
+    /**
+     * Sample the curve for charts and the ledger
+     * @param {number} [count=50] - Number of points
+     * @returns {{sold: Decimal, price: Decimal}[]} Points from the first to the last token of the curve
+     */
+    getCurvePoints(count = 50) {
+        const points = [];
+        for (let i = 0; i <= count; i++) {
+            const sold = this.curveSupply.times(i).dividedBy(count);
+            points.push({ sold, price: this.getPriceAt(sold) });
+        }
+        return points;
+    }
+
+    /**
+     * Short description of the curve, e.g. "linear $0.01 → $0.1 over 800000 tokens, migrates at $69000"
+     * @returns {string} Description
+     */
+    describe() {
+        return `${this.curveType} $${this.startPrice.toString()} → $${this.endPrice.toString()} over ` +
+            `${this.curveSupply.toString()} tokens, migrates at $${this.marketCapThreshold.toString()}`;
+    }
+}
+
+/**
+ * Get a token's curve while it is still trading on it
+ * @param {Token} token - Token to check
+ * @returns {BondingCurve|null} Active curve, or null
+ */
+export function getActiveCurve(token) {
+    return token.bondingCurve && token.bondingCurve.isActive() ? token.bondingCurve : null;
+}
+
+/**
+ * Launch a token on a bonding curve
+ * The token must not have liquidity yet; the curve supply is held back from the
+ * token's available supply until the curve migrates.
+ * @param {Token} token - Token to launch
+ * @param {Object} [options={}] - Curve settings (see DEFAULT_CURVE_OPTIONS)
+ * @param {string} [options.curveType] - 'linear', 'exponential' or 'sigmoid'
+ * @param {string|number|Decimal} [options.startPrice] - USD price of the first token
+ * @param {string|number|Decimal} [options.endPrice] - USD price once the curve supply is sold
+ * @param {number} [options.curveSupplyPercent] - Share of the total supply sold along the curve
+ * @param {number} [options.steepness] - Sigmoid steepness
+ * @param {string|number|Decimal} [options.marketCapThreshold] - USD market cap that triggers migration
+ * @returns {{success: boolean, error?: string, curve?: BondingCurve}} Result
+ */
+export function launchBondingCurve(token, options = {}) {
+    const settings = { ...DEFAULT_CURVE_OPTIONS, ...options };
+
+    if (token.bondingCurve) {
+        return { success: false, error: `${token.name} has already been launched on a bonding curve` };
+    }
+    if (token.getPools().length > 0) {
+        return { success: false, error: `${token.name} already has a pool; a bonding curve launches a token without one` };
+    }
+    if (!CURVE_TYPES.includes(settings.curveType)) {
+        return { success: false, error: `Unknown curve type: ${settings.curveType}` };
+    }
+
+    let startPrice;
+    let endPrice;
+    let marketCapThreshold;
+    try {
+        startPrice = new Decimal(settings.startPrice);
+        endPrice = new Decimal(settings.endPrice);
+        marketCapThreshold = new Decimal(settings.marketCapThreshold);
+    } catch (error) {
+        return { success: false, error: 'Curve prices and threshold must be numbers' };
+    }
+    if (startPrice.lte(0) || endPrice.lte(startPrice)) {
+        return { success: false, error: 'End price must be greater than a start price above 0' };
+    }
+    if (marketCapThreshold.lte(0)) {
+        return { success: false, error: 'Market cap threshold must be greater than 0' };
+    }
+
+    const percent = Number(settings.curveSupplyPercent);
+    if (!Number.isFinite(percent) || percent <= 0 || percent >= 100) {
+        return { success: false, error: 'Curve supply must be between 0 and 100% (the rest seeds the pool)' };
+    }
+    const steepness = Number(settings.steepness);
+    if (settings.curveType === 'sigmoid' && (!Number.isFinite(steepness) || steepness <= 0)) {
+        return { success: false, error: 'Sigmoid steepness must be greater than 0' };
+    }
+
+    const curveSupply = token.totalSupply.times(percent).dividedBy(100);
+    if (curveSupply.gt(token.getAvailableSupply())) {
+        return { success: false, error: `Only ${token.getAvailableSupply().toString()} ${token.name} is available for the curve` };
+    }
+
+    const curve = new BondingCurve({
+        tokenId: token.id,
+        curveType: settings.curveType,
+        startPrice,
+        endPrice,
+        curveSupply,
+        steepness,
+        marketCapThreshold
+    });
+    token.bondingCurve = curve;
+    token.invalidatePriceCascade();
+
+    console.log('Bonding curve launched:', { tokenId: token.id, curve: curve.describe() });
+
+    simulationEvents.emit('bondingCurve:launched', { token, curve });
+    simulationEvents.emit('token:updated', { token });
+
+    return { success: true, curve };
+}
+
+/**
+ * Buy or sell a token on its curve
+ * @param {Token} token - Token traded
+ * @param {string} side - 'buy' (pay USD) or 'sell' (pay tokens)
+ * @param {Decimal} amountIn - USD or tokens paid
+ * @returns {{success: boolean, error?: string, amountIn?: Decimal, amountOut?: Decimal, priceImpact?: Decimal}} Result;
+ *   amountIn is what the curve took, which for a buy past its end is less than offered
+ */
+export function tradeOnCurve(token, side, amountIn) {
+    const curve = getActiveCurve(token);
+    if (!curve) {
+        return { success: false, error: `${token.name} is not trading on a bonding curve` };
+    }
+
+    const result = curve.trade(side === 'buy' ? 'USD' : token.id, amountIn);
+    if (!result.success) {
+        return result;
+    }
+
+    token.invalidatePriceCascade();
+
+    simulationEvents.emit('bondingCurve:trade', {
+        token,
+        curve,
+        side,
+        amountIn: result.amountIn,
+        amountOut: result.amountOut,
+        price: curve.getPrice()
+    });
+    simulationEvents.emit('token:updated', { token });
+
+    return result;
+}
+
+/**
+ * Move a curve's reserve into a constant product USD pool
+ * The pool opens at the curve's last price: the reserve is paired with
+ * reserve / price tokens from the unsold supply. When fewer tokens are left than
+ * that, only unsold × price of the reserve goes in and the rest stays in
+ * curve.reserve with the deployer, so the pool never opens above the curve.
+ * Tokens left over stay with the deployer as unallocated supply; the LP tokens
+ * are not owned by anyone.
+ * @param {Token} token - Launched token
+ * @returns {{success: boolean, error?: string, pool?: Pool}} Result
+ */
+export function migrateBondingCurve(token) {
+    const curve = getActiveCurve(token);
+    if (!curve) {
+        return { success: false, error: `${token.name} is not trading on a bonding curve` };
+    }
+    if (curve.reserve.lte(0)) {
+        return { success: false, error: 'The bonding curve has no reserve to migrate' };
+    }
+
+    const price = curve.getPrice();
+    const marketCap = curve.getMarketCap(token.totalSupply);
+    const unsold = token.totalSupply.minus(curve.sold).minus(token.getTokensInPools());
+    if (unsold.lte(0)) {
+        return { success: false, error: 'No unsold supply is left to pair the reserve with' };
+    }
+    // Pair the whole reserve if the unsold supply covers it at this price, else pair all of that supply
+    const coversReserve = curve.reserve.dividedBy(price).lte(unsold);
+    const tokenAmount = coversReserve ? curve.reserve.dividedBy(price) : unsold;
+    const pairAmount = coversReserve ? curve.reserve : unsold.times(price);
+
+    // Release the curve supply first so the deposit can draw on it
+    curve.status = 'migrated';
+    const result = token.addLiquidity(tokenAmount, pairAmount, { pairAsset: 'USD', fromSupply: true });
+    if (!result.success) {
+        curve.status = 'active';
+        return { success: false, error: `Migration failed: ${result.error}` };
+    }
+
+    const pool = token.getPools().find(p => p.otherAsset(token.id) === 'USD');
+    curve.reserve = curve.reserve.minus(pairAmount);
+    curve.migratedAt = now();
+    curve.poolId = pool.id;
+    token.pairType = 'USD';
+    token.pairedTokenId = null;
+
+    console.log('Bonding curve migrated:', {
+        tokenId: token.id,
+        poolId: pool.id,
+        tokenAmount: tokenAmount.toString(),
+        pairAmount: pairAmount.toString(),
+        marketCap: marketCap.toString()
+    });
+
+    simulationEvents.emit('bondingCurve:migrated', { token, curve, pool, tokenAmount, pairAmount, price, marketCap });
+    simulationEvents.emit('token:updated', { token });
+
+    return { success: true, pool };
+}
+
+/**
+ * Migrate a token's curve if it has reached its threshold
+ * @param {Token} token - Token to check
+ * @returns {{success: boolean, error?: string, pool?: Pool}|null} Migration result, or null if none was due
+ */
+export function checkCurveMigration(token) {
+    const curve = getActiveCurve(token);
+    if (!curve || !curve.shouldMigrate(token.totalSupply)) {
+        return null;
+    }
+    return migrateBondingCurve(token);
+}
@@ -0,0 +1,491 @@
+/**
+ * @fileoverview Buyback-and-burn engine
+ * Each token can spend its treasury buying itself back through its selected pool
+ * and burning what it gets. The treasury is held by the token contract in the
+ * asset the pool is paired with (USD for USD pairs, WPLS otherwise): either only
+ * what the buyback tax has raised ('taxes'), or everything the contract holds of
+ * that asset ('plsBalance'). A buyback never spends more than the contract holds.
+ *
+ * Two triggers:
+ * - 'schedule': a buyback every interval seconds, run by a clock timer
+ * - 'price': a buyback whenever the price is at or below priceFloor, at most once per interval,
+ *   checked when trades settle or prices move
+ *
+ * Every run is kept with the price before and after it, so the burned supply and
+ * the price support the buybacks produced can be read back over time.
+ * The engine listens to simulationEvents as soon as this module is imported.
+ */
+
+import Decimal from './decimal.js';
+import { state } from './state.js';
+import { simulationEvents } from './events.js';
+import { now, schedule, cancelTimer } from './clock.js';
+
+/**
+ * Buyback triggers
+ * @type {string[]}
+ */
+export const BUYBACK_TRIGGERS = ['schedule', 'price'];
+
+/**
+ * Where the buyback treasury comes from
+ * @type {string[]}
+ */
+export const BUYBACK_SOURCES = ['taxes', 'plsBalance'];
+
+/**
+ * Events after which due price-triggered buybacks run
+ * @type {string[]}
+ */
+const TRIGGER_EVENTS = ['transaction:completed', 'transfer:completed', 'arbitrage:executed', 'prices:updated', 'wpls:priceChanged'];
+
+/**
+ * @typedef {Object} BuybackConfig
+ * @property {boolean} enabled - Run buybacks automatically
+ * @property {string} trigger - 'schedule' or 'price'
+ * @property {number} interval - Seconds between scheduled runs; cooldown for price runs
+ * @property {Decimal} priceFloor - USD price at or below which a 'price' buyback runs
+ * @property {Decimal} amount - Most of the treasury asset one run spends
+ * @property {string} source - 'taxes' or 'plsBalance'
+ * @property {Decimal} treasury - Treasury asset the buyback tax has raised and buybacks have not spent
+ * @property {number} lastRunAt - Simulated time of the last run (or of enabling)
+ */
+
+/**
+ * @typedef {Object} BuybackRun
+ * @property {number} time - Simulated milliseconds since the run started
+ * @property {string} trigger - 'schedule', 'price' or 'manual'
+ * @property {string} poolId - Pool bought from
+ * @property {Decimal} spent - Treasury asset taken from the contract
+ * @property {string|number} pairAsset - Asset paid into the pool (the treasury asset)
+ * @property {Decimal} pairAmount - Amount paid into the pool (equal to spent)
+ * @property {Decimal} tokensBurned - Tokens bought and burned
+ * @property {Decimal} priceBefore - USD price before the buy
+ * @property {Decimal} priceAfter - USD price after the buy
+ * @property {Decimal} priceSupport - priceAfter - priceBefore
+ * @property {Decimal} priceImpact - Price impact of the buy (%)
+ * @property {Decimal} totalBurned - Tokens burned by buybacks so far, this run included
+ * @property {Decimal} totalSupport - Price support of every run so far, in USD
+ * @property {Decimal} totalSupply - Token supply after the burn
+ */
+
+/**
+ * Decimal fields of a BuybackRun, stored as strings when exported
+ * @type {string[]}
+ */
+const RUN_DECIMAL_FIELDS = [
+    'spent', 'pairAmount', 'tokensBurned', 'priceBefore', 'priceAfter', 'priceSupport',
+    'priceImpact', 'totalBurned', 'totalSupport', 'totalSupply'
+];
+
+// Runs per token ID, oldest first
+const runsByToken = new Map();
+
+// Pending 'schedule' timer per token ID
+const scheduleTimers = new Map();
+
+// Set while a buyback trades, so its own events do not trigger another
+let isRunning = false;
+
+/**
+ * Create the default buyback settings of a token
+ * @returns {BuybackConfig} Disabled buyback config
+ */
+export function createBuybackConfig() {
+    return {
+        enabled: false,
+        trigger: 'schedule',
+        interval: 60,
+        priceFloor: new Decimal('0'),
+        amount: new Decimal('10000'),
+        source: 'taxes',
+        treasury: new Decimal('0'),
+        lastRunAt: 0
+    };
+}
+
+/**
+ * Asset a token's treasury is held in: USD for USD pairs, WPLS otherwise
+ * @param {Token} token - Token
+ * @returns {string} 'USD' or 'WPLS'
+ */
+export function getBuybackAsset(token) {
+    return token.pairAsset === 'USD' ? 'USD' : 'WPLS';
+}
+
+/**
+ * How much of an asset the token contract holds
+ * @param {Token} token - Token
+ * @param {string} asset - 'USD' or 'WPLS'
+ * @returns {Decimal} Contract balance
+ */
+function getContractHolding(token, asset) {
+    if (asset === 'WPLS') {
+        return token.plsBalance;
+    }
+    return token.contractAssets.get(asset) || new Decimal(0);
+}
+
+/**
+ * Amount of the treasury asset a token's buybacks can spend right now
+ * @param {Token} token - Token
+ * @returns {Decimal} Treasury balance
+ */
+export function getBuybackTreasury(token) {
+    const holding = getContractHolding(token, getBuybackAsset(token));
+    if (token.buyback.source === 'plsBalance') {
+        return holding;
+    }
+    return Decimal.min(token.buyback.treasury, holding);
+}
+
+/**
+ * Add buyback tax proceeds to the treasury (the contract already holds them)
+ * @param {Token} token - Token
+ * @param {Decimal} amount - Treasury asset received
+ */
+export function fundBuybackTreasury(token, amount) {
+    token.buyback.treasury = token.buyback.treasury.plus(amount);
+}
+
+/**
+ * Update a token's buyback settings
+ * @param {Token} token - Token
+ * @param {Object} options - Settings to change
+ * @param {boolean} [options.enabled] - Run buybacks automatically
+ * @param {string} [options.trigger] - 'schedule' or 'price'
+ * @param {number} [options.interval] - Seconds between runs (cooldown for price runs)
+ * @param {number|string|Decimal} [options.priceFloor] - USD price that triggers a 'price' run
+ * @param {number|string|Decimal} [options.amount] - Most of the treasury asset one run spends
+ * @param {string} [options.source] - 'taxes' or 'plsBalance'
+ * @returns {{success: boolean, error?: string}} Result of the update
+ */
+export function setBuybackConfig(token, { enabled, trigger, interval, priceFloor, amount, source } = {}) {
+    if (trigger !== undefined && !BUYBACK_TRIGGERS.includes(trigger)) {
+        return { success: false, error: `Unknown buyback trigger: ${trigger}` };
+    }
+    if (source !== undefined && !BUYBACK_SOURCES.includes(source)) {
+        return { success: false, error: `Unknown buyback source: ${source}` };
+    }
+    if (interval !== undefined && (!Number.isFinite(Number(interval)) || Number(interval) <= 0)) {
+        return { success: false, error: 'Buyback interval must be greater than 0 seconds' };
+    }
+
+    let floorValue;
+    if (priceFloor !== undefined) {
+        floorValue = new Decimal(priceFloor);
+        if (!floorValue.isFinite() || floorValue.lt(0)) {
+            return { success: false, error: 'Buyback price floor cannot be negative' };
+        }
+    }
+    let amountValue;
+    if (amount !== undefined) {
+        amountValue = new Decimal(amount);
+        if (!amountValue.isFinite() || amountValue.lte(0)) {
+            return { success: false, error: 'Buyback amount must be greater than 0' };
+        }
+    }
+
+    const config = token.buyback;
+    if (trigger !== undefined) config.trigger = trigger;
+    if (source !== undefined) config.source = source;
+    if (interval !== undefined) config.interval = Number(interval);
+    if (floorValue !== undefined) config.priceFloor = floorValue;
+    if (amountValue !== undefined) config.amount = amountValue;
+    if (enabled !== undefined) {
+        // The first scheduled run comes one interval after switching on
+        if (enabled && !config.enabled) config.lastRunAt = now();
+        config.enabled = Boolean(enabled);
+    }
+
+    // Start the token's schedule over with the new settings
+    cancelSchedule(token.id);
+    syncBuybackSchedules();
+
+    simulationEvents.emit('buyback:configured', { token, config });
+    simulationEvents.emit('token:updated', { token });
+    return { success: true };
+}
+
+/**
+ * Check whether a token's automatic buyback is due
+ * @param {Token} token - Token
+ * @returns {boolean} True if a run should happen now
+ */
+function isBuybackDue(token) {
+    const config = token.buyback;
+    if (!config.enabled || now() - config.lastRunAt < config.interval * 1000) {
+        return false;
+    }
+    if (config.trigger === 'price') {
+        const pool = token.primaryPool;
+        return Boolean(pool && pool.hasLiquidity()) && token.calculateTokenPriceUSD().lte(config.priceFloor);
+    }
+    return true;
+}
+
+/**
+ * Buy a token back with its treasury and burn the tokens bought
+ * @param {Token} token - Token
+ * @param {Object} [options={}] - Run options
+ * @param {Decimal} [options.amount=token.buyback.amount] - Most of the treasury asset to spend
+ * @param {string} [options.trigger='manual'] - What started the run, kept in its history
+ * @returns {{success: boolean, error?: string, run?: BuybackRun}} Result
+ */
+export function executeBuyback(token, { amount = token.buyback.amount, trigger = 'manual' } = {}) {
+    const pool = token.primaryPool;
+    if (!pool || !pool.hasLiquidity()) {
+        return { success: false, error: 'No pool to buy back from' };
+    }
+    const pairAsset = token.pairAsset;
+    if (pairAsset !== 'WPLS' && pairAsset !== 'USD') {
+        return { success: false, error: 'Buybacks need a USD or WPLS pair' };
+    }
+
+    const spent = Decimal.min(new Decimal(amount), getBuybackTreasury(token));
+    if (spent.lte(0)) {
+        return { success: false, error: 'Buyback treasury is empty' };
+    }
+    const pairAmount = spent;
+
+    const priceBefore = token.calculateTokenPriceUSD();
+    isRunning = true;
+    let buy;
+    try {
+        buy = token.executeBuy(pairAmount);
+    } finally {
+        isRunning = false;
+    }
+    if (!buy.success) {
+        return { success: false, error: buy.error };
+    }
+
+    if (pairAsset === 'WPLS') {
+        token.plsBalance = token.plsBalance.minus(spent);
+    } else {
+        token.contractAssets.set(pairAsset, getContractHolding(token, pairAsset).minus(spent));
+    }
+    token.buyback.treasury = Decimal.max(0, token.buyback.treasury.minus(spent));
+    token.buyback.lastRunAt = now();
+
+    // The bought tokens go straight to the dead address
+    token.totalSupply = token.totalSupply.minus(buy.tokensReceived);
+    token.totalBurned = token.totalBurned.plus(buy.tokensReceived);
+
+    const runs = runsByToken.get(token.id) || [];
+    const previous = runs[runs.length - 1];
+    const priceSupport = buy.newPrice.minus(priceBefore);
+    const run = {
+        time: now(),
+        trigger,
+        poolId: pool.id,
+        spent,
+        pairAsset,
+        pairAmount,
+        tokensBurned: buy.tokensReceived,
+        priceBefore,
+        priceAfter: buy.newPrice,
+        priceSupport,
+        priceImpact: buy.priceImpact,
+        totalBurned: (previous ? previous.totalBurned : new Decimal(0)).plus(buy.tokensReceived),
+        totalSupport: (previous ? previous.totalSupport : new Decimal(0)).plus(priceSupport),
+        totalSupply: token.totalSupply
+    };
+    runs.push(run);
+    runsByToken.set(token.id, runs);
+
+    console.log('Buyback and burn:', {
+        tokenId: token.id,
+        trigger,
+        spent: spent.toString(),
+        tokensBurned: buy.tokensReceived.toString(),
+        priceBefore: priceBefore.toString(),
+        priceAfter: buy.newPrice.toString()
+    });
+    simulationEvents.emit('buyback:executed', { token, pool, run });
+    simulationEvents.emit('token:updated', { token });
+    return { success: true, run };
+}
+
+/**
+ * Run a token's automatic buyback and start its interval over if the run fails
+ * @param {Token} token - Token
+ */
+function runDueBuyback(token) {
+    const result = executeBuyback(token, { trigger: token.buyback.trigger });
+    if (!result.success) {
+        // Wait a full interval before trying again rather than retrying on every trade
+        token.buyback.lastRunAt = now();
+    }
+}
+
+/**
+ * Run every price-triggered buyback that is due, unless a buyback caused the event itself
+ */
+function handleTrigger() {
+    if (isRunning || state.isPaused) return;
+
+    state.tokens.forEach(token => {
+        if (token.buyback.trigger === 'price' && isBuybackDue(token)) {
+            runDueBuyback(token);
+        }
+    });
+}
+
+/**
+ * Check whether a token runs buybacks on a schedule
+ * @param {Token} token - Token
+ * @returns {boolean} True if it needs a timer
+ */
+function isScheduled(token) {
+    return token.buyback.enabled && token.buyback.trigger === 'schedule';
+}
+
+/**
+ * Cancel a token's pending scheduled run
+ * @param {number} tokenId - Token ID
+ */
+function cancelSchedule(tokenId) {
+    if (scheduleTimers.has(tokenId)) {
+        cancelTimer(scheduleTimers.get(tokenId));
+        scheduleTimers.delete(tokenId);
+    }
+}
+
+/**
+ * Timer callback: run a token's scheduled buyback, then schedule the next one
+ * A run that falls while the simulation is paused is skipped, and no new
+ * timer is set until trading resumes.
+ * @param {number} tokenId - Token ID
+ */
+function runScheduledBuyback(tokenId) {
+    scheduleTimers.delete(tokenId);
+    const token = state.tokens.find(t => t.id === tokenId);
+    if (!token || !isScheduled(token)) return;
+
+    if (state.isPaused) {
+        token.buyback.lastRunAt = now();
+        return;
+    }
+    if (isBuybackDue(token)) {
+        runDueBuyback(token);
+    }
+    syncBuybackSchedules();
+}
+
+/**
+ * Give every token on the 'schedule' trigger a timer for its next run, and cancel the rest
+ * Background timers: the schedules alone don't keep fast-forward running.
+ */
+export function syncBuybackSchedules() {
+    state.tokens.forEach(token => {
+        if (isScheduled(token) && !state.isPaused && !scheduleTimers.has(token.id)) {
+            const delay = Math.max(0, token.buyback.lastRunAt + token.buyback.interval * 1000 - now());
+            scheduleTimers.set(token.id, schedule(delay, () => runScheduledBuyback(token.id), { background: true }));
+        }
+    });
+    [...scheduleTimers.keys()].forEach(tokenId => {
+        const token = state.tokens.find(t => t.id === tokenId);
+        if (!token || !isScheduled(token)) {
+            cancelSchedule(tokenId);
+        }
+    });
+}
+
+/**
+ * Buyback runs of a token
+ * @param {number} tokenId - Token ID
+ * @returns {BuybackRun[]} Runs, oldest first
+ */
+export function getBuybackHistory(tokenId) {
+    return [...(runsByToken.get(tokenId) || [])];
+}
+
+/**
+ * Summarize what a token's buybacks have done
+ * @param {Token} token - Token
+ * @returns {{runs: number, spent: Decimal, tokensBurned: Decimal, priceSupport: Decimal,
+ *   burnedPercent: Decimal, treasury: Decimal, lastRunAt: number|null}} Totals since the run started
+ */
+export function getBuybackReport(token) {
+    const runs = runsByToken.get(token.id) || [];
+    const last = runs[runs.length - 1];
+    const tokensBurned = last ? last.totalBurned : new Decimal(0);
+    const originalSupply = token.totalSupply.plus(token.totalBurned);
+
+    return {
+        runs: runs.length,
+        spent: runs.reduce((total, run) => total.plus(run.spent), new Decimal(0)),
+        tokensBurned,
+        priceSupport: last ? last.totalSupport : new Decimal(0),
+        burnedPercent: originalSupply.gt(0) ? tokensBurned.dividedBy(originalSupply).times(100) : new Decimal(0),
+        treasury: getBuybackTreasury(token),
+        lastRunAt: last ? last.time : null
+    };
+}
+
+/**
+ * Forget every run
+ */
+export function clearBuybackHistory() {
+    runsByToken.clear();
+}
+
+/**
+ * Export every token's runs as plain JSON (Decimals become strings)
+ * @returns {Array<[number, Object[]]>} Token IDs with their runs, oldest first
+ */
+export function exportBuybackHistory() {
+    return Array.from(runsByToken.entries()).map(([tokenId, runs]) => [
+        tokenId,
+        runs.map(run => {
+            const plain = { ...run };
+            RUN_DECIMAL_FIELDS.forEach(field => {
+                plain[field] = run[field].toString();
+            });
+            return plain;
+        })
+    ]);
+}
+
+/**
+ * Replace the runs with exported ones, e.g. the history saved with a scenario
+ * @param {Array<[number, Object[]]>} data - Runs as returned by exportBuybackHistory
+ */
+export function restoreBuybackHistory(data) {
+    clearBuybackHistory();
+    data.forEach(([tokenId, runs]) => {
+        runsByToken.set(tokenId, runs.map(plain => {
+            const run = { ...plain };
+            RUN_DECIMAL_FIELDS.forEach(field => {
+                run[field] = new Decimal(plain[field]);
+            });
+            return run;
+        }));
+    });
+}
+
+/**
+ * Forget every run and start the schedules over with the clock
+ */
+function handleTransactionsReset() {
+    clearBuybackHistory();
+    state.tokens.forEach(token => {
+        token.buyback.lastRunAt = 0;
+    });
+    [...scheduleTimers.keys()].forEach(cancelSchedule);
+    syncBuybackSchedules();
+}
+
+TRIGGER_EVENTS.forEach(eventName => simulationEvents.on(eventName, handleTrigger));
+simulationEvents.on('transactions:reset', handleTransactionsReset);
+simulationEvents.on('state:reset', () => {
+    // The clock has already dropped the timers
+    scheduleTimers.clear();
+    clearBuybackHistory();
+});
+simulationEvents.on('state:pauseChanged', syncBuybackSchedules);
+simulationEvents.on('scenario:loaded', ({ scenario }) => {
+    restoreBuybackHistory(scenario.history?.buybacks || []);
+    syncBuybackSchedules();
+});
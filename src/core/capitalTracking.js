@@ -0,0 +1,567 @@
+/**
+ * @fileoverview Capital tracking module for distinguishing real vs derived liquidity
+ * This module exposes the "liquidity mirage" in token pairing systems
+ */
+
+import Decimal from './decimal.js';
+import { state } from './state.js';
+import { getPoolsForAsset, isBaseAsset } from './pool.js';
+import { buildPathDescription } from './routing.js';
+
+/**
+ * Calculation mode for derived capital
+ * 'market' = Use full market value (DEX method - inflates TVL)
+ * 'backing' = Use proportional real capital (honest method)
+ */
+export let capitalCalculationMode = 'market';
+
+/**
+ * Set the capital calculation mode
+ * @param {string} mode - 'market' or 'backing'
+ */
+export function setCapitalCalculationMode(mode) {
+    if (mode !== 'market' && mode !== 'backing') {
+        throw new Error('Invalid mode. Use "market" or "backing"');
+    }
+    capitalCalculationMode = mode;
+}
+
+/**
+ * @typedef {Object} CapitalBreakdown
+ * @property {Decimal} realCapital - Actual WPLS deposited from external sources
+ * @property {Decimal} derivedCapital - Value calculated from token pairs
+ * @property {Decimal} totalDisplayedValue - Total liquidity shown (real + derived)
+ * @property {Decimal} leverageRatio - Ratio of derived to real capital
+ * @property {number} averageDepth - Average hops from WPLS across all tokens
+ */
+
+/**
+ * Calculate liquidity depth for a token (hops from WPLS)
+ * Breadth-first search over the pool graph: a token with a USD or WPLS pool is at
+ * depth 0, a token whose closest pool is against a depth-0 token is at depth 1, etc.
+ * @param {Object} token - Token to calculate depth for
+ * @param {Set<number>} visited - Set to prevent circular loops
+ * @returns {number} Depth level (0 = WPLS, 1 = paired with WPLS, etc.)
+ */
+export function calculateLiquidityDepth(token, visited = new Set()) {
+    let frontier = [token.id];
+    let depth = 0;
+    visited.add(token.id);
+
+    while (frontier.length > 0) {
+        const next = [];
+
+        for (const tokenId of frontier) {
+            for (const pool of getPoolsForAsset(tokenId, true)) {
+                const other = pool.otherAsset(tokenId);
+
+                // Reached a USD or WPLS pair (real capital)
+                if (isBaseAsset(other)) {
+                    return depth;
+                }
+
+                // Prevent infinite loops around cycles
+                if (!visited.has(other)) {
+                    visited.add(other);
+                    next.push(other);
+                }
+            }
+        }
+
+        frontier = next;
+        depth++;
+    }
+
+    // No liquidity, or only pools that never reach real capital
+    return Infinity;
+}
+
+/**
+ * Get the side of a pool its capital is measured on
+ * That is USD or WPLS when the pool has one, otherwise the token closer to real
+ * capital (the lower ID on a tie). Each pool counts towards the other token only,
+ * so no pool is counted twice.
+ * @param {Pool} pool - Pool to inspect
+ * @returns {string|number} Pair side asset
+ */
+function getPoolPairSide(pool) {
+    // Tokens sort before USD and WPLS, so a base asset is always assetB
+    if (isBaseAsset(pool.assetB)) {
+        return pool.assetB;
+    }
+
+    const depthA = calculateLiquidityDepth({ id: pool.assetA });
+    const depthB = calculateLiquidityDepth({ id: pool.assetB });
+    return depthB < depthA ? pool.assetB : pool.assetA;
+}
+
+/**
+ * Get the liquid pools that count towards a token's capital
+ * @param {Object} token - Token to inspect
+ * @returns {Array<{pool: Pool, pairAsset: (string|number)}>} Pools with their pair side
+ */
+function getCapitalPools(token) {
+    return getPoolsForAsset(token.id, true)
+        .map(pool => ({ pool, pairAsset: getPoolPairSide(pool) }))
+        .filter(({ pairAsset }) => pairAsset !== token.id);
+}
+
+/**
+ * Calculate real capital (actual WPLS deposited) for a token
+ * @param {Object} token - Token to calculate for
+ * @returns {Decimal} Real capital amount
+ */
+export function calculateRealCapital(token) {
+    let realCapital = new Decimal(0);
+
+    getCapitalPools(token).forEach(({ pool, pairAsset }) => {
+        if (pairAsset === 'USD') {
+            // Direct USD pairing - reserve is already in USD
+            realCapital = realCapital.plus(pool.getReserve('USD'));
+        } else if (pairAsset === 'WPLS') {
+            // WPLS pairing - convert to USD
+            realCapital = realCapital.plus(pool.getReserve('WPLS').times(state.plsPrice));
+        }
+    });
+
+    return realCapital;
+}
+
+/**
+ * Calculate derived capital (value from token pairs) for a token
+ * @param {Object} token - Token to calculate for
+ * @returns {Decimal} Derived capital amount
+ */
+export function calculateDerivedCapital(token) {
+    let derivedCapital = new Decimal(0);
+
+    getCapitalPools(token).forEach(({ pool, pairAsset }) => {
+        if (isBaseAsset(pairAsset)) return;
+
+        // Find the paired token
+        const pairedToken = state.tokens.find(t => t.id === pairAsset);
+        if (!pairedToken) return;
+
+        const pairReserve = pool.getReserve(pairAsset);
+
+        if (capitalCalculationMode === 'market') {
+            // MARKET VALUE METHOD (DEX Method - Inflates TVL)
+            // Value = pair reserve × paired token's market price
+            const pairedTokenPrice = pairedToken.calculateTokenPriceUSD();
+            derivedCapital = derivedCapital.plus(pairReserve.times(pairedTokenPrice));
+        } else {
+            // REAL CAPITAL BACKING METHOD (Honest Method)
+            // Calculate proportional real capital based on supply used
+            derivedCapital = derivedCapital.plus(
+                calculateRealCapitalBacking(pairReserve, pairedToken, new Set([token.id]))
+            );
+        }
+    });
+
+    return derivedCapital;
+}
+
+/**
+ * Calculate real capital backing for a token (recursive)
+ * @param {Decimal} pairedTokenUsed - Amount of the paired token held by the pool
+ * @param {Object} pairedToken - The token this is paired with
+ * @param {Set<number>} visited - Visited tokens to prevent circular loops
+ * @returns {Decimal} Real capital backing amount
+ */
+function calculateRealCapitalBacking(pairedTokenUsed, pairedToken, visited) {
+    // Prevent infinite loops
+    if (visited.has(pairedToken.id)) {
+        return new Decimal(0);
+    }
+    visited.add(pairedToken.id);
+
+    // Total supply of paired token
+    const pairedTokenTotalSupply = pairedToken.totalSupply;
+
+    if (pairedTokenTotalSupply.isZero()) {
+        return new Decimal(0);
+    }
+
+    // Percentage of paired token's supply used
+    const percentageUsed = pairedTokenUsed.dividedBy(pairedTokenTotalSupply);
+
+    // Real capital behind the paired token: its own USD/WPLS pools...
+    let realCapitalBehindPaired = calculateRealCapital(pairedToken);
+
+    // ...plus, recursively, the backing of the tokens it is paired with
+    getCapitalPools(pairedToken).forEach(({ pool, pairAsset }) => {
+        if (isBaseAsset(pairAsset)) return;
+
+        const grandparentToken = state.tokens.find(t => t.id === pairAsset);
+        if (grandparentToken) {
+            realCapitalBehindPaired = realCapitalBehindPaired.plus(
+                calculateRealCapitalBacking(pool.getReserve(pairAsset), grandparentToken, visited)
+            );
+        }
+    });
+
+    // Return proportional amount
+    return realCapitalBehindPaired.times(percentageUsed);
+}
+
+/**
+ * Get comprehensive capital breakdown for entire system
+ * @returns {CapitalBreakdown} Complete capital analysis
+ */
+export function getCapitalBreakdown() {
+    let realCapital = new Decimal(0);
+    let derivedCapital = new Decimal(0);
+    let totalDepth = 0;
+    let tokenCount = 0;
+
+    state.tokens.forEach(token => {
+        const real = calculateRealCapital(token);
+        const derived = calculateDerivedCapital(token);
+
+        realCapital = realCapital.plus(real);
+        derivedCapital = derivedCapital.plus(derived);
+
+        // Calculate depth for average
+        const depth = calculateLiquidityDepth(token);
+        if (depth !== Infinity) {
+            totalDepth += depth;
+            tokenCount++;
+        }
+    });
+
+    const totalDisplayedValue = realCapital.plus(derivedCapital);
+    const leverageRatio = realCapital.isZero()
+        ? new Decimal(0)
+        : derivedCapital.dividedBy(realCapital);
+    const averageDepth = tokenCount > 0 ? totalDepth / tokenCount : 0;
+
+    return {
+        realCapital,
+        derivedCapital,
+        totalDisplayedValue,
+        leverageRatio,
+        averageDepth
+    };
+}
+
+/**
+ * Calculate cascade impact of WPLS price change
+ * @param {number} percentageChange - Price change percentage (-50 to +50)
+ * @returns {Object} Impact analysis
+ */
+export function calculateCascadeImpact(percentageChange) {
+    const multiplier = new Decimal(1).plus(new Decimal(percentageChange).dividedBy(100));
+
+    const originalBreakdown = getCapitalBreakdown();
+
+    // Simulate price change
+    const newPlsPrice = state.plsPrice.times(multiplier);
+    const newRealCapital = originalBreakdown.realCapital.times(multiplier);
+
+    // Derived capital changes based on depth
+    const impacts = state.tokens.map(token => {
+        const depth = calculateLiquidityDepth(token);
+        const originalValue = calculateRealCapital(token).plus(calculateDerivedCapital(token));
+
+        // Price impact compounds with depth
+        const depthMultiplier = multiplier.pow(depth + 1);
+        const newValue = originalValue.times(depthMultiplier);
+        const changePercent = originalValue.isZero()
+            ? new Decimal(0)
+            : newValue.minus(originalValue).dividedBy(originalValue).times(100);
+
+        return {
+            tokenId: token.id,
+            depth,
+            originalValue,
+            newValue,
+            changePercent: changePercent.toNumber()
+        };
+    });
+
+    // Sort by most impacted
+    impacts.sort((a, b) => Math.abs(b.changePercent) - Math.abs(a.changePercent));
+
+    return {
+        plsPriceChange: percentageChange,
+        newPlsPrice,
+        realCapitalChange: newRealCapital.minus(originalBreakdown.realCapital),
+        impacts,
+        mostVulnerable: impacts[0],
+        averageImpact: impacts.reduce((sum, t) => sum + Math.abs(t.changePercent), 0) / impacts.length
+    };
+}
+
+/**
+ * Get liquidity depth label
+ * @param {number} depth - Depth level
+ * @returns {string} Human-readable label
+ */
+export function getDepthLabel(depth) {
+    if (depth === 0) return 'REAL (USD/WPLS)';
+    if (depth === 1) return 'DERIVED (1 hop)';
+    if (depth === 2) return 'DERIVED (2 hops)';
+    if (depth === 3) return 'DERIVED (3 hops)';
+    if (depth === Infinity) return 'ISOLATED';
+    return `DERIVED (${depth} hops)`;
+}
+
+/**
+ * Get depth color for visual indicators
+ * @param {number} depth - Depth level
+ * @returns {string} CSS color
+ */
+export function getDepthColor(depth) {
+    if (depth === 0) return '#2ecc71'; // Green - real capital
+    if (depth === 1) return '#f39c12'; // Orange - 1 hop
+    if (depth === 2) return '#e67e22'; // Dark orange - 2 hops
+    if (depth >= 3) return '#e74c3c'; // Red - 3+ hops (very risky)
+    return '#95a5a6'; // Gray - isolated
+}
+
+/**
+ * Graph node standing for both USD and WPLS
+ * USD converts to WPLS freely at the WPLS price, so the two are one node for
+ * arbitrage: a cycle that leaves through a USD pool and comes back through a
+ * WPLS pool closes.
+ * @type {string}
+ */
+const BASE_NODE = 'BASE';
+
+/**
+ * Iterations of the golden-section search for the optimal cycle input
+ * @type {number}
+ */
+const SIZE_SEARCH_ITERATIONS = 60;
+
+/**
+ * Bellman-Ford passes used to collect distinct cycles
+ * @type {number}
+ */
+const MAX_CYCLE_SEARCH_PASSES = 10;
+
+/**
+ * @typedef {Object} ArbitrageOpportunity
+ * @property {PathStep[]} path - Pool steps of the cycle, starting from USD/WPLS when it touches them
+ * @property {string|number} startAsset - 'USD' for cycles through USD/WPLS, otherwise the start token ID
+ * @property {string} pathDescription - Human-readable cycle (e.g., "USD → Token 1 → WPLS")
+ * @property {number} marginalRate - Output per unit of input for a tiny trade (> 1 when profitable)
+ * @property {Decimal} amountIn - Input that maximizes profit, in the start asset (USD for base cycles)
+ * @property {Decimal} amountOut - Output for that input, in the same unit
+ * @property {Decimal} profit - amountOut - amountIn
+ * @property {Decimal} profitUSD - Profit valued in USD
+ * @property {number} profitPercent - Profit as a percentage of amountIn
+ */
+
+/**
+ * Detect arbitrage cycles in the pool graph
+ * Each liquid pool gives two edges weighted by -log of its marginal rate after
+ * fees. A cycle whose rates multiply to more than 1 is a negative cycle, found
+ * with Bellman-Ford. Each cycle is then sized: the input that maximizes profit
+ * on the real constant-product curves.
+ * @param {Object} [options={}] - Detection options
+ * @param {Decimal|number} [options.minProfit=0] - Ignore cycles that make less than this in USD
+ * @returns {ArbitrageOpportunity[]} Opportunities, most profitable first
+ */
+export function detectArbitrageOpportunities({ minProfit = 0 } = {}) {
+    let edges = buildRateEdges();
+    const cycles = [];
+    const opportunities = [];
+
+    // One Bellman-Ford pass only reports the cycles it happens to walk into.
+    // Drop an edge of each cycle found and search again to surface the others.
+    for (let pass = 0; pass < MAX_CYCLE_SEARCH_PASSES; pass++) {
+        const found = findNegativeCycles(edges);
+        if (found.length === 0) break;
+
+        cycles.push(...found);
+        const dropped = new Set(found.map(cycle => cycle[0]));
+        edges = edges.filter(edge => !dropped.has(edge));
+    }
+
+    cycles.forEach(cycle => {
+        const opportunity = sizeArbitrageCycle(cycle);
+        if (opportunity && opportunity.profitUSD.gt(minProfit)) {
+            opportunities.push(opportunity);
+        }
+    });
+
+    opportunities.sort((a, b) => b.profitUSD.comparedTo(a.profitUSD));
+    return opportunities;
+}
+
+/**
+ * Build the rate edges of the pool graph, two per liquid pool
+ * Rates out of or into WPLS are expressed per USD so both base assets share a node.
+ * @returns {Object[]} Edges with from, to, pool, assetIn, assetOut, rate and weight
+ */
+function buildRateEdges() {
+    const edges = [];
+
+    state.pools.filter(pool => pool.hasLiquidity()).forEach(pool => {
+        [pool.assetA, pool.assetB].forEach(assetIn => {
+            const assetOut = pool.otherAsset(assetIn);
+            const from = isBaseAsset(assetIn) ? BASE_NODE : assetIn;
+            const to = isBaseAsset(assetOut) ? BASE_NODE : assetOut;
+            if (from === to) return;
+
+            const feeMultiplier = new Decimal(1).minus(new Decimal(pool.feePercent).dividedBy(100));
+            let rate = pool.getSpotPrice(assetIn).times(feeMultiplier);
+            if (assetIn === 'WPLS') rate = rate.dividedBy(state.plsPrice);
+            if (assetOut === 'WPLS') rate = rate.times(state.plsPrice);
+
+            edges.push({ from, to, pool, assetIn, assetOut, rate, weight: -Math.log(rate.toNumber()) });
+        });
+    });
+
+    return edges;
+}
+
+/**
+ * Find negative cycles with Bellman-Ford from a virtual source joined to every node
+ * @param {Object[]} edges - Rate edges
+ * @returns {Object[][]} Distinct cycles, each a list of edges in trade order
+ */
+function findNegativeCycles(edges) {
+    const nodes = [...new Set(edges.flatMap(edge => [edge.from, edge.to]))];
+    const dist = new Map(nodes.map(node => [node, 0]));
+    const pred = new Map();
+    // Float noise must not look like a cycle
+    const epsilon = 1e-12;
+
+    for (let i = 0; i < nodes.length - 1; i++) {
+        let changed = false;
+        edges.forEach(edge => {
+            if (dist.get(edge.from) + edge.weight < dist.get(edge.to) - epsilon) {
+                dist.set(edge.to, dist.get(edge.from) + edge.weight);
+                pred.set(edge.to, edge);
+                changed = true;
+            }
+        });
+        if (!changed) break;
+    }
+
+    const cycles = [];
+    const seen = new Set();
+
+    edges.forEach(edge => {
+        if (dist.get(edge.from) + edge.weight >= dist.get(edge.to) - epsilon) return;
+
+        pred.set(edge.to, edge);
+
+        // Walk back far enough to be sure we are inside the cycle
+        let node = edge.to;
+        for (let i = 0; i < nodes.length && pred.has(node); i++) {
+            node = pred.get(node).from;
+        }
+
+        const cycle = [];
+        let current = node;
+        do {
+            const step = pred.get(current);
+            if (!step || cycle.length > nodes.length) return;
+            cycle.unshift(step);
+            current = step.from;
+        } while (current !== node);
+
+        const rotated = rotateCycle(cycle);
+        const key = rotated.map(step => `${step.pool.id}:${step.assetIn}`).join('|');
+        if (!seen.has(key)) {
+            seen.add(key);
+            cycles.push(rotated);
+        }
+    });
+
+    return cycles;
+}
+
+/**
+ * Rotate a cycle to start at USD/WPLS, or else at its lowest token ID
+ * @param {Object[]} cycle - Cycle edges in trade order
+ * @returns {Object[]} Rotated cycle
+ */
+function rotateCycle(cycle) {
+    let start = cycle.findIndex(step => step.from === BASE_NODE);
+    if (start === -1) {
+        const lowest = Math.min(...cycle.map(step => step.from));
+        start = cycle.findIndex(step => step.from === lowest);
+    }
+    return [...cycle.slice(start), ...cycle.slice(0, start)];
+}
+
+/**
+ * Quote a cycle without touching the pools
+ * Base cycles take and return USD: WPLS legs convert at the WPLS price.
+ * @param {PathStep[]} path - Cycle steps
+ * @param {Decimal} amountIn - Input in the start asset (USD for base cycles)
+ * @returns {Decimal|null} Output in the same unit, or null if a pool cannot fill it
+ */
+function quoteCycle(path, amountIn) {
+    let amount = path[0].assetIn === 'WPLS' ? amountIn.dividedBy(state.plsPrice) : amountIn;
+
+    for (const step of path) {
+        const quote = step.pool.quote(step.assetIn, amount);
+        if (!quote) return null;
+        amount = quote.amountOut;
+    }
+
+    return path[path.length - 1].assetOut === 'WPLS' ? amount.times(state.plsPrice) : amount;
+}
+
+/**
+ * Find the input that maximizes a cycle's profit
+ * Profit along constant-product pools is concave in the input, so a
+ * golden-section search between zero and the first pool's input reserve finds it.
+ * @param {Object[]} cycle - Cycle edges in trade order
+ * @returns {ArbitrageOpportunity|null} Sized opportunity, or null if it cannot profit
+ */
+function sizeArbitrageCycle(cycle) {
+    const path = cycle.map(({ pool, assetIn, assetOut }) => ({ pool, assetIn, assetOut }));
+    const first = path[0];
+    const startAsset = isBaseAsset(first.assetIn) ? 'USD' : first.assetIn;
+
+    const profitAt = amount => {
+        const out = quoteCycle(path, amount);
+        return out ? out.minus(amount) : new Decimal(-Infinity);
+    };
+
+    // Search up to the pool's depth on either side (they only differ for concentrated pools)
+    let high = Decimal.max(
+        first.pool.getReserve(first.assetIn),
+        first.pool.getReserve(first.assetOut).dividedBy(first.pool.getSpotPrice(first.assetIn))
+    );
+    if (first.assetIn === 'WPLS') high = high.times(state.plsPrice);
+
+    const ratio = new Decimal(5).sqrt().minus(1).dividedBy(2);
+    let low = new Decimal(0);
+    for (let i = 0; i < SIZE_SEARCH_ITERATIONS; i++) {
+        const span = high.minus(low).times(ratio);
+        const left = high.minus(span);
+        const right = low.plus(span);
+        if (profitAt(left).lt(profitAt(right))) {
+            low = left;
+        } else {
+            high = right;
+        }
+    }
+
+    const amountIn = low.plus(high).dividedBy(2);
+    const amountOut = quoteCycle(path, amountIn);
+    if (!amountOut || amountIn.isZero() || amountOut.lte(amountIn)) return null;
+
+    const profit = amountOut.minus(amountIn);
+    const startToken = startAsset === 'USD' ? null : state.tokens.find(t => t.id === startAsset);
+    const profitUSD = startToken ? profit.times(startToken.calculateTokenPriceUSD()) : profit;
+
+    return {
+        path,
+        startAsset,
+        pathDescription: buildPathDescription(path),
+        marginalRate: cycle.reduce((rate, step) => rate.times(step.rate), new Decimal(1)).toNumber(),
+        amountIn,
+        amountOut,
+        profit,
+        profitUSD,
+        profitPercent: profit.dividedBy(amountIn).times(100).toNumber()
+    };
+}
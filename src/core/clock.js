@@ -0,0 +1,294 @@
+/**
+ * @fileoverview Simulated clock that all scheduling goes through
+ * Simulated time is kept in state.simulatedTime (milliseconds since the run
+ * started). Two modes:
+ * - 'realtime': simulated time follows the wall clock, sped up by state.timeScale
+ * - 'fast-forward': nothing waits; the clock jumps straight to the next timer,
+ *   so a run goes as fast as the CPU allows
+ * Timers fire in order of due time (ties in scheduling order), so with a fixed
+ * random seed a fast-forwarded run is reproducible.
+ * Background timers (open-ended ones like the WPLS price process) fire in
+ * order with the rest but never keep fast-forward going on their own: with
+ * nothing else pending, the clock stops rather than race through them.
+ */
+
+import { state } from './state.js';
+import { simulationEvents } from './events.js';
+
+/**
+ * Clock modes
+ * @type {string[]}
+ */
+export const CLOCK_MODES = ['realtime', 'fast-forward'];
+
+/**
+ * Timers run back to back in fast-forward before the page gets a chance to paint
+ * @type {number}
+ */
+const FAST_FORWARD_BATCH = 200;
+
+/**
+ * @typedef {Object} Timer
+ * @property {number} id - Timer ID
+ * @property {number} due - Simulated time to fire at (ms)
+ * @property {Function} callback - Called when due
+ * @property {boolean} background - Fires only while another timer is pending in fast-forward
+ */
+
+// Pending timers, kept sorted by due time then ID
+let timers = [];
+let nextTimerId = 1;
+
+// Wall-clock anchor for realtime mode: simulated time anchorSim at wall time anchorReal
+let anchorSim = 0;
+let anchorReal = Date.now();
+
+// Real timeout waiting for the earliest timer (realtime mode)
+let realTimeout = null;
+
+// Whether the fast-forward loop is running, and timers fired since it last yielded to the page
+let isPumping = false;
+let pumpCount = 0;
+
+/**
+ * Current simulated time
+ * @returns {number} Milliseconds since the run started
+ */
+export function now() {
+    if (state.clockMode === 'realtime') {
+        state.simulatedTime = anchorSim + (Date.now() - anchorReal) * state.timeScale;
+    }
+    return state.simulatedTime;
+}
+
+/**
+ * Pin the realtime anchor to the current simulated time
+ */
+function reanchor() {
+    anchorSim = state.simulatedTime;
+    anchorReal = Date.now();
+}
+
+/**
+ * Call fn on a fresh task without the 4ms clamp nested setTimeouts get
+ * @param {Function} fn - Function to call
+ */
+function nextTask(fn) {
+    if (typeof setImmediate === 'function') {
+        setImmediate(fn);
+    } else {
+        const channel = new MessageChannel();
+        channel.port1.onmessage = () => {
+            channel.port1.close();
+            fn();
+        };
+        channel.port2.postMessage(null);
+    }
+}
+
+/**
+ * Run one timer, logging rather than throwing so the clock keeps going
+ * @param {Timer} timer - Timer to run
+ */
+function fire(timer) {
+    try {
+        timer.callback();
+    } catch (error) {
+        console.error('Error in scheduled callback:', error);
+    }
+}
+
+/**
+ * Whether a pending timer other than a background one is waiting
+ * @returns {boolean} True if fast-forward has something to run towards
+ */
+function hasForegroundTimer() {
+    return timers.some(timer => !timer.background);
+}
+
+/**
+ * Fire due timers in fast-forward, one per task so async callers can schedule
+ * their next step before the clock moves on
+ */
+function pump() {
+    if (state.clockMode !== 'fast-forward' || !hasForegroundTimer()) {
+        isPumping = false;
+        return;
+    }
+
+    const timer = timers.shift();
+    state.simulatedTime = Math.max(state.simulatedTime, timer.due);
+    fire(timer);
+
+    // Give the page a chance to paint between batches
+    pumpCount++;
+    if (pumpCount >= FAST_FORWARD_BATCH) {
+        pumpCount = 0;
+        setTimeout(pump, 0);
+    } else {
+        nextTask(pump);
+    }
+}
+
+/**
+ * Fire timers that are due and wait for the next one (realtime mode)
+ */
+function runDueTimers() {
+    realTimeout = null;
+    const current = now();
+
+    while (timers.length > 0 && timers[0].due <= current && state.clockMode === 'realtime') {
+        fire(timers.shift());
+    }
+
+    wake();
+}
+
+/**
+ * Make sure the earliest timer will fire in the current mode
+ */
+function wake() {
+    if (realTimeout !== null) {
+        clearTimeout(realTimeout);
+        realTimeout = null;
+    }
+
+    if (timers.length === 0) return;
+
+    if (state.clockMode === 'fast-forward') {
+        if (!isPumping && hasForegroundTimer()) {
+            isPumping = true;
+            nextTask(pump);
+        }
+        return;
+    }
+
+    const wait = Math.max(0, (timers[0].due - now()) / state.timeScale);
+    realTimeout = setTimeout(runDueTimers, wait);
+}
+
+/**
+ * Run a callback after a simulated delay
+ * @param {number} delayMs - Simulated delay in milliseconds
+ * @param {Function} callback - Called when the delay has passed
+ * @param {Object} [options={}] - Timer options
+ * @param {boolean} [options.background=false] - Don't keep fast-forward running for this timer alone
+ * @returns {number} Timer ID for cancelTimer
+ */
+export function schedule(delayMs, callback, { background = false } = {}) {
+    const timer = { id: nextTimerId++, due: now() + Math.max(0, delayMs), callback, background };
+
+    // Insert after every timer due at the same time or earlier
+    let index = timers.length;
+    while (index > 0 && timers[index - 1].due > timer.due) {
+        index--;
+    }
+    timers.splice(index, 0, timer);
+
+    if (index === 0 || state.clockMode === 'fast-forward') {
+        wake();
+    }
+    return timer.id;
+}
+
+/**
+ * Cancel a scheduled callback
+ * @param {number|null} timerId - ID returned by schedule
+ */
+export function cancelTimer(timerId) {
+    if (timerId === null || timerId === undefined) return;
+
+    const index = timers.findIndex(timer => timer.id === timerId);
+    if (index !== -1) {
+        timers.splice(index, 1);
+        if (index === 0) wake();
+    }
+}
+
+/**
+ * Wait for a simulated delay
+ * @param {number} delayMs - Simulated delay in milliseconds
+ * @returns {Promise<void>} Resolves when the delay has passed
+ */
+export function sleep(delayMs) {
+    return new Promise(resolve => schedule(delayMs, resolve));
+}
+
+/**
+ * Switch between realtime and fast-forward
+ * @param {string} mode - 'realtime' or 'fast-forward'
+ * @returns {{success: boolean, error?: string}} Result
+ */
+export function setClockMode(mode) {
+    if (!CLOCK_MODES.includes(mode)) {
+        return { success: false, error: `Unknown clock mode: ${mode}` };
+    }
+
+    now();
+    state.clockMode = mode;
+    reanchor();
+    wake();
+
+    simulationEvents.emit('clock:changed', { mode: state.clockMode, timeScale: state.timeScale });
+    return { success: true };
+}
+
+/**
+ * Set how many simulated milliseconds pass per real millisecond in realtime mode
+ * @param {number} scale - Multiplier (1 = real time)
+ * @returns {{success: boolean, error?: string}} Result
+ */
+export function setTimeScale(scale) {
+    const value = Number(scale);
+    if (!Number.isFinite(value) || value <= 0) {
+        return { success: false, error: 'Time scale must be a positive number' };
+    }
+
+    now();
+    state.timeScale = value;
+    reanchor();
+    wake();
+
+    simulationEvents.emit('clock:changed', { mode: state.clockMode, timeScale: state.timeScale });
+    return { success: true };
+}
+
+/**
+ * Start simulated time over at zero; pending timers keep their remaining delay
+ */
+export function resetClock() {
+    const elapsed = now();
+    timers.forEach(timer => {
+        timer.due -= elapsed;
+    });
+    state.simulatedTime = 0;
+    reanchor();
+    wake();
+}
+
+/**
+ * Drop every pending timer (used when the whole simulation is reset)
+ */
+export function clearTimers() {
+    timers = [];
+    wake();
+}
+
+/**
+ * Wall-clock date for a simulated time, counted from state.startTime
+ * @param {number} [simulatedMs=now()] - Simulated time
+ * @returns {Date} Date the simulated moment corresponds to
+ */
+export function toDate(simulatedMs = now()) {
+    return new Date(state.startTime + simulatedMs);
+}
+
+// A loaded scenario brings its own simulated time
+simulationEvents.on('scenario:loaded', () => {
+    reanchor();
+    wake();
+});
+simulationEvents.on('state:reset', () => {
+    clearTimers();
+    reanchor();
+});
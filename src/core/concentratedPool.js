@@ -0,0 +1,738 @@
+/**
+ * @fileoverview Concentrated liquidity pools (Uniswap v3 style)
+ * Liquidity is provided in positions over a price range. Prices are quantized
+ * into ticks (price = 1.0001^tick) and only positions whose range contains the
+ * current price trade. The pool keeps the square root of the price of assetA in
+ * assetB and the active liquidity L; inside one range it behaves like a
+ * constant product pool with virtual reserves L / sqrtPrice and L * sqrtPrice,
+ * and crossing a tick adds or removes the positions that start or end there.
+ * Swaps that cross ticks and position changes emit 'pool:updated' like any Pool.
+ */
+
+import Decimal from './decimal.js';
+import { simulationEvents } from './events.js';
+import { now } from './clock.js';
+import { Pool, DEFAULT_POOL_FEE, normalizeAsset } from './pool.js';
+
+/**
+ * Default distance between usable ticks (0.6% price steps)
+ * @type {number}
+ */
+export const DEFAULT_TICK_SPACING = 60;
+
+/**
+ * Lowest usable tick (price ~3e-39); also the lower end of a full-range position
+ * @type {number}
+ */
+export const MIN_TICK = -887220;
+
+/**
+ * Highest usable tick (price ~3e38); also the upper end of a full-range position
+ * @type {number}
+ */
+export const MAX_TICK = 887220;
+
+/**
+ * Price ratio between neighbouring ticks
+ * @type {Decimal}
+ */
+const TICK_BASE = new Decimal('1.0001');
+
+// Tick -> sqrt price; ticks repeat a lot and Decimal powers are slow
+const sqrtPriceCache = new Map();
+
+/**
+ * @typedef {Object} Position
+ * @property {number} id - Position ID within the pool
+ * @property {number|null} owner - Wallet that owns the position (null for deployer liquidity)
+ * @property {number} tickLower - Lower end of the range
+ * @property {number} tickUpper - Upper end of the range
+ * @property {Decimal} liquidity - Liquidity L provided over the range
+ * @property {Decimal} feesOwedA - Uncollected fees in assetA
+ * @property {Decimal} feesOwedB - Uncollected fees in assetB
+ */
+
+/**
+ * @typedef {Object} PriceRange
+ * @property {string|number|Decimal} min - Lowest price of the deposited asset, in units of the other side
+ * @property {string|number|Decimal} max - Highest price of the deposited asset, in units of the other side
+ */
+
+/**
+ * @typedef {Object} DepositQuote
+ * @property {boolean} success - False if the deposit does not fit the range
+ * @property {string} [error] - Why it does not fit
+ * @property {Decimal} [liquidity] - Liquidity the deposit provides
+ * @property {Decimal} [amount] - Amount of the first side actually used
+ * @property {Decimal} [otherAmount] - Amount of the other side actually used
+ * @property {number} [tickLower] - Lower tick of the position
+ * @property {number} [tickUpper] - Upper tick of the position
+ */
+
+/**
+ * Get the square root of the price at a tick
+ * @param {number} tick - Tick index
+ * @returns {Decimal} sqrt(1.0001^tick)
+ */
+export function getSqrtPriceAtTick(tick) {
+    if (!sqrtPriceCache.has(tick)) {
+        sqrtPriceCache.set(tick, TICK_BASE.pow(tick).sqrt());
+    }
+    return sqrtPriceCache.get(tick);
+}
+
+/**
+ * Get the tick a price falls in
+ * @param {string|number|Decimal} price - Price of assetA in assetB
+ * @returns {number} Highest tick whose price is at or below the given price
+ */
+export function getTickAtPrice(price) {
+    const sqrtPrice = new Decimal(price).sqrt();
+    let tick = new Decimal(price).ln().dividedBy(TICK_BASE.ln()).floor().toNumber();
+    tick = Math.min(MAX_TICK, Math.max(MIN_TICK, tick));
+
+    // The logarithm can land one tick off at the edges
+    while (tick < MAX_TICK && getSqrtPriceAtTick(tick + 1).lte(sqrtPrice)) tick++;
+    while (tick > MIN_TICK && getSqrtPriceAtTick(tick).gt(sqrtPrice)) tick--;
+    return tick;
+}
+
+/**
+ * Amounts of both assets held by liquidity over a range at a price
+ * @param {Decimal} sqrtPrice - Current sqrt price
+ * @param {Decimal} sqrtLower - sqrt price of the lower tick
+ * @param {Decimal} sqrtUpper - sqrt price of the upper tick
+ * @param {Decimal} liquidity - Liquidity L
+ * @returns {{amountA: Decimal, amountB: Decimal}} Amounts
+ */
+function getAmountsForLiquidity(sqrtPrice, sqrtLower, sqrtUpper, liquidity) {
+    if (sqrtPrice.lte(sqrtLower)) {
+        // Below the range: all assetA
+        return {
+            amountA: liquidity.times(sqrtUpper.minus(sqrtLower)).dividedBy(sqrtLower.times(sqrtUpper)),
+            amountB: new Decimal(0)
+        };
+    }
+    if (sqrtPrice.gte(sqrtUpper)) {
+        // Above the range: all assetB
+        return { amountA: new Decimal(0), amountB: liquidity.times(sqrtUpper.minus(sqrtLower)) };
+    }
+    return {
+        amountA: liquidity.times(sqrtUpper.minus(sqrtPrice)).dividedBy(sqrtPrice.times(sqrtUpper)),
+        amountB: liquidity.times(sqrtPrice.minus(sqrtLower))
+    };
+}
+
+/**
+ * Largest liquidity that two amounts can provide over a range at a price
+ * @param {Decimal} sqrtPrice - Current sqrt price
+ * @param {Decimal} sqrtLower - sqrt price of the lower tick
+ * @param {Decimal} sqrtUpper - sqrt price of the upper tick
+ * @param {Decimal} amountA - Available assetA
+ * @param {Decimal} amountB - Available assetB
+ * @returns {Decimal} Liquidity L
+ */
+function getLiquidityForAmounts(sqrtPrice, sqrtLower, sqrtUpper, amountA, amountB) {
+    // L from assetA over [from, upper] and from assetB over [lower, to]
+    const liquidityA = from => amountA.times(from).times(sqrtUpper).dividedBy(sqrtUpper.minus(from));
+    const liquidityB = to => amountB.dividedBy(to.minus(sqrtLower));
+
+    if (sqrtPrice.lte(sqrtLower)) return liquidityA(sqrtLower);
+    if (sqrtPrice.gte(sqrtUpper)) return liquidityB(sqrtUpper);
+    return Decimal.min(liquidityA(sqrtPrice), liquidityB(sqrtPrice));
+}
+
+/**
+ * Round a tick to a multiple of the tick spacing
+ * @param {number} tick - Tick index
+ * @param {number} tickSpacing - Tick spacing
+ * @param {boolean} roundUp - Round up instead of down
+ * @returns {number} Usable tick
+ */
+function alignTick(tick, tickSpacing, roundUp) {
+    const aligned = (roundUp ? Math.ceil(tick / tickSpacing) : Math.floor(tick / tickSpacing)) * tickSpacing;
+    return Math.min(MAX_TICK, Math.max(MIN_TICK, aligned));
+}
+
+/**
+ * Class representing a concentrated liquidity pool
+ * reserveA/reserveB are the real balances (position amounts plus uncollected fees);
+ * k is the constant product of the active virtual reserves (L²).
+ */
+export class ConcentratedPool extends Pool {
+    /**
+     * Create a new ConcentratedPool instance
+     * @param {Object} options - Pool options
+     * @param {Asset} options.assetA - First asset
+     * @param {Asset} options.assetB - Second asset
+     * @param {number} [options.feePercent=DEFAULT_POOL_FEE] - Swap fee (%)
+     * @param {number} [options.tickSpacing=DEFAULT_TICK_SPACING] - Distance between usable ticks
+     */
+    constructor({ assetA, assetB, feePercent = DEFAULT_POOL_FEE, tickSpacing = DEFAULT_TICK_SPACING }) {
+        super({ assetA, assetB, feePercent });
+        this.type = 'concentrated';
+        this.tickSpacing = tickSpacing;
+        this.sqrtPrice = new Decimal(0);  // sqrt of the price of assetA in assetB (0 until the first deposit)
+        this.tick = 0;  // Tick the current price is in
+        this.liquidity = new Decimal(0);  // Liquidity of the positions in range
+        this.ticks = new Map();  // Tick -> net liquidity added when the price crosses it upwards
+        this.positions = new Map();  // Position ID -> Position
+        this.nextPositionId = 1;
+    }
+
+    /**
+     * Set the reserve of one side; k follows the active liquidity instead
+     * @param {Asset} asset - Side of the pool
+     * @param {Decimal} amount - New reserve
+     */
+    setReserve(asset, amount) {
+        if (this.assetA === normalizeAsset(asset)) {
+            this.reserveA = amount;
+        } else {
+            this.reserveB = amount;
+        }
+        this.k = this.liquidity.pow(2);
+    }
+
+    /**
+     * Copy the pool for what-if quotes
+     * Positions are shared with the original; swaps on the copy never touch them.
+     * @returns {ConcentratedPool} Detached copy
+     */
+    clone() {
+        const copy = new ConcentratedPool({
+            assetA: this.assetA,
+            assetB: this.assetB,
+            feePercent: this.feePercent,
+            tickSpacing: this.tickSpacing
+        });
+        copy.reserveA = this.reserveA;
+        copy.reserveB = this.reserveB;
+        copy.k = this.k;
+        copy.lpTotalSupply = this.lpTotalSupply;
+        copy.openedAt = this.openedAt;
+        copy.sqrtPrice = this.sqrtPrice;
+        copy.tick = this.tick;
+        copy.liquidity = this.liquidity;
+        copy.ticks = new Map(this.ticks);
+        copy.positions = this.positions;
+        copy.nextPositionId = this.nextPositionId;
+        return copy;
+    }
+
+    /**
+     * Check whether the pool has a price and open positions
+     * One side can be empty when the price sits at the edge of every range.
+     * @returns {boolean} True if the pool can be traded
+     */
+    hasLiquidity() {
+        return !this.sqrtPrice.isZero() && this.lpTotalSupply.gt(0);
+    }
+
+    /**
+     * Get the spot price of an asset in units of the other side
+     * @param {Asset} asset - Asset to price
+     * @returns {Decimal} Price (0 before the first deposit)
+     */
+    getSpotPrice(asset) {
+        if (this.sqrtPrice.isZero()) {
+            return new Decimal(0);
+        }
+        const price = this.sqrtPrice.pow(2);
+        return this.assetA === normalizeAsset(asset) ? price : new Decimal(1).dividedBy(price);
+    }
+
+    /**
+     * Get the initialized ticks in ascending order
+     * @returns {number[]} Ticks where some position starts or ends
+     */
+    getInitializedTicks() {
+        return Array.from(this.ticks.keys()).sort((a, b) => a - b);
+    }
+
+    /**
+     * Run the swap math without modifying the pool
+     * Walks from the current price towards the next initialized tick, crossing
+     * ticks (and changing the active liquidity) until the input is used up.
+     * @param {Asset} assetIn - Asset paid into the pool
+     * @param {Decimal} amountIn - Amount that trades against the curve (after the fee)
+     * @returns {{amountOut: Decimal, sqrtPrice: Decimal, tick: number, liquidity: Decimal}|null}
+     *   Output and the pool's price state afterwards, or null if the ranges run out first
+     */
+    computeSwap(assetIn, amountIn) {
+        // Paying in assetA lowers the price of assetA
+        const priceDown = this.assetA === normalizeAsset(assetIn);
+        const ticks = this.getInitializedTicks();
+        let remaining = new Decimal(amountIn);
+        let sqrtPrice = this.sqrtPrice;
+        let liquidity = this.liquidity;
+        let tick = this.tick;
+        let amountOut = new Decimal(0);
+
+        while (remaining.gt(0)) {
+            const nextTick = priceDown ? ticks.findLast(t => t <= tick) : ticks.find(t => t > tick);
+            if (nextTick === undefined) {
+                return null;
+            }
+            const sqrtTarget = getSqrtPriceAtTick(nextTick);
+
+            if (liquidity.gt(0)) {
+                // Input needed to move the price all the way to the next tick
+                const maxIn = priceDown
+                    ? liquidity.times(new Decimal(1).dividedBy(sqrtTarget).minus(new Decimal(1).dividedBy(sqrtPrice)))
+                    : liquidity.times(sqrtTarget.minus(sqrtPrice));
+
+                if (remaining.lt(maxIn)) {
+                    // Stops inside this range
+                    const sqrtNext = priceDown
+                        ? liquidity.times(sqrtPrice).dividedBy(liquidity.plus(remaining.times(sqrtPrice)))
+                        : sqrtPrice.plus(remaining.dividedBy(liquidity));
+                    amountOut = amountOut.plus(priceDown
+                        ? liquidity.times(sqrtPrice.minus(sqrtNext))
+                        : liquidity.times(new Decimal(1).dividedBy(sqrtPrice).minus(new Decimal(1).dividedBy(sqrtNext))));
+
+                    const landed = getTickAtPrice(sqrtNext.pow(2));
+                    tick = priceDown ? Math.max(nextTick, Math.min(tick, landed)) : Math.min(nextTick - 1, Math.max(tick, landed));
+                    sqrtPrice = sqrtNext;
+                    remaining = new Decimal(0);
+                    break;
+                }
+
+                amountOut = amountOut.plus(priceDown
+                    ? liquidity.times(sqrtPrice.minus(sqrtTarget))
+                    : liquidity.times(new Decimal(1).dividedBy(sqrtPrice).minus(new Decimal(1).dividedBy(sqrtTarget))));
+                remaining = remaining.minus(maxIn);
+            }
+
+            // Cross the tick: positions starting here join (upwards) or leave (downwards)
+            sqrtPrice = sqrtTarget;
+            const liquidityNet = this.ticks.get(nextTick);
+            liquidity = priceDown ? liquidity.minus(liquidityNet) : liquidity.plus(liquidityNet);
+            if (liquidity.lt(0)) liquidity = new Decimal(0);
+            tick = priceDown ? nextTick - 1 : nextTick;
+        }
+
+        if (amountOut.gt(this.getReserve(this.otherAsset(assetIn)))) {
+            return null;
+        }
+
+        return { amountOut, sqrtPrice, tick, liquidity };
+    }
+
+    /**
+     * Quote a swap without modifying the pool
+     * @param {Asset} assetIn - Asset paid into the pool
+     * @param {string|number|Decimal} amountIn - Amount paid
+     * @param {Object} [options={}] - Quote options
+     * @param {boolean} [options.applySlippage=true] - Use the range-aware curve and fee;
+     *   false fills the whole amount at the spot price
+     * @returns {SwapQuote|null} Quote, or null without enough liquidity in range
+     */
+    quote(assetIn, amountIn, { applySlippage = true } = {}) {
+        const input = new Decimal(amountIn);
+
+        if (!this.hasLiquidity() || !this.hasAsset(assetIn)) {
+            return null;
+        }
+
+        const assetOut = this.otherAsset(assetIn);
+
+        if (!applySlippage) {
+            // Ideal mode: no slippage and no price impact, as long as the ranges could fill it
+            const amountOut = input.times(this.getSpotPrice(assetIn));
+            if (!this.computeSwap(assetIn, input) || amountOut.gte(this.getReserve(assetOut))) {
+                return null;
+            }
+            return { amountOut, priceImpact: new Decimal(0), fee: new Decimal(0) };
+        }
+
+        const fee = input.times(this.feePercent).dividedBy(100);
+        const step = this.computeSwap(assetIn, input.minus(fee));
+        if (!step) {
+            return null;
+        }
+
+        // Price of the output asset in the input asset, before and after
+        const priceBefore = this.getSpotPrice(assetOut);
+        const priceAfterA = step.sqrtPrice.pow(2);
+        const priceAfter = this.assetA === assetOut ? priceAfterA : new Decimal(1).dividedBy(priceAfterA);
+        const priceImpact = priceAfter.minus(priceBefore).dividedBy(priceBefore).times(100);
+
+        return { amountOut: step.amountOut, priceImpact, fee };
+    }
+
+    /**
+     * Move the price and reserves for a swap without bookkeeping or events (also used on what-if copies)
+     * The price moves along the curve by the input after the fee; the LP fee stays
+     * in the reserves as uncollected position fees.
+     * @param {Asset} assetIn - Asset paid into the pool
+     * @param {Decimal} amountIn - Amount paid in
+     * @param {Decimal} amountOut - Amount of the other asset taken out
+     * @param {Decimal} [fee=0] - Part of amountIn taken as the swap fee
+     * @returns {Decimal} Protocol fee taken out of the pool
+     */
+    moveReserves(assetIn, amountIn, amountOut, fee = new Decimal(0)) {
+        const step = this.computeSwap(assetIn, amountIn.minus(fee));
+        if (step) {
+            this.sqrtPrice = step.sqrtPrice;
+            this.tick = step.tick;
+            this.liquidity = step.liquidity;
+        }
+        return super.moveReserves(assetIn, amountIn, amountOut, fee);
+    }
+
+    /**
+     * Apply a swap whose amounts are already known
+     * The LP fee is credited to the positions in range before the price moves.
+     * @param {Asset} assetIn - Asset paid into the pool
+     * @param {Decimal} amountIn - Amount paid in
+     * @param {Decimal} amountOut - Amount of the other asset taken out
+     * @param {Decimal} [fee=0] - Part of amountIn taken as the swap fee (SwapQuote.fee)
+     */
+    applySwap(assetIn, amountIn, amountOut, fee = new Decimal(0)) {
+        if (fee.gt(0)) {
+            const lpFee = fee.minus(this.getProtocolFee(fee));
+            this.creditFees(assetIn, lpFee);
+        }
+        super.applySwap(assetIn, amountIn, amountOut, fee);
+    }
+
+    /**
+     * Split fees between positions by liquidity: the ones in range, or every
+     * position when the price sits in a gap between ranges
+     * @param {Asset} asset - Asset the fees are paid in
+     * @param {Decimal} amount - Fee amount
+     */
+    creditFees(asset, amount) {
+        const inRange = this.getPositions().filter(p => p.tickLower <= this.tick && this.tick < p.tickUpper);
+        const earners = inRange.length > 0 ? inRange : this.getPositions();
+        const total = earners.reduce((sum, p) => sum.plus(p.liquidity), new Decimal(0));
+        if (total.isZero()) return;
+
+        const isA = this.assetA === normalizeAsset(asset);
+        earners.forEach(position => {
+            const share = new Decimal(amount).times(position.liquidity).dividedBy(total);
+            if (isA) {
+                position.feesOwedA = position.feesOwedA.plus(share);
+            } else {
+                position.feesOwedB = position.feesOwedB.plus(share);
+            }
+        });
+    }
+
+    /**
+     * Add reserves without minting liquidity (fees paid to the positions)
+     * @param {Asset} asset - First side
+     * @param {Decimal} amount - Amount of the first side
+     * @param {Decimal} otherAmount - Amount of the other side
+     */
+    addReserves(asset, amount, otherAmount) {
+        this.creditFees(asset, amount);
+        this.creditFees(this.otherAsset(asset), otherAmount);
+        super.addReserves(asset, amount, otherAmount);
+    }
+
+    /**
+     * Get positions, optionally of one owner
+     * @param {number|null} [owner] - Wallet ID, or null for deployer positions; omit for all
+     * @returns {Position[]} Positions
+     */
+    getPositions(owner) {
+        const positions = Array.from(this.positions.values());
+        return owner === undefined ? positions : positions.filter(p => p.owner === owner);
+    }
+
+    /**
+     * Convert a price range of one side into ticks
+     * @param {Asset} asset - Asset the prices are quoted for
+     * @param {PriceRange|null} priceRange - Range, or null for the full range
+     * @returns {{tickLower: number, tickUpper: number}|null} Ticks, or null for an invalid range
+     */
+    getTickRange(asset, priceRange) {
+        if (!priceRange) {
+            return { tickLower: alignTick(MIN_TICK, this.tickSpacing, true), tickUpper: alignTick(MAX_TICK, this.tickSpacing, false) };
+        }
+
+        const min = new Decimal(priceRange.min);
+        const max = new Decimal(priceRange.max);
+        if (min.lte(0) || max.lte(min)) {
+            return null;
+        }
+
+        // Ticks are in prices of assetA, so a range quoted for assetB flips over
+        const isA = this.assetA === normalizeAsset(asset);
+        const lowerPrice = isA ? min : new Decimal(1).dividedBy(max);
+        const upperPrice = isA ? max : new Decimal(1).dividedBy(min);
+
+        const tickLower = alignTick(getTickAtPrice(lowerPrice), this.tickSpacing, false);
+        let tickUpper = alignTick(getTickAtPrice(upperPrice), this.tickSpacing, true);
+        if (tickUpper <= tickLower) {
+            tickUpper = tickLower + this.tickSpacing;
+        }
+        return { tickLower, tickUpper };
+    }
+
+    /**
+     * Work out how much of a deposit a range can take at the current price
+     * Uses as much of both sides as the range's ratio allows. Before the first
+     * deposit the price is the start price, or else the ratio of the two amounts.
+     * @param {Asset} asset - First side
+     * @param {Decimal} amount - Amount of the first side offered
+     * @param {Decimal} otherAmount - Amount of the other side offered
+     * @param {Object} [options={}] - Deposit options
+     * @param {PriceRange|null} [options.priceRange=null] - Price range of the first side; null for the full range
+     * @param {Decimal|null} [options.startPrice=null] - Price of the first side that opens an empty pool
+     * @returns {DepositQuote} Liquidity and the amounts actually used
+     */
+    quoteDeposit(asset, amount, otherAmount, { priceRange = null, startPrice = null } = {}) {
+        const range = this.getTickRange(asset, priceRange);
+        if (!range) {
+            return { success: false, error: 'Price range needs a minimum above 0 and below the maximum' };
+        }
+
+        const isA = this.assetA === normalizeAsset(asset);
+        const amountA = isA ? amount : otherAmount;
+        const amountB = isA ? otherAmount : amount;
+
+        let sqrtPrice = this.sqrtPrice;
+        if (sqrtPrice.isZero()) {
+            const price = this.getStartPrice(asset, amount, otherAmount, startPrice);
+            if (!price) {
+                return { success: false, error: 'The first deposit needs both sides to set the price' };
+            }
+            const tick = getTickAtPrice(price);
+            if (tick < range.tickLower || tick >= range.tickUpper) {
+                return { success: false, error: 'The starting price must be inside the price range' };
+            }
+            sqrtPrice = price.sqrt();
+        }
+
+        const sqrtLower = getSqrtPriceAtTick(range.tickLower);
+        const sqrtUpper = getSqrtPriceAtTick(range.tickUpper);
+        const liquidity = getLiquidityForAmounts(sqrtPrice, sqrtLower, sqrtUpper, amountA, amountB);
+        if (liquidity.lte(0)) {
+            return { success: false, error: 'Amounts do not provide liquidity in this price range' };
+        }
+
+        // Never ask for more than was offered (rounding)
+        const used = getAmountsForLiquidity(sqrtPrice, sqrtLower, sqrtUpper, liquidity);
+        const usedA = Decimal.min(used.amountA, amountA);
+        const usedB = Decimal.min(used.amountB, amountB);
+
+        return {
+            success: true,
+            liquidity,
+            amount: isA ? usedA : usedB,
+            otherAmount: isA ? usedB : usedA,
+            tickLower: range.tickLower,
+            tickUpper: range.tickUpper
+        };
+    }
+
+    /**
+     * Price of assetA that opens an empty pool
+     * @param {Asset} asset - First side of the deposit
+     * @param {Decimal} amount - Amount of the first side
+     * @param {Decimal} otherAmount - Amount of the other side
+     * @param {Decimal|null} startPrice - Price of the first side, or null to use the amounts' ratio
+     * @returns {Decimal|null} Price of assetA in assetB, or null if it cannot be set
+     */
+    getStartPrice(asset, amount, otherAmount, startPrice) {
+        const price = startPrice !== null
+            ? new Decimal(startPrice)
+            : amount.gt(0) && otherAmount.gt(0) ? otherAmount.dividedBy(amount) : null;
+        if (!price || price.lte(0)) {
+            return null;
+        }
+        return this.assetA === normalizeAsset(asset) ? price : new Decimal(1).dividedBy(price);
+    }
+
+    /**
+     * Add liquidity net to a tick, dropping ticks no position uses any more
+     * @param {number} tick - Tick index
+     * @param {Decimal} delta - Change of the tick's net liquidity
+     */
+    updateTick(tick, delta) {
+        const liquidityNet = (this.ticks.get(tick) || new Decimal(0)).plus(delta);
+        const inUse = this.getPositions().some(p => p.tickLower === tick || p.tickUpper === tick);
+        if (inUse) {
+            this.ticks.set(tick, liquidityNet);
+        } else {
+            this.ticks.delete(tick);
+        }
+    }
+
+    /**
+     * Deposit both sides into a position and mint liquidity
+     * Amounts beyond what the range can take stay with the caller; use
+     * quoteDeposit() first to know what will be used. Balance checks are the caller's job.
+     * @param {Asset} asset - First side
+     * @param {Decimal} amount - Amount of the first side
+     * @param {Decimal} otherAmount - Amount of the other side
+     * @param {Object} [options={}] - Position options
+     * @param {PriceRange|null} [options.priceRange=null] - Price range of the first side; null for the full range
+     * @param {number|null} [options.owner=null] - Wallet that owns the position
+     * @param {Decimal|null} [options.startPrice=null] - Price of the first side that opens an empty pool
+     * @returns {Decimal} Liquidity minted (0 if the deposit does not fit the range)
+     */
+    mint(asset, amount, otherAmount, { priceRange = null, owner = null, startPrice = null } = {}) {
+        const deposit = this.quoteDeposit(asset, amount, otherAmount, { priceRange, startPrice });
+        if (!deposit.success) {
+            return new Decimal(0);
+        }
+
+        if (this.sqrtPrice.isZero()) {
+            const price = this.getStartPrice(asset, amount, otherAmount, startPrice);
+            this.sqrtPrice = price.sqrt();
+            this.tick = getTickAtPrice(price);
+            this.openedAt = now();
+        }
+
+        const { liquidity, tickLower, tickUpper } = deposit;
+        let position = this.getPositions(owner).find(p => p.tickLower === tickLower && p.tickUpper === tickUpper);
+        if (!position) {
+            position = {
+                id: this.nextPositionId++,
+                owner,
+                tickLower,
+                tickUpper,
+                liquidity: new Decimal(0),
+                feesOwedA: new Decimal(0),
+                feesOwedB: new Decimal(0)
+            };
+            this.positions.set(position.id, position);
+        }
+        position.liquidity = position.liquidity.plus(liquidity);
+
+        this.updateTick(tickLower, liquidity);
+        this.updateTick(tickUpper, liquidity.negated());
+        if (tickLower <= this.tick && this.tick < tickUpper) {
+            this.liquidity = this.liquidity.plus(liquidity);
+        }
+        this.lpTotalSupply = this.lpTotalSupply.plus(liquidity);
+
+        this.addReservesRaw(asset, deposit.amount, deposit.otherAmount);
+        simulationEvents.emit('pool:updated', { pool: this });
+
+        return liquidity;
+    }
+
+    /**
+     * Add to both reserves without crediting fees or emitting events
+     * @param {Asset} asset - First side
+     * @param {Decimal} amount - Amount of the first side
+     * @param {Decimal} otherAmount - Amount of the other side
+     */
+    addReservesRaw(asset, amount, otherAmount) {
+        this.setReserve(asset, this.getReserve(asset).plus(amount));
+        this.setReserve(this.otherAsset(asset), this.getReserve(this.otherAsset(asset)).plus(otherAmount));
+    }
+
+    /**
+     * Burn liquidity and take the positions' amounts and fees out
+     * Liquidity is taken from the owner's positions pro-rata.
+     * @param {Decimal} lpAmount - Liquidity to burn
+     * @param {Object} [options={}] - Burn options
+     * @param {number|null} [options.owner] - Wallet whose positions are burned; omit for every position
+     * @returns {{share: Decimal, amountA: Decimal, amountB: Decimal}} Share of the pool burned and amounts withdrawn
+     */
+    burn(lpAmount, { owner } = {}) {
+        const positions = this.getPositions(owner);
+        const held = positions.reduce((sum, p) => sum.plus(p.liquidity), new Decimal(0));
+        let amountA = new Decimal(0);
+        let amountB = new Decimal(0);
+
+        if (held.isZero()) {
+            return { share: new Decimal(0), amountA, amountB };
+        }
+
+        // Rounding can leave the owner a hair above their liquidity; treat that as everything
+        const isFullWithdrawal = lpAmount.gte(held);
+        const fraction = isFullWithdrawal ? new Decimal(1) : lpAmount.dividedBy(held);
+        let burned = new Decimal(0);
+
+        positions.forEach(position => {
+            const removed = isFullWithdrawal ? position.liquidity : position.liquidity.times(fraction);
+            const amounts = getAmountsForLiquidity(
+                this.sqrtPrice,
+                getSqrtPriceAtTick(position.tickLower),
+                getSqrtPriceAtTick(position.tickUpper),
+                removed
+            );
+            const feesA = position.feesOwedA.times(fraction);
+            const feesB = position.feesOwedB.times(fraction);
+            amountA = amountA.plus(amounts.amountA).plus(feesA);
+            amountB = amountB.plus(amounts.amountB).plus(feesB);
+
+            position.liquidity = position.liquidity.minus(removed);
+            position.feesOwedA = position.feesOwedA.minus(feesA);
+            position.feesOwedB = position.feesOwedB.minus(feesB);
+            if (isFullWithdrawal) {
+                this.positions.delete(position.id);
+            }
+
+            this.updateTick(position.tickLower, removed.negated());
+            this.updateTick(position.tickUpper, removed);
+            if (position.tickLower <= this.tick && this.tick < position.tickUpper) {
+                this.liquidity = Decimal.max(0, this.liquidity.minus(removed));
+            }
+            burned = burned.plus(removed);
+        });
+
+        const share = burned.dividedBy(this.lpTotalSupply);
+        this.lpTotalSupply = Decimal.max(0, this.lpTotalSupply.minus(burned));
+
+        if (this.positions.size === 0) {
+            // Last position out takes the rounding dust too
+            amountA = this.reserveA;
+            amountB = this.reserveB;
+            this.liquidity = new Decimal(0);
+            this.lpTotalSupply = new Decimal(0);
+        }
+
+        amountA = Decimal.min(amountA, this.reserveA);
+        amountB = Decimal.min(amountB, this.reserveB);
+        this.setReserve(this.assetA, this.reserveA.minus(amountA));
+        this.setReserve(this.assetB, this.reserveB.minus(amountB));
+
+        simulationEvents.emit('pool:updated', { pool: this });
+
+        return { share, amountA, amountB };
+    }
+
+    /**
+     * Virtual over real liquidity at the current price: how much deeper the
+     * pool trades than a constant product pool holding the same capital
+     * @returns {Decimal} Capital efficiency (1 for a full-range pool, 0 without liquidity)
+     */
+    getCapitalEfficiency() {
+        if (!this.hasLiquidity()) {
+            return new Decimal(0);
+        }
+        const price = this.sqrtPrice.pow(2);
+        const realValue = this.reserveA.times(price).plus(this.reserveB);
+        const virtualValue = this.liquidity.times(this.sqrtPrice).times(2);
+        return realValue.isZero() ? new Decimal(0) : virtualValue.dividedBy(realValue);
+    }
+}
+
+/**
+ * Build a detached concentrated copy of a pool with the same assets, fee and
+ * price, holding as much of its capital as one price range takes. Quoting the
+ * same trade on both compares their slippage; the copy is not registered in state.pools.
+ * @param {Pool} pool - Pool to copy (constant product or concentrated)
+ * @param {PriceRange|null} priceRange - Price range of assetA; null for the full range
+ * @returns {ConcentratedPool|null} Copy, or null if the pool has no liquidity or the range misses the price
+ */
+export function createConcentratedCopy(pool, priceRange) {
+    if (!pool.hasLiquidity()) {
+        return null;
+    }
+
+    const copy = new ConcentratedPool({ assetA: pool.assetA, assetB: pool.assetB, feePercent: pool.feePercent });
+    const liquidity = copy.mint(pool.assetA, pool.reserveA, pool.reserveB, {
+        priceRange,
+        startPrice: pool.getSpotPrice(pool.assetA)
+    });
+    return liquidity.gt(0) ? copy : null;
+}
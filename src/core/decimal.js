@@ -0,0 +1,12 @@
+/**
+ * @fileoverview Shared Decimal.js constructor for the simulation core
+ * The core imports decimal.js directly so it runs the same in the browser
+ * (through the import map in index.html) and in Node.
+ */
+
+import Decimal from 'decimal.js';
+
+// Same configuration the page used to apply to window.Decimal
+Decimal.set({ precision: 20, rounding: 4 });
+
+export default Decimal;
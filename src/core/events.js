@@ -0,0 +1,173 @@
+/**
+ * @fileoverview Event emitter used by the simulation core to report state changes
+ * The core never touches the DOM. The UI (or a Node script) subscribes to these
+ * events and renders whatever it needs.
+ *
+ * Events emitted by the core:
+ * - 'token:created'          { token }
+ * - 'token:updated'          { token } - reserves, supply or stats changed
+ * - 'pool:created'           { pool }
+ * - 'pool:updated'           { pool } - reserves, LP supply or fee changed
+ * - 'pool:feeAccrued'        { pool, asset, lpFee, protocolFee } - swap fee kept by LPs / paid to the treasury
+ * - 'liquidity:added'        { token, pool, tokenAmount, pairAmount, lpMinted, walletId }
+ * - 'liquidity:removed'      { token, pool, walletId, lpBurned, tokenAmount, pairAmount }
+ * - 'swap:executed'          { token, pool, side, amountIn, amountOut, priceImpact }
+ * - 'bondingCurve:launched'  { token, curve }
+ * - 'bondingCurve:trade'     { token, curve, side, amountIn, amountOut, price }
+ * - 'bondingCurve:migrated'  { token, curve, pool, tokenAmount, pairAmount, price, marketCap } - reserve moved into a pool
+ * - 'transaction:completed'  {@link TransactionEvent}
+ * - 'transfer:completed'     { walletId, toWalletId, asset, amount, received, usdValue, gasUsed, plsRemaining, mechanics } - USD, PLS
+ *                            or a token moved between wallets; mechanics is the transfer tax for tokens
+ * - 'airdrop:completed'      { token, walletId, mode, total, shares, gasUsed, mechanics } - a token was spread over wallets
+ *                            (walletId null when minted from the supply)
+ * - 'gas:insufficient'       { walletId, required, available }
+ * - 'arbitrage:executed'     { walletId, startAsset, pathDescription, amountIn, amountOut, profit, profitUSD, gasUsed, hops }
+ * - 'mechanics:applied'      { token, result } - a trade or transfer was taxed; result has the tokens per
+ *                            destination (TAX_BUCKETS), the side, and result.reflectionSplit says which holders the reflection went to
+ * - 'mechanics:liquified'    { token, pool, tokensSwapped, pairReceived, tokensAdded, pairAdded, lpMinted, priceImpact } - swapAndLiquify ran
+ * - 'buyback:configured'     { token, config } - a token's buyback settings changed
+ * - 'buyback:executed'       { token, pool, run } - a token bought itself back and burned the tokens (see BuybackRun in buyback.js)
+ * - 'agents:started'         { agents, config } - the multi-agent simulation started (see Agent in agents.js)
+ * - 'agents:round'           { round, trades, stats } - every agent had its chance to act
+ * - 'agent:traded'           { walletId, profile, side, tokenId, usdValue } - an agent bought or sold
+ * - 'agents:stopped'         { stats } - the multi-agent simulation stopped (done, stopped by hand, reset or scenario loaded)
+ * - 'strategy:started'       { config } - the automated trading strategy started (see StrategyConfig in strategy.js)
+ * - 'strategy:step'          { stats } - the strategy made a trade (see StrategyStats)
+ * - 'strategy:stopped'       { stats, completed } - the strategy stopped (all trades made, stopped by hand or reset)
+ * - 'monteCarlo:started'     { config } - a Monte Carlo batch started (see MonteCarloConfig in monteCarlo.js)
+ * - 'monteCarlo:progress'    { run, completed, total } - a batch run finished (see MonteCarloRun)
+ * - 'monteCarlo:completed'   { config, runs, tokenNames, walletNames, cancelled } - a batch ended and the base scenario is back
+ * - 'sweep:started'          { config, total } - a parameter sweep started over `total` grid points (see SweepConfig in sweep.js)
+ * - 'sweep:progress'         { point, completed, total } - a grid point was played or skipped (see SweepPoint)
+ * - 'sweep:completed'        { config, xLabel, yLabel, xValues, yValues, metrics, points, cancelled } - a sweep ended and the base scenario is back
+ * - 'reflection:exclusionChanged' { token, holder, excluded } - a wallet, pool or the burn address left or rejoined reflections
+ * - 'mechanics:configured'   { tokenIds, preset }
+ * - 'wallet:created'         { wallet }
+ * - 'wallets:generated'      { wallets } - generateWallets created a batch (no 'wallet:created' per wallet)
+ * - 'wallet:tagged'          { wallet, tag, tagged } - a tag was added to or removed from a wallet
+ * - 'wpls:priceChanged'      { price }
+ * - 'wpls:processConfigured' { settings } - the WPLS price process settings changed (see priceProcess.js)
+ * - 'wpls:regimeChanged'     { regime, previous } - the regime-switching process moved to another market regime
+ * - 'wpls:replayLoaded'      { name, points, from, to } - a historical price file was loaded (times are Unix ms)
+ * - 'wpls:replayStarted'     { name, points, from, to, speed, loop } - historical prices started playing through WPLS
+ * - 'wpls:replayLooped'      { loops } - playback reached the end of its range and started over
+ * - 'wpls:replayStopped'     { finished } - playback stopped; finished is true when it ran out of prices
+ * - 'prices:updated'         { tokens } - updateAllTokenPrices finished a pass over the price chains
+ * - 'priceHistory:recorded'  { time, reason }
+ * - 'priceHistory:cleared'   {}
+ * - 'random:seeded'          { seed }
+ * - 'clock:changed'          { mode, timeScale } - the clock switched between realtime and fast-forward, or its time scale changed
+ * - 'ledger:recorded'        { entries } - a trade with its hops/deductions, a liquidity change or a curve launch/migration
+ * - 'ledger:cleared'         {}
+ * - 'transactions:reset'     {}
+ * - 'state:reset'            {}
+ * - 'state:pauseChanged'     { isPaused } - trading was paused or resumed
+ * - 'scenario:loaded'        { scenario }
+ */
+
+/**
+ * @typedef {Object} TransactionEvent
+ * @property {string} type - 'buy', 'sell' or 'swap'
+ * @property {string|number} walletId - Wallet that traded
+ * @property {number} tokenId - Token bought or sold
+ * @property {Decimal} amount - USD value (negative for sells)
+ * @property {Decimal|null} tokensReceived - Token amount (negative for sells)
+ * @property {Decimal} gasUsed - Gas paid in PLS
+ * @property {Decimal} plsRemaining - Wallet PLS balance after the trade
+ * @property {Decimal|null} priceImpact - Price impact percentage
+ * @property {Object|null} routeInfo - Hops, legs (one per path of a split) and path description for routed buys
+ * @property {Object|null} [bondingCurve] - Curve type and price after the trade, for trades filled on a launch curve
+ * @property {Object|null} mechanics - Tax deducted per destination (see processTransactionMechanics)
+ * @property {boolean} isChained - Buy made by a transaction chain
+ * @property {number} [payTokenId] - Token paid, for swaps
+ * @property {Decimal} [payAmount] - Amount paid, for swaps
+ */
+
+/**
+ * Minimal synchronous event emitter
+ */
+export class EventEmitter {
+    constructor() {
+        // Map of event name -> Set of listeners
+        this.listeners = new Map();
+    }
+
+    /**
+     * Subscribe to an event. Use '*' to receive every event.
+     * @param {string} eventName - Event name
+     * @param {Function} listener - Called with (payload, eventName)
+     * @returns {Function} Unsubscribe function
+     */
+    on(eventName, listener) {
+        if (!this.listeners.has(eventName)) {
+            this.listeners.set(eventName, new Set());
+        }
+        this.listeners.get(eventName).add(listener);
+        return () => this.off(eventName, listener);
+    }
+
+    /**
+     * Subscribe to the next occurrence of an event only
+     * @param {string} eventName - Event name
+     * @param {Function} listener - Called with (payload, eventName)
+     * @returns {Function} Unsubscribe function
+     */
+    once(eventName, listener) {
+        const wrapper = (payload, name) => {
+            this.off(eventName, wrapper);
+            listener(payload, name);
+        };
+        return this.on(eventName, wrapper);
+    }
+
+    /**
+     * Remove a listener
+     * @param {string} eventName - Event name
+     * @param {Function} listener - Listener to remove
+     */
+    off(eventName, listener) {
+        const listeners = this.listeners.get(eventName);
+        if (listeners) {
+            listeners.delete(listener);
+        }
+    }
+
+    /**
+     * Remove all listeners, or all listeners of one event
+     * @param {string} [eventName] - Event name
+     */
+    removeAllListeners(eventName) {
+        if (eventName) {
+            this.listeners.delete(eventName);
+        } else {
+            this.listeners.clear();
+        }
+    }
+
+    /**
+     * Emit an event. A failing listener is logged and does not stop the others,
+     * so a broken display can never abort a trade halfway through.
+     * @param {string} eventName - Event name
+     * @param {Object} [payload={}] - Event payload
+     */
+    emit(eventName, payload = {}) {
+        const targets = [
+            ...(this.listeners.get(eventName) || []),
+            ...(this.listeners.get('*') || [])
+        ];
+
+        targets.forEach(listener => {
+            try {
+                listener(payload, eventName);
+            } catch (error) {
+                console.error(`Error in '${eventName}' listener:`, error);
+            }
+        });
+    }
+}
+
+/**
+ * Shared emitter for the simulation core
+ * @type {EventEmitter}
+ */
+export const simulationEvents = new EventEmitter();
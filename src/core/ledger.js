@@ -0,0 +1,600 @@
+/**
+ * @fileoverview In-memory transaction ledger
+ * Records every trade, routed hop, mechanics deduction, liquidity change,
+ * arbitrage cycle and bonding-curve launch/migration as a flat, structured
+ * entry, so a run can be queried in place or exported to CSV/JSON for
+ * spreadsheets and notebooks.
+ *
+ * The ledger listens to simulationEvents as soon as this module is imported.
+ * Headless scripts import it before trading to get a record of the run.
+ * Scenarios carry the ledger in their history and it is restored on load.
+ */
+
+import Decimal from './decimal.js';
+import { state } from './state.js';
+import { simulationEvents } from './events.js';
+import { getAssetName } from './pool.js';
+import { now, toDate } from './clock.js';
+import { toCsvCell } from '../utils/export.js';
+
+/**
+ * Columns of an exported ledger, in order
+ * @type {string[]}
+ */
+export const LEDGER_FIELDS = [
+    'id',
+    'parentId',
+    'txNumber',
+    'type',
+    'timestamp',
+    'elapsedMs',
+    'walletId',
+    'toWalletId',
+    'tokenId',
+    'tokenName',
+    'poolId',
+    'assetIn',
+    'assetInName',
+    'amountIn',
+    'assetOut',
+    'assetOutName',
+    'amountOut',
+    'usdValue',
+    'priceImpact',
+    'gasUsed',
+    'plsRemaining',
+    'pairAsset',
+    'pairAssetName',
+    'pairAmount',
+    'lpAmount',
+    'profitUSD',
+    'isChained',
+    'route'
+];
+
+/**
+ * Entry fields holding an asset ('USD', 'WPLS' or a token ID); each has a <field>Name column
+ * @type {string[]}
+ */
+const ASSET_FIELDS = ['assetIn', 'assetOut', 'pairAsset'];
+
+/**
+ * Entry fields holding Decimal amounts
+ * @type {string[]}
+ */
+const DECIMAL_FIELDS = ['amountIn', 'amountOut', 'usdValue', 'priceImpact', 'gasUsed', 'plsRemaining', 'pairAmount', 'lpAmount', 'profitUSD'];
+
+/**
+ * Entry types that are trades in their own right (the rest belong to a parent)
+ * @type {string[]}
+ */
+export const TRADE_TYPES = ['buy', 'sell', 'swap', 'arbitrage'];
+
+/**
+ * Entry types that mark a token's bonding-curve launch and its move into a pool
+ * @type {string[]}
+ */
+export const CURVE_EVENT_TYPES = ['curve-launch', 'curve-migration'];
+
+/**
+ * Entry types that move assets between wallets rather than trade them
+ * @type {string[]}
+ */
+export const TRANSFER_TYPES = ['transfer', 'airdrop'];
+
+/**
+ * Deduction entry type for each tax destination (see TAX_BUCKETS in mechanics.js)
+ * @type {Object<string, string>}
+ */
+const TAX_ENTRY_TYPES = {
+    reflection: 'reflection',
+    burn: 'burn',
+    liquidity: 'lp-fee',
+    marketing: 'marketing-tax',
+    dev: 'dev-tax',
+    buyback: 'buyback-tax'
+};
+
+/**
+ * @typedef {Object} LedgerEntry
+ * @property {number} id - Sequential entry ID
+ * @property {number|null} parentId - Trade, transfer or airdrop this entry belongs to (hops, deductions and airdrop shares)
+ * @property {number|null} txNumber - Trade number shown in the history (trades only)
+ * @property {string} type - 'buy', 'sell', 'swap', 'arbitrage', 'hop', 'reflection', 'burn', 'lp-fee',
+ *   'marketing-tax', 'dev-tax', 'buyback-tax', 'swap-and-liquify', 'buyback-burn', 'liquidity-add', 'liquidity-remove',
+ *   'curve-launch', 'curve-migration', 'transfer', 'airdrop' or 'airdrop-share'
+ * @property {string} timestamp - Simulated ISO time the entry was recorded at
+ * @property {number} elapsedMs - Simulated milliseconds since the run started
+ * @property {number|string|null} walletId - Wallet involved
+ * @property {number|null} toWalletId - Recipient of a transfer or airdrop share
+ * @property {number|null} tokenId - Token the entry is about
+ * @property {string|null} tokenName - Token name at the time
+ * @property {string|null} poolId - Pool traded or provided to
+ * @property {string|number|null} assetIn - Asset paid ('USD', 'WPLS' or a token ID)
+ * @property {string|null} assetInName - Name of assetIn at the time
+ * @property {Decimal|null} amountIn - Amount paid
+ * @property {string|number|null} assetOut - Asset received
+ * @property {string|null} assetOutName - Name of assetOut at the time
+ * @property {Decimal|null} amountOut - Amount received
+ * @property {Decimal|null} usdValue - USD value of the trade
+ * @property {Decimal|null} priceImpact - Price impact (%)
+ * @property {Decimal|null} gasUsed - Gas paid in PLS
+ * @property {Decimal|null} plsRemaining - Wallet PLS after the trade
+ * @property {string|number|null} pairAsset - Other side of a liquidity entry
+ * @property {string|null} pairAssetName - Name of pairAsset at the time
+ * @property {Decimal|null} pairAmount - Amount of the other side (deposited or withdrawn)
+ * @property {Decimal|null} lpAmount - LP tokens minted or burned
+ * @property {Decimal|null} profitUSD - Profit of an arbitrage cycle
+ * @property {boolean} isChained - Buy made by a transaction chain rather than directly
+ * @property {string|null} route - Route description for routed trades (for hops of a split: their leg);
+ *   'Bonding curve (type)' for curve trades and the curve's description for curve launches/migrations
+ */
+
+// Entries in the order they were recorded
+let entries = [];
+let nextEntryId = 1;
+
+/**
+ * Name of an entry asset; PLS only appears in transfers, where gas PLS is sent as is
+ * @param {string|number} asset - 'USD', 'WPLS', 'PLS' or a token ID
+ * @returns {string} Asset name
+ */
+function getEntryAssetName(asset) {
+    return asset === 'PLS' ? 'PLS' : getAssetName(asset);
+}
+
+/**
+ * Create an entry with every field present
+ * @param {Object} fields - Fields to set; the rest are null
+ * @returns {LedgerEntry} New entry (not yet recorded)
+ */
+function createEntry(fields) {
+    const entry = {};
+    LEDGER_FIELDS.forEach(field => {
+        entry[field] = null;
+    });
+
+    const token = fields.tokenId ? state.tokens.find(t => t.id === fields.tokenId) : null;
+    const elapsedMs = now();
+
+    Object.assign(entry, {
+        id: nextEntryId++,
+        timestamp: toDate(elapsedMs).toISOString(),
+        elapsedMs,
+        tokenName: token ? token.name : null,
+        isChained: false
+    }, fields);
+
+    // Like tokenName, asset names are kept as they are now so a rename does not rewrite history
+    ASSET_FIELDS.forEach(field => {
+        if (entry[field] !== null) {
+            entry[`${field}Name`] = getEntryAssetName(entry[field]);
+        }
+    });
+    return entry;
+}
+
+/**
+ * Record a trade and the entries that belong to it
+ * @param {Object} tradeFields - Fields of the trade entry
+ * @param {Object[]} [childFields=[]] - Fields of its hops and deductions
+ * @returns {LedgerEntry[]} Recorded entries, trade first
+ */
+function recordTrade(tradeFields, childFields = []) {
+    state.currentTxNumber++;
+    const trade = createEntry({ ...tradeFields, txNumber: state.currentTxNumber });
+    const children = childFields.map(fields => createEntry({
+        walletId: trade.walletId,
+        ...fields,
+        parentId: trade.id
+    }));
+
+    return record([trade, ...children]);
+}
+
+/**
+ * Append entries and announce them
+ * @param {LedgerEntry[]} newEntries - Entries to append
+ * @returns {LedgerEntry[]} The same entries
+ */
+function record(newEntries) {
+    entries.push(...newEntries);
+    simulationEvents.emit('ledger:recorded', { entries: newEntries });
+    return newEntries;
+}
+
+/**
+ * Build hop entries from executed route hops
+ * Hops of a split route carry their leg ("45% USD → Token 1") in the route field.
+ * @param {Object[]} hops - Executed hops (see routing.executeRoute)
+ * @param {Object[]} [legs=[]] - Executed legs of a split route, in hop order
+ * @returns {Object[]} Hop entry fields
+ */
+function hopFields(hops, legs = []) {
+    const legRoutes = [];
+    if (legs.length > 1) {
+        legs.forEach(leg => {
+            for (let i = 0; i < leg.hops; i++) {
+                legRoutes.push(`${Math.round(leg.share * 100)}% ${leg.pathDescription}`);
+            }
+        });
+    }
+
+    return hops.map((hop, index) => ({
+        type: 'hop',
+        route: legRoutes[index] || null,
+        tokenId: hop.tokenId,
+        poolId: hop.poolId,
+        assetIn: hop.assetIn,
+        amountIn: hop.amountIn,
+        assetOut: hop.assetOut,
+        amountOut: hop.amountOut,
+        priceImpact: hop.priceImpact
+    }));
+}
+
+/**
+ * Build deduction entries from a mechanics result
+ * @param {number} tokenId - Token the mechanics applied to
+ * @param {Object|null} mechanics - Result of processTransactionMechanics
+ * @returns {Object[]} Deduction entry fields (one per non-zero mechanism)
+ */
+function mechanicsFields(tokenId, mechanics) {
+    if (!mechanics) return [];
+
+    return Object.entries(TAX_ENTRY_TYPES)
+        .filter(([bucket]) => mechanics[bucket] && mechanics[bucket].gt(0))
+        .map(([bucket, type]) => ({ type, tokenId, assetIn: tokenId, amountIn: mechanics[bucket] }));
+}
+
+/**
+ * Record a completed buy, sell or swap
+ * @param {TransactionEvent} tx - Payload of 'transaction:completed'
+ */
+function handleTransactionCompleted(tx) {
+    const isSell = tx.type === 'sell';
+    const children = [
+        ...hopFields(tx.routeInfo ? tx.routeInfo.hops : [], tx.routeInfo?.legs),
+        ...mechanicsFields(tx.tokenId, tx.mechanics)
+    ];
+
+    let trade;
+    if (tx.type === 'swap') {
+        trade = {
+            assetIn: tx.payTokenId,
+            amountIn: tx.payAmount,
+            assetOut: tx.tokenId,
+            amountOut: tx.tokensReceived
+        };
+    } else if (isSell) {
+        // Sells report negative amounts; the ledger stores what moved, positive
+        trade = {
+            assetIn: tx.tokenId,
+            amountIn: tx.tokensReceived.abs(),
+            assetOut: 'USD',
+            amountOut: tx.amount.abs()
+        };
+    } else {
+        trade = {
+            assetIn: 'USD',
+            amountIn: tx.amount,
+            assetOut: tx.tokenId,
+            amountOut: tx.tokensReceived
+        };
+    }
+
+    recordTrade({
+        ...trade,
+        type: tx.type,
+        walletId: tx.walletId,
+        tokenId: tx.tokenId,
+        usdValue: tx.amount ? tx.amount.abs() : null,
+        priceImpact: tx.priceImpact,
+        gasUsed: tx.gasUsed,
+        plsRemaining: tx.plsRemaining,
+        isChained: Boolean(tx.isChained),
+        route: getTradeRoute(tx)
+    }, children);
+}
+
+/**
+ * Describe where a trade was filled
+ * @param {TransactionEvent} tx - Payload of 'transaction:completed'
+ * @returns {string|null} Route description, the bonding curve, or null for a direct pool trade
+ */
+function getTradeRoute(tx) {
+    if (tx.routeInfo) return tx.routeInfo.pathDescription;
+    if (tx.bondingCurve) return `Bonding curve (${tx.bondingCurve.curveType})`;
+    return null;
+}
+
+/**
+ * Record an executed arbitrage cycle
+ * @param {Object} trade - Payload of 'arbitrage:executed'
+ */
+function handleArbitrageExecuted(trade) {
+    const wallet = state.wallets.find(w => w.id === trade.walletId);
+
+    recordTrade({
+        type: 'arbitrage',
+        walletId: trade.walletId,
+        tokenId: typeof trade.startAsset === 'number' ? trade.startAsset : null,
+        assetIn: trade.startAsset,
+        amountIn: trade.amountIn,
+        assetOut: trade.startAsset,
+        amountOut: trade.amountOut,
+        usdValue: trade.startAsset === 'USD' ? trade.amountIn : null,
+        gasUsed: trade.gasUsed,
+        plsRemaining: wallet ? wallet.plsBalance : null,
+        profitUSD: trade.profitUSD,
+        route: trade.pathDescription
+    }, hopFields(trade.hops));
+}
+
+/**
+ * Record a liquidity deposit or withdrawal
+ * @param {string} type - 'liquidity-add' or 'liquidity-remove'
+ * @param {Object} event - Payload of 'liquidity:added' or 'liquidity:removed'
+ */
+function recordLiquidity(type, event) {
+    const pairAsset = event.pool.otherAsset(event.token.id);
+
+    record([createEntry({
+        type,
+        walletId: event.walletId ?? null,
+        tokenId: event.token.id,
+        poolId: event.pool.id,
+        assetIn: event.token.id,
+        amountIn: event.tokenAmount,
+        pairAsset,
+        pairAmount: event.pairAmount,
+        lpAmount: type === 'liquidity-add' ? event.lpMinted : event.lpBurned
+    })]);
+}
+
+/**
+ * Record a token contract selling half its taxes to add liquidity
+ * The deposit itself is recorded by 'liquidity:added' as a liquidity-add without a wallet.
+ * @param {Object} event - Payload of 'mechanics:liquified'
+ */
+function handleLiquified({ token, pool, tokensSwapped, pairReceived, pairAdded, lpMinted, priceImpact }) {
+    record([createEntry({
+        type: 'swap-and-liquify',
+        tokenId: token.id,
+        poolId: pool.id,
+        assetIn: token.id,
+        amountIn: tokensSwapped,
+        assetOut: pool.otherAsset(token.id),
+        amountOut: pairReceived,
+        pairAsset: pool.otherAsset(token.id),
+        pairAmount: pairAdded,
+        lpAmount: lpMinted,
+        priceImpact
+    })]);
+}
+
+/**
+ * Record a token buying itself back with its treasury and burning the tokens
+ * usdValue holds the USD value of the treasury spent.
+ * @param {Object} event - Payload of 'buyback:executed'
+ */
+function handleBuyback({ token, pool, run }) {
+    record([createEntry({
+        type: 'buyback-burn',
+        tokenId: token.id,
+        poolId: pool.id,
+        assetIn: run.pairAsset,
+        amountIn: run.pairAmount,
+        assetOut: token.id,
+        amountOut: run.tokensBurned,
+        usdValue: run.pairAsset === 'USD' ? run.spent : run.spent.times(state.plsPrice),
+        priceImpact: run.priceImpact
+    })]);
+}
+
+/**
+ * Record an entry and the entries that belong to it, without numbering it as a trade
+ * @param {Object} parentFields - Fields of the parent entry
+ * @param {Object[]} [childFields=[]] - Fields of its children
+ * @returns {LedgerEntry[]} Recorded entries, parent first
+ */
+function recordGroup(parentFields, childFields = []) {
+    const parent = createEntry(parentFields);
+    const children = childFields.map(fields => createEntry({
+        walletId: parent.walletId,
+        ...fields,
+        parentId: parent.id
+    }));
+
+    return record([parent, ...children]);
+}
+
+/**
+ * Record a transfer between wallets, with the transfer tax it paid
+ * @param {Object} transfer - Payload of 'transfer:completed'
+ */
+function handleTransferCompleted(transfer) {
+    const tokenId = typeof transfer.asset === 'number' ? transfer.asset : null;
+
+    recordGroup({
+        type: 'transfer',
+        walletId: transfer.walletId,
+        toWalletId: transfer.toWalletId,
+        tokenId,
+        assetIn: transfer.asset,
+        amountIn: transfer.amount,
+        assetOut: transfer.asset,
+        amountOut: transfer.received,
+        usdValue: transfer.usdValue,
+        gasUsed: transfer.gasUsed,
+        plsRemaining: transfer.plsRemaining
+    }, mechanicsFields(tokenId, transfer.mechanics));
+}
+
+/**
+ * Record an airdrop: the drop, a share per recipient and the transfer tax it paid
+ * Drops minted from the supply have no wallet.
+ * @param {Object} airdrop - Payload of 'airdrop:completed'
+ */
+function handleAirdropCompleted({ token, walletId, mode, total, shares, gasUsed, mechanics }) {
+    const sender = walletId === null ? null : state.wallets.find(w => w.id === walletId);
+
+    recordGroup({
+        type: 'airdrop',
+        walletId,
+        tokenId: token.id,
+        assetIn: token.id,
+        amountIn: total,
+        gasUsed,
+        plsRemaining: sender ? sender.plsBalance : null,
+        route: `${mode} airdrop to ${shares.length} wallet${shares.length === 1 ? '' : 's'}`
+    }, [
+        ...shares.map(share => ({
+            type: 'airdrop-share',
+            toWalletId: share.walletId,
+            tokenId: token.id,
+            assetOut: token.id,
+            amountOut: share.received
+        })),
+        ...mechanicsFields(token.id, mechanics)
+    ]);
+}
+
+/**
+ * Record a token's launch on a bonding curve
+ * @param {Object} event - Payload of 'bondingCurve:launched'
+ */
+function handleCurveLaunched({ token, curve }) {
+    record([createEntry({
+        type: 'curve-launch',
+        tokenId: token.id,
+        assetOut: token.id,
+        amountOut: curve.curveSupply,
+        usdValue: curve.marketCapThreshold,
+        route: curve.describe()
+    })]);
+}
+
+/**
+ * Record a curve's reserve moving into a pool
+ * usdValue holds the market cap the migration happened at.
+ * @param {Object} event - Payload of 'bondingCurve:migrated'
+ */
+function handleCurveMigrated({ token, curve, pool, tokenAmount, pairAmount, marketCap }) {
+    record([createEntry({
+        type: 'curve-migration',
+        tokenId: token.id,
+        poolId: pool.id,
+        assetIn: token.id,
+        amountIn: tokenAmount,
+        pairAsset: 'USD',
+        pairAmount,
+        usdValue: marketCap,
+        route: curve.describe()
+    })]);
+}
+
+/**
+ * Get ledger entries, optionally filtered
+ * @param {Object} [filter={}] - Field values to match, e.g. { type: 'buy', walletId: 1 }
+ * @returns {LedgerEntry[]} Matching entries in recording order
+ */
+export function getLedgerEntries(filter = {}) {
+    const keys = Object.keys(filter);
+    if (keys.length === 0) {
+        return [...entries];
+    }
+    // Wallet IDs arrive as strings from some callers, so compare loosely
+    return entries.filter(entry => keys.every(key => String(entry[key]) === String(filter[key])));
+}
+
+/**
+ * Get the entries that belong to a trade (its hops and deductions)
+ * @param {number} entryId - Trade entry ID
+ * @returns {LedgerEntry[]} Child entries
+ */
+export function getLedgerChildren(entryId) {
+    return entries.filter(entry => entry.parentId === entryId);
+}
+
+/**
+ * Empty the ledger
+ */
+export function clearLedger() {
+    entries = [];
+    nextEntryId = 1;
+    simulationEvents.emit('ledger:cleared');
+}
+
+/**
+ * Replace the ledger with exported entries, e.g. the history saved with a scenario
+ * @param {Object[]} list - Entries as returned by exportLedgerJSON
+ */
+export function restoreLedger(list) {
+    entries = list.map(plain => {
+        const entry = {};
+        LEDGER_FIELDS.forEach(field => {
+            const value = plain[field] ?? null;
+            entry[field] = value !== null && DECIMAL_FIELDS.includes(field) ? new Decimal(value) : value;
+        });
+        // Ledgers saved before asset names were recorded get today's names
+        ASSET_FIELDS.forEach(field => {
+            if (entry[field] !== null && entry[`${field}Name`] === null) {
+                entry[`${field}Name`] = getEntryAssetName(entry[field]);
+            }
+        });
+        return entry;
+    });
+    nextEntryId = entries.reduce((max, entry) => Math.max(max, entry.id), 0) + 1;
+}
+
+/**
+ * Convert an entry field to plain JSON
+ * @param {*} value - Field value
+ * @returns {*} String for Decimals, the value otherwise
+ */
+function toPlainValue(value) {
+    return Decimal.isDecimal(value) ? value.toString() : value;
+}
+
+/**
+ * Export the ledger as plain objects (Decimals become strings, nothing is rounded)
+ * @param {LedgerEntry[]} [list=getLedgerEntries()] - Entries to export
+ * @returns {Object[]} JSON-safe entries
+ */
+export function exportLedgerJSON(list = getLedgerEntries()) {
+    return list.map(entry => {
+        const plain = {};
+        LEDGER_FIELDS.forEach(field => {
+            plain[field] = toPlainValue(entry[field]);
+        });
+        return plain;
+    });
+}
+
+/**
+ * Export the ledger as CSV with a header row of LEDGER_FIELDS
+ * The assetIn/assetOut/pairAsset columns hold 'USD', 'WPLS' or a token ID, and
+ * the matching Name columns the names recorded with the entry, like tokenId and tokenName.
+ * @param {LedgerEntry[]} [list=getLedgerEntries()] - Entries to export
+ * @returns {string} CSV text
+ */
+export function exportLedgerCSV(list = getLedgerEntries()) {
+    const rows = exportLedgerJSON(list).map(entry => LEDGER_FIELDS.map(field => toCsvCell(entry[field])).join(','));
+
+    return [LEDGER_FIELDS.join(','), ...rows].join('\n');
+}
+
+simulationEvents.on('transaction:completed', handleTransactionCompleted);
+simulationEvents.on('arbitrage:executed', handleArbitrageExecuted);
+simulationEvents.on('liquidity:added', event => recordLiquidity('liquidity-add', event));
+simulationEvents.on('liquidity:removed', event => recordLiquidity('liquidity-remove', event));
+simulationEvents.on('mechanics:liquified', handleLiquified);
+simulationEvents.on('buyback:executed', handleBuyback);
+simulationEvents.on('transfer:completed', handleTransferCompleted);
+simulationEvents.on('airdrop:completed', handleAirdropCompleted);
+simulationEvents.on('bondingCurve:launched', handleCurveLaunched);
+simulationEvents.on('bondingCurve:migrated', handleCurveMigrated);
+simulationEvents.on('transactions:reset', clearLedger);
+simulationEvents.on('state:reset', clearLedger);
+simulationEvents.on('scenario:loaded', ({ scenario }) => restoreLedger(scenario.history?.ledger || []));
@@ -0,0 +1,780 @@
+/**
+ * @fileoverview Reflection and burn mechanics for the simulation core
+ * Handles deflationary tokenomics including reflections to holders, burns, and LP fees.
+ * Each token has its own tax rates for buys, sells and wallet-to-wallet transfers
+ * (token.taxes), split over destinations (TAX_BUCKETS), plus an optional launch
+ * tax that fades out after launch.
+ */
+
+import Decimal from './decimal.js';
+import { state } from './state.js';
+import { simulationEvents } from './events.js';
+import { now } from './clock.js';
+import { getPool } from './pool.js';
+import { getWalletById } from './wallet.js';
+import { distributeReflection } from './reflection.js';
+import { fundBuybackTreasury, getBuybackAsset } from './buyback.js';
+
+/**
+ * Sides of a trade a token taxes separately
+ * @type {string[]}
+ */
+export const TAX_SIDES = ['buy', 'sell', 'transfer'];
+
+/**
+ * Where a tax can send its tokens
+ * - reflection: shared out to holders (see reflection.js)
+ * - burn: removed from the supply
+ * - liquidity: held by the token contract until swapAndLiquify adds it to the selected pool
+ * - marketing, dev: sent to the wallet in token.taxDestinations (swapped to WPLS first if it asks for that)
+ * - buyback: swapped to the pool's pair asset (USD or WPLS) and held by the token contract, the treasury that buys it back
+ * A buy cannot swap (the pool is mid-swap), so its swapped taxes wait in the contract
+ * (token.pendingTaxSwaps) until the next sell or transfer.
+ * @type {string[]}
+ */
+export const TAX_BUCKETS = ['reflection', 'burn', 'liquidity', 'marketing', 'dev', 'buyback'];
+
+/**
+ * Contract balance (tokens) at which a new token's taxes are swapped into liquidity
+ * @type {string}
+ */
+export const DEFAULT_LIQUIFY_THRESHOLD = '1000';
+
+/**
+ * True while a swapAndLiquify runs, so its own swap cannot start another (the contract's lockTheSwap)
+ * @type {boolean}
+ */
+let inSwapAndLiquify = false;
+
+/**
+ * Buckets that pay a destination wallet
+ * @type {string[]}
+ */
+export const WALLET_TAX_BUCKETS = ['marketing', 'dev'];
+
+/**
+ * @typedef {Object<string, Decimal>} TaxRates
+ * Percentage of the traded amount per bucket (every TAX_BUCKETS key)
+ */
+
+/**
+ * @typedef {Object} TaxSchedule
+ * @property {TaxRates} buy - Taken from the tokens a buyer receives
+ * @property {TaxRates} sell - Taken from the tokens a seller sends, before they reach the pool
+ * @property {TaxRates} transfer - Taken from wallet-to-wallet transfers
+ */
+
+/**
+ * Build a full set of tax rates
+ * @param {Object<string, number|string|Decimal>} [rates={}] - Percentages by bucket; missing buckets are 0
+ * @returns {TaxRates} Rates for every bucket
+ */
+export function createTaxRates(rates = {}) {
+    const result = {};
+    TAX_BUCKETS.forEach(bucket => {
+        result[bucket] = new Decimal(rates[bucket] || 0);
+    });
+    return result;
+}
+
+/**
+ * Build a tax schedule
+ * @param {Object} [schedule={}] - Rates by side ({ buy, sell, transfer }); missing sides are untaxed
+ * @returns {TaxSchedule} Schedule with every side and bucket
+ */
+export function createTaxSchedule(schedule = {}) {
+    const result = {};
+    TAX_SIDES.forEach(side => {
+        result[side] = createTaxRates(schedule[side]);
+    });
+    return result;
+}
+
+/**
+ * Build a schedule that taxes buys, sells and transfers alike
+ * @param {Object<string, number|string|Decimal>} rates - Percentages by bucket
+ * @returns {TaxSchedule} Schedule
+ */
+export function createFlatTaxSchedule(rates) {
+    return createTaxSchedule({ buy: rates, sell: rates, transfer: rates });
+}
+
+/**
+ * Preset configurations for common tokenomics models
+ * `taxes` takes the same shape as createTaxSchedule; `launchTax` (optional) that of setLaunchTax.
+ */
+export const PRESETS = {
+    safemoon: {
+        name: 'SafeMoon Style',
+        taxes: createFlatTaxSchedule({ reflection: 5, liquidity: 5 }),
+        description: '5% reflection to holders, 5% to liquidity pool'
+    },
+    rfi: {
+        name: 'RFI (Reflect Finance)',
+        taxes: createFlatTaxSchedule({ reflection: 2 }),
+        description: '2% reflection to all holders'
+    },
+    deflationary: {
+        name: 'Deflationary',
+        taxes: createFlatTaxSchedule({ reflection: 2, burn: 3 }),
+        description: '3% burn, 2% reflection'
+    },
+    'aggressive-burn': {
+        name: 'Aggressive Burn',
+        taxes: createFlatTaxSchedule({ burn: 5 }),
+        description: '5% burn per transaction'
+    },
+    'marketing-launch': {
+        name: 'Marketing Launch',
+        taxes: createTaxSchedule({
+            buy: { marketing: 2, liquidity: 1 },
+            sell: { marketing: 4, liquidity: 2, buyback: 2 }
+        }),
+        launchTax: { percent: 25, duration: 600, bucket: 'marketing' },
+        description: '3% buy / 8% sell tax to marketing, LP and buybacks, free transfers, 25% launch tax fading over 10 minutes'
+    },
+    custom: {
+        name: 'Custom',
+        taxes: createTaxSchedule(),
+        description: 'Set your own percentages'
+    },
+    none: {
+        name: 'None',
+        taxes: createTaxSchedule(),
+        description: 'Disable all mechanics'
+    }
+};
+
+/**
+ * Check a set of tax rates
+ * @param {Object<string, number|string|Decimal>} rates - Percentages by bucket
+ * @param {Decimal} [extra=0] - Percentage charged on top (the launch tax at its peak)
+ * @returns {{isValid: boolean, message?: string}} Validation result
+ */
+export function validateTaxRates(rates, extra = new Decimal(0)) {
+    let total = new Decimal(extra);
+    for (const bucket of Object.keys(rates)) {
+        if (!TAX_BUCKETS.includes(bucket)) {
+            return { isValid: false, message: `Unknown tax destination: ${bucket}` };
+        }
+        const rate = new Decimal(rates[bucket] || 0);
+        if (!rate.isFinite() || rate.lt(0) || rate.gt(100)) {
+            return { isValid: false, message: `${bucket} tax must be between 0 and 100%` };
+        }
+        total = total.plus(rate);
+    }
+    if (total.gt(100)) {
+        return { isValid: false, message: 'Total tax cannot exceed 100%' };
+    }
+    return { isValid: true };
+}
+
+/**
+ * Check a whole tax schedule (and launch tax, if given) against a token
+ * @param {Token} token - Token
+ * @param {Object} schedule - Rates by side, as for createTaxSchedule
+ * @param {Object|null} [launchTax=null] - Launch tax, as for setLaunchTax
+ * @returns {{isValid: boolean, message?: string}} Validation result
+ */
+function validateTaxConfig(token, schedule, launchTax = null) {
+    const taxes = createTaxSchedule(schedule);
+    const peak = launchTax ? new Decimal(launchTax.percent || 0) : token.launchTax.percent;
+    for (const side of TAX_SIDES) {
+        const validation = validateTaxRates(taxes[side], side === 'transfer' ? 0 : peak);
+        if (!validation.isValid) {
+            return { isValid: false, message: `${side}: ${validation.message}` };
+        }
+    }
+    return { isValid: true };
+}
+
+/**
+ * Check a tax configuration against every target token before any is changed
+ * @param {Token[]} tokens - Target tokens
+ * @param {Object} schedule - Rates by side, as for createTaxSchedule
+ * @param {Object|null} [launchTax=null] - Launch tax, as for setLaunchTax
+ * @returns {{success: boolean, error?: string}} Result; the error names the first token that fails
+ */
+function validateTaxTargets(tokens, schedule, launchTax = null) {
+    for (const token of tokens) {
+        const validation = validateTaxConfig(token, schedule, launchTax);
+        if (!validation.isValid) {
+            return { success: false, error: tokens.length > 1 ? `${token.name}: ${validation.message}` : validation.message };
+        }
+    }
+    return { success: true };
+}
+
+/**
+ * Replace a token's whole tax schedule (and launch tax, if given)
+ * @param {Token} token - Token
+ * @param {Object} schedule - Rates by side, as for createTaxSchedule
+ * @param {Object|null} [launchTax=null] - Launch tax, as for setLaunchTax
+ * @returns {{success: boolean, error?: string}} Result
+ */
+function configureTaxes(token, schedule, launchTax = null) {
+    const validation = validateTaxConfig(token, schedule, launchTax);
+    if (!validation.isValid) {
+        return { success: false, error: validation.message };
+    }
+
+    token.taxes = createTaxSchedule(schedule);
+    if (launchTax) {
+        token.launchTax = {
+            percent: new Decimal(launchTax.percent || 0),
+            duration: Number(launchTax.duration) || 0,
+            bucket: launchTax.bucket || 'marketing'
+        };
+    }
+    return { success: true };
+}
+
+/**
+ * Apply a preset configuration to token(s)
+ * @param {string} presetName - Name of the preset
+ * @param {number|string} tokenId - Token ID or 'all'
+ * @returns {{success: boolean, error?: string}} Result of the update
+ */
+export function applyPreset(presetName, tokenId = 'all') {
+    const preset = PRESETS[presetName];
+    if (!preset) {
+        console.error(`Unknown preset: ${presetName}`);
+        return { success: false, error: `Unknown preset: ${presetName}` };
+    }
+
+    // Presets without a launch tax switch it off
+    const launchTax = preset.launchTax || { percent: 0, duration: 0 };
+    const tokens = getTargetTokens(tokenId);
+    const validation = validateTaxTargets(tokens, preset.taxes, launchTax);
+    if (!validation.success) return validation;
+    tokens.forEach(token => configureTaxes(token, preset.taxes, launchTax));
+
+    simulationEvents.emit('mechanics:configured', { tokenIds: getTargetTokenIds(tokenId), preset: presetName });
+    console.log(`Applied ${preset.name} preset to ${tokenId === 'all' ? 'all tokens' : `token ${tokenId}`}`);
+    return { success: true };
+}
+
+/**
+ * Apply custom mechanics percentages to token(s), alike for buys, sells and transfers
+ * @param {number} reflection - Reflection percentage
+ * @param {number} burn - Burn percentage
+ * @param {number} lpFee - LP fee percentage
+ * @param {number|string} tokenId - Token ID or 'all'
+ * @returns {{success: boolean, error?: string}} Result of the update
+ */
+export function applyCustomMechanics(reflection, burn, lpFee, tokenId = 'all') {
+    return applyTaxSchedule(createFlatTaxSchedule({ reflection, burn, liquidity: lpFee }), tokenId);
+}
+
+/**
+ * Apply a tax schedule to token(s)
+ * @param {Object} schedule - Rates by side, as for createTaxSchedule
+ * @param {number|string} tokenId - Token ID or 'all'
+ * @returns {{success: boolean, error?: string}} Result of the update
+ */
+export function applyTaxSchedule(schedule, tokenId = 'all') {
+    const tokens = getTargetTokens(tokenId);
+    const validation = validateTaxTargets(tokens, schedule);
+    if (!validation.success) return validation;
+    tokens.forEach(token => configureTaxes(token, schedule));
+
+    simulationEvents.emit('mechanics:configured', { tokenIds: getTargetTokenIds(tokenId), preset: 'custom' });
+    return { success: true };
+}
+
+/**
+ * Set one side's tax rates on a token
+ * @param {Token} token - Token
+ * @param {string} side - 'buy', 'sell' or 'transfer'
+ * @param {Object<string, number|string|Decimal>} rates - Percentages by bucket; missing buckets keep their rate
+ * @returns {{success: boolean, error?: string}} Result of the update
+ */
+export function setTaxRates(token, side, rates) {
+    if (!TAX_SIDES.includes(side)) {
+        return { success: false, error: `Unknown tax side: ${side}` };
+    }
+
+    const schedule = { ...token.taxes, [side]: { ...token.taxes[side], ...rates } };
+    const result = configureTaxes(token, schedule);
+    if (!result.success) return result;
+
+    simulationEvents.emit('mechanics:configured', { tokenIds: [token.id], preset: 'custom' });
+    simulationEvents.emit('token:updated', { token });
+    return { success: true };
+}
+
+/**
+ * Set the wallet a marketing or dev tax pays
+ * @param {Token} token - Token
+ * @param {string} bucket - 'marketing' or 'dev'
+ * @param {Object} destination - Destination
+ * @param {number|null} [destination.walletId] - Receiving wallet (null: the token contract keeps the tokens)
+ * @param {boolean} [destination.swapToWPLS] - Sell the tax for WPLS first and send the PLS
+ * @returns {{success: boolean, error?: string}} Result of the update
+ */
+export function setTaxDestination(token, bucket, { walletId, swapToWPLS } = {}) {
+    if (!WALLET_TAX_BUCKETS.includes(bucket)) {
+        return { success: false, error: `${bucket} tax has no destination wallet` };
+    }
+    if (walletId !== undefined && walletId !== null && !getWalletById(walletId)) {
+        return { success: false, error: `Wallet ${walletId} not found` };
+    }
+
+    const destination = token.taxDestinations[bucket];
+    if (walletId !== undefined) destination.walletId = walletId;
+    if (swapToWPLS !== undefined) destination.swapToWPLS = Boolean(swapToWPLS);
+
+    simulationEvents.emit('mechanics:configured', { tokenIds: [token.id], preset: 'custom' });
+    simulationEvents.emit('token:updated', { token });
+    return { success: true };
+}
+
+/**
+ * Set a token's launch tax: an extra buy and sell tax that fades linearly to
+ * zero over `duration` simulated seconds after the token's launch
+ * @param {Token} token - Token
+ * @param {Object} launchTax - Launch tax
+ * @param {number|string} launchTax.percent - Tax at launch (%)
+ * @param {number|string} launchTax.duration - Seconds until it reaches zero
+ * @param {string} [launchTax.bucket='marketing'] - Where it goes (one of TAX_BUCKETS)
+ * @returns {{success: boolean, error?: string}} Result of the update
+ */
+export function setLaunchTax(token, { percent, duration, bucket = 'marketing' }) {
+    const seconds = Number(duration);
+    if (!Number.isFinite(seconds) || seconds < 0) {
+        return { success: false, error: 'Launch tax duration must be zero or more seconds' };
+    }
+    if (!TAX_BUCKETS.includes(bucket)) {
+        return { success: false, error: `Unknown tax destination: ${bucket}` };
+    }
+
+    const result = configureTaxes(token, token.taxes, { percent, duration: seconds, bucket });
+    if (!result.success) return result;
+
+    simulationEvents.emit('mechanics:configured', { tokenIds: [token.id], preset: 'custom' });
+    simulationEvents.emit('token:updated', { token });
+    return { success: true };
+}
+
+/**
+ * Simulated time a token launched: its bonding curve launch, or its first pool opening
+ * @param {Token} token - Token
+ * @returns {number|null} Simulated ms, or null before it can trade
+ */
+export function getLaunchTime(token) {
+    if (token.bondingCurve) {
+        return token.bondingCurve.launchedAt;
+    }
+    const pools = token.getPools(true);
+    return pools.length > 0 ? Math.min(...pools.map(pool => pool.openedAt)) : null;
+}
+
+/**
+ * Launch tax charged right now
+ * @param {Token} token - Token
+ * @returns {Decimal} Percentage (0 once it has faded out)
+ */
+export function getLaunchTaxPercent(token) {
+    const { percent, duration } = token.launchTax;
+    const launchedAt = getLaunchTime(token);
+    if (percent.lte(0) || duration <= 0 || launchedAt === null) {
+        return new Decimal(0);
+    }
+
+    const remaining = 1 - (now() - launchedAt) / (duration * 1000);
+    return remaining > 0 ? percent.times(remaining) : new Decimal(0);
+}
+
+/**
+ * Tax rates a trade pays right now, launch tax included
+ * @param {Token} token - Token
+ * @param {string} side - 'buy', 'sell' or 'transfer'
+ * @returns {TaxRates} Rates by bucket
+ */
+export function getTaxRates(token, side) {
+    const rates = { ...token.taxes[side] };
+    if (side !== 'transfer') {
+        const { bucket } = token.launchTax;
+        rates[bucket] = rates[bucket].plus(getLaunchTaxPercent(token));
+    }
+    return rates;
+}
+
+/**
+ * Total tax a trade pays right now
+ * @param {Token} token - Token
+ * @param {string} side - 'buy', 'sell' or 'transfer'
+ * @returns {Decimal} Percentage
+ */
+export function getTaxPercent(token, side) {
+    const rates = getTaxRates(token, side);
+    return TAX_BUCKETS.reduce((total, bucket) => total.plus(rates[bucket]), new Decimal(0));
+}
+
+/**
+ * Tokens matching a selector
+ * @param {number|string} tokenId - Token ID or 'all'
+ * @returns {Token[]} Matching tokens
+ */
+function getTargetTokens(tokenId) {
+    if (tokenId === 'all') {
+        return state.tokens;
+    }
+    return state.tokens.filter(t => t.id === parseInt(tokenId));
+}
+
+/**
+ * Resolve a token selector to the IDs it covers
+ * @param {number|string} tokenId - Token ID or 'all'
+ * @returns {number[]} Matching token IDs
+ */
+function getTargetTokenIds(tokenId) {
+    return getTargetTokens(tokenId).map(token => token.id);
+}
+
+/**
+ * Sell tax tokens for WPLS or USD through the token's pool with that asset
+ * @param {Token} token - Token
+ * @param {Decimal} amount - Tokens to sell
+ * @param {string} [asset='WPLS'] - 'WPLS' or 'USD'
+ * @returns {Decimal|null} Amount received, or null if the token has no pool with the asset to sell into
+ */
+function swapTax(token, amount, asset = 'WPLS') {
+    const pool = getPool(token.id, asset);
+    if (!pool || !pool.hasLiquidity()) {
+        return null;
+    }
+
+    const swap = pool.swap(token.id, amount, { applySlippage: state.applySlippage });
+    if (!swap.success) {
+        return null;
+    }
+
+    token.invalidatePriceCascade();
+    simulationEvents.emit('swap:executed', {
+        token,
+        pool,
+        side: 'sell',
+        amountIn: amount,
+        amountOut: swap.amountOut,
+        priceImpact: swap.priceImpact
+    });
+    return swap.amountOut;
+}
+
+/**
+ * Pay a marketing or dev tax to its wallet
+ * Without a wallet, or when the swap to WPLS has no pool, the token contract keeps the tokens.
+ * @param {Token} token - Token
+ * @param {string} bucket - 'marketing' or 'dev'
+ * @param {Decimal} amount - Tokens taxed
+ * @returns {Decimal|null} WPLS the wallet received, or null if it was paid in tokens (or not at all)
+ */
+function payTaxWallet(token, bucket, amount) {
+    const { walletId, swapToWPLS } = token.taxDestinations[bucket];
+    const wallet = walletId !== null ? getWalletById(walletId) : null;
+    if (!wallet) {
+        token.contractBalance = token.contractBalance.plus(amount);
+        return null;
+    }
+
+    if (!swapToWPLS) {
+        wallet.addTokenBalance(token.id, amount);
+        return null;
+    }
+
+    const wplsOut = swapTax(token, amount);
+    if (wplsOut === null) {
+        token.contractBalance = token.contractBalance.plus(amount);
+        return null;
+    }
+    wallet.addPLS(wplsOut);
+    return wplsOut;
+}
+
+/**
+ * Swap a buyback tax to the treasury asset and credit it to the treasury
+ * Without a pool to swap into, the token contract keeps the tokens.
+ * @param {Token} token - Token
+ * @param {Decimal} amount - Tokens taxed
+ * @returns {Decimal|null} WPLS the treasury received, or null if it received none
+ */
+function payBuybackTax(token, amount) {
+    const treasuryAsset = getBuybackAsset(token);
+    const amountOut = swapTax(token, amount, treasuryAsset);
+    if (amountOut === null) {
+        token.contractBalance = token.contractBalance.plus(amount);
+        return null;
+    }
+    creditContract(token, treasuryAsset, amountOut);
+    fundBuybackTreasury(token, amountOut);
+    return treasuryAsset === 'WPLS' ? amountOut : null;
+}
+
+/**
+ * Hold a buy's tax in the contract until the next sell or transfer swaps it
+ * @param {Token} token - Token
+ * @param {string} bucket - 'marketing', 'dev' or 'buyback'
+ * @param {Decimal} amount - Tokens taxed
+ */
+function deferTaxSwap(token, bucket, amount) {
+    token.contractBalance = token.contractBalance.plus(amount);
+    token.pendingTaxSwaps[bucket] = token.pendingTaxSwaps[bucket].plus(amount);
+}
+
+/**
+ * Tokens the contract holds for swaps buys left pending
+ * @param {Token} token - Token
+ * @returns {Decimal} Pending tokens (part of token.contractBalance)
+ */
+function getPendingTaxSwaps(token) {
+    return Object.values(token.pendingTaxSwaps).reduce((sum, amount) => sum.plus(amount), new Decimal(0));
+}
+
+/**
+ * Swap and pay out the taxes buys left in the contract
+ * @param {Token} token - Token
+ * @returns {Decimal} WPLS the swaps received
+ */
+function swapPendingTaxes(token) {
+    let swappedToWPLS = new Decimal(0);
+    Object.keys(token.pendingTaxSwaps).forEach(bucket => {
+        const amount = token.pendingTaxSwaps[bucket];
+        if (amount.lte(0)) return;
+
+        token.pendingTaxSwaps[bucket] = new Decimal(0);
+        token.contractBalance = token.contractBalance.minus(amount);
+        const wplsOut = bucket === 'buyback' ? payBuybackTax(token, amount) : payTaxWallet(token, bucket, amount);
+        if (wplsOut) swappedToWPLS = swappedToWPLS.plus(wplsOut);
+    });
+    return swappedToWPLS;
+}
+
+/**
+ * Set when a token's contract swaps its taxes into liquidity
+ * @param {Token} token - Token
+ * @param {Object} options - Settings to change
+ * @param {boolean} [options.enabled] - Run swapAndLiquify automatically
+ * @param {number|string|Decimal} [options.threshold] - Contract balance that triggers it; also the most one run swaps
+ * @returns {{success: boolean, error?: string}} Result of the update
+ */
+export function setAutoLiquidity(token, { enabled, threshold } = {}) {
+    if (threshold !== undefined) {
+        const value = new Decimal(threshold);
+        if (!value.isFinite() || value.lte(0)) {
+            return { success: false, error: 'Auto-liquidity threshold must be greater than 0' };
+        }
+        token.autoLiquidity.threshold = value;
+    }
+    if (enabled !== undefined) {
+        token.autoLiquidity.enabled = Boolean(enabled);
+    }
+
+    simulationEvents.emit('mechanics:configured', { tokenIds: [token.id], preset: 'custom' });
+    simulationEvents.emit('token:updated', { token });
+    return { success: true };
+}
+
+/**
+ * Check whether a token's contract balance is due to be swapped into liquidity
+ * @param {Token} token - Token
+ * @returns {boolean} True if swapAndLiquify should run
+ */
+function shouldSwapAndLiquify(token) {
+    return !inSwapAndLiquify && token.autoLiquidity.enabled &&
+        token.contractBalance.minus(getPendingTaxSwaps(token)).gte(token.autoLiquidity.threshold);
+}
+
+/**
+ * Credit a pair asset to the token contract
+ * @param {Token} token - Token
+ * @param {string|number} asset - 'USD', 'WPLS' or a token ID
+ * @param {Decimal} amount - Amount
+ */
+function creditContract(token, asset, amount) {
+    if (amount.lte(0)) return;
+    if (asset === 'WPLS') {
+        token.plsBalance = token.plsBalance.plus(amount);
+    } else {
+        token.contractAssets.set(asset, (token.contractAssets.get(asset) || new Decimal(0)).plus(amount));
+    }
+}
+
+/**
+ * Swap half of the contract's tokens for the pair asset and add both as liquidity (SafeMoon's swapAndLiquify)
+ * The sale moves the price like any other; the deposit then matches the new pool ratio, as
+ * the router's addLiquidity does, and whatever does not fit stays in the contract. The LP
+ * tokens are minted to no wallet, so the liquidity is locked. Tokens held for pending tax
+ * swaps are left alone.
+ * @param {Token} token - Token
+ * @param {Decimal} [amount=token.autoLiquidity.threshold] - Tokens to liquify (at most the contract balance)
+ * @returns {{success: boolean, error?: string, tokensSwapped?: Decimal, pairReceived?: Decimal,
+ *   tokensAdded?: Decimal, pairAdded?: Decimal, lpMinted?: Decimal, priceImpact?: Decimal}} Result
+ */
+export function swapAndLiquify(token, amount = token.autoLiquidity.threshold) {
+    const pool = token.primaryPool;
+    if (!pool || !pool.hasLiquidity()) {
+        return { success: false, error: 'No pool to add liquidity to' };
+    }
+
+    const toLiquify = Decimal.min(amount, token.contractBalance.minus(getPendingTaxSwaps(token)));
+    if (toLiquify.lte(0)) {
+        return { success: false, error: 'Contract holds no tokens' };
+    }
+
+    const pair = pool.otherAsset(token.id);
+    const half = toLiquify.dividedBy(2);
+    const otherHalf = toLiquify.minus(half);
+
+    inSwapAndLiquify = true;
+    try {
+        const swap = pool.swap(token.id, half, { applySlippage: state.applySlippage });
+        if (!swap.success) {
+            return { success: false, error: swap.error };
+        }
+        token.contractBalance = token.contractBalance.minus(half);
+        token.invalidatePriceCascade();
+        simulationEvents.emit('swap:executed', {
+            token,
+            pool,
+            side: 'sell',
+            amountIn: half,
+            amountOut: swap.amountOut,
+            priceImpact: swap.priceImpact
+        });
+
+        // Match the ratio the sale left behind
+        const ratio = pool.getReserve(pair).dividedBy(pool.getReserve(token.id));
+        let tokensToAdd = otherHalf;
+        let pairToAdd = otherHalf.times(ratio);
+        if (pairToAdd.gt(swap.amountOut)) {
+            pairToAdd = swap.amountOut;
+            tokensToAdd = pairToAdd.dividedBy(ratio);
+        }
+
+        const added = token.addLiquidity(tokensToAdd, pairToAdd, { fromContract: true, pairAsset: pair });
+        if (!added.success) {
+            creditContract(token, pair, swap.amountOut);
+            return { success: false, error: added.error };
+        }
+        creditContract(token, pair, swap.amountOut.minus(added.pairAmount));
+
+        const result = {
+            success: true,
+            tokensSwapped: half,
+            pairReceived: swap.amountOut,
+            tokensAdded: added.tokenAmount,
+            pairAdded: added.pairAmount,
+            lpMinted: added.lpMinted,
+            priceImpact: swap.priceImpact
+        };
+        console.log('swapAndLiquify:', {
+            tokenId: token.id,
+            poolId: pool.id,
+            tokensSwapped: half.toString(),
+            pairReceived: swap.amountOut.toString(),
+            tokensAdded: added.tokenAmount.toString(),
+            pairAdded: added.pairAmount.toString()
+        });
+        simulationEvents.emit('mechanics:liquified', { token, pool, ...result });
+        return result;
+    } finally {
+        inSwapAndLiquify = false;
+    }
+}
+
+/**
+ * Process the tax on a trade or transfer
+ * @param {Token} token - The token being traded
+ * @param {Decimal} tokenAmount - Amount of tokens in the transaction
+ * @param {Object} [options={}] - Mechanics options
+ * @param {string} [options.side='buy'] - 'buy', 'sell' or 'transfer'; picks the tax rates
+ * @param {Wallet|null} [options.payer=null] - Wallet the tax comes out of; taken before the
+ *   reflection is shared out so the payer does not earn on its own fee
+ * @returns {Object} Amounts taxed per bucket, and where the reflection and swaps went
+ */
+export function processTransactionMechanics(token, tokenAmount, { side = 'buy', payer = null } = {}) {
+    const rates = getTaxRates(token, side);
+    const launchTaxPercent = side === 'transfer' ? new Decimal(0) : getLaunchTaxPercent(token);
+
+    const amounts = {};
+    TAX_BUCKETS.forEach(bucket => {
+        amounts[bucket] = tokenAmount.times(rates[bucket]).dividedBy(100);
+    });
+    const total = TAX_BUCKETS.reduce((sum, bucket) => sum.plus(amounts[bucket]), new Decimal(0));
+
+    if (payer && total.gt(0)) {
+        payer.setTokenBalance(token.id, payer.getTokenBalance(token.id).minus(total));
+    }
+
+    // Apply burn - reduce total supply
+    if (amounts.burn.gt(0)) {
+        token.totalSupply = token.totalSupply.minus(amounts.burn);
+        token.totalBurned = token.totalBurned.plus(amounts.burn);
+    }
+
+    // Apply reflection - distribute to all included holders (see reflection.js)
+    let reflectionSplit = null;
+    if (amounts.reflection.gt(0)) {
+        reflectionSplit = distributeReflection(token, amounts.reflection);
+        token.totalReflected = token.totalReflected.plus(amounts.reflection);
+    }
+
+    // Apply LP fee - the contract keeps it until swapAndLiquify
+    if (amounts.liquidity.gt(0)) {
+        token.contractBalance = token.contractBalance.plus(amounts.liquidity);
+        token.lpFeesCollected = token.lpFeesCollected.plus(amounts.liquidity);
+    }
+
+    // No swaps on buys: the pool is mid-swap while it pays the buyer (the contract's `from != uniswapV2Pair`)
+    const isBuy = side === 'buy';
+    let swappedToWPLS = isBuy ? new Decimal(0) : swapPendingTaxes(token);
+
+    // Marketing and dev wallets, in tokens or WPLS
+    WALLET_TAX_BUCKETS.forEach(bucket => {
+        if (amounts[bucket].lte(0)) return;
+        const { walletId, swapToWPLS } = token.taxDestinations[bucket];
+        if (isBuy && swapToWPLS && walletId !== null) {
+            deferTaxSwap(token, bucket, amounts[bucket]);
+            return;
+        }
+        const wplsOut = payTaxWallet(token, bucket, amounts[bucket]);
+        if (wplsOut) swappedToWPLS = swappedToWPLS.plus(wplsOut);
+    });
+
+    // Buyback treasury: held by the contract in the pair asset, spent by buyback.js
+    if (amounts.buyback.gt(0)) {
+        if (isBuy) {
+            deferTaxSwap(token, 'buyback', amounts.buyback);
+        } else {
+            const wplsOut = payBuybackTax(token, amounts.buyback);
+            if (wplsOut) swappedToWPLS = swappedToWPLS.plus(wplsOut);
+        }
+    }
+
+    TAX_BUCKETS.forEach(bucket => {
+        token.taxesCollected[bucket] = token.taxesCollected[bucket].plus(amounts[bucket]);
+    });
+
+    let liquified = null;
+    if (!isBuy && shouldSwapAndLiquify(token)) {
+        liquified = swapAndLiquify(token);
+    }
+
+    const result = {
+        side,
+        ...amounts,
+        launchTax: tokenAmount.times(launchTaxPercent).dividedBy(100),
+        total,
+        reflectionSplit,
+        swappedToWPLS,
+        liquified
+    };
+
+    if (result.total.gt(0)) {
+        simulationEvents.emit('mechanics:applied', { token, result });
+        simulationEvents.emit('token:updated', { token });
+    }
+
+    return result;
+}
@@ -0,0 +1,521 @@
+/**
+ * @fileoverview Monte Carlo batch runs
+ * Runs the current scenario N times, each from the same starting point with its
+ * own seed, so the agents and the WPLS price process take a different path every
+ * run. Each run plays `duration` simulated seconds in fast-forward (optionally with
+ * the trading strategy making its trades too) and records
+ * final prices, real vs derived capital, the leverage ratio, each token's max
+ * drawdown and every wallet's PnL. The batch then summarizes each metric as
+ * percentiles and histograms, and exports the runs as CSV or JSON. The scenario,
+ * seed and clock mode the batch started from are put back when it ends.
+ */
+
+import { state, updateAllTokenPrices } from './state.js';
+import { simulationEvents } from './events.js';
+import { setRandomSeed, normalizeSeed } from './random.js';
+import { sleep, setClockMode } from './clock.js';
+import { serializeScenario, loadScenario } from './scenario.js';
+import { getCapitalBreakdown } from './capitalTracking.js';
+import { startAgents, stopAgents, createAgentConfig, validateAgentConfig } from './agents.js';
+import { startStrategy, stopStrategy, validateStrategyConfig } from './strategy.js';
+import { syncPriceProcess } from './priceProcess.js';
+import { toCsvCell } from '../utils/export.js';
+
+/**
+ * Price samples taken per run to measure drawdown
+ * @type {number}
+ */
+const SAMPLES_PER_RUN = 100;
+
+/**
+ * Histogram bins drawn per metric
+ * @type {number}
+ */
+export const HISTOGRAM_BINS = 20;
+
+/**
+ * Percentiles reported per metric
+ * @type {number[]}
+ */
+export const PERCENTILES = [5, 25, 50, 75, 95];
+
+/**
+ * @typedef {Object} MonteCarloConfig
+ * @property {number} runs - Number of runs
+ * @property {number} duration - Simulated seconds per run
+ * @property {number} seed - Seed of the first run; run i uses seed + i
+ * @property {Partial<AgentConfig>|null} agents - Agents to trade during each run (null: no agents)
+ * @property {StrategyConfig|null} strategy - Trading strategy to run during each run (null: none)
+ * @property {boolean} priceProcess - Whether the WPLS price process moves the price
+ */
+
+/**
+ * @typedef {Object} MonteCarloRun
+ * @property {number} run - Run number (from 1)
+ * @property {number} seed - Seed the run used
+ * @property {number} wplsPrice - Final WPLS price
+ * @property {number} realCapital - Final real capital (USD)
+ * @property {number} derivedCapital - Final derived capital (USD)
+ * @property {number} leverageRatio - Final derived over real capital
+ * @property {number} maxDrawdown - Worst token drawdown over the run (%)
+ * @property {number} totalPnl - Sum of every wallet's PnL (USD)
+ * @property {Object<number, {price: number, maxDrawdown: number}>} tokens - Final price and max drawdown (%) per token
+ * @property {Object<number, number>} walletPnl - PnL (USD) per wallet
+ */
+
+/**
+ * @typedef {Object} MetricSummary
+ * @property {number} count - Values summarized
+ * @property {number} mean - Mean
+ * @property {number} stdDev - Standard deviation
+ * @property {number} min - Smallest value
+ * @property {number} max - Largest value
+ * @property {Object<number, number>} percentiles - Value per entry of PERCENTILES
+ */
+
+// Batch in progress: config, base scenario and what to restore afterwards
+let batch = null;
+
+// Runs, names and configuration of the last batch that finished a run
+let lastResults = null;
+
+// A parameter sweep (sweep.js) plays its runs through here too, so only one of them runs at a time
+let sweepRunning = false;
+
+/**
+ * Create a batch configuration with defaults
+ * @returns {MonteCarloConfig} Default configuration
+ */
+export function createMonteCarloConfig() {
+    return {
+        runs: 50,
+        duration: 3600,
+        seed: state.randomSeed,
+        agents: createAgentConfig(),
+        strategy: null,
+        priceProcess: true
+    };
+}
+
+/**
+ * Check a batch configuration
+ * @param {MonteCarloConfig} config - Configuration
+ * @returns {{isValid: boolean, message?: string}} Validation result
+ */
+export function validateMonteCarloConfig(config) {
+    if (!Number.isInteger(config.runs) || config.runs < 1) {
+        return { isValid: false, message: 'Number of runs must be a whole number of at least 1' };
+    }
+    if (!(config.duration > 0)) {
+        return { isValid: false, message: 'Run duration must be positive' };
+    }
+    if (normalizeSeed(config.seed) === null) {
+        return { isValid: false, message: 'Seed must be a whole number' };
+    }
+    if (config.agents) {
+        const agents = validateAgentConfig({ ...createAgentConfig(), ...config.agents });
+        if (!agents.isValid) {
+            return agents;
+        }
+    }
+    if (config.strategy) {
+        const strategy = validateStrategyConfig(config.strategy);
+        if (!strategy.isValid) {
+            return { isValid: false, message: `Trading strategy: ${strategy.message}` };
+        }
+    }
+    return { isValid: true };
+}
+
+/**
+ * USD value of everything a wallet holds: cash, WPLS, tokens and its share of each pool
+ * @param {Wallet} wallet - Wallet
+ * @returns {number} Value in USD
+ */
+function getWalletValueUSD(wallet) {
+    let value = wallet.usdBalance.plus(wallet.plsBalance.times(state.plsPrice));
+
+    for (const tokenId of wallet.tokenBalances.keys()) {
+        const token = state.tokens.find(t => t.id === tokenId);
+        if (token) {
+            value = value.plus(wallet.getTokenBalance(tokenId).times(token.calculateTokenPriceUSD()));
+        }
+    }
+
+    wallet.lpBalances.forEach((lpAmount, poolId) => {
+        const pool = state.pools.find(p => p.id === poolId);
+        if (pool && pool.lpTotalSupply.gt(0)) {
+            value = value.plus(pool.getLiquidityUSD().times(lpAmount).dividedBy(pool.lpTotalSupply));
+        }
+    });
+
+    return value.toNumber();
+}
+
+/**
+ * Value every wallet
+ * @returns {Map<number, number>} USD value per wallet ID
+ */
+function getWalletValues() {
+    return new Map(state.wallets.map(wallet => [wallet.id, getWalletValueUSD(wallet)]));
+}
+
+/**
+ * Load a scenario and play one run of it
+ * Also used by parameter sweeps (sweep.js), which play every grid point this way.
+ * @param {Scenario} scenario - Scenario to start from (left untouched)
+ * @param {{duration: number, agents: Partial<AgentConfig>|null, strategy: StrategyConfig|null, priceProcess: boolean}} config - Run settings
+ * @param {number} seed - Seed of the run
+ * @param {Function} [isCancelled] - Checked as the run plays; returning true abandons it
+ * @returns {Promise<MonteCarloRun|null>} The run without its run number, or null when it was abandoned
+ */
+export async function playScenarioRun(scenario, config, seed, isCancelled = () => false) {
+    const loaded = loadScenario(structuredClone(scenario));
+    if (!loaded.success) {
+        throw new Error(`Could not load the scenario: ${loaded.error}`);
+    }
+    setRandomSeed(seed);
+    setClockMode('fast-forward');
+    state.plsPriceProcess.enabled = config.priceProcess;
+    syncPriceProcess();
+
+    const startValues = getWalletValues();
+    const peaks = new Map();
+    const drawdowns = new Map();
+    const sample = () => {
+        state.tokens.forEach(token => {
+            const price = token.calculateTokenPriceUSD().toNumber();
+            const peak = Math.max(peaks.get(token.id) || 0, price);
+            peaks.set(token.id, peak);
+            const drawdown = peak > 0 ? (1 - price / peak) * 100 : 0;
+            drawdowns.set(token.id, Math.max(drawdowns.get(token.id) || 0, drawdown));
+        });
+    };
+
+    if (config.agents) {
+        const result = startAgents(config.agents);
+        if (!result.success) {
+            console.warn('Monte Carlo run without agents:', result.error);
+        }
+    }
+    if (config.strategy) {
+        const result = startStrategy(config.strategy);
+        if (!result.success) {
+            console.warn('Monte Carlo run without the trading strategy:', result.error);
+        }
+    }
+
+    sample();
+    const step = (config.duration * 1000) / SAMPLES_PER_RUN;
+    for (let i = 0; i < SAMPLES_PER_RUN; i++) {
+        await sleep(step);
+        if (isCancelled()) return null;
+        sample();
+    }
+
+    stopAgents();
+    stopStrategy();
+    state.plsPriceProcess.enabled = false;
+    syncPriceProcess();
+    updateAllTokenPrices();
+
+    const capital = getCapitalBreakdown();
+    const tokens = {};
+    state.tokens.forEach(token => {
+        tokens[token.id] = {
+            price: token.calculateTokenPriceUSD().toNumber(),
+            maxDrawdown: drawdowns.get(token.id) || 0
+        };
+    });
+
+    const walletPnl = {};
+    getWalletValues().forEach((value, walletId) => {
+        walletPnl[walletId] = value - (startValues.get(walletId) || 0);
+    });
+
+    return {
+        seed,
+        wplsPrice: state.plsPrice.toNumber(),
+        realCapital: capital.realCapital.toNumber(),
+        derivedCapital: capital.derivedCapital.toNumber(),
+        leverageRatio: capital.leverageRatio.toNumber(),
+        maxDrawdown: Math.max(0, ...drawdowns.values()),
+        totalPnl: Object.values(walletPnl).reduce((sum, pnl) => sum + pnl, 0),
+        tokens,
+        walletPnl
+    };
+}
+
+/**
+ * Put back the scenario a batch started from, with its history, seed and clock mode
+ * @param {Scenario} scenario - Scenario serialized before the batch (left untouched)
+ * @returns {{success: boolean, error?: string}} Result of loading it
+ */
+export function restoreScenario(scenario) {
+    stopAgents();
+    stopStrategy();
+    const result = loadScenario(structuredClone(scenario));
+    if (!result.success) {
+        console.error('Could not restore the scenario:', result.error);
+        return result;
+    }
+    setClockMode(scenario.settings.clockMode || 'realtime');
+    return result;
+}
+
+/**
+ * Run the current scenario many times
+ * Resolves once every run has finished or the batch was cancelled; the
+ * scenario, its history, seed and clock mode are back as they were either way.
+ * @param {Partial<MonteCarloConfig>} [options={}] - Configuration; missing fields use createMonteCarloConfig()
+ * @returns {Promise<{success: boolean, error?: string, cancelled?: boolean, runs?: MonteCarloRun[]}>} Result with the finished runs
+ */
+export async function runMonteCarlo(options = {}) {
+    if (batch || sweepRunning) {
+        return { success: false, error: 'A Monte Carlo batch or sweep is already running' };
+    }
+
+    const config = { ...createMonteCarloConfig(), ...options };
+    const validation = validateMonteCarloConfig(config);
+    if (!validation.isValid) {
+        return { success: false, error: validation.message };
+    }
+    if (state.tokens.length === 0) {
+        return { success: false, error: 'Create a token before running a batch' };
+    }
+
+    batch = {
+        config,
+        scenario: serializeScenario(),
+        tokenNames: Object.fromEntries(state.tokens.map(token => [token.id, token.name])),
+        walletNames: Object.fromEntries(state.wallets.map(wallet => [wallet.id, wallet.name])),
+        cancelled: false
+    };
+    const { tokenNames, walletNames } = batch;
+
+    console.log('Monte Carlo batch started:', { runs: config.runs, duration: config.duration, seed: config.seed });
+    simulationEvents.emit('monteCarlo:started', { config });
+
+    const runs = [];
+    let error = null;
+    try {
+        for (let i = 0; i < config.runs && !batch.cancelled; i++) {
+            const seed = (normalizeSeed(config.seed) + i) >>> 0;
+            const result = await playScenarioRun(batch.scenario, config, seed, () => batch.cancelled);
+            if (!result) break;
+
+            const run = { run: i + 1, ...result };
+            runs.push(run);
+            simulationEvents.emit('monteCarlo:progress', { run, completed: runs.length, total: config.runs });
+        }
+    } catch (runError) {
+        console.error('Error in Monte Carlo batch:', runError);
+        error = runError.message;
+    } finally {
+        const restored = restoreScenario(batch.scenario);
+        if (!restored.success) {
+            error = error || `Could not restore the scenario: ${restored.error}`;
+        }
+    }
+
+    const cancelled = batch.cancelled;
+    batch = null;
+
+    const results = { config, runs, tokenNames, walletNames, cancelled };
+    lastResults = runs.length > 0 ? results : lastResults;
+
+    console.log('Monte Carlo batch finished:', { runs: runs.length, cancelled });
+    simulationEvents.emit('monteCarlo:completed', results);
+    return error ? { success: false, error, cancelled, runs } : { success: true, cancelled, runs };
+}
+
+/**
+ * Stop the batch after the run in progress; that run is dropped
+ */
+export function cancelMonteCarlo() {
+    if (batch) {
+        batch.cancelled = true;
+    }
+}
+
+/**
+ * Check whether a batch is running
+ * @returns {boolean} True while running
+ */
+export function isMonteCarloRunning() {
+    return batch !== null;
+}
+
+/**
+ * Get the last batch's results
+ * @returns {{config: MonteCarloConfig, runs: MonteCarloRun[], tokenNames: Object, walletNames: Object, cancelled: boolean}|null} Results, or null before the first batch
+ */
+export function getMonteCarloResults() {
+    return lastResults;
+}
+
+/**
+ * List the metrics a batch measured, with every run's value
+ * Wallet PnL pools every wallet of every run into one distribution.
+ * @param {{runs: MonteCarloRun[], tokenNames: Object}} [results=lastResults] - Batch results
+ * @returns {{key: string, label: string, values: number[]}[]} Metrics
+ */
+export function getMonteCarloMetrics(results = lastResults) {
+    if (!results) return [];
+    const { runs, tokenNames } = results;
+
+    const metrics = [
+        { key: 'wplsPrice', label: 'WPLS Price' },
+        { key: 'realCapital', label: 'Real Capital' },
+        { key: 'derivedCapital', label: 'Derived Capital' },
+        { key: 'leverageRatio', label: 'Leverage Ratio' },
+        { key: 'maxDrawdown', label: 'Max Drawdown (%)' },
+        { key: 'totalPnl', label: 'Total Wallet PnL' }
+    ].map(metric => ({ ...metric, values: runs.map(run => run[metric.key]) }));
+
+    metrics.push({
+        key: 'walletPnl',
+        label: 'Wallet PnL (per wallet)',
+        values: runs.flatMap(run => Object.values(run.walletPnl))
+    });
+
+    Object.entries(tokenNames).forEach(([tokenId, name]) => {
+        const tokenRuns = runs.filter(run => run.tokens[tokenId]);
+        metrics.push({
+            key: `token:${tokenId}:price`,
+            label: `${name} Price`,
+            values: tokenRuns.map(run => run.tokens[tokenId].price)
+        });
+        metrics.push({
+            key: `token:${tokenId}:maxDrawdown`,
+            label: `${name} Max Drawdown (%)`,
+            values: tokenRuns.map(run => run.tokens[tokenId].maxDrawdown)
+        });
+    });
+
+    return metrics;
+}
+
+/**
+ * Read a percentile off sorted values, interpolating between neighbours
+ * @param {number[]} sorted - Values in ascending order
+ * @param {number} percentile - Percentile (0-100)
+ * @returns {number} Value at the percentile
+ */
+function percentileOf(sorted, percentile) {
+    const position = (sorted.length - 1) * (percentile / 100);
+    const lower = Math.floor(position);
+    const upper = Math.ceil(position);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+/**
+ * Summarize a distribution
+ * @param {number[]} values - Values
+ * @returns {MetricSummary|null} Summary, or null without values
+ */
+export function summarizeValues(values) {
+    const finite = values.filter(Number.isFinite);
+    if (finite.length === 0) return null;
+
+    const sorted = [...finite].sort((a, b) => a - b);
+    const mean = sorted.reduce((sum, value) => sum + value, 0) / sorted.length;
+    const variance = sorted.reduce((sum, value) => sum + (value - mean) ** 2, 0) / sorted.length;
+
+    const percentiles = {};
+    PERCENTILES.forEach(percentile => {
+        percentiles[percentile] = percentileOf(sorted, percentile);
+    });
+
+    return {
+        count: sorted.length,
+        mean,
+        stdDev: Math.sqrt(variance),
+        min: sorted[0],
+        max: sorted[sorted.length - 1],
+        percentiles
+    };
+}
+
+/**
+ * Count values into equal-width bins between the smallest and largest value
+ * @param {number[]} values - Values
+ * @param {number} [bins=HISTOGRAM_BINS] - Number of bins
+ * @returns {{from: number, to: number, count: number}[]} Bins in ascending order (empty without values)
+ */
+export function buildHistogram(values, bins = HISTOGRAM_BINS) {
+    const finite = values.filter(Number.isFinite);
+    if (finite.length === 0) return [];
+
+    const min = Math.min(...finite);
+    const max = Math.max(...finite);
+    // Every run landing on the same value still makes one bar
+    const width = max > min ? (max - min) / bins : 1;
+    const count = max > min ? bins : 1;
+
+    const histogram = Array.from({ length: count }, (_, index) => ({
+        from: min + width * index,
+        to: min + width * (index + 1),
+        count: 0
+    }));
+    finite.forEach(value => {
+        const index = Math.min(count - 1, Math.floor((value - min) / width));
+        histogram[index].count++;
+    });
+
+    return histogram;
+}
+
+/**
+ * Export a batch as CSV, one row per run with a price and drawdown column per token
+ * @param {{runs: MonteCarloRun[], tokenNames: Object}} [results=lastResults] - Batch results
+ * @returns {string} CSV text (empty before the first batch)
+ */
+export function exportMonteCarloCSV(results = lastResults) {
+    if (!results) return '';
+    const { runs, tokenNames } = results;
+
+    const fields = ['run', 'seed', 'wplsPrice', 'realCapital', 'derivedCapital', 'leverageRatio', 'maxDrawdown', 'totalPnl'];
+    const tokenIds = Object.keys(tokenNames);
+    const header = [
+        ...fields,
+        ...tokenIds.flatMap(tokenId => [`${tokenNames[tokenId]} price`, `${tokenNames[tokenId]} maxDrawdown`])
+    ];
+
+    const rows = runs.map(run => [
+        ...fields.map(field => run[field]),
+        ...tokenIds.flatMap(tokenId => [run.tokens[tokenId]?.price, run.tokens[tokenId]?.maxDrawdown])
+    ].map(toCsvCell).join(','));
+
+    return [header.map(toCsvCell).join(','), ...rows].join('\n');
+}
+
+/**
+ * Export a batch as a plain object: the configuration, every run and each metric's summary
+ * @param {Object} [results=lastResults] - Batch results
+ * @returns {Object|null} JSON-safe batch (null before the first batch)
+ */
+export function exportMonteCarloJSON(results = lastResults) {
+    if (!results) return null;
+
+    const summaries = {};
+    getMonteCarloMetrics(results).forEach(metric => {
+        summaries[metric.key] = { label: metric.label, ...summarizeValues(metric.values) };
+    });
+
+    return {
+        config: results.config,
+        tokens: results.tokenNames,
+        wallets: results.walletNames,
+        cancelled: results.cancelled,
+        summaries,
+        runs: results.runs
+    };
+}
+
+simulationEvents.on('sweep:started', () => {
+    sweepRunning = true;
+});
+simulationEvents.on('sweep:completed', () => {
+    sweepRunning = false;
+});
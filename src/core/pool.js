@@ -0,0 +1,530 @@
+/**
+ * @fileoverview Pool module: constant product (x * y = k) pools keyed by two assets
+ * An asset is 'USD', 'WPLS' or a token ID. A token can sit in any number of pools,
+ * and together the pools form the pair graph used for pricing and routing.
+ * Concentrated liquidity pools (concentratedPool.js) extend Pool with price ranges.
+ * Swaps and liquidity changes emit 'pool:updated'; swap fees also emit 'pool:feeAccrued'.
+ */
+
+import Decimal from './decimal.js';
+import { state } from './state.js';
+import { simulationEvents } from './events.js';
+import { now } from './clock.js';
+
+/**
+ * Assets that are real capital rather than tokens
+ * @type {string[]}
+ */
+export const BASE_ASSETS = ['USD', 'WPLS'];
+
+/**
+ * Default swap fee for new pools (%)
+ * @type {number}
+ */
+export const DEFAULT_POOL_FEE = 0.3;
+
+/**
+ * Simulated milliseconds in a year, for fee APR
+ * @type {number}
+ */
+const YEAR_MS = 365 * 24 * 60 * 60 * 1000;
+
+/**
+ * @typedef {string|number} Asset - 'USD', 'WPLS' or a token ID
+ */
+
+/**
+ * @typedef {Object} SwapQuote
+ * @property {Decimal} amountOut - Amount of the other asset received
+ * @property {Decimal} priceImpact - Change of the output asset's price in the input asset (%)
+ * @property {Decimal} fee - Part of the input taken as the swap fee (0 in ideal mode)
+ */
+
+/**
+ * Normalize an asset identifier (token IDs from inputs arrive as strings)
+ * @param {Asset} asset - Asset identifier
+ * @returns {Asset} 'USD', 'WPLS' or a numeric token ID
+ */
+export function normalizeAsset(asset) {
+    return BASE_ASSETS.includes(asset) ? asset : parseInt(asset);
+}
+
+/**
+ * Check whether an asset is USD or WPLS
+ * @param {Asset} asset - Asset identifier
+ * @returns {boolean} True for base assets
+ */
+export function isBaseAsset(asset) {
+    return BASE_ASSETS.includes(asset);
+}
+
+/**
+ * Order two assets: tokens first by ID, then USD and WPLS
+ * @param {Asset} a - First asset
+ * @param {Asset} b - Second asset
+ * @returns {number} Sort order
+ */
+function compareAssets(a, b) {
+    if (typeof a === 'number' && typeof b === 'number') return a - b;
+    if (typeof a === 'number') return -1;
+    if (typeof b === 'number') return 1;
+    return a < b ? -1 : a > b ? 1 : 0;
+}
+
+/**
+ * Build the key identifying the pool of two assets (order does not matter)
+ * @param {Asset} a - First asset
+ * @param {Asset} b - Second asset
+ * @returns {string} Pool key, e.g. '1-WPLS' or '1-2'
+ */
+export function poolKey(a, b) {
+    return [normalizeAsset(a), normalizeAsset(b)].sort(compareAssets).join('-');
+}
+
+/**
+ * Class representing a two-asset AMM pool
+ */
+export class Pool {
+    /**
+     * Create a new Pool instance
+     * @param {Object} options - Pool options
+     * @param {Asset} options.assetA - First asset
+     * @param {Asset} options.assetB - Second asset
+     * @param {number} [options.feePercent=DEFAULT_POOL_FEE] - Swap fee (%)
+     */
+    constructor({ assetA, assetB, feePercent = DEFAULT_POOL_FEE }) {
+        const [first, second] = [normalizeAsset(assetA), normalizeAsset(assetB)].sort(compareAssets);
+
+        if (first === second) {
+            throw new Error('A pool needs two different assets');
+        }
+
+        this.id = poolKey(first, second);
+        this.type = 'constant-product';
+        this.assetA = first;
+        this.assetB = second;
+        this.reserveA = new Decimal(0);
+        this.reserveB = new Decimal(0);
+        this.k = new Decimal(0);  // Constant product invariant (x * y = k)
+        this.lpTotalSupply = new Decimal(0);
+        this.feePercent = feePercent;
+
+        // Swap fees: the LP part stays in the reserves (k grows), the protocol part goes to the treasury
+        this.feesA = new Decimal(0);
+        this.feesB = new Decimal(0);
+        this.protocolFeesA = new Decimal(0);
+        this.protocolFeesB = new Decimal(0);
+        this.openedAt = 0;  // Simulated time the first liquidity was added
+    }
+
+    /**
+     * Check whether the pool contains an asset
+     * @param {Asset} asset - Asset identifier
+     * @returns {boolean} True if the asset is one side of the pool
+     */
+    hasAsset(asset) {
+        const normalized = normalizeAsset(asset);
+        return this.assetA === normalized || this.assetB === normalized;
+    }
+
+    /**
+     * Get the asset on the other side of the pool
+     * @param {Asset} asset - One side of the pool
+     * @returns {Asset} The other side
+     */
+    otherAsset(asset) {
+        return this.assetA === normalizeAsset(asset) ? this.assetB : this.assetA;
+    }
+
+    /**
+     * Get the reserve of one side
+     * @param {Asset} asset - Side of the pool
+     * @returns {Decimal} Reserve (0 if the asset is not in the pool)
+     */
+    getReserve(asset) {
+        const normalized = normalizeAsset(asset);
+        if (this.assetA === normalized) return this.reserveA;
+        if (this.assetB === normalized) return this.reserveB;
+        return new Decimal(0);
+    }
+
+    /**
+     * Set the reserve of one side and refresh k
+     * @param {Asset} asset - Side of the pool
+     * @param {Decimal} amount - New reserve
+     */
+    setReserve(asset, amount) {
+        if (this.assetA === normalizeAsset(asset)) {
+            this.reserveA = amount;
+        } else {
+            this.reserveB = amount;
+        }
+        this.k = this.reserveA.times(this.reserveB);
+    }
+
+    /**
+     * Copy the pool for what-if quotes
+     * The copy is not registered in state.pools and its changes emit no events.
+     * @returns {Pool} Detached copy
+     */
+    clone() {
+        const copy = new Pool({ assetA: this.assetA, assetB: this.assetB, feePercent: this.feePercent });
+        copy.reserveA = this.reserveA;
+        copy.reserveB = this.reserveB;
+        copy.k = this.k;
+        copy.lpTotalSupply = this.lpTotalSupply;
+        copy.openedAt = this.openedAt;
+        return copy;
+    }
+
+    /**
+     * Check whether both sides hold liquidity
+     * @returns {boolean} True if the pool can be traded
+     */
+    hasLiquidity() {
+        return !this.reserveA.isZero() && !this.reserveB.isZero();
+    }
+
+    /**
+     * Get the spot price of an asset in units of the other side
+     * @param {Asset} asset - Asset to price
+     * @returns {Decimal} Price (0 without liquidity)
+     */
+    getSpotPrice(asset) {
+        if (!this.hasLiquidity()) {
+            return new Decimal(0);
+        }
+        return this.getReserve(this.otherAsset(asset)).dividedBy(this.getReserve(asset));
+    }
+
+    /**
+     * Quote a swap without modifying the pool
+     * @param {Asset} assetIn - Asset paid into the pool
+     * @param {string|number|Decimal} amountIn - Amount paid
+     * @param {Object} [options={}] - Quote options
+     * @param {boolean} [options.applySlippage=true] - Use the constant product curve and fee;
+     *   false fills the whole amount at the spot price
+     * @returns {SwapQuote|null} Quote, or null without enough liquidity
+     */
+    quote(assetIn, amountIn, { applySlippage = true } = {}) {
+        const input = new Decimal(amountIn);
+
+        if (!this.hasLiquidity() || !this.hasAsset(assetIn)) {
+            return null;
+        }
+
+        const reserveIn = this.getReserve(assetIn);
+        const reserveOut = this.getReserve(this.otherAsset(assetIn));
+
+        if (!applySlippage) {
+            // Ideal mode: no slippage and no price impact
+            const amountOut = input.times(reserveOut).dividedBy(reserveIn);
+            return amountOut.gte(reserveOut) ? null : { amountOut, priceImpact: new Decimal(0), fee: new Decimal(0) };
+        }
+
+        // Δy = (y × Δx) / (x + Δx), with the fee taken from Δx
+        const fee = input.times(this.feePercent).dividedBy(100);
+        const inputWithFee = input.minus(fee);
+        const amountOut = reserveOut.times(inputWithFee).dividedBy(reserveIn.plus(inputWithFee));
+
+        if (amountOut.gte(reserveOut)) {
+            return null;
+        }
+
+        // Price of the output asset, before and after
+        const priceBefore = reserveIn.dividedBy(reserveOut);
+        const priceAfter = reserveIn.plus(input).dividedBy(reserveOut.minus(amountOut));
+        const priceImpact = priceAfter.minus(priceBefore).dividedBy(priceBefore).times(100);
+
+        return { amountOut, priceImpact, fee };
+    }
+
+    /**
+     * Get the part of a swap fee owed to the treasury
+     * @param {Decimal} fee - Swap fee
+     * @returns {Decimal} Protocol fee (0 without a treasury wallet)
+     */
+    getProtocolFee(fee) {
+        if (state.treasuryWalletId === null || !state.protocolFeeShare) {
+            return new Decimal(0);
+        }
+        return new Decimal(fee).times(state.protocolFeeShare).dividedBy(100);
+    }
+
+    /**
+     * Move reserves for a swap without bookkeeping or events (also used on what-if copies)
+     * The input stays in the pool except the protocol fee, so the LP fee grows k.
+     * @param {Asset} assetIn - Asset paid into the pool
+     * @param {Decimal} amountIn - Amount paid in
+     * @param {Decimal} amountOut - Amount of the other asset taken out
+     * @param {Decimal} [fee=0] - Part of amountIn taken as the swap fee
+     * @returns {Decimal} Protocol fee taken out of the pool
+     */
+    moveReserves(assetIn, amountIn, amountOut, fee = new Decimal(0)) {
+        const assetOut = this.otherAsset(assetIn);
+        const protocolFee = this.getProtocolFee(fee);
+        this.setReserve(assetIn, this.getReserve(assetIn).plus(amountIn).minus(protocolFee));
+        this.setReserve(assetOut, this.getReserve(assetOut).minus(amountOut));
+        return protocolFee;
+    }
+
+    /**
+     * Move reserves for a swap whose amounts are already known
+     * The LP part of the fee stays in the pool; the protocol part is paid to the treasury wallet.
+     * @param {Asset} assetIn - Asset paid into the pool
+     * @param {Decimal} amountIn - Amount paid in
+     * @param {Decimal} amountOut - Amount of the other asset taken out
+     * @param {Decimal} [fee=0] - Part of amountIn taken as the swap fee (SwapQuote.fee)
+     */
+    applySwap(assetIn, amountIn, amountOut, fee = new Decimal(0)) {
+        const protocolFee = this.moveReserves(assetIn, amountIn, amountOut, fee);
+
+        if (fee.gt(0)) {
+            const lpFee = fee.minus(protocolFee);
+            const isA = this.assetA === normalizeAsset(assetIn);
+            if (isA) {
+                this.feesA = this.feesA.plus(lpFee);
+                this.protocolFeesA = this.protocolFeesA.plus(protocolFee);
+            } else {
+                this.feesB = this.feesB.plus(lpFee);
+                this.protocolFeesB = this.protocolFeesB.plus(protocolFee);
+            }
+
+            if (protocolFee.gt(0)) {
+                payTreasury(normalizeAsset(assetIn), protocolFee);
+            }
+
+            simulationEvents.emit('pool:feeAccrued', { pool: this, asset: normalizeAsset(assetIn), lpFee, protocolFee });
+        }
+
+        simulationEvents.emit('pool:updated', { pool: this });
+    }
+
+    /**
+     * Set the swap fee
+     * @param {number|string} feePercent - Fee (%)
+     * @returns {{success: boolean, error?: string}} Result
+     */
+    setFeePercent(feePercent) {
+        const value = Number(feePercent);
+        if (!Number.isFinite(value) || value < 0 || value >= 100) {
+            return { success: false, error: 'Swap fee must be between 0% and 100%' };
+        }
+
+        this.feePercent = value;
+        simulationEvents.emit('pool:updated', { pool: this });
+        return { success: true };
+    }
+
+    /**
+     * USD value of the LP fees earned since the pool opened, at current prices
+     * @returns {Decimal} Fees earned in USD
+     */
+    getFeesEarnedUSD() {
+        return this.feesA.times(getAssetPriceUSD(this.assetA))
+            .plus(this.feesB.times(getAssetPriceUSD(this.assetB)));
+    }
+
+    /**
+     * USD value of both reserves
+     * @returns {Decimal} Liquidity in USD
+     */
+    getLiquidityUSD() {
+        return this.reserveA.times(getAssetPriceUSD(this.assetA))
+            .plus(this.reserveB.times(getAssetPriceUSD(this.assetB)));
+    }
+
+    /**
+     * Annualized LP fee return: fees earned over the pool's value, scaled to a year of simulated time
+     * @returns {Decimal} Fee APR (%)
+     */
+    getFeeAPR() {
+        const elapsed = now() - this.openedAt;
+        const liquidity = this.getLiquidityUSD();
+        if (elapsed <= 0 || liquidity.isZero()) {
+            return new Decimal(0);
+        }
+        return this.getFeesEarnedUSD().dividedBy(liquidity).times(YEAR_MS / elapsed).times(100);
+    }
+
+    /**
+     * Virtual over real liquidity at the current price
+     * Always 1 for a constant product pool; concentrated pools trade deeper.
+     * @returns {Decimal} Capital efficiency (0 without liquidity)
+     */
+    getCapitalEfficiency() {
+        return new Decimal(this.hasLiquidity() ? 1 : 0);
+    }
+
+    /**
+     * Swap an amount of one asset for the other
+     * @param {Asset} assetIn - Asset paid into the pool
+     * @param {string|number|Decimal} amountIn - Amount paid
+     * @param {Object} [options={}] - Same options as quote()
+     * @returns {{success: boolean, error?: string, amountOut?: Decimal, priceImpact?: Decimal}} Result of the swap
+     */
+    swap(assetIn, amountIn, options = {}) {
+        const input = new Decimal(amountIn);
+
+        if (input.lte(0)) {
+            return { success: false, error: 'Amount must be positive' };
+        }
+
+        if (!this.hasLiquidity()) {
+            return { success: false, error: 'No liquidity in pool' };
+        }
+
+        const result = this.quote(assetIn, input, options);
+        if (!result) {
+            return { success: false, error: 'Insufficient liquidity for this trade' };
+        }
+
+        this.applySwap(assetIn, input, result.amountOut, result.fee);
+
+        return { success: true, amountOut: result.amountOut, priceImpact: result.priceImpact, fee: result.fee };
+    }
+
+    /**
+     * Add reserves without minting LP tokens (fees paid to existing holders)
+     * @param {Asset} asset - First side
+     * @param {Decimal} amount - Amount of the first side
+     * @param {Decimal} otherAmount - Amount of the other side
+     */
+    addReserves(asset, amount, otherAmount) {
+        this.setReserve(asset, this.getReserve(asset).plus(amount));
+        this.setReserve(this.otherAsset(asset), this.getReserve(this.otherAsset(asset)).plus(otherAmount));
+
+        simulationEvents.emit('pool:updated', { pool: this });
+    }
+
+    /**
+     * Deposit both sides and mint LP tokens
+     * Ratio and balance checks are the caller's job.
+     * @param {Asset} asset - First side
+     * @param {Decimal} amount - Amount of the first side
+     * @param {Decimal} otherAmount - Amount of the other side
+     * @returns {Decimal} LP tokens minted
+     */
+    mint(asset, amount, otherAmount) {
+        const reserve = this.getReserve(asset);
+
+        // Initial liquidity: sqrt(x * y); afterwards proportional to the existing pool
+        const isFirstDeposit = this.lpTotalSupply.isZero() || reserve.isZero();
+        const lpMinted = isFirstDeposit
+            ? amount.times(otherAmount).sqrt()
+            : this.lpTotalSupply.times(amount.dividedBy(reserve));
+
+        if (isFirstDeposit) {
+            this.openedAt = now();
+        }
+
+        this.addReserves(asset, amount, otherAmount);
+        this.lpTotalSupply = this.lpTotalSupply.plus(lpMinted);
+
+        return lpMinted;
+    }
+
+    /**
+     * Burn LP tokens and take both sides out pro-rata
+     * @param {Decimal} lpAmount - LP tokens to burn
+     * @returns {{share: Decimal, amountA: Decimal, amountB: Decimal}} Share burned and amounts withdrawn
+     */
+    burn(lpAmount) {
+        // Rounding can leave the last holder a hair above the supply; treat that as everything
+        const isFullWithdrawal = lpAmount.gte(this.lpTotalSupply);
+        const share = isFullWithdrawal ? new Decimal(1) : lpAmount.dividedBy(this.lpTotalSupply);
+        const amountA = isFullWithdrawal ? this.reserveA : this.reserveA.times(share);
+        const amountB = isFullWithdrawal ? this.reserveB : this.reserveB.times(share);
+
+        this.lpTotalSupply = isFullWithdrawal ? new Decimal(0) : this.lpTotalSupply.minus(lpAmount);
+        this.setReserve(this.assetA, this.reserveA.minus(amountA));
+        this.setReserve(this.assetB, this.reserveB.minus(amountB));
+
+        simulationEvents.emit('pool:updated', { pool: this });
+
+        return { share, amountA, amountB };
+    }
+}
+
+/**
+ * Get the USD price of a pool asset
+ * @param {Asset} asset - 'USD', 'WPLS' or a token ID
+ * @param {Set<number>} [visited=new Set()] - Tokens already on the pricing path, when called while pricing a token
+ * @returns {Decimal} USD price (0 for an unknown token)
+ */
+export function getAssetPriceUSD(asset, visited = new Set()) {
+    if (asset === 'USD') return new Decimal(1);
+    if (asset === 'WPLS') return state.plsPrice;
+    const token = state.tokens.find(t => t.id === asset);
+    return token ? token.calculateTokenPriceUSD(visited) : new Decimal(0);
+}
+
+/**
+ * Pay a protocol fee to the treasury wallet
+ * @param {Asset} asset - Asset the fee was paid in
+ * @param {Decimal} amount - Fee amount
+ */
+function payTreasury(asset, amount) {
+    const treasury = state.wallets.find(w => w.id === state.treasuryWalletId);
+    if (!treasury) return;
+
+    if (asset === 'USD') {
+        treasury.addUSD(amount);
+    } else if (asset === 'WPLS') {
+        treasury.addPLS(amount);
+    } else {
+        treasury.addTokenBalance(asset, amount);
+    }
+}
+
+/**
+ * Get the pool of two assets
+ * @param {Asset} a - First asset
+ * @param {Asset} b - Second asset
+ * @returns {Pool|null} Pool or null if none exists
+ */
+export function getPool(a, b) {
+    const key = poolKey(a, b);
+    return state.pools.find(p => p.id === key) || null;
+}
+
+/**
+ * Get the pool of two assets, creating and registering it if needed
+ * An existing pool is returned whatever its class.
+ * @param {Asset} a - First asset
+ * @param {Asset} b - Second asset
+ * @param {typeof Pool} [PoolClass=Pool] - Class of a new pool (see POOL_TYPES in poolTypes.js)
+ * @param {Object} [options={}] - Further constructor options of a new pool, e.g. a StablePool's amplification
+ * @returns {Pool} Pool instance
+ */
+export function getOrCreatePool(a, b, PoolClass = Pool, options = {}) {
+    let pool = getPool(a, b);
+    if (!pool) {
+        pool = new PoolClass({ ...options, assetA: a, assetB: b });
+        state.pools.push(pool);
+        console.log(`Pool ${pool.id} created`);
+        simulationEvents.emit('pool:created', { pool });
+    }
+    return pool;
+}
+
+/**
+ * Get every pool that contains an asset
+ * @param {Asset} asset - Asset identifier
+ * @param {boolean} [liquidOnly=false] - Skip pools without liquidity
+ * @returns {Pool[]} Pools containing the asset
+ */
+export function getPoolsForAsset(asset, liquidOnly = false) {
+    return state.pools.filter(p => p.hasAsset(asset) && (!liquidOnly || p.hasLiquidity()));
+}
+
+/**
+ * Get a display name for an asset
+ * @param {Asset} asset - Asset identifier
+ * @returns {string} 'USD', 'WPLS' or the token name
+ */
+export function getAssetName(asset) {
+    if (isBaseAsset(asset)) return asset;
+    const token = state.tokens.find(t => t.id === asset);
+    return token ? token.name : `Token ${asset}`;
+}
@@ -0,0 +1,28 @@
+/**
+ * @fileoverview Pool classes by type name
+ * Pools record their type ('constant-product', 'concentrated' or 'stable') so
+ * new pools and loaded scenarios can be built with the right class.
+ */
+
+import { Pool } from './pool.js';
+import { ConcentratedPool } from './concentratedPool.js';
+import { StablePool } from './stablePool.js';
+
+/**
+ * Pool class for each type name
+ * @type {Object<string, typeof Pool>}
+ */
+export const POOL_TYPES = {
+    'constant-product': Pool,
+    concentrated: ConcentratedPool,
+    stable: StablePool
+};
+
+/**
+ * Get the class of a pool type
+ * @param {string} [type] - Type name; missing in scenarios saved before pool types existed
+ * @returns {typeof Pool} Pool class (Pool for unknown types)
+ */
+export function getPoolClass(type) {
+    return POOL_TYPES[type] || Pool;
+}
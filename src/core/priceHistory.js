@@ -0,0 +1,264 @@
+/**
+ * @fileoverview Price history time series for every token
+ * A snapshot of each token (price, reserves, k, market cap, liquidity) is taken
+ * whenever updateAllTokenPrices finishes, when liquidity changes, when the WPLS
+ * price moves, and on a fixed tick of simulated time. Because prices only change
+ * on those events, tick points are filled in with the last values when the next
+ * snapshot is taken or the history is read; no timer is needed, so fast-forward
+ * runs are not slowed down by it.
+ *
+ * The history listens to simulationEvents as soon as this module is imported.
+ * Scenarios carry it in their history; older scenarios start over from their prices.
+ */
+
+import Decimal from './decimal.js';
+import { state } from './state.js';
+import { simulationEvents } from './events.js';
+import { now } from './clock.js';
+
+/**
+ * Simulated milliseconds between tick points
+ * @type {number}
+ */
+export const PRICE_HISTORY_TICK_MS = 1000;
+
+/**
+ * Most points kept per token; the oldest are dropped first
+ * @type {number}
+ */
+export const MAX_HISTORY_POINTS = 5000;
+
+/**
+ * Fields of a point that can be charted
+ * @type {string[]}
+ */
+export const PRICE_HISTORY_FIELDS = ['price', 'marketCap', 'liquidity', 'k', 'tokenReserve', 'pairReserve'];
+
+/**
+ * @typedef {Object} PricePoint
+ * @property {number} time - Simulated milliseconds since the run started
+ * @property {number} txNumber - Trades recorded so far
+ * @property {string} reason - 'update', 'liquidity', 'wpls' or 'tick'
+ * @property {Decimal} price - USD price
+ * @property {Decimal} tokenReserve - Token reserve in the selected pool
+ * @property {Decimal} pairReserve - Pair reserve in the selected pool
+ * @property {Decimal} k - Constant product of the selected pool
+ * @property {Decimal} marketCap - Price times total supply
+ * @property {Decimal} liquidity - USD value of both sides of every pool the token is in
+ */
+
+/**
+ * @typedef {Object} Candle
+ * @property {number} time - Start of the bucket (simulated ms)
+ * @property {number} open - First value in the bucket
+ * @property {number} high - Highest value in the bucket
+ * @property {number} low - Lowest value in the bucket
+ * @property {number} close - Last value in the bucket
+ */
+
+// Token ID -> points, oldest first
+let series = new Map();
+
+// Simulated time of the last tick point
+let lastTickTime = 0;
+
+/**
+ * Take a snapshot of one token
+ * @param {Token} token - Token to snapshot
+ * @param {number} time - Simulated time
+ * @param {string} reason - Why the snapshot is taken
+ * @returns {PricePoint} Snapshot
+ */
+function snapshotToken(token, time, reason) {
+    const price = token.calculateTokenPriceUSD();
+
+    const liquidity = token.getPools(true).reduce((total, pool) => total.plus(pool.getLiquidityUSD()), new Decimal(0));
+
+    return {
+        time,
+        txNumber: state.currentTxNumber,
+        reason,
+        price,
+        tokenReserve: token.tokenReserve,
+        pairReserve: token.pairReserve,
+        k: token.k,
+        marketCap: price.times(token.totalSupply),
+        liquidity
+    };
+}
+
+/**
+ * Append a point, dropping the oldest once the series is full
+ * @param {number} tokenId - Token ID
+ * @param {PricePoint} point - Point to append
+ */
+function pushPoint(tokenId, point) {
+    if (!series.has(tokenId)) {
+        series.set(tokenId, []);
+    }
+    const points = series.get(tokenId);
+    points.push(point);
+    if (points.length > MAX_HISTORY_POINTS) {
+        points.splice(0, points.length - MAX_HISTORY_POINTS);
+    }
+}
+
+/**
+ * Fill in tick points up to a simulated time with each token's last values
+ * @param {number} time - Simulated time to catch up to
+ */
+function catchUpTicks(time) {
+    const ticks = Math.floor((time - lastTickTime) / PRICE_HISTORY_TICK_MS);
+    if (ticks <= 0) return;
+
+    // A long quiet stretch only needs as many ticks as the series can hold
+    const firstTick = Math.max(1, ticks - MAX_HISTORY_POINTS + 1);
+    for (let i = firstTick; i <= ticks; i++) {
+        const tickTime = lastTickTime + i * PRICE_HISTORY_TICK_MS;
+        series.forEach((points, tokenId) => {
+            const last = points[points.length - 1];
+            if (last && last.time < tickTime) {
+                pushPoint(tokenId, { ...last, time: tickTime, reason: 'tick' });
+            }
+        });
+    }
+    lastTickTime += ticks * PRICE_HISTORY_TICK_MS;
+}
+
+/**
+ * Take a snapshot of every token
+ * @param {string} [reason='update'] - Why the snapshot is taken
+ */
+export function recordPriceSnapshot(reason = 'update') {
+    const time = now();
+    catchUpTicks(time);
+
+    state.tokens.forEach(token => {
+        pushPoint(token.id, snapshotToken(token, time, reason));
+    });
+
+    simulationEvents.emit('priceHistory:recorded', { time, reason });
+}
+
+/**
+ * Get a token's price history
+ * @param {number} tokenId - Token ID
+ * @param {Object} [range={}] - Time range
+ * @param {number} [range.from=-Infinity] - Earliest simulated time
+ * @param {number} [range.to=Infinity] - Latest simulated time
+ * @returns {PricePoint[]} Points, oldest first
+ */
+export function getPriceHistory(tokenId, { from = -Infinity, to = Infinity } = {}) {
+    catchUpTicks(now());
+    const points = series.get(tokenId) || [];
+    return points.filter(point => point.time >= from && point.time <= to);
+}
+
+/**
+ * Get the IDs of every token with a history
+ * @returns {number[]} Token IDs
+ */
+export function getPriceHistoryTokenIds() {
+    return Array.from(series.keys());
+}
+
+/**
+ * Group a token's history into candles
+ * @param {number} tokenId - Token ID
+ * @param {number} bucketMs - Simulated milliseconds per candle
+ * @param {Object} [options={}] - Candle options
+ * @param {string} [options.field='price'] - Field to chart (see PRICE_HISTORY_FIELDS)
+ * @param {number} [options.from=-Infinity] - Earliest simulated time
+ * @param {number} [options.to=Infinity] - Latest simulated time
+ * @returns {Candle[]} Candles, oldest first
+ */
+export function getCandles(tokenId, bucketMs, { field = 'price', from = -Infinity, to = Infinity } = {}) {
+    const candles = [];
+    let current = null;
+
+    getPriceHistory(tokenId, { from, to }).forEach(point => {
+        const value = point[field].toNumber();
+        const bucketStart = Math.floor(point.time / bucketMs) * bucketMs;
+
+        if (!current || current.time !== bucketStart) {
+            // Open where the previous candle closed so gaps between candles show
+            const open = current ? current.close : value;
+            current = { time: bucketStart, open, high: Math.max(open, value), low: Math.min(open, value), close: value };
+            candles.push(current);
+        } else {
+            current.high = Math.max(current.high, value);
+            current.low = Math.min(current.low, value);
+            current.close = value;
+        }
+    });
+
+    return candles;
+}
+
+/**
+ * Forget the whole history
+ */
+export function clearPriceHistory() {
+    series = new Map();
+    lastTickTime = now();
+    simulationEvents.emit('priceHistory:cleared');
+}
+
+/**
+ * Start over from a snapshot of the current prices
+ */
+function restartHistory() {
+    clearPriceHistory();
+    recordPriceSnapshot();
+}
+
+/**
+ * Export the history as plain JSON (Decimals become strings)
+ * @returns {{lastTickTime: number, series: Array<[number, Object[]]>}} JSON-safe history
+ */
+export function exportPriceHistory() {
+    catchUpTicks(now());
+    const plainSeries = Array.from(series.entries()).map(([tokenId, points]) => [
+        tokenId,
+        points.map(point => {
+            const plain = { ...point };
+            PRICE_HISTORY_FIELDS.forEach(field => {
+                plain[field] = point[field].toString();
+            });
+            return plain;
+        })
+    ]);
+    return { lastTickTime, series: plainSeries };
+}
+
+/**
+ * Replace the history with an exported one, e.g. the history saved with a scenario
+ * @param {{lastTickTime: number, series: Array<[number, Object[]]>}} data - History as returned by exportPriceHistory
+ */
+export function restorePriceHistory(data) {
+    clearPriceHistory();
+    data.series.forEach(([tokenId, points]) => {
+        series.set(tokenId, points.map(plain => {
+            const point = { ...plain };
+            PRICE_HISTORY_FIELDS.forEach(field => {
+                point[field] = new Decimal(plain[field]);
+            });
+            return point;
+        }));
+    });
+    lastTickTime = data.lastTickTime;
+}
+
+simulationEvents.on('prices:updated', () => recordPriceSnapshot('update'));
+simulationEvents.on('liquidity:added', () => recordPriceSnapshot('liquidity'));
+simulationEvents.on('liquidity:removed', () => recordPriceSnapshot('liquidity'));
+simulationEvents.on('wpls:priceChanged', () => recordPriceSnapshot('wpls'));
+simulationEvents.on('transactions:reset', restartHistory);
+simulationEvents.on('state:reset', clearPriceHistory);
+simulationEvents.on('scenario:loaded', ({ scenario }) => {
+    if (scenario.history?.priceHistory) {
+        restorePriceHistory(scenario.history.priceHistory);
+    } else {
+        restartHistory();
+    }
+});
@@ -0,0 +1,249 @@
+/**
+ * @fileoverview Stochastic processes for the WPLS price
+ * While state.plsPriceProcess.enabled is set, the WPLS price takes a step every
+ * `interval` simulated seconds through setPlsPrice, so every token priced through
+ * WPLS, the capital dashboard and the arbitrage agent react as it moves:
+ * - 'gbm': geometric Brownian motion with `drift` and `volatility`
+ * - 'jump-diffusion': GBM plus jumps (Merton); on average `jumpIntensity` jumps per
+ *   hour, each a log move of `jumpMean` ± `jumpVolatility` %. The drift is compensated
+ *   for the jumps, so it stays the expected return
+ * - 'regime-switching': GBM whose drift and volatility come from the current market
+ *   regime (bull, bear or crab); the regime changes `switchRate` times per hour on average
+ * Drift is in % per simulated hour and volatility in % per square root of an hour.
+ * Every draw goes through random(), so a seeded run moves the same way.
+ */
+
+import { state, setPlsPrice } from './state.js';
+import { simulationEvents } from './events.js';
+import { random, randomInt, randomNormal } from './random.js';
+import { schedule, cancelTimer } from './clock.js';
+
+/**
+ * Price processes
+ * @type {string[]}
+ */
+export const PRICE_PROCESSES = ['gbm', 'jump-diffusion', 'regime-switching'];
+
+/**
+ * Market regimes of the regime-switching process
+ * @type {string[]}
+ */
+export const MARKET_REGIMES = ['bull', 'bear', 'crab'];
+
+/**
+ * Simulated milliseconds in the hour drift and volatility are quoted per
+ * @type {number}
+ */
+const MS_PER_HOUR = 3600000;
+
+/**
+ * @typedef {Object} PriceProcessSettings
+ * @property {boolean} enabled - Whether the process moves the price
+ * @property {string} process - One of PRICE_PROCESSES
+ * @property {number} interval - Simulated seconds between steps
+ * @property {number} drift - Expected return (% per hour)
+ * @property {number} volatility - Volatility (% per square root of an hour)
+ * @property {number} jumpIntensity - jump-diffusion: average jumps per hour
+ * @property {number} jumpMean - jump-diffusion: average log jump (%)
+ * @property {number} jumpVolatility - jump-diffusion: spread of the log jumps (%)
+ * @property {number} switchRate - regime-switching: average regime changes per hour
+ * @property {string} regime - regime-switching: current regime
+ * @property {Object<string, {drift: number, volatility: number}>} regimes - regime-switching: drift and volatility per regime
+ */
+
+// Pending step timer while the process runs
+let stepTimer = null;
+
+/**
+ * Check price process settings
+ * @param {PriceProcessSettings} settings - Settings
+ * @returns {{isValid: boolean, message?: string}} Validation result
+ */
+export function validatePriceProcess(settings) {
+    const isNumber = value => Number.isFinite(Number(value));
+    const isNonNegative = value => isNumber(value) && Number(value) >= 0;
+
+    if (!PRICE_PROCESSES.includes(settings.process)) {
+        return { isValid: false, message: `Unknown price process: ${settings.process}` };
+    }
+    if (!(Number(settings.interval) > 0)) {
+        return { isValid: false, message: 'Step interval must be positive' };
+    }
+    if (!isNumber(settings.drift) || !isNonNegative(settings.volatility)) {
+        return { isValid: false, message: 'Drift must be a number and volatility cannot be negative' };
+    }
+    if (!isNonNegative(settings.jumpIntensity) || !isNumber(settings.jumpMean) || !isNonNegative(settings.jumpVolatility)) {
+        return { isValid: false, message: 'Jump intensity and jump volatility cannot be negative' };
+    }
+    if (!isNonNegative(settings.switchRate)) {
+        return { isValid: false, message: 'Regime switch rate cannot be negative' };
+    }
+    if (!MARKET_REGIMES.includes(settings.regime)) {
+        return { isValid: false, message: `Unknown market regime: ${settings.regime}` };
+    }
+    for (const regime of MARKET_REGIMES) {
+        const params = settings.regimes?.[regime];
+        if (!params || !isNumber(params.drift) || !isNonNegative(params.volatility)) {
+            return { isValid: false, message: `The ${regime} regime needs a drift and a volatility of 0 or more` };
+        }
+    }
+    return { isValid: true };
+}
+
+/**
+ * Get the drift and volatility the next step uses
+ * @param {PriceProcessSettings} [settings=state.plsPriceProcess] - Settings
+ * @returns {{drift: number, volatility: number}} Drift (% per hour) and volatility (% per square root of an hour)
+ */
+export function getProcessParameters(settings = state.plsPriceProcess) {
+    const params = settings.process === 'regime-switching' ? settings.regimes[settings.regime] : settings;
+    return { drift: Number(params.drift), volatility: Number(params.volatility) };
+}
+
+/**
+ * Move the regime on, with the chance of a switch over dt
+ * @param {PriceProcessSettings} settings - Settings
+ * @param {number} dt - Step length in hours
+ */
+function maybeSwitchRegime(settings, dt) {
+    if (random() >= 1 - Math.exp(-Number(settings.switchRate) * dt)) return;
+
+    const previous = settings.regime;
+    const others = MARKET_REGIMES.filter(regime => regime !== previous);
+    settings.regime = others[randomInt(others.length)];
+
+    console.log('WPLS market regime changed:', { previous, regime: settings.regime });
+    simulationEvents.emit('wpls:regimeChanged', { regime: settings.regime, previous });
+}
+
+/**
+ * Take one step of the price process
+ * @param {number} [stepMs] - Step length in simulated ms (default: the configured interval)
+ * @returns {{price: Decimal, logReturn: number, jumped: boolean, regime: string|null}} The new price and what moved it
+ */
+export function stepPlsPrice(stepMs = Number(state.plsPriceProcess.interval) * 1000) {
+    const settings = state.plsPriceProcess;
+    const dt = stepMs / MS_PER_HOUR;
+
+    if (settings.process === 'regime-switching') {
+        maybeSwitchRegime(settings, dt);
+    }
+
+    const { drift, volatility } = getProcessParameters(settings);
+    const mu = drift / 100;
+    const sigma = volatility / 100;
+    let logReturn = (mu - sigma * sigma / 2) * dt + sigma * Math.sqrt(dt) * randomNormal();
+
+    let jumped = false;
+    if (settings.process === 'jump-diffusion') {
+        const lambda = Number(settings.jumpIntensity);
+        const jumpMean = Number(settings.jumpMean) / 100;
+        const jumpSigma = Number(settings.jumpVolatility) / 100;
+
+        // Take the jumps' expected move out of the drift
+        logReturn -= lambda * (Math.exp(jumpMean + jumpSigma * jumpSigma / 2) - 1) * dt;
+
+        if (random() < 1 - Math.exp(-lambda * dt)) {
+            logReturn += jumpMean + jumpSigma * randomNormal();
+            jumped = true;
+        }
+    }
+
+    const price = state.plsPrice.times(Math.exp(logReturn));
+    setPlsPrice(price);
+
+    return {
+        price: state.plsPrice,
+        logReturn,
+        jumped,
+        regime: settings.process === 'regime-switching' ? settings.regime : null
+    };
+}
+
+/**
+ * Schedule the next step one interval from now
+ * A background timer: the process alone doesn't keep fast-forward running.
+ */
+function scheduleStep() {
+    stepTimer = schedule(Number(state.plsPriceProcess.interval) * 1000, runStep, { background: true });
+}
+
+/**
+ * Step the price and schedule the next step
+ * Stepping stops while trading is paused and starts again on resume.
+ */
+function runStep() {
+    stepTimer = null;
+    if (!state.plsPriceProcess.enabled || state.isPaused) return;
+
+    stepPlsPrice();
+    scheduleStep();
+}
+
+/**
+ * Start or stop stepping to match state.plsPriceProcess.enabled (and the pause)
+ * Call after changing the setting directly, e.g. after loading a scenario.
+ */
+export function syncPriceProcess() {
+    if (state.plsPriceProcess.enabled && !state.isPaused && stepTimer === null) {
+        scheduleStep();
+    } else if (!state.plsPriceProcess.enabled && stepTimer !== null) {
+        cancelTimer(stepTimer);
+        stepTimer = null;
+    }
+}
+
+/**
+ * Change the price process settings
+ * @param {Partial<PriceProcessSettings>} options - Settings to change; regimes are merged per regime
+ * @returns {{success: boolean, error?: string}} Result
+ */
+export function setPriceProcess(options = {}) {
+    const current = state.plsPriceProcess;
+    const regimes = {};
+    MARKET_REGIMES.forEach(regime => {
+        regimes[regime] = { ...current.regimes[regime], ...(options.regimes?.[regime] || {}) };
+    });
+    const settings = { ...current, ...options, regimes };
+
+    const validation = validatePriceProcess(settings);
+    if (!validation.isValid) {
+        return { success: false, error: validation.message };
+    }
+
+    state.plsPriceProcess = settings;
+
+    // A new interval applies from the next step
+    if (stepTimer !== null && Number(settings.interval) !== Number(current.interval)) {
+        cancelTimer(stepTimer);
+        stepTimer = null;
+    }
+    syncPriceProcess();
+
+    simulationEvents.emit('wpls:processConfigured', { settings });
+    return { success: true };
+}
+
+/**
+ * Start moving the WPLS price
+ * @param {Partial<PriceProcessSettings>} [options={}] - Settings to change first
+ * @returns {{success: boolean, error?: string}} Result
+ */
+export function startPriceProcess(options = {}) {
+    return setPriceProcess({ ...options, enabled: true });
+}
+
+/**
+ * Stop moving the WPLS price; it stays where the process left it
+ */
+export function stopPriceProcess() {
+    setPriceProcess({ enabled: false });
+}
+
+// A reset drops every pending timer, so a running process starts stepping again
+simulationEvents.on('state:reset', () => {
+    stepTimer = null;
+    syncPriceProcess();
+});
+// Paused, the process stops at its next step; resuming starts it again
+simulationEvents.on('state:pauseChanged', syncPriceProcess);
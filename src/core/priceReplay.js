@@ -0,0 +1,428 @@
+/**
+ * @fileoverview Replay of historical WPLS/USD prices
+ * A local CSV or JSON file of timestamped prices is parsed into a series, which is
+ * then played back through setPlsPrice on the simulation clock: each price is set
+ * after the gap to the previous one divided by `speed`, so everything priced through
+ * WPLS follows real history. Playback can be trimmed to a time range and looped.
+ *
+ * Accepted files:
+ * - CSV with a header naming a time column (timestamp, time, date, datetime, unix) and
+ *   a price column (price, close, wpls, usd, value), or two unnamed columns time,price
+ * - JSON: an array of {time, price} objects (same names), an array of [time, price]
+ *   pairs, or an object with such an array under `prices` (as CoinGecko exports)
+ * Numeric times are Unix seconds, or milliseconds when above 1e12; anything else goes
+ * through Date.parse.
+ */
+
+import Decimal from './decimal.js';
+import { state, setPlsPrice } from './state.js';
+import { simulationEvents } from './events.js';
+import { schedule, cancelTimer } from './clock.js';
+import { stopPriceProcess } from './priceProcess.js';
+
+/**
+ * Column names recognised as the time
+ * @type {string[]}
+ */
+const TIME_COLUMNS = ['timestamp', 'time', 'date', 'datetime', 'unix', 'snapped_at'];
+
+/**
+ * Column names recognised as the price
+ * @type {string[]}
+ */
+const PRICE_COLUMNS = ['price', 'close', 'wpls', 'usd', 'value'];
+
+/**
+ * Simulated milliseconds between loops of a one-price series
+ * @type {number}
+ */
+const SINGLE_POINT_LOOP_MS = 1000;
+
+/**
+ * @typedef {Object} HistoricalPrice
+ * @property {number} time - Historical time (Unix ms)
+ * @property {Decimal} price - WPLS price in USD
+ */
+
+/**
+ * @typedef {Object} ReplayOptions
+ * @property {number} [speed=3600] - Historical milliseconds played per simulated millisecond
+ * @property {boolean} [loop=false] - Start over at the beginning of the range when it ends
+ * @property {number} [from=-Infinity] - Earliest historical time to play (Unix ms)
+ * @property {number} [to=Infinity] - Latest historical time to play (Unix ms)
+ */
+
+// Loaded series: { name, points }, or null
+let series = null;
+
+// Running playback, or null
+let playback = null;
+
+// Pending timer for the next price
+let replayTimer = null;
+
+/**
+ * Turn a time cell into Unix milliseconds
+ * @param {string|number} value - Cell value
+ * @returns {number|null} Milliseconds, or null if it is not a time
+ */
+function parseTime(value) {
+    const text = String(value).trim();
+    if (text === '') return null;
+
+    if (/^-?\d+(\.\d+)?$/.test(text)) {
+        const number = Number(text);
+        return number > 1e12 ? number : number * 1000;
+    }
+
+    const parsed = Date.parse(text);
+    return Number.isNaN(parsed) ? null : parsed;
+}
+
+/**
+ * Turn a price cell into a Decimal
+ * @param {string|number} value - Cell value
+ * @returns {Decimal|null} Price, or null if it is not a positive number
+ */
+function parsePrice(value) {
+    const text = String(value).trim().replace(/^\$/, '');
+    if (!/^\d*\.?\d+(e[-+]?\d+)?$/i.test(text)) return null;
+
+    const price = new Decimal(text);
+    return price.gt(0) ? price : null;
+}
+
+/**
+ * Find the index of the first column whose name is in a list
+ * @param {string[]} header - Lower-cased column names
+ * @param {string[]} names - Names to look for
+ * @returns {number} Column index, or -1
+ */
+function findColumn(header, names) {
+    return header.findIndex(column => names.includes(column));
+}
+
+/**
+ * Read the rows of a CSV file
+ * @param {string} text - File contents
+ * @returns {{rows: Array<Array>, error?: string}} [time, price] rows, or an error
+ */
+function readCsvRows(text) {
+    const lines = text.split(/\r?\n/).map(line => line.trim()).filter(line => line !== '');
+    if (lines.length === 0) {
+        return { rows: [], error: 'The file is empty' };
+    }
+
+    const delimiter = [',', ';', '\t'].find(candidate => lines[0].includes(candidate)) || ',';
+    const split = line => line.split(delimiter).map(cell => cell.trim().replace(/^"|"$/g, ''));
+
+    let timeIndex = 0;
+    let priceIndex = 1;
+    let start = 0;
+
+    const firstRow = split(lines[0]);
+    if (parsePrice(firstRow[1]) === null) {
+        // A header row: pick the columns by name
+        const header = firstRow.map(column => column.toLowerCase());
+        timeIndex = findColumn(header, TIME_COLUMNS);
+        priceIndex = findColumn(header, PRICE_COLUMNS);
+        if (timeIndex === -1 || priceIndex === -1) {
+            return { rows: [], error: `Could not find a time column (${TIME_COLUMNS.join(', ')}) and a price column (${PRICE_COLUMNS.join(', ')})` };
+        }
+        start = 1;
+    }
+
+    return {
+        rows: lines.slice(start).map(line => {
+            const cells = split(line);
+            return [cells[timeIndex], cells[priceIndex]];
+        })
+    };
+}
+
+/**
+ * Read the rows of a JSON file
+ * @param {string} text - File contents
+ * @returns {{rows: Array<Array>, error?: string}} [time, price] rows, or an error
+ */
+function readJsonRows(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        return { rows: [], error: 'Not valid JSON' };
+    }
+
+    const items = Array.isArray(data) ? data : data?.prices;
+    if (!Array.isArray(items)) {
+        return { rows: [], error: 'Expected an array of prices, or an object with a "prices" array' };
+    }
+
+    return {
+        rows: items.map(item => {
+            if (Array.isArray(item)) {
+                return [item[0], item[1]];
+            }
+            if (item && typeof item === 'object') {
+                const keys = Object.keys(item);
+                const timeKey = keys.find(key => TIME_COLUMNS.includes(key.toLowerCase()));
+                const priceKey = keys.find(key => PRICE_COLUMNS.includes(key.toLowerCase()));
+                return [item[timeKey], item[priceKey]];
+            }
+            return [undefined, undefined];
+        })
+    };
+}
+
+/**
+ * Parse a CSV or JSON file of timestamped WPLS prices
+ * @param {string} text - File contents
+ * @returns {{success: boolean, error?: string, points?: HistoricalPrice[], skipped?: number}} Points sorted by time,
+ *   with the number of rows that could not be read
+ */
+export function parsePriceData(text) {
+    const trimmed = String(text || '').trim();
+    const { rows, error } = trimmed.startsWith('[') || trimmed.startsWith('{')
+        ? readJsonRows(trimmed)
+        : readCsvRows(trimmed);
+    if (error) {
+        return { success: false, error };
+    }
+
+    // Keep the last price for each time
+    const byTime = new Map();
+    let skipped = 0;
+    rows.forEach(([timeValue, priceValue]) => {
+        const time = timeValue === undefined ? null : parseTime(timeValue);
+        const price = priceValue === undefined ? null : parsePrice(priceValue);
+        if (time === null || price === null) {
+            skipped++;
+            return;
+        }
+        byTime.set(time, price);
+    });
+
+    if (byTime.size === 0) {
+        return { success: false, error: 'No rows with a valid time and a positive price' };
+    }
+
+    const points = [...byTime.entries()]
+        .sort((a, b) => a[0] - b[0])
+        .map(([time, price]) => ({ time, price }));
+    return { success: true, points, skipped };
+}
+
+/**
+ * Load a price series for playback, stopping any playback running
+ * @param {HistoricalPrice[]} points - Points sorted by time
+ * @param {string} [name='prices'] - Name to show for the series (e.g. the file name)
+ * @returns {{success: boolean, error?: string}} Result
+ */
+export function loadPriceSeries(points, name = 'prices') {
+    if (!Array.isArray(points) || points.length === 0) {
+        return { success: false, error: 'No prices to load' };
+    }
+
+    stopPriceReplay();
+    series = { name, points };
+
+    console.log('Price series loaded:', {
+        name,
+        points: points.length,
+        from: new Date(points[0].time).toISOString(),
+        to: new Date(points[points.length - 1].time).toISOString()
+    });
+
+    simulationEvents.emit('wpls:replayLoaded', { name, points: points.length, from: points[0].time, to: points[points.length - 1].time });
+    return { success: true };
+}
+
+/**
+ * Parse a file and load it for playback
+ * @param {string} text - File contents
+ * @param {string} [name='prices'] - File name
+ * @returns {{success: boolean, error?: string, points?: number, skipped?: number}} Result with the rows read and skipped
+ */
+export function importPriceData(text, name = 'prices') {
+    const parsed = parsePriceData(text);
+    if (!parsed.success) {
+        return parsed;
+    }
+
+    const loaded = loadPriceSeries(parsed.points, name);
+    if (!loaded.success) {
+        return loaded;
+    }
+    return { success: true, points: parsed.points.length, skipped: parsed.skipped };
+}
+
+/**
+ * Play the current point after a simulated delay
+ * A background timer: playback alone doesn't keep fast-forward running.
+ * @param {number} delayMs - Simulated delay in milliseconds
+ */
+function schedulePoint(delayMs) {
+    replayTimer = schedule(delayMs, playPoint, { background: true });
+}
+
+/**
+ * Set the price at the current point and schedule the next one
+ * While trading is paused the point waits; it plays on resume.
+ */
+function playPoint() {
+    replayTimer = null;
+    if (!playback || state.isPaused) return;
+
+    const { points } = playback;
+    playback.played = playback.index;
+    setPlsPrice(points[playback.played].price);
+
+    // A listener to the price change may have stopped playback
+    if (!playback) return;
+
+    if (playback.index + 1 < points.length) {
+        playback.index++;
+        const gap = points[playback.index].time - points[playback.played].time;
+        schedulePoint(gap / playback.speed);
+        return;
+    }
+
+    if (playback.loop) {
+        playback.index = 0;
+        playback.loops++;
+        // Start over one average step later, rather than jumping straight back
+        const span = points[points.length - 1].time - points[0].time;
+        schedulePoint(points.length > 1 ? span / (points.length - 1) / playback.speed : SINGLE_POINT_LOOP_MS);
+        simulationEvents.emit('wpls:replayLooped', { loops: playback.loops });
+        return;
+    }
+
+    stopPriceReplay(true);
+}
+
+/**
+ * Start playing the loaded series back through the WPLS price
+ * A running price process is stopped, since both would move the price.
+ * @param {ReplayOptions} [options={}] - Playback options
+ * @returns {{success: boolean, error?: string}} Result
+ */
+export function startPriceReplay({ speed = 3600, loop = false, from = -Infinity, to = Infinity } = {}) {
+    if (!series) {
+        return { success: false, error: 'Load a price file first' };
+    }
+    if (!(Number(speed) > 0)) {
+        return { success: false, error: 'Speed must be positive' };
+    }
+
+    const points = series.points.filter(point => point.time >= from && point.time <= to);
+    if (points.length === 0) {
+        return { success: false, error: 'No prices in the selected range' };
+    }
+
+    stopPriceReplay();
+    if (state.plsPriceProcess.enabled) {
+        stopPriceProcess();
+    }
+
+    playback = { points, index: 0, played: 0, speed: Number(speed), loop: Boolean(loop), loops: 0 };
+
+    console.log('Price replay started:', { name: series.name, points: points.length, speed: playback.speed, loop: playback.loop });
+    simulationEvents.emit('wpls:replayStarted', { name: series.name, points: points.length, from: points[0].time, to: points[points.length - 1].time, speed: playback.speed, loop: playback.loop });
+
+    playPoint();
+    return { success: true };
+}
+
+/**
+ * Change the playback speed; the wait for the next price starts over at the new speed
+ * @param {number} speed - Historical milliseconds played per simulated millisecond
+ * @returns {{success: boolean, error?: string}} Result
+ */
+export function setReplaySpeed(speed) {
+    if (!(Number(speed) > 0)) {
+        return { success: false, error: 'Speed must be positive' };
+    }
+    if (!playback) {
+        return { success: true };
+    }
+
+    playback.speed = Number(speed);
+    if (replayTimer !== null && playback.index > playback.played) {
+        cancelTimer(replayTimer);
+        const gap = playback.points[playback.index].time - playback.points[playback.played].time;
+        schedulePoint(gap / playback.speed);
+    }
+    return { success: true };
+}
+
+/**
+ * Turn looping on or off for the running playback
+ * @param {boolean} loop - Whether to loop
+ */
+export function setReplayLoop(loop) {
+    if (playback) {
+        playback.loop = Boolean(loop);
+    }
+}
+
+/**
+ * Stop playback; the price stays at the last replayed value
+ * @param {boolean} [finished=false] - Whether playback reached the end of the range
+ */
+export function stopPriceReplay(finished = false) {
+    if (!playback) return;
+
+    cancelTimer(replayTimer);
+    replayTimer = null;
+    playback = null;
+
+    simulationEvents.emit('wpls:replayStopped', { finished });
+}
+
+/**
+ * Get the loaded series and the playback position
+ * @returns {{loaded: boolean, name?: string, points?: number, from?: number, to?: number, running: boolean,
+ *   time?: number, index?: number, total?: number, speed?: number, loop?: boolean, loops?: number}} Status
+ */
+export function getReplayStatus() {
+    if (!series) {
+        return { loaded: false, running: false };
+    }
+
+    const status = {
+        loaded: true,
+        name: series.name,
+        points: series.points.length,
+        from: series.points[0].time,
+        to: series.points[series.points.length - 1].time,
+        running: playback !== null
+    };
+
+    if (playback) {
+        status.time = playback.points[playback.played].time;
+        status.index = playback.played;
+        status.total = playback.points.length;
+        status.speed = playback.speed;
+        status.loop = playback.loop;
+        status.loops = playback.loops;
+    }
+    return status;
+}
+
+// A price process turned on takes over the price
+simulationEvents.on('wpls:processConfigured', ({ settings }) => {
+    if (settings.enabled) stopPriceReplay();
+});
+
+// A reset drops every pending timer
+simulationEvents.on('state:reset', () => {
+    replayTimer = null;
+    stopPriceReplay();
+});
+
+// The point that came due while paused plays on resume
+simulationEvents.on('state:pauseChanged', ({ isPaused }) => {
+    if (!isPaused && playback && replayTimer === null) {
+        playPoint();
+    }
+});
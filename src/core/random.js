@@ -0,0 +1,82 @@
+/**
+ * @fileoverview Seeded pseudo-random number generator for reproducible runs
+ * Every random draw in the simulation goes through random(). The generator
+ * (mulberry32) keeps its whole position in state.randomState, so a scenario
+ * saved mid-run continues the same sequence after loading, and resetting to
+ * the same seed replays an identical transaction history.
+ */
+
+import { state } from './state.js';
+import { simulationEvents } from './events.js';
+
+/**
+ * Turn user input into a 32-bit unsigned seed
+ * @param {number|string} seed - Seed value
+ * @returns {number|null} Normalized seed, or null if the input is not an integer
+ */
+export function normalizeSeed(seed) {
+    const value = typeof seed === 'string' ? Number(seed.trim()) : seed;
+    if (!Number.isInteger(value)) {
+        return null;
+    }
+    return value >>> 0;
+}
+
+/**
+ * Set the seed and restart the sequence from it
+ * @param {number|string} seed - New seed
+ * @returns {{success: boolean, error?: string, seed?: number}} Result with the normalized seed
+ */
+export function setRandomSeed(seed) {
+    const normalized = normalizeSeed(seed);
+    if (normalized === null) {
+        return { success: false, error: 'Seed must be a whole number' };
+    }
+
+    state.randomSeed = normalized;
+    state.randomState = normalized;
+
+    simulationEvents.emit('random:seeded', { seed: normalized });
+    return { success: true, seed: normalized };
+}
+
+/**
+ * Make up a fresh seed (the one place the wall clock feeds randomness)
+ * @returns {number} New seed
+ */
+export function generateSeed() {
+    return (Date.now() ^ (performance.now() * 1000)) >>> 0;
+}
+
+/**
+ * Draw the next number in [0, 1)
+ * @returns {number} Pseudo-random number
+ */
+export function random() {
+    state.randomState = (state.randomState + 0x6D2B79F5) >>> 0;
+
+    let t = state.randomState;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
+
+/**
+ * Draw an integer in [0, max)
+ * @param {number} max - Exclusive upper bound
+ * @returns {number} Pseudo-random integer
+ */
+export function randomInt(max) {
+    return Math.floor(random() * max);
+}
+
+/**
+ * Draw a standard normal number (Box-Muller)
+ * @returns {number} Normal draw with mean 0 and deviation 1
+ */
+export function randomNormal() {
+    // 1 - random() is in (0, 1], so the log is finite
+    const u = 1 - random();
+    const v = random();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
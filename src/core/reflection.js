@@ -0,0 +1,233 @@
+/**
+ * @fileoverview Holder reflections with reflect.finance (RFI) accounting
+ * Wallets hold each token in reflected units (rOwned). A token's reflection
+ * rate converts them to tokens: balance = rOwned / rate. A reflection lowers the
+ * rate, so every included wallet's balance grows in proportion to its holding
+ * without touching the wallets one by one. Wallets excluded from reflections hold
+ * plain token amounts (tOwned) instead, as in RFI's excludeAccount.
+ *
+ * Pools and the burn address are holders too. Their balances are the pool
+ * reserves and the token's burned total, so their share of a reflection is paid
+ * to them directly: pools get it added to their reserves (as a pair's sync()
+ * would), and the burn address burns it.
+ * Exclusion changes emit 'reflection:exclusionChanged'; a reflection itself only
+ * moves the rate and shows up as 'token:updated'.
+ */
+
+import Decimal from './decimal.js';
+import { state } from './state.js';
+import { simulationEvents } from './events.js';
+
+/**
+ * Holder key of the burn (dead) address in exclusion lists and earnings
+ * @type {string}
+ */
+export const BURN_ADDRESS = 'burn';
+
+/**
+ * @typedef {number|string} ReflectionHolder
+ * A wallet ID, a pool ID or BURN_ADDRESS
+ */
+
+/**
+ * @typedef {Object} ReflectionDistribution
+ * @property {Decimal} wallets - Tokens reflected to included wallets
+ * @property {{poolId: string, amount: Decimal}[]} pools - Tokens added to each included pool
+ * @property {Decimal} burn - Tokens reflected to the burn address (and so burned)
+ */
+
+/**
+ * Find a token by ID
+ * @param {number} tokenId - Token ID
+ * @returns {Token|undefined} Token
+ */
+function findToken(tokenId) {
+    return state.tokens.find(t => t.id === tokenId);
+}
+
+/**
+ * Check whether a holder is left out of a token's reflections
+ * @param {Token} token - Token
+ * @param {ReflectionHolder} holder - Wallet ID, pool ID or BURN_ADDRESS
+ * @returns {boolean} True if excluded
+ */
+export function isExcludedFromReflections(token, holder) {
+    return token.reflectionExcluded.has(holder);
+}
+
+/**
+ * Convert a wallet's stored amount of a token to tokens
+ * @param {number} tokenId - Token ID
+ * @param {number} walletId - Wallet ID
+ * @param {Decimal} stored - Stored amount (rOwned, or tOwned when excluded)
+ * @returns {Decimal} Token balance
+ */
+export function fromStoredBalance(tokenId, walletId, stored) {
+    const token = findToken(tokenId);
+    if (!token || isExcludedFromReflections(token, walletId)) {
+        return stored;
+    }
+    return stored.dividedBy(token.reflectionRate);
+}
+
+/**
+ * Convert a token balance to the amount a wallet stores
+ * @param {number} tokenId - Token ID
+ * @param {number} walletId - Wallet ID
+ * @param {Decimal} balance - Token balance
+ * @returns {Decimal} Stored amount (rOwned, or tOwned when excluded)
+ */
+export function toStoredBalance(tokenId, walletId, balance) {
+    const token = findToken(tokenId);
+    if (!token || isExcludedFromReflections(token, walletId)) {
+        return balance;
+    }
+    return balance.times(token.reflectionRate);
+}
+
+/**
+ * Keep a token's reflected supply (rTotal of included wallets) in step with a wallet's stored amount
+ * @param {number} tokenId - Token ID
+ * @param {number} walletId - Wallet ID
+ * @param {Decimal} delta - Change of the stored amount
+ */
+export function trackStoredChange(tokenId, walletId, delta) {
+    const token = findToken(tokenId);
+    if (token && !isExcludedFromReflections(token, walletId)) {
+        token.reflectedSupply = token.reflectedSupply.plus(delta);
+    }
+}
+
+/**
+ * Recompute a token's reflected supply from the wallets (after loading a scenario)
+ * @param {Token} token - Token
+ */
+export function recalculateReflectedSupply(token) {
+    token.reflectedSupply = state.wallets
+        .filter(wallet => !isExcludedFromReflections(token, wallet.id))
+        .reduce((total, wallet) => total.plus(wallet.tokenBalances.get(token.id) || 0), new Decimal(0));
+}
+
+/**
+ * Exclude a holder from a token's reflections, or include it again
+ * A wallet's stored amount is converted at the current rate, so its balance does not change.
+ * @param {Token} token - Token
+ * @param {ReflectionHolder} holder - Wallet ID, pool ID or BURN_ADDRESS
+ * @param {boolean} excluded - True to exclude
+ * @returns {{success: boolean, error?: string}} Result
+ */
+export function setReflectionExcluded(token, holder, excluded) {
+    if (isExcludedFromReflections(token, holder) === excluded) {
+        return { success: true };
+    }
+
+    const wallet = state.wallets.find(w => w.id === holder);
+    const isPool = token.getPools().some(pool => pool.id === holder);
+    if (!wallet && !isPool && holder !== BURN_ADDRESS) {
+        return { success: false, error: `${holder} does not hold ${token.name}` };
+    }
+
+    if (wallet) {
+        // Switch between rOwned and tOwned without changing the balance
+        const balance = wallet.getTokenBalance(token.id);
+        const stored = wallet.tokenBalances.get(token.id) || new Decimal(0);
+        if (excluded) {
+            token.reflectedSupply = token.reflectedSupply.minus(stored);
+            wallet.tokenBalances.set(token.id, balance);
+        } else {
+            const reflected = balance.times(token.reflectionRate);
+            token.reflectedSupply = token.reflectedSupply.plus(reflected);
+            wallet.tokenBalances.set(token.id, reflected);
+        }
+    }
+
+    if (excluded) {
+        token.reflectionExcluded.add(holder);
+    } else {
+        token.reflectionExcluded.delete(holder);
+    }
+
+    simulationEvents.emit('reflection:exclusionChanged', { token, holder, excluded });
+    simulationEvents.emit('token:updated', { token });
+    return { success: true };
+}
+
+/**
+ * Reflect tokens to every included holder in proportion to what it holds
+ * Wallets are paid through the rate (rTotal stays, their token total grows by
+ * their share); pools and the burn address are paid directly.
+ * @param {Token} token - Token being reflected
+ * @param {Decimal} amount - Tokens to reflect
+ * @returns {ReflectionDistribution} Where the tokens went (all zero without holders)
+ */
+export function distributeReflection(token, amount) {
+    const distribution = { wallets: new Decimal(0), pools: [], burn: new Decimal(0) };
+
+    const walletSupply = token.reflectedSupply.dividedBy(token.reflectionRate);
+    const pools = token.getPools(true).filter(pool => !isExcludedFromReflections(token, pool.id));
+    const burned = isExcludedFromReflections(token, BURN_ADDRESS) ? new Decimal(0) : token.totalBurned;
+
+    const included = pools.reduce((total, pool) => total.plus(pool.getReserve(token.id)), walletSupply.plus(burned));
+    if (included.lte(0)) {
+        return distribution;
+    }
+
+    // RFI _reflectFee: the rate falls so that included wallets hold walletShare more between them
+    if (walletSupply.gt(0)) {
+        distribution.wallets = amount.times(walletSupply).dividedBy(included);
+        token.reflectionRate = token.reflectedSupply.dividedBy(walletSupply.plus(distribution.wallets));
+    }
+
+    pools.forEach(pool => {
+        const share = amount.times(pool.getReserve(token.id)).dividedBy(included);
+        pool.addReserves(token.id, share, new Decimal(0));
+        distribution.pools.push({ poolId: pool.id, amount: share });
+        addHolderEarnings(token, pool.id, share);
+    });
+
+    if (burned.gt(0)) {
+        distribution.burn = amount.times(burned).dividedBy(included);
+        token.totalSupply = token.totalSupply.minus(distribution.burn);
+        token.totalBurned = token.totalBurned.plus(distribution.burn);
+        addHolderEarnings(token, BURN_ADDRESS, distribution.burn);
+    }
+
+    return distribution;
+}
+
+/**
+ * Add to the reflections a pool or the burn address has received
+ * @param {Token} token - Token
+ * @param {string} holder - Pool ID or BURN_ADDRESS
+ * @param {Decimal} amount - Tokens received
+ */
+function addHolderEarnings(token, holder, amount) {
+    token.reflectionEarnings.set(holder, (token.reflectionEarnings.get(holder) || new Decimal(0)).plus(amount));
+}
+
+/**
+ * Reflections every holder of a token has earned
+ * @param {Token} token - Token
+ * @returns {{holder: ReflectionHolder, name: string, amount: Decimal, excluded: boolean}[]} Holders that
+ *   earned anything, wallets first
+ */
+export function getReflectionEarnings(token) {
+    const earnings = state.wallets
+        .map(wallet => ({
+            holder: wallet.id,
+            name: wallet.name,
+            amount: wallet.getReflectionEarnings(token.id),
+            excluded: isExcludedFromReflections(token, wallet.id)
+        }));
+
+    token.reflectionEarnings.forEach((amount, holder) => {
+        earnings.push({
+            holder,
+            name: holder === BURN_ADDRESS ? 'Burn address' : `Pool ${holder}`,
+            amount,
+            excluded: isExcludedFromReflections(token, holder)
+        });
+    });
+
+    return earnings.filter(entry => entry.amount.gt(0));
+}
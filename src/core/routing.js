@@ -0,0 +1,590 @@
+/**
+ * @fileoverview Multi-token routing module for finding and executing optimal swap paths
+ */
+
+import Decimal from './decimal.js';
+import { state } from './state.js';
+import { simulationEvents } from './events.js';
+import { BASE_ASSETS, getPoolsForAsset, isBaseAsset, getAssetName } from './pool.js';
+
+/**
+ * Number of slices an order is cut into when searching for a split (5% each)
+ * @type {number}
+ */
+export const SPLIT_STEPS = 20;
+
+/**
+ * Maximum number of paths one order is split across
+ * @type {number}
+ */
+export const MAX_SPLIT_PATHS = 3;
+
+/**
+ * Largest shortfall (%) against the quoted output a route may still execute with
+ * Reserves can move between quote and execution (e.g. while a route waits for
+ * confirmation); past this the trade fails rather than filling worse.
+ * @type {number}
+ */
+export const MAX_ROUTE_DRIFT = 0.5;
+
+/**
+ * @typedef {Object} RouteHop
+ * @property {Pool} pool - Pool the hop swaps through
+ * @property {Object} token - Token received from this hop (the token sold, for a hop back into USD/WPLS)
+ * @property {string|number} assetIn - Asset paid into the pool ('USD', 'WPLS' or a token ID)
+ * @property {string|number} assetOut - Asset received (a token ID, or USD/WPLS at the end of an arbitrage cycle)
+ * @property {Decimal} amountIn - Amount of assetIn going into this hop
+ * @property {Decimal} amountOut - Amount coming out of this hop
+ * @property {Decimal} priceImpact - Price impact for this hop (%)
+ * @property {Decimal} fee - Part of amountIn taken as the pool's swap fee
+ * @property {string} pairType - Type of input asset (USD, WPLS, TOKEN)
+ */
+
+/**
+ * @typedef {Object} PathStep
+ * @property {Pool} pool - Pool to swap through
+ * @property {string|number} assetIn - Asset paid in
+ * @property {string|number} assetOut - Asset received
+ */
+
+/**
+ * @typedef {Object} Route
+ * @property {RouteHop[]} hops - Array of swap hops
+ * @property {Decimal} totalAmountOut - Final amount received
+ * @property {Decimal} totalPriceImpact - Cumulative price impact
+ * @property {string} pathDescription - Human-readable path (e.g., "USD → Token A → Token B")
+ */
+
+/**
+ * @typedef {Object} RouteLeg
+ * @property {Route} route - Route quoted for this leg's part of the order
+ * @property {Decimal} amountIn - USD sent down this leg
+ * @property {number} share - Fraction of the order (0-1)
+ */
+
+/**
+ * @typedef {Object} SplitRoute
+ * @property {RouteLeg[]} legs - Legs in execution order, largest first
+ * @property {RouteHop[]} hops - Every hop of every leg, in execution order
+ * @property {Decimal} totalAmountIn - USD amount of the whole order
+ * @property {Decimal} totalAmountOut - Tokens received across all legs
+ * @property {Decimal} totalPriceImpact - Price impact of the legs, weighted by their share
+ * @property {string} pathDescription - Human-readable split (e.g., "70% USD → Token B + 30% USD → WPLS → Token B")
+ */
+
+/**
+ * Find all possible paths from USD to target token using BFS over the pool graph
+ * Paths start from a USD or WPLS pool (USD converts to WPLS at the WPLS price)
+ * and only pass through tokens in between.
+ * @param {Object} targetToken - Token to route to
+ * @param {number} maxDepth - Maximum number of hops allowed
+ * @returns {Array<PathStep[]>} Array of paths, each path is an array of pool steps
+ */
+export function findAllPaths(targetToken, maxDepth = null) {
+    if (maxDepth === null) {
+        maxDepth = state.maxRoutingHops;
+    }
+
+    console.log('🔍 Finding paths to token:', targetToken.name, 'maxDepth:', maxDepth);
+
+    const paths = [];
+    // Queue of partial paths, each starting from a base asset
+    const queue = BASE_ASSETS.map(asset => ({ asset, steps: [] }));
+
+    while (queue.length > 0) {
+        const { asset, steps } = queue.shift();
+
+        for (const pool of getPoolsForAsset(asset, true)) {
+            const next = pool.otherAsset(asset);
+
+            // Never route back through USD/WPLS or through a token twice
+            if (isBaseAsset(next) || steps.some(step => step.assetOut === next)) {
+                continue;
+            }
+
+            const path = [...steps, { pool, assetIn: asset, assetOut: next }];
+
+            if (next === targetToken.id) {
+                paths.push(path);
+            } else if (path.length < maxDepth) {
+                queue.push({ asset: next, steps: path });
+            }
+        }
+    }
+
+    console.log('📊 Total paths found:', paths.length);
+    return paths;
+}
+
+/**
+ * Calculate output amount through a specific path
+ * @param {PathStep[]} path - Pool steps from a base asset to the target token
+ * @param {Decimal} amountIn - Initial USD amount (or token amount for a path starting from a token)
+ * @param {Map<string, Pool>|null} [virtualPools=null] - What-if copies of pools already traded
+ *   by earlier legs of a split; pools not in the map are quoted as they are
+ * @returns {Route|null} Route object with hop details or null if path invalid
+ */
+export function calculatePathOutput(path, amountIn, virtualPools = null) {
+    if (!path || path.length === 0) {
+        return null;
+    }
+
+    const hops = [];
+    let currentAmount = amountIn;
+    let totalPriceImpact = new Decimal(0);
+
+    // Paths through a WPLS pool convert USD → WPLS first
+    if (path[0].assetIn === 'WPLS') {
+        currentAmount = currentAmount.dividedBy(state.plsPrice);
+    }
+
+    for (const step of path) {
+        // The pool's own curve (constant product, concentrated or StableSwap) with its fee
+        const result = getQuotePool(step.pool, virtualPools).quote(step.assetIn, currentAmount);
+        if (!result) return null;
+
+        hops.push({
+            pool: step.pool,
+            token: state.tokens.find(t => t.id === (isBaseAsset(step.assetOut) ? step.assetIn : step.assetOut)),
+            assetIn: step.assetIn,
+            assetOut: step.assetOut,
+            amountIn: currentAmount,
+            amountOut: result.amountOut,
+            priceImpact: result.priceImpact,
+            fee: result.fee,
+            pairType: isBaseAsset(step.assetIn) ? step.assetIn : 'TOKEN'
+        });
+
+        currentAmount = result.amountOut;
+        totalPriceImpact = totalPriceImpact.plus(result.priceImpact.abs());
+    }
+
+    return {
+        hops,
+        totalAmountOut: currentAmount,
+        totalPriceImpact,
+        pathDescription: buildPathDescription(path)
+    };
+}
+
+/**
+ * Get the pool to quote against: the what-if copy if there is one
+ * @param {Pool} pool - Live pool
+ * @param {Map<string, Pool>|null} virtualPools - What-if copies by pool ID
+ * @returns {Pool} Pool to quote
+ */
+function getQuotePool(pool, virtualPools) {
+    return (virtualPools && virtualPools.get(pool.id)) || pool;
+}
+
+/**
+ * Quote a path quietly (used for the many small quotes of the split search)
+ * @param {PathStep[]} path - Pool steps
+ * @param {Decimal} amountIn - USD amount
+ * @param {Map<string, Pool>} virtualPools - What-if copies by pool ID
+ * @returns {{amountOut: Decimal, hops: Object[]}|null} Output and per-hop amounts, or null
+ */
+function quotePath(path, amountIn, virtualPools) {
+    let currentAmount = path[0].assetIn === 'WPLS' ? amountIn.dividedBy(state.plsPrice) : amountIn;
+    const hops = [];
+
+    for (const step of path) {
+        const quote = getQuotePool(step.pool, virtualPools).quote(step.assetIn, currentAmount);
+        if (!quote) return null;
+
+        hops.push({ pool: step.pool, assetIn: step.assetIn, amountIn: currentAmount, amountOut: quote.amountOut, fee: quote.fee });
+        currentAmount = quote.amountOut;
+    }
+
+    return { amountOut: currentAmount, hops };
+}
+
+/**
+ * Apply quoted hops to the what-if copies, copying live pools on first use
+ * @param {Object[]} hops - Hops with pool, assetIn, amountIn, amountOut and fee
+ * @param {Map<string, Pool>} virtualPools - What-if copies by pool ID
+ */
+function applyToVirtualPools(hops, virtualPools) {
+    hops.forEach(hop => {
+        if (!virtualPools.has(hop.pool.id)) {
+            virtualPools.set(hop.pool.id, hop.pool.clone());
+        }
+        virtualPools.get(hop.pool.id).moveReserves(hop.assetIn, hop.amountIn, hop.amountOut, hop.fee);
+    });
+}
+
+/**
+ * Build human-readable path description
+ * @param {PathStep[]} path - Pool steps
+ * @returns {string} Path description
+ */
+export function buildPathDescription(path) {
+    if (path.length === 0) return 'No path';
+
+    // Paths start from USD (through WPLS if the first pool is a WPLS pool);
+    // arbitrage cycles may start from a token instead
+    const parts = isBaseAsset(path[0].assetIn) ? ['USD'] : [getAssetName(path[0].assetIn)];
+
+    // Add WPLS if the path starts from a WPLS pool
+    if (path[0].assetIn === 'WPLS') {
+        parts.push('WPLS');
+    }
+
+    // Add all assets in path
+    path.forEach(step => {
+        parts.push(getAssetName(step.assetOut));
+    });
+
+    return parts.join(' → ');
+}
+
+/**
+ * Find the best path to target token
+ * @param {Object} targetToken - Token to route to
+ * @param {Decimal} amountIn - USD amount to invest
+ * @returns {Route|null} Best route or null if no path exists
+ */
+export function findBestPath(targetToken, amountIn) {
+    console.log('🎯 Finding best path for', amountIn.toString(), 'USD to', targetToken.name);
+
+    const paths = findAllPaths(targetToken);
+
+    if (paths.length === 0) {
+        console.log('❌ No paths found to', targetToken.name);
+        return null;
+    }
+
+    let bestRoute = null;
+    let bestOutput = new Decimal(0);
+
+    // Evaluate each path
+    for (const path of paths) {
+        const route = calculatePathOutput(path, amountIn);
+
+        if (route && route.totalAmountOut.gt(bestOutput)) {
+            bestOutput = route.totalAmountOut;
+            bestRoute = route;
+        }
+    }
+
+    if (bestRoute) {
+        console.log('✅ Best route:', bestRoute.pathDescription, '→', bestRoute.totalAmountOut.toFixed(4), targetToken.name);
+    } else {
+        console.log('❌ No valid routes found (all paths have insufficient liquidity)');
+    }
+
+    return bestRoute;
+}
+
+/**
+ * Check whether buying a token needs the router
+ * Only a token whose sole liquid pool is its selected USD/WPLS pair is bought directly.
+ * @param {Object} token - Token to buy
+ * @returns {boolean} True if the buy should be routed
+ */
+export function requiresRouting(token) {
+    const pools = token.getPools(true);
+    const primaryPool = token.primaryPool;
+    return token.pairType === 'TOKEN' ||
+        !primaryPool || !primaryPool.hasLiquidity() ||
+        pools.length > 1;
+}
+
+/**
+ * Find the best way to fill an order, split across up to MAX_SPLIT_PATHS paths
+ * The order is handed out in SPLIT_STEPS slices. Each slice goes to the path that
+ * returns the most for it after the slices already placed, so deep paths take more
+ * of the order and the total price impact stays as low as the pools allow. Paths
+ * that share a pool see each other's trades.
+ * @param {Object} targetToken - Token to route to
+ * @param {Decimal} amountIn - USD amount to invest
+ * @param {Object} [options={}] - Search options
+ * @param {number} [options.steps=SPLIT_STEPS] - Number of slices
+ * @param {number} [options.maxPaths=MAX_SPLIT_PATHS] - Maximum number of legs
+ * @returns {SplitRoute|null} Best split or null if no path exists
+ */
+export function findBestSplitRoute(targetToken, amountIn, { steps = SPLIT_STEPS, maxPaths = MAX_SPLIT_PATHS } = {}) {
+    console.log('🎯 Finding best split for', amountIn.toString(), 'USD to', targetToken.name);
+
+    const paths = findAllPaths(targetToken);
+
+    if (paths.length === 0) {
+        console.log('❌ No paths found to', targetToken.name);
+        return null;
+    }
+
+    // Hand out the order slice by slice
+    const slice = amountIn.dividedBy(steps);
+    const virtualPools = new Map();
+    const allocations = new Map();  // Path index -> USD amount
+
+    for (let i = 0; i < steps; i++) {
+        let best = null;
+
+        paths.forEach((path, index) => {
+            if (allocations.size >= maxPaths && !allocations.has(index)) return;
+
+            const quote = quotePath(path, slice, virtualPools);
+            if (quote && (!best || quote.amountOut.gt(best.quote.amountOut))) {
+                best = { index, quote };
+            }
+        });
+
+        if (!best) {
+            console.log('❌ No valid routes found (all paths have insufficient liquidity)');
+            return null;
+        }
+
+        applyToVirtualPools(best.quote.hops, virtualPools);
+        allocations.set(best.index, (allocations.get(best.index) || new Decimal(0)).plus(slice));
+    }
+
+    // Quote the legs one after another, the way they will execute; the largest
+    // leg takes any rounding left over from the slices
+    const ordered = [...allocations.entries()].sort((a, b) => b[1].comparedTo(a[1]));
+    const restAmount = ordered.slice(1).reduce((sum, [, amount]) => sum.plus(amount), new Decimal(0));
+    ordered[0][1] = amountIn.minus(restAmount);
+
+    const legVirtualPools = new Map();
+    const legs = [];
+
+    for (const [index, legAmount] of ordered) {
+        const route = calculatePathOutput(paths[index], legAmount, legVirtualPools);
+        if (!route) {
+            console.log('❌ Split leg no longer fills:', buildPathDescription(paths[index]));
+            return null;
+        }
+        applyToVirtualPools(route.hops, legVirtualPools);
+        legs.push({ route, amountIn: legAmount, share: legAmount.dividedBy(amountIn).toNumber() });
+    }
+
+    const splitRoute = buildSplitRoute(legs, amountIn);
+
+    // A split can only help, but shared pools make the greedy search approximate:
+    // never return less than the best single path
+    const single = findBestPath(targetToken, amountIn);
+    if (single && single.totalAmountOut.gt(splitRoute.totalAmountOut)) {
+        console.log('✅ Single path beats the split:', single.pathDescription);
+        return buildSplitRoute([{ route: single, amountIn, share: 1 }], amountIn);
+    }
+
+    console.log('✅ Best split:', splitRoute.pathDescription, '→', splitRoute.totalAmountOut.toFixed(4), targetToken.name);
+    return splitRoute;
+}
+
+/**
+ * Combine legs into a split route
+ * @param {RouteLeg[]} legs - Quoted legs in execution order
+ * @param {Decimal} amountIn - USD amount of the whole order
+ * @returns {SplitRoute} Split route
+ */
+function buildSplitRoute(legs, amountIn) {
+    let totalAmountOut = new Decimal(0);
+    let totalPriceImpact = new Decimal(0);
+
+    legs.forEach(leg => {
+        totalAmountOut = totalAmountOut.plus(leg.route.totalAmountOut);
+        totalPriceImpact = totalPriceImpact.plus(leg.route.totalPriceImpact.times(leg.share));
+    });
+
+    const pathDescription = legs.length === 1
+        ? legs[0].route.pathDescription
+        : legs.map(leg => `${Math.round(leg.share * 100)}% ${leg.route.pathDescription}`).join(' + ');
+
+    return {
+        legs,
+        hops: legs.flatMap(leg => leg.route.hops),
+        totalAmountIn: amountIn,
+        totalAmountOut,
+        totalPriceImpact,
+        pathDescription
+    };
+}
+
+/**
+ * Quote a route again against the pools as they are now
+ * @param {Route} route - Route quoted earlier
+ * @param {Decimal} amountIn - Amount it was quoted for
+ * @param {Map<string, Pool>|null} [virtualPools=null] - What-if copies of pools earlier legs trade
+ * @returns {Route|null} Fresh route through the same pools, or null if it no longer fills
+ */
+function requoteRoute(route, amountIn, virtualPools = null) {
+    const path = route.hops.map(hop => ({ pool: hop.pool, assetIn: hop.assetIn, assetOut: hop.assetOut }));
+    return calculatePathOutput(path, amountIn, virtualPools);
+}
+
+/**
+ * Check a fresh quote against the output the trade was quoted (and approved) with
+ * @param {Decimal} quoted - Output quoted earlier
+ * @param {Decimal} current - Output quoted now
+ * @param {number} maxDrift - Largest shortfall allowed (%)
+ * @returns {string|null} Error message, or null if the output is close enough
+ */
+function checkDrift(quoted, current, maxDrift) {
+    const minimum = quoted.times(1 - maxDrift / 100);
+    if (current.lt(minimum)) {
+        return `Price moved since the route was quoted: it now returns ${current.toFixed(4)} instead of ${quoted.toFixed(4)}`;
+    }
+    return null;
+}
+
+/**
+ * Perform a route's swaps on the live pools
+ * @param {Route} route - Route quoted against the current reserves
+ * @returns {Object[]} Executed hops
+ */
+function applyRoute(route) {
+    const executedHops = [];
+
+    for (const hop of route.hops) {
+        const token = hop.token;
+
+        // Update pool reserves based on the swap
+        hop.pool.applySwap(hop.assetIn, hop.amountIn, hop.amountOut, hop.fee);
+        token.invalidatePriceCascade();
+
+        simulationEvents.emit('swap:executed', {
+            token,
+            pool: hop.pool,
+            side: isBaseAsset(hop.assetOut) ? 'sell' : 'buy',
+            amountIn: hop.amountIn,
+            amountOut: hop.amountOut,
+            priceImpact: hop.priceImpact
+        });
+        simulationEvents.emit('token:updated', { token });
+
+        // Track hop execution
+        executedHops.push({
+            poolId: hop.pool.id,
+            assetIn: hop.assetIn,
+            assetOut: hop.assetOut,
+            tokenId: token.id,
+            tokenName: token.name,
+            amountIn: hop.amountIn,
+            amountOut: hop.amountOut,
+            priceImpact: hop.priceImpact
+        });
+    }
+
+    return executedHops;
+}
+
+/**
+ * Execute a route by performing swaps
+ * Every hop is quoted again first, so the swaps fill at the current reserves;
+ * if the output has fallen more than maxDrift below the route's quote, nothing is swapped.
+ * @param {Route} route - Route to execute
+ * @param {Decimal} amountIn - Initial USD amount
+ * @param {string} walletId - Wallet executing the trade
+ * @param {Object} [options={}] - Execution options
+ * @param {number} [options.maxDrift=MAX_ROUTE_DRIFT] - Largest shortfall against the quote (%)
+ * @returns {Object} Execution result
+ */
+export function executeRoute(route, amountIn, walletId, { maxDrift = MAX_ROUTE_DRIFT } = {}) {
+    if (!route || !route.hops || route.hops.length === 0) {
+        return {
+            success: false,
+            error: 'Invalid route'
+        };
+    }
+
+    const current = requoteRoute(route, amountIn);
+    if (!current) {
+        return { success: false, error: 'Route no longer fills' };
+    }
+    const drift = checkDrift(route.totalAmountOut, current.totalAmountOut, maxDrift);
+    if (drift) {
+        return { success: false, error: drift };
+    }
+
+    const executedHops = applyRoute(current);
+
+    return {
+        success: true,
+        finalAmount: current.totalAmountOut,
+        hops: executedHops,
+        totalPriceImpact: current.totalPriceImpact,
+        pathDescription: current.pathDescription
+    };
+}
+
+/**
+ * Execute a split route leg by leg
+ * The legs are quoted again first, in order, so they fill at the current reserves;
+ * if the whole order's output has fallen more than maxDrift below the quote, no leg runs.
+ * @param {SplitRoute} splitRoute - Split route to execute
+ * @param {string} walletId - Wallet executing the trade
+ * @param {Object} [options={}] - Execution options
+ * @param {number} [options.maxDrift=MAX_ROUTE_DRIFT] - Largest shortfall against the quote (%)
+ * @returns {Object} Execution result with the hops and legs that ran
+ */
+export function executeSplitRoute(splitRoute, walletId, { maxDrift = MAX_ROUTE_DRIFT } = {}) {
+    if (!splitRoute || !splitRoute.legs || splitRoute.legs.length === 0) {
+        return {
+            success: false,
+            error: 'Invalid route'
+        };
+    }
+
+    const virtualPools = new Map();
+    const legs = [];
+    for (const leg of splitRoute.legs) {
+        const route = requoteRoute(leg.route, leg.amountIn, virtualPools);
+        if (!route) {
+            return { success: false, error: 'Route no longer fills' };
+        }
+        applyToVirtualPools(route.hops, virtualPools);
+        legs.push({ ...leg, route });
+    }
+
+    const current = buildSplitRoute(legs, splitRoute.totalAmountIn);
+    const drift = checkDrift(splitRoute.totalAmountOut, current.totalAmountOut, maxDrift);
+    if (drift) {
+        return { success: false, error: drift };
+    }
+
+    const executedHops = [];
+    const executedLegs = [];
+
+    for (const leg of current.legs) {
+        const hops = applyRoute(leg.route);
+
+        executedHops.push(...hops);
+        executedLegs.push({
+            pathDescription: leg.route.pathDescription,
+            share: leg.share,
+            amountIn: leg.amountIn,
+            amountOut: leg.route.totalAmountOut,
+            hops: hops.length
+        });
+    }
+
+    return {
+        success: true,
+        finalAmount: current.totalAmountOut,
+        hops: executedHops,
+        legs: executedLegs,
+        totalPriceImpact: current.totalPriceImpact,
+        pathDescription: current.pathDescription
+    };
+}
+
+/**
+ * Get route preview for display
+ * @param {Object} targetToken - Token to route to
+ * @param {Decimal} amountIn - USD amount
+ * @returns {string} Preview text
+ */
+export function getRoutePreview(targetToken, amountIn) {
+    const route = findBestPath(targetToken, amountIn);
+
+    if (!route) {
+        return 'No liquidity path available';
+    }
+
+    if (route.hops.length === 1) {
+        return 'Direct swap';
+    }
+
+    return `Route: ${route.pathDescription} (${route.hops.length} hops)`;
+}
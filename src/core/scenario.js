@@ -0,0 +1,423 @@
+/**
+ * @fileoverview Scenario save/load for the simulation core
+ * Serializes the whole simulation (tokens, pools, wallets, settings, counters and
+ * the history recorded so far) into a versioned plain-JSON document. Decimal values are stored as strings so
+ * no precision is lost.
+ */
+
+import Decimal from './decimal.js';
+import { state, resetState } from './state.js';
+import { simulationEvents } from './events.js';
+import { Token } from './token.js';
+import { Wallet } from './wallet.js';
+import { Pool, poolKey } from './pool.js';
+import { getPoolClass } from './poolTypes.js';
+import { BondingCurve } from './bondingCurve.js';
+import { recalculateReflectedSupply } from './reflection.js';
+import { capitalCalculationMode, setCapitalCalculationMode } from './capitalTracking.js';
+import { syncArbitrageAgent } from './arbitrage.js';
+import { syncPriceProcess } from './priceProcess.js';
+import { now } from './clock.js';
+import { exportLedgerJSON } from './ledger.js';
+import { exportPriceHistory } from './priceHistory.js';
+import { exportBuybackHistory } from './buyback.js';
+
+/**
+ * Identifies scenario documents
+ * @type {string}
+ */
+export const SCENARIO_FORMAT = 'infinite-transactions-scenario';
+
+/**
+ * Current scenario format version. Bump it when the document shape changes
+ * and add a migration to MIGRATIONS.
+ * @type {number}
+ */
+export const SCENARIO_VERSION = 4;
+
+/**
+ * Upgrades from version N to N + 1, keyed by N
+ * @type {Object<number, function(Object): Object>}
+ */
+const MIGRATIONS = {
+    // v2 moved reserves from tokens into pools keyed by two assets
+    1: (scenario) => {
+        const pools = [];
+        const poolIdByToken = new Map();
+        const legacyFields = ['tokenReserve', 'pairReserve', 'lpTotalSupply', 'k', 'totalLiquidity'];
+
+        const tokens = scenario.tokens.map(tokenData => {
+            const { tokenReserve = '0', pairReserve = '0', lpTotalSupply = '0' } = tokenData;
+            const pairAsset = tokenData.pairType === 'TOKEN' ? tokenData.pairedTokenId : tokenData.pairType;
+
+            if (pairAsset !== null && pairAsset !== undefined &&
+                (!new Decimal(tokenReserve).isZero() || !new Decimal(pairReserve).isZero())) {
+                const pool = new Pool({ assetA: tokenData.id, assetB: pairAsset });
+                const tokenIsA = pool.assetA === tokenData.id;
+                pool.reserveA = new Decimal(tokenIsA ? tokenReserve : pairReserve);
+                pool.reserveB = new Decimal(tokenIsA ? pairReserve : tokenReserve);
+                pool.k = pool.reserveA.times(pool.reserveB);
+                pool.lpTotalSupply = new Decimal(lpTotalSupply);
+                pools.push(encodeFields(pool));
+                poolIdByToken.set(tokenData.id, poolKey(tokenData.id, pairAsset));
+            }
+
+            const migrated = { ...tokenData };
+            legacyFields.forEach(key => delete migrated[key]);
+            return migrated;
+        });
+
+        // LP balances were keyed by token ID; key them by pool ID
+        const wallets = scenario.wallets.map(walletData => ({
+            ...walletData,
+            lpBalances: {
+                entries: (walletData.lpBalances?.entries || [])
+                    .filter(([tokenId]) => poolIdByToken.has(tokenId))
+                    .map(([tokenId, amount]) => [poolIdByToken.get(tokenId), amount])
+            }
+        }));
+
+        return { ...scenario, version: 2, tokens, pools, wallets };
+    },
+
+    // v3 replaced the flat reflection/burn/LP percentages with per-side tax schedules
+    2: (scenario) => {
+        const tokens = scenario.tokens.map(tokenData => {
+            const { reflectionPercent = '0', burnPercent = '0', lpFeePercent = '0', ...migrated } = tokenData;
+            const rates = { reflection: reflectionPercent, burn: burnPercent, liquidity: lpFeePercent };
+            // Flat rates applied to every buy and sell; transfers get the same, as with the presets
+            migrated.taxes = { buy: rates, sell: rates, transfer: rates };
+            return migrated;
+        });
+
+        return { ...scenario, version: 3, tokens };
+    },
+
+    // v4 saved the ledger, price history and buyback runs; older scenarios start them over
+    3: (scenario) => ({ ...scenario, version: 4, history: {} })
+};
+
+/**
+ * Token fields recomputed from the pool graph after loading
+ * @type {string[]}
+ */
+const DERIVED_TOKEN_FIELDS = ['cachedUSDPrice', 'priceLastUpdated', 'pricingPoolId', 'liquidityDepth', 'realCapital', 'derivedCapital', 'reflectedSupply'];
+
+/**
+ * State settings saved with a scenario
+ * @type {string[]}
+ */
+const SETTINGS_FIELDS = [
+    'maxTokens',
+    'plsPrice',
+    'minGlobalGas',
+    'maxGlobalGas',
+    'minTimeInterval',
+    'maxTimeInterval',
+    'maxRoutingHops',
+    'requireRoutingConfirmation',
+    'requireGas',
+    'applySlippage',
+    'arbitrageEnabled',
+    'arbitrageWalletId',
+    'arbitrageMinProfit',
+    'protocolFeeShare',
+    'treasuryWalletId',
+    'plsPriceProcess',
+    'randomSeed',
+    'clockMode',
+    'timeScale',
+    'startTime',
+    'currentWalletId'
+];
+
+/**
+ * Running counters saved with a scenario
+ * @type {string[]}
+ */
+const STATS_FIELDS = ['transactionCount', 'totalProcessed', 'totalGasUsed', 'currentTxNumber', 'randomState', 'simulatedTime'];
+
+/**
+ * @typedef {Object} Scenario
+ * @property {string} format - Always SCENARIO_FORMAT
+ * @property {number} version - Format version
+ * @property {string} savedAt - ISO timestamp
+ * @property {Object} settings - Simulation settings
+ * @property {Object} stats - Transaction counters
+ * @property {Object[]} tokens - Serialized tokens
+ * @property {Object[]} pools - Serialized pools
+ * @property {Object[]} wallets - Serialized wallets
+ * @property {Object} history - Recorded history, restored by the modules that keep it (empty in autosaves)
+ * @property {Object[]} history.ledger - Ledger entries (see exportLedgerJSON in ledger.js)
+ * @property {Object} history.priceHistory - Price series (see exportPriceHistory in priceHistory.js)
+ * @property {Array} history.buybacks - Buyback runs per token (see exportBuybackHistory in buyback.js)
+ */
+
+/**
+ * Convert a value to its JSON form
+ * @param {*} value - Value to encode
+ * @returns {*} JSON-safe value
+ */
+function encodeValue(value) {
+    if (Decimal.isDecimal(value)) {
+        return value.toString();
+    }
+    if (value instanceof Map) {
+        return { entries: [...value.entries()].map(([key, item]) => [key, encodeValue(item)]) };
+    }
+    if (value instanceof Set) {
+        return { values: [...value].map(encodeValue) };
+    }
+    if (Array.isArray(value)) {
+        return value.map(encodeValue);
+    }
+    if (value !== null && typeof value === 'object') {
+        // Plain records such as concentrated liquidity positions, and nested models such as a bonding curve
+        return encodeFields(value);
+    }
+    return value;
+}
+
+/**
+ * Convert a JSON value back, using the default value of the field as the type hint
+ * @param {*} value - Encoded value
+ * @param {*} template - Default value of the field on a fresh instance
+ * @returns {*} Decoded value
+ */
+function decodeValue(value, template) {
+    if (value === null || value === undefined) {
+        return template;
+    }
+    if (Decimal.isDecimal(template)) {
+        return new Decimal(value);
+    }
+    if (template instanceof Map) {
+        // Maps in the simulation hold Decimal balances, or records whose strings are Decimals
+        return new Map((value.entries || []).map(([key, item]) => [key, decodeMapItem(item)]));
+    }
+    if (template instanceof Set) {
+        return new Set(value.values || []);
+    }
+    if (isRecord(template) && isRecord(value)) {
+        // Records such as a token's tax schedule: decode each field against the default
+        const record = { ...template };
+        Object.keys(value).forEach(key => {
+            record[key] = decodeValue(value[key], template[key]);
+        });
+        return record;
+    }
+    return value;
+}
+
+/**
+ * Check whether a value is a plain object literal
+ * @param {*} value - Value to check
+ * @returns {boolean} True for plain objects
+ */
+function isRecord(value) {
+    return value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+}
+
+/**
+ * Convert a Map item back: strings are Decimals, as are the string fields of records
+ * @param {*} item - Encoded item
+ * @returns {*} Decoded item
+ */
+function decodeMapItem(item) {
+    if (typeof item === 'string') {
+        return new Decimal(item);
+    }
+    if (item !== null && typeof item === 'object') {
+        const record = {};
+        Object.keys(item).forEach(key => {
+            record[key] = typeof item[key] === 'string' ? new Decimal(item[key]) : item[key];
+        });
+        return record;
+    }
+    return item;
+}
+
+/**
+ * Serialize every own field of an object
+ * @param {Object} source - Token, pool or wallet
+ * @param {string[]} [skip=[]] - Fields to leave out
+ * @returns {Object} JSON-safe copy
+ */
+function encodeFields(source, skip = []) {
+    const data = {};
+    Object.keys(source).forEach(key => {
+        if (!skip.includes(key) && typeof source[key] !== 'function') {
+            data[key] = encodeValue(source[key]);
+        }
+    });
+    return data;
+}
+
+/**
+ * Copy serialized fields onto a freshly constructed instance
+ * @param {Object} target - New token, pool or wallet
+ * @param {Object} data - Serialized fields
+ * @param {string[]} [skip=[]] - Fields to leave at their defaults
+ */
+function decodeFields(target, data, skip = []) {
+    Object.keys(data).forEach(key => {
+        if (!skip.includes(key)) {
+            target[key] = decodeValue(data[key], target[key]);
+        }
+    });
+}
+
+/**
+ * Serialize the current simulation
+ * The history grows with every trade, so callers with little room (the localStorage
+ * autosave) can leave it out; a scenario without it loads with the history started over.
+ * @param {Object} [options={}] - Serialize options
+ * @param {boolean} [options.includeHistory=true] - Save the ledger, price history and buyback runs
+ * @returns {Scenario} Scenario document
+ */
+export function serializeScenario({ includeHistory = true } = {}) {
+    const settings = { capitalCalculationMode };
+    SETTINGS_FIELDS.forEach(key => {
+        settings[key] = encodeValue(state[key]);
+    });
+
+    // Bring state.simulatedTime up to date before it is saved
+    now();
+
+    const stats = {};
+    STATS_FIELDS.forEach(key => {
+        stats[key] = encodeValue(state[key]);
+    });
+
+    return {
+        format: SCENARIO_FORMAT,
+        version: SCENARIO_VERSION,
+        savedAt: new Date().toISOString(),
+        settings,
+        stats,
+        tokens: state.tokens.map(token => encodeFields(token, DERIVED_TOKEN_FIELDS)),
+        pools: state.pools.map(pool => encodeFields(pool)),
+        wallets: state.wallets.map(wallet => encodeFields(wallet)),
+        history: includeHistory
+            ? {
+                ledger: exportLedgerJSON(),
+                priceHistory: exportPriceHistory(),
+                buybacks: exportBuybackHistory()
+            }
+            : {}
+    };
+}
+
+/**
+ * Validate a scenario document and upgrade it to the current version
+ * @param {Object} data - Parsed scenario
+ * @returns {{isValid: boolean, message?: string, scenario?: Scenario}} Validation result
+ */
+export function validateScenario(data) {
+    if (!data || typeof data !== 'object' || data.format !== SCENARIO_FORMAT) {
+        return { isValid: false, message: 'Not a scenario file' };
+    }
+
+    if (!Number.isInteger(data.version) || data.version < 1) {
+        return { isValid: false, message: 'Scenario has no valid version' };
+    }
+
+    if (data.version > SCENARIO_VERSION) {
+        return { isValid: false, message: `Scenario version ${data.version} is newer than supported (${SCENARIO_VERSION})` };
+    }
+
+    let scenario = data;
+    for (let version = data.version; version < SCENARIO_VERSION; version++) {
+        scenario = MIGRATIONS[version](scenario);
+    }
+
+    if (!Array.isArray(scenario.tokens) || !Array.isArray(scenario.pools) || !Array.isArray(scenario.wallets)) {
+        return { isValid: false, message: 'Scenario is missing tokens, pools or wallets' };
+    }
+
+    if (scenario.tokens.some(token => typeof token.id !== 'number')) {
+        return { isValid: false, message: 'Scenario contains a token without a numeric ID' };
+    }
+
+    return { isValid: true, scenario };
+}
+
+/**
+ * Replace the current simulation with a scenario
+ * @param {Object} data - Parsed scenario document
+ * @returns {{success: boolean, error?: string}} Result
+ */
+export function loadScenario(data) {
+    const validation = validateScenario(data);
+    if (!validation.isValid) {
+        return { success: false, error: validation.message };
+    }
+    const { scenario } = validation;
+
+    try {
+        // Build everything before touching the live state so a bad file leaves it intact
+        const tokens = scenario.tokens.map(tokenData => {
+            const token = new Token({ id: tokenData.id });
+            decodeFields(token, tokenData, [...DERIVED_TOKEN_FIELDS, 'bondingCurve']);
+            if (tokenData.bondingCurve) {
+                token.bondingCurve = new BondingCurve({ tokenId: token.id });
+                decodeFields(token.bondingCurve, tokenData.bondingCurve, ['tokenId']);
+            }
+            return token;
+        });
+
+        const pools = scenario.pools.map(poolData => {
+            const PoolClass = getPoolClass(poolData.type);
+            const pool = new PoolClass({ assetA: poolData.assetA, assetB: poolData.assetB });
+            decodeFields(pool, poolData, ['id', 'assetA', 'assetB', 'type']);
+            return pool;
+        });
+
+        const wallets = scenario.wallets.map(walletData => {
+            const wallet = new Wallet({ id: walletData.id, name: walletData.name });
+            decodeFields(wallet, walletData);
+            if (!walletData.reflectionBasis) {
+                // Older scenarios have no reflection basis: nothing has been earned yet
+                wallet.tokenBalances.forEach((balance, tokenId) => wallet.reflectionBasis.set(tokenId, balance));
+            }
+            return wallet;
+        });
+
+        resetState();
+
+        SETTINGS_FIELDS.forEach(key => {
+            if (key in (scenario.settings || {})) {
+                state[key] = decodeValue(scenario.settings[key], state[key]);
+            }
+        });
+        STATS_FIELDS.forEach(key => {
+            if (key in (scenario.stats || {})) {
+                state[key] = decodeValue(scenario.stats[key], state[key]);
+            }
+        });
+        if (!('randomState' in (scenario.stats || {}))) {
+            // Older scenarios have no generator position: start the saved seed over
+            state.randomState = state.randomSeed;
+        }
+        if (scenario.settings?.capitalCalculationMode) {
+            setCapitalCalculationMode(scenario.settings.capitalCalculationMode);
+        }
+
+        state.tokens = tokens;
+        state.pools = pools;
+        state.wallets = wallets;
+        state.tokens.forEach(token => {
+            recalculateReflectedSupply(token);
+            token.updateCapitalTracking();
+        });
+        syncArbitrageAgent();
+        syncPriceProcess();
+    } catch (error) {
+        console.error('Error loading scenario:', error);
+        return { success: false, error: `Failed to load scenario: ${error.message}` };
+    }
+
+    simulationEvents.emit('scenario:loaded', { scenario });
+
+    return { success: true };
+}
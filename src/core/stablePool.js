@@ -0,0 +1,317 @@
+/**
+ * @fileoverview StableSwap pools (Curve style) for assets that trade near a fixed price
+ * The invariant blends constant sum and constant product:
+ *   A·n^n·Σx + D = A·D·n^n + D^(n+1) / (n^n·Πx), with n = 2
+ * A high amplification coefficient A keeps the price flat around the peg, so
+ * trades there see little slippage; far from it the curve turns back into x * y = k.
+ * Balances are compared after scaling assetA by the peg (the price of assetA in
+ * assetB the pool is balanced at, set by the first deposit), so a token can be
+ * pegged to USD, WPLS or another token at any price.
+ * StablePool overrides only the pricing, quote and mint math of Pool, and keeps
+ * its invariant in step through setReserve; swaps still settle through Pool.swap.
+ */
+
+import Decimal from './decimal.js';
+import { simulationEvents } from './events.js';
+import { Pool, DEFAULT_POOL_FEE, normalizeAsset } from './pool.js';
+
+/**
+ * Default amplification coefficient for new stable pools
+ * @type {number}
+ */
+export const DEFAULT_AMPLIFICATION = 100;
+
+/**
+ * Highest amplification coefficient a pool accepts
+ * @type {number}
+ */
+export const MAX_AMPLIFICATION = 1000000;
+
+/**
+ * Validate an amplification coefficient
+ * @param {number|string} amplification - A to check
+ * @returns {{isValid: boolean, message?: string}} Validation result
+ */
+export function validateAmplification(amplification) {
+    const value = Number(amplification);
+    if (!Number.isFinite(value) || value < 1 || value > MAX_AMPLIFICATION) {
+        return { isValid: false, message: `Amplification must be between 1 and ${MAX_AMPLIFICATION}` };
+    }
+    return { isValid: true };
+}
+
+/**
+ * Newton iterations before giving up on convergence
+ * @type {number}
+ */
+const MAX_ITERATIONS = 255;
+
+/**
+ * Relative change at which a Newton iteration counts as converged
+ * @type {Decimal}
+ */
+const CONVERGENCE = new Decimal('1e-18');
+
+/**
+ * Solve the invariant D for two balances
+ * @param {Decimal} x - First balance (scaled)
+ * @param {Decimal} y - Second balance (scaled)
+ * @param {number} amplification - Amplification coefficient A
+ * @returns {Decimal} Invariant D (0 if a balance is empty)
+ */
+function getInvariant(x, y, amplification) {
+    const sum = x.plus(y);
+    if (x.lte(0) || y.lte(0)) {
+        return new Decimal(0);
+    }
+
+    const ann = new Decimal(amplification).times(4);
+    let d = sum;
+    for (let i = 0; i < MAX_ITERATIONS; i++) {
+        // D_P = D³ / (n^n·x·y)
+        const dP = d.pow(3).dividedBy(x.times(y).times(4));
+        const previous = d;
+        d = ann.times(sum).plus(dP.times(2)).times(d)
+            .dividedBy(ann.minus(1).times(d).plus(dP.times(3)));
+        if (d.minus(previous).abs().lte(d.times(CONVERGENCE))) break;
+    }
+    return d;
+}
+
+/**
+ * Solve the invariant for one balance given the other
+ * @param {Decimal} x - Known balance (scaled)
+ * @param {Decimal} d - Invariant D
+ * @param {number} amplification - Amplification coefficient A
+ * @returns {Decimal} The other balance (scaled)
+ */
+function getBalance(x, d, amplification) {
+    const ann = new Decimal(amplification).times(4);
+    // y² + (b - D)·y = c, with b = x + D/Ann and c = D³ / (n^n·x·Ann)
+    const c = d.pow(3).dividedBy(x.times(4).times(ann));
+    const b = x.plus(d.dividedBy(ann));
+    let y = d;
+    for (let i = 0; i < MAX_ITERATIONS; i++) {
+        const previous = y;
+        y = y.pow(2).plus(c).dividedBy(y.times(2).plus(b).minus(d));
+        if (y.minus(previous).abs().lte(y.times(CONVERGENCE))) break;
+    }
+    return y;
+}
+
+/**
+ * Class representing a StableSwap pool
+ * k holds the invariant D (in assetB units) instead of x * y.
+ */
+export class StablePool extends Pool {
+    /**
+     * Create a new StablePool instance
+     * @param {Object} options - Pool options
+     * @param {Asset} options.assetA - First asset
+     * @param {Asset} options.assetB - Second asset
+     * @param {number} [options.feePercent=DEFAULT_POOL_FEE] - Swap fee (%)
+     * @param {number} [options.amplification=DEFAULT_AMPLIFICATION] - Amplification coefficient A
+     */
+    constructor({ assetA, assetB, feePercent = DEFAULT_POOL_FEE, amplification = DEFAULT_AMPLIFICATION }) {
+        super({ assetA, assetB, feePercent });
+        this.type = 'stable';
+        this.amplification = Number(amplification);
+        this.peg = new Decimal(0);  // Price of assetA in assetB the curve is centred on (0 until the first deposit)
+    }
+
+    /**
+     * Get both balances in assetB units, assetA scaled by the peg
+     * @returns {{x: Decimal, y: Decimal}} Scaled balances of assetA and assetB
+     */
+    getScaledBalances() {
+        return { x: this.reserveA.times(this.peg), y: this.reserveB };
+    }
+
+    /**
+     * Current invariant D
+     * @returns {Decimal} D in assetB units
+     */
+    getInvariant() {
+        const { x, y } = this.getScaledBalances();
+        return getInvariant(x, y, this.amplification);
+    }
+
+    /**
+     * Set the reserve of one side and refresh the invariant
+     * @param {Asset} asset - Side of the pool
+     * @param {Decimal} amount - New reserve
+     */
+    setReserve(asset, amount) {
+        if (this.assetA === normalizeAsset(asset)) {
+            this.reserveA = amount;
+        } else {
+            this.reserveB = amount;
+        }
+        this.k = this.getInvariant();
+    }
+
+    /**
+     * Copy the pool for what-if quotes
+     * @returns {StablePool} Detached copy
+     */
+    clone() {
+        const copy = new StablePool({
+            assetA: this.assetA,
+            assetB: this.assetB,
+            feePercent: this.feePercent,
+            amplification: this.amplification
+        });
+        copy.peg = this.peg;
+        copy.reserveA = this.reserveA;
+        copy.reserveB = this.reserveB;
+        copy.k = this.k;
+        copy.lpTotalSupply = this.lpTotalSupply;
+        copy.openedAt = this.openedAt;
+        return copy;
+    }
+
+    /**
+     * Marginal price of assetA in assetB at given scaled balances
+     * dy/dx of the invariant: (Ann + D³/(4x²y)) / (Ann + D³/(4xy²)), times the peg
+     * @param {Decimal} x - Scaled assetA balance
+     * @param {Decimal} y - Scaled assetB balance
+     * @param {Decimal} d - Invariant D
+     * @returns {Decimal} Price of assetA in assetB
+     */
+    getMarginalPrice(x, y, d) {
+        const ann = new Decimal(this.amplification).times(4);
+        const d3 = d.pow(3);
+        const numerator = ann.plus(d3.dividedBy(x.pow(2).times(y).times(4)));
+        const denominator = ann.plus(d3.dividedBy(x.times(y.pow(2)).times(4)));
+        return numerator.dividedBy(denominator).times(this.peg);
+    }
+
+    /**
+     * Get the spot price of an asset in units of the other side
+     * @param {Asset} asset - Asset to price
+     * @returns {Decimal} Price (0 without liquidity)
+     */
+    getSpotPrice(asset) {
+        if (!this.hasLiquidity()) {
+            return new Decimal(0);
+        }
+        const { x, y } = this.getScaledBalances();
+        const priceA = this.getMarginalPrice(x, y, this.k);
+        return this.assetA === normalizeAsset(asset) ? priceA : new Decimal(1).dividedBy(priceA);
+    }
+
+    /**
+     * Output of a swap along the invariant, before any fee
+     * @param {Asset} assetIn - Asset paid into the pool
+     * @param {Decimal} amountIn - Amount that trades against the curve
+     * @returns {{amountOut: Decimal, x: Decimal, y: Decimal}} Output and the scaled balances afterwards
+     */
+    getSwapOutput(assetIn, amountIn) {
+        const { x, y } = this.getScaledBalances();
+        const d = this.k;
+
+        if (this.assetA === normalizeAsset(assetIn)) {
+            const newX = x.plus(amountIn.times(this.peg));
+            const newY = getBalance(newX, d, this.amplification);
+            return { amountOut: y.minus(newY), x: newX, y: newY };
+        }
+
+        const newY = y.plus(amountIn);
+        const newX = getBalance(newY, d, this.amplification);
+        return { amountOut: x.minus(newX).dividedBy(this.peg), x: newX, y: newY };
+    }
+
+    /**
+     * Quote a swap without modifying the pool
+     * @param {Asset} assetIn - Asset paid into the pool
+     * @param {string|number|Decimal} amountIn - Amount paid
+     * @param {Object} [options={}] - Quote options
+     * @param {boolean} [options.applySlippage=true] - Use the StableSwap curve and fee;
+     *   false fills the whole amount at the spot price
+     * @returns {SwapQuote|null} Quote, or null without enough liquidity
+     */
+    quote(assetIn, amountIn, { applySlippage = true } = {}) {
+        const input = new Decimal(amountIn);
+
+        if (!this.hasLiquidity() || !this.hasAsset(assetIn)) {
+            return null;
+        }
+
+        const assetOut = this.otherAsset(assetIn);
+        const reserveOut = this.getReserve(assetOut);
+
+        if (!applySlippage) {
+            // Ideal mode: no slippage and no price impact
+            const amountOut = input.times(this.getSpotPrice(assetIn));
+            return amountOut.gte(reserveOut) ? null : { amountOut, priceImpact: new Decimal(0), fee: new Decimal(0) };
+        }
+
+        const fee = input.times(this.feePercent).dividedBy(100);
+        const step = this.getSwapOutput(assetIn, input.minus(fee));
+        if (step.amountOut.lte(0) || step.amountOut.gte(reserveOut)) {
+            return null;
+        }
+
+        // Price of the output asset in the input asset, before and after
+        const priceBefore = this.getSpotPrice(assetOut);
+        const priceAfterA = this.getMarginalPrice(step.x, step.y, this.k);
+        const priceAfter = this.assetA === assetOut ? priceAfterA : new Decimal(1).dividedBy(priceAfterA);
+        const priceImpact = priceAfter.minus(priceBefore).dividedBy(priceBefore).times(100);
+
+        return { amountOut: step.amountOut, priceImpact, fee };
+    }
+
+    /**
+     * Deposit both sides and mint LP tokens; the first deposit sets the peg
+     * Ratio and balance checks are the caller's job.
+     * @param {Asset} asset - First side
+     * @param {Decimal} amount - Amount of the first side
+     * @param {Decimal} otherAmount - Amount of the other side
+     * @returns {Decimal} LP tokens minted
+     */
+    mint(asset, amount, otherAmount) {
+        if (this.peg.isZero() || this.lpTotalSupply.isZero()) {
+            const isA = this.assetA === normalizeAsset(asset);
+            this.peg = isA ? otherAmount.dividedBy(amount) : amount.dividedBy(otherAmount);
+        }
+        return super.mint(asset, amount, otherAmount);
+    }
+
+    /**
+     * Set the amplification coefficient
+     * @param {number|string} amplification - A (1 behaves close to constant product)
+     * @returns {{success: boolean, error?: string}} Result
+     */
+    setAmplification(amplification) {
+        const validation = validateAmplification(amplification);
+        if (!validation.isValid) {
+            return { success: false, error: validation.message };
+        }
+
+        this.amplification = Number(amplification);
+        this.k = this.getInvariant();
+        simulationEvents.emit('pool:updated', { pool: this });
+        return { success: true };
+    }
+
+    /**
+     * How much deeper the pool trades than a constant product pool with the same
+     * reserves: the ratio of their slippage on a small trade at the current balances
+     * @returns {Decimal} Capital efficiency (0 without liquidity)
+     */
+    getCapitalEfficiency() {
+        if (!this.hasLiquidity()) {
+            return new Decimal(0);
+        }
+
+        const amountIn = this.reserveA.times('0.001');
+        const atSpot = amountIn.times(this.getSpotPrice(this.assetA));
+        const constantProductOut = this.reserveB.times(amountIn).dividedBy(this.reserveA.plus(amountIn));
+        const stableOut = this.getSwapOutput(this.assetA, amountIn).amountOut;
+        const stableSlippage = atSpot.minus(stableOut);
+
+        return stableSlippage.lte(0)
+            ? new Decimal(MAX_AMPLIFICATION)
+            : atSpot.minus(constantProductOut).dividedBy(stableSlippage);
+    }
+}
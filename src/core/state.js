@@ -3,24 +3,29 @@
  * Handles global state, token management, and application settings
  */
 
+import Decimal from './decimal.js';
+import { simulationEvents } from './events.js';
+import { random } from './random.js';
+import { now } from './clock.js';
+
 /**
- * Get the Decimal instance, throwing an error if it's not available
- * @returns {typeof Decimal} The Decimal constructor
+ * Wall-clock time simulated time zero stands for unless a scenario says otherwise (2024-01-01 UTC)
+ * Fixed rather than taken from the wall clock, so replaying a seed records identical timestamps.
+ * @type {number}
  */
-function getDecimal() {
-    if (!window.Decimal) {
-        throw new Error('Decimal.js not loaded');
-    }
-    return window.Decimal;
-}
+export const SIMULATION_EPOCH = Date.UTC(2024, 0, 1);
 
 /**
  * @typedef {Object} GlobalState
  * @property {Token[]} tokens - Array of token instances
+ * @property {Pool[]} pools - AMM pools; each connects two assets (USD, WPLS or a token)
  * @property {number} transactionCount - Total number of transactions processed
  * @property {Decimal} totalProcessed - Total amount processed in USD
  * @property {Decimal} totalGasUsed - Total gas used across all transactions
- * @property {number} startTime - Timestamp when the application started
+ * @property {number} startTime - Wall-clock timestamp simulated time zero stands for (saved with scenarios)
+ * @property {number} simulatedTime - Simulated milliseconds since the run started (see clock.js)
+ * @property {string} clockMode - 'realtime' or 'fast-forward'
+ * @property {number} timeScale - Simulated milliseconds per real millisecond in realtime mode
  * @property {Decimal} plsPrice - Current PLS price
  * @property {number} maxTokens - Maximum number of tokens allowed
  * @property {Set<string>} activeTransactions - Set of active transaction IDs
@@ -32,67 +37,76 @@ function getDecimal() {
  * @property {Decimal} minTimeInterval - Minimum time interval between transactions
  * @property {Decimal} maxTimeInterval - Maximum time interval between transactions
  * @property {boolean} isPaused - Trading system pause state
+ * @property {boolean} arbitrageEnabled - Whether the arbitrage agent back-runs trades
+ * @property {number} arbitrageWalletId - Wallet the arbitrage agent trades from
+ * @property {Decimal} arbitrageMinProfit - Minimum USD profit per arbitrage cycle, after gas
+ * @property {number} protocolFeeShare - Share of every swap fee paid to the treasury (%)
+ * @property {number|null} treasuryWalletId - Wallet receiving protocol fees (null = no protocol fee)
+ * @property {PriceProcessSettings} plsPriceProcess - Stochastic process driving the WPLS price (see priceProcess.js)
+ * @property {number} randomSeed - Seed of the random number generator
+ * @property {number} randomState - Position of the random number generator (see random.js)
  */
 
-/**
- * Initialize the state with Decimal values
- * @returns {GlobalState}
- */
-function initializeState() {
-    const Decimal = getDecimal();
-    return {
-        tokens: [],
-        transactionCount: 0,
-        totalProcessed: new Decimal(0),
-        totalGasUsed: new Decimal(0),
-        startTime: Date.now(),
-        plsPrice: new Decimal('1'), // Start at $1
-        maxTokens: 20,
-        activeTransactions: new Set(),
-        minGlobalGas: new Decimal('0.000001'),
-        maxGlobalGas: new Decimal('0.000005'),
-        currentWalletId: null,
-        walletIntervals: new Map(),
-        currentTxNumber: 0,
-        minTimeInterval: new Decimal(0.1),
-        maxTimeInterval: new Decimal(1),
-        isPaused: false
-    };
-}
-
 /**
  * Global state object containing all application state
  * @type {GlobalState}
  */
 export let state = {
     tokens: [],
+    pools: [],
     wallets: [],  // Array of Wallet instances
     maxTokens: 20,
     isPaused: false,
     currentTxNumber: 0,
-    minTimeInterval: 0.1,
-    maxTimeInterval: 1.0,
-    totalGasUsed: null,
-    totalProcessed: null,
+    minTimeInterval: new Decimal(0.1),
+    maxTimeInterval: new Decimal(1),
+    totalGasUsed: new Decimal(0),
+    totalProcessed: new Decimal(0),
     transactionCount: 0,
-    plsPrice: null,
+    plsPrice: new Decimal('1'), // Start at $1
     activeTransactions: new Set(),
-    minGlobalGas: null,
-    maxGlobalGas: null,
+    minGlobalGas: new Decimal('0.000001'),
+    maxGlobalGas: new Decimal('0.000005'),
     currentWalletId: 1,  // Start with wallet 1
     walletIntervals: new Map(),
-    startTime: Date.now(),
+    startTime: SIMULATION_EPOCH,
+    simulatedTime: 0,
+    clockMode: 'realtime',
+    timeScale: 1,
     maxRoutingHops: 3,
     requireRoutingConfirmation: false,
     requireGas: true,
-    applySlippage: true  // Toggle for realistic slippage calculation
+    applySlippage: true,  // Toggle for realistic slippage calculation
+    arbitrageEnabled: false,
+    arbitrageWalletId: 1,
+    arbitrageMinProfit: new Decimal('0.01'),
+    protocolFeeShare: 0,
+    treasuryWalletId: null,
+    plsPriceProcess: {  // Drift and volatility are % per simulated hour; see priceProcess.js
+        enabled: false,
+        process: 'gbm',
+        interval: 1,
+        drift: 0,
+        volatility: 5,
+        jumpIntensity: 2,
+        jumpMean: -5,
+        jumpVolatility: 10,
+        switchRate: 1,
+        regime: 'crab',
+        regimes: {
+            bull: { drift: 20, volatility: 4 },
+            bear: { drift: -20, volatility: 6 },
+            crab: { drift: 0, volatility: 1.5 }
+        }
+    },
+    randomSeed: 1,  // Editable in settings; see random.js
+    randomState: 1
 };
 
 /**
- * Initialize state with Decimal values after Decimal.js is loaded
+ * Restore the default Decimal values (prices, gas limits and intervals)
  */
 export function initializeStateValues() {
-    const Decimal = getDecimal();
     state.totalGasUsed = new Decimal(0);
     state.totalProcessed = new Decimal(0);
     state.plsPrice = new Decimal('1'); // Start at $1
@@ -100,15 +114,16 @@ export function initializeStateValues() {
     state.maxGlobalGas = new Decimal('0.000005');
     state.minTimeInterval = new Decimal(0.1);
     state.maxTimeInterval = new Decimal(1);
+    state.arbitrageMinProfit = new Decimal('0.01');
 }
 
 /**
  * Updates the PLS price with a small random variation
- * Note: This is disabled when using manual price slider
+ * Note: the price moves through the settings slider or a price process
+ * (priceProcess.js), not through this function
  * @returns {void}
  */
 export function updatePLSPrice() {
-    // Price is now controlled by the slider in settings
     // This function is kept for backwards compatibility
     return;
 }
@@ -119,10 +134,9 @@ export function updatePLSPrice() {
  * @returns {Decimal} Calculated gas amount
  */
 export function calculateGas(amount) {
-    const Decimal = getDecimal();
     const minGas = state.minGlobalGas;
     const maxGas = state.maxGlobalGas;
-    const randomFactor = Math.random();
+    const randomFactor = random();
     return minGas.plus(maxGas.minus(minGas).times(randomFactor));
 }
 
@@ -132,12 +146,11 @@ export function calculateGas(amount) {
  * @returns {number} Delay in milliseconds
  */
 export function getRandomDelay(walletId) {
-    const Decimal = getDecimal();
     if (!state.walletIntervals.has(walletId)) {
         const minMs = state.minTimeInterval.times(1000);
         const maxMs = state.maxTimeInterval.times(1000);
         const randomDelay = minMs.plus(
-            maxMs.minus(minMs).times(Math.random())
+            maxMs.minus(minMs).times(random())
         );
         state.walletIntervals.set(walletId, randomDelay.toNumber());
     }
@@ -145,18 +158,41 @@ export function getRandomDelay(walletId) {
 }
 
 /**
- * Resets the application state
+ * Sets the WPLS price in USD
+ * Every token priced through WPLS is invalidated so the next read is fresh.
+ * @param {Decimal|string|number} price - New WPLS price in USD
+ */
+export function setPlsPrice(price) {
+    state.plsPrice = new Decimal(price);
+
+    state.tokens.forEach(token => {
+        token.priceLastUpdated = null;
+    });
+
+    simulationEvents.emit('wpls:priceChanged', { price: state.plsPrice });
+}
+
+/**
+ * Resets the whole simulation (tokens, wallets, counters and settings)
+ * Used by headless runs that replay many scenarios in one process.
  * @returns {void}
  */
 export function resetState() {
     state.tokens = [];
+    state.pools = [];
+    state.wallets = [];
+    state.isPaused = false;
     state.transactionCount = 0;
-    state.totalProcessed = new Decimal(0);
-    state.totalGasUsed = new Decimal(0);
-    state.startTime = Date.now();
+    state.startTime = SIMULATION_EPOCH;
+    state.simulatedTime = 0;
     state.currentTxNumber = 0;
+    state.currentWalletId = 1;
     state.walletIntervals.clear();
     state.activeTransactions.clear();
+    state.randomState = state.randomSeed;  // Same seed, same run
+    initializeStateValues();
+
+    simulationEvents.emit('state:reset');
 }
 
 /**
@@ -165,6 +201,7 @@ export function resetState() {
  */
 export function togglePauseState() {
     state.isPaused = !state.isPaused;
+    simulationEvents.emit('state:pauseChanged', { isPaused: state.isPaused });
     return state.isPaused;
 }
 
@@ -202,11 +239,11 @@ export function addToTotalGasUsed(gasAmount) {
 }
 
 /**
- * Gets the elapsed time since start in seconds
+ * Gets the simulated time since start in seconds
  * @returns {number} Elapsed seconds
  */
 export function getElapsedSeconds() {
-    return Math.floor((Date.now() - state.startTime) / 1000);
+    return Math.floor(now() / 1000);
 }
 
 /**
@@ -214,7 +251,6 @@ export function getElapsedSeconds() {
  * @returns {number} Transactions per minute
  */
 export function getTransactionsPerMinute() {
-    const Decimal = getDecimal();
     const minutesElapsed = getElapsedSeconds() / 60;
     return minutesElapsed > 0 ? (state.transactionCount / minutesElapsed) : 0;
 }
@@ -224,21 +260,20 @@ export function getTransactionsPerMinute() {
  * This ensures tokens paired with other tokens get correct USD prices
  */
 export function updateAllTokenPrices() {
-    const Decimal = getDecimal();
 
     // CRITICAL: Invalidate ALL price caches first to force recalculation
     state.tokens.forEach(token => {
-        token.priceLastUpdated = 0;
+        token.priceLastUpdated = null;
     });
 
-    // First pass: update all USD and WPLS-paired tokens (direct calculation)
-    const directPairedTokens = state.tokens.filter(t => t.pairType === 'USD' || t.pairType === 'WPLS');
+    // First pass: update all tokens with a USD or WPLS pool (direct calculation)
+    const directPairedTokens = state.tokens.filter(t => t.hasBasePool());
     directPairedTokens.forEach(token => {
         const freshVisited = new Set();  // Fresh Set for each token
         token.calculateTokenPriceUSD(freshVisited);
     });
 
-    // Iterative passes: update token-paired tokens until prices stabilize
+    // Iterative passes: update tokens with token pools until prices stabilize
     let updated = true;
     let maxIterations = 10;  // Prevent infinite loops
     let iteration = 0;
@@ -247,11 +282,11 @@ export function updateAllTokenPrices() {
         updated = false;
         iteration++;
 
-        const tokenPairedTokens = state.tokens.filter(t => t.pairType === 'TOKEN');
+        const tokenPairedTokens = state.tokens.filter(t => t.hasTokenPool());
         tokenPairedTokens.forEach(token => {
             const oldPrice = token.cachedUSDPrice;
             // Force recalculation by invalidating cache
-            token.priceLastUpdated = 0;
+            token.priceLastUpdated = null;
             // Create fresh visited Set for each token to properly detect circular dependencies
             const freshVisited = new Set();
             token.calculateTokenPriceUSD(freshVisited);
@@ -271,11 +306,13 @@ export function updateAllTokenPrices() {
     if (iteration >= maxIterations) {
         console.warn('Price update loop reached max iterations - possible circular dependency');
     }
+
+    simulationEvents.emit('prices:updated', { tokens: state.tokens });
 }
 
 /**
  * Get the price chain for a token (for debugging)
- * Shows how a token's USD price is calculated through pairs
+ * Shows how a token's USD price is calculated through the pools it is priced from
  * @param {number} tokenId - Token ID to trace
  * @returns {Array|null} Price chain or null if token not found
  */
@@ -290,20 +327,20 @@ export function getTokenPriceChain(tokenId) {
     while (current && !visited.has(current.id)) {
         visited.add(current.id);
 
-        const priceInPair = current.pairReserve.isZero() || current.tokenReserve.isZero()
-            ? '0'
-            : current.pairReserve.dividedBy(current.tokenReserve).toString();
+        // Follow the pool the price was taken from
+        const pool = state.pools.find(p => p.id === current.pricingPoolId) || null;
+        const pairAsset = pool ? pool.otherAsset(current.id) : null;
 
         chain.push({
             tokenId: current.id,
-            pairType: current.pairType,
-            pairedTokenId: current.pairedTokenId,
-            priceInPair: priceInPair,
+            poolId: pool ? pool.id : null,
+            pairAsset,
+            priceInPair: pool ? pool.getSpotPrice(current.id).toString() : '0',
             priceInUSD: current.cachedUSDPrice.toString()
         });
 
-        if (current.pairType === 'TOKEN') {
-            current = state.tokens.find(t => t.id === current.pairedTokenId);
+        if (typeof pairAsset === 'number') {
+            current = state.tokens.find(t => t.id === pairAsset);
         } else {
             break;
         }
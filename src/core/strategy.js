@@ -0,0 +1,392 @@
+/**
+ * @fileoverview Automated trading strategy
+ * Buys and/or sells a fixed USD amount (with optional variance) every interval,
+ * for a set number of trades or until stopped. Steps run on the simulated clock
+ * and every draw goes through random(), so Monte Carlo runs and sweeps can play
+ * the strategy too; the Trading panel (modules/tradingStrategies.js) drives it by hand.
+ */
+
+import Decimal from './decimal.js';
+import { state } from './state.js';
+import { simulationEvents } from './events.js';
+import { processBuy, processSell } from './transactions.js';
+import { getWalletById, getWalletsByTag } from './wallet.js';
+import { random, randomInt } from './random.js';
+import { now, schedule, cancelTimer } from './clock.js';
+
+/**
+ * @typedef {Object} StrategyConfig
+ * @property {string} tokenSelectionMode - 'specific', 'random', 'in-order' or 'reverse'
+ * @property {number|null} tokenId - Token to trade in 'specific' mode
+ * @property {string} tradingMode - 'buy-only', 'sell-only' or 'both'
+ * @property {number} amount - USD per trade
+ * @property {number} amountVariance - Random variation of the amount (± %)
+ * @property {number} interval - Simulated seconds between trades
+ * @property {number} intervalVariance - Random variation of the interval (± %)
+ * @property {number} tradeCount - Trades to make unless continuousMode
+ * @property {boolean} continuousMode - Trade until stopped
+ * @property {string} walletTag - Trade from a random wallet with this tag ('' = the current wallet)
+ */
+
+/**
+ * @typedef {Object} StrategyStats
+ * @property {number} currentTrade - Trades made so far
+ * @property {number} totalTrades - Trades to make (Infinity in continuous mode)
+ * @property {number} totalSpent - USD spent on buys
+ * @property {number} totalEarned - USD received from sells
+ * @property {number} totalImpact - Sum of the trades' price impact (%)
+ * @property {number|null} startTime - Simulated time the strategy started
+ * @property {number} buys - Buys made
+ * @property {number} sells - Sells made
+ */
+
+/**
+ * Active strategy state
+ */
+let activeStrategy = null;
+let strategyTimer = null;
+let currentTokenIndex = 0; // For in-order and reverse modes
+let strategyStats = createStrategyStats(0);
+
+/**
+ * Create empty strategy stats
+ * @param {number} totalTrades - Trades the strategy will make
+ * @returns {StrategyStats} Stats
+ */
+function createStrategyStats(totalTrades) {
+    return {
+        currentTrade: 0,
+        totalTrades,
+        totalSpent: 0,
+        totalEarned: 0,
+        totalImpact: 0,
+        startTime: null,
+        buys: 0,
+        sells: 0
+    };
+}
+
+/**
+ * Check a strategy configuration
+ * @param {Partial<StrategyConfig>} config - Configuration
+ * @returns {{isValid: boolean, message?: string}} Validation result
+ */
+export function validateStrategyConfig(config) {
+    if (config.tokenSelectionMode === 'specific' && (!config.tokenId || config.tokenId === '')) {
+        return { isValid: false, message: 'Please select a target token' };
+    }
+
+    if ((config.tokenSelectionMode === 'random' || config.tokenSelectionMode === 'in-order' || config.tokenSelectionMode === 'reverse') && state.tokens.length === 0) {
+        return { isValid: false, message: 'No tokens available. Please add tokens first.' };
+    }
+
+    if (!config.amount || config.amount <= 0) {
+        return { isValid: false, message: 'Please enter a valid amount' };
+    }
+
+    if (!config.interval || config.interval <= 0) {
+        return { isValid: false, message: 'Please enter a valid interval' };
+    }
+
+    if (!config.continuousMode && (!config.tradeCount || config.tradeCount <= 0)) {
+        return { isValid: false, message: 'Please enter a valid trade count or enable continuous mode' };
+    }
+
+    if (config.walletTag && getWalletsByTag(config.walletTag).length === 0) {
+        return { isValid: false, message: `No wallets are tagged "${config.walletTag}"` };
+    }
+
+    return { isValid: true };
+}
+
+/**
+ * Start automated trading
+ * @param {StrategyConfig} config - Trading configuration
+ * @returns {{success: boolean, error?: string}} Result
+ */
+export function startStrategy(config) {
+    if (activeStrategy) {
+        return { success: false, error: 'A strategy is already running' };
+    }
+
+    const validation = validateStrategyConfig(config);
+    if (!validation.isValid) {
+        return { success: false, error: validation.message };
+    }
+
+    strategyStats = createStrategyStats(config.continuousMode ? Infinity : parseInt(config.tradeCount));
+    strategyStats.startTime = now();
+
+    activeStrategy = { config };
+
+    // Reset token index for ordered modes
+    if (config.tokenSelectionMode === 'reverse') {
+        currentTokenIndex = state.tokens.length - 1;
+    } else {
+        currentTokenIndex = 0;
+    }
+
+    console.log('Started automated trading strategy');
+    simulationEvents.emit('strategy:started', { config });
+
+    // Start execution
+    executeStrategyStep();
+    return { success: true };
+}
+
+/**
+ * Execute a single strategy step
+ */
+async function executeStrategyStep() {
+    if (!activeStrategy) return;
+
+    strategyTimer = null;
+    const { config } = activeStrategy;
+
+    try {
+        // Determine which token to trade
+        const targetTokenId = getTargetToken(config);
+
+        if (!targetTokenId) {
+            console.error('No token available for trading');
+            strategyTimer = schedule(parseFloat(config.interval) * 1000, executeStrategyStep);
+            return;
+        }
+
+        // Calculate randomized amount
+        const baseAmount = new Decimal(config.amount);
+        const variance = parseFloat(config.amountVariance) || 0;
+        const randomFactor = variance > 0 ?
+            (1 - variance/100) + (random() * 2 * variance/100) : 1;
+        const amount = baseAmount.times(randomFactor);
+
+        // Determine action (buy or sell)
+        const action = determineAction(config);
+        const walletId = getTradingWalletId(config);
+
+        let result;
+        if (action === 'buy') {
+            result = await processBuy({
+                amount,
+                walletId: walletId.toString(),
+                tokenId: targetTokenId,
+                isInitialBuy: false
+            });
+            if (result.success) {
+                strategyStats.buys++;
+                strategyStats.totalSpent += parseFloat(amount.toString());
+            }
+        } else if (action === 'sell') {
+            // Get wallet holdings
+            const wallet = getWalletById(walletId);
+            const holdings = wallet.getTokenBalance(targetTokenId);
+
+            if (holdings.gt(0)) {
+                // Sell a portion of holdings
+                const sellAmount = amount.dividedBy(
+                    state.tokens.find(t => t.id === targetTokenId)?.calculateTokenPriceUSD() || 1
+                );
+                const actualSellAmount = sellAmount.lt(holdings) ? sellAmount : holdings.times(0.5);
+
+                result = await processSell({
+                    tokenAmount: actualSellAmount,
+                    walletId: walletId.toString(),
+                    tokenId: targetTokenId
+                });
+
+                if (result.success) {
+                    strategyStats.sells++;
+                    strategyStats.totalEarned += parseFloat(result.usdReceived || 0);
+                }
+            } else {
+                result = { success: true }; // Skip if no holdings
+            }
+        }
+
+        // Stopped (or reset) while the trade settled
+        if (!activeStrategy) return;
+
+        if (result && result.success) {
+            strategyStats.currentTrade++;
+
+            // Track price impact if available
+            if (result.priceImpact) {
+                strategyStats.totalImpact += parseFloat(result.priceImpact);
+            }
+
+            simulationEvents.emit('strategy:step', { stats: getStrategyStats() });
+
+            // Check if strategy is complete
+            if (!config.continuousMode && strategyStats.currentTrade >= strategyStats.totalTrades) {
+                stopStrategy({ completed: true });
+                return;
+            }
+
+            // Calculate next interval with variance
+            let nextInterval = parseFloat(config.interval) * 1000;
+            const intervalVariance = parseFloat(config.intervalVariance) || 0;
+
+            if (intervalVariance > 0) {
+                const randomFactor = (1 - intervalVariance/100) +
+                    (random() * 2 * intervalVariance/100);
+                nextInterval *= randomFactor;
+            }
+
+            // Schedule next execution
+            strategyTimer = schedule(nextInterval, executeStrategyStep);
+        } else {
+            console.error('Strategy execution failed:', result?.error);
+            // Continue anyway after a delay
+            strategyTimer = schedule(parseFloat(config.interval) * 1000, executeStrategyStep);
+        }
+    } catch (error) {
+        console.error('Error executing strategy:', error);
+        // Continue execution instead of stopping
+        if (activeStrategy) {
+            strategyTimer = schedule(parseFloat(config.interval) * 1000, executeStrategyStep);
+        }
+    }
+}
+
+/**
+ * Get the target token based on selection mode
+ * @param {StrategyConfig} config - Strategy configuration
+ * @returns {number|null} Token ID, or null when there is none to trade
+ */
+function getTargetToken(config) {
+    const mode = config.tokenSelectionMode || 'specific';
+
+    console.log('getTargetToken called:', {
+        mode,
+        configTokenId: config.tokenId,
+        totalTokens: state.tokens.length,
+        tokenIds: state.tokens.map(t => t.id)
+    });
+
+    if (mode === 'specific') {
+        console.log('Using specific mode, returning:', config.tokenId);
+        return config.tokenId;
+    }
+
+    if (state.tokens.length === 0) {
+        console.log('No tokens available');
+        return null;
+    }
+
+    if (mode === 'random') {
+        const randomIndex = randomInt(state.tokens.length);
+        const selectedToken = state.tokens[randomIndex];
+        console.log('Random mode selected:', {
+            randomIndex,
+            selectedTokenId: selectedToken.id,
+            selectedTokenName: selectedToken.name
+        });
+        return selectedToken.id;
+    }
+
+    if (mode === 'in-order') {
+        const token = state.tokens[currentTokenIndex];
+        console.log('In-order mode selected:', {
+            currentIndex: currentTokenIndex,
+            selectedTokenId: token.id,
+            selectedTokenName: token.name
+        });
+        currentTokenIndex = (currentTokenIndex + 1) % state.tokens.length;
+        return token.id;
+    }
+
+    if (mode === 'reverse') {
+        const token = state.tokens[currentTokenIndex];
+        console.log('Reverse mode selected:', {
+            currentIndex: currentTokenIndex,
+            selectedTokenId: token.id,
+            selectedTokenName: token.name
+        });
+        currentTokenIndex = currentTokenIndex - 1;
+        if (currentTokenIndex < 0) {
+            currentTokenIndex = state.tokens.length - 1;
+        }
+        return token.id;
+    }
+
+    console.log('No mode matched, falling back to config.tokenId:', config.tokenId);
+    return config.tokenId;
+}
+
+/**
+ * Pick the wallet that makes this step's trade
+ * @param {StrategyConfig} config - Strategy configuration
+ * @returns {number} Wallet ID: a random wallet with config.walletTag, or the current wallet
+ */
+function getTradingWalletId(config) {
+    if (config.walletTag) {
+        const wallets = getWalletsByTag(config.walletTag);
+        if (wallets.length > 0) {
+            return wallets[randomInt(wallets.length)].id;
+        }
+    }
+    return state.currentWalletId;
+}
+
+/**
+ * Determine whether to buy or sell
+ * @param {StrategyConfig} config - Strategy configuration
+ * @returns {string} 'buy' or 'sell'
+ */
+function determineAction(config) {
+    const mode = config.tradingMode || 'buy-only';
+
+    if (mode === 'buy-only') return 'buy';
+    if (mode === 'sell-only') return 'sell';
+
+    // For 'both' mode, randomly choose
+    return random() > 0.5 ? 'buy' : 'sell';
+}
+
+/**
+ * Stop the active strategy
+ * @param {Object} [options={}] - Stop options
+ * @param {boolean} [options.completed=false] - The strategy made all its trades
+ */
+export function stopStrategy({ completed = false } = {}) {
+    if (strategyTimer) {
+        cancelTimer(strategyTimer);
+        strategyTimer = null;
+    }
+
+    if (!activeStrategy) return;
+    activeStrategy = null;
+
+    console.log('Strategy stopped');
+    simulationEvents.emit('strategy:stopped', { stats: getStrategyStats(), completed });
+}
+
+/**
+ * Check if a strategy is currently running
+ * @returns {boolean} True while running
+ */
+export function isStrategyRunning() {
+    return activeStrategy !== null;
+}
+
+/**
+ * Configuration of the running strategy
+ * @returns {StrategyConfig|null} Configuration, or null when none is running
+ */
+export function getActiveStrategyConfig() {
+    return activeStrategy ? activeStrategy.config : null;
+}
+
+/**
+ * Get current strategy stats
+ * @returns {StrategyStats} Copy of the stats
+ */
+export function getStrategyStats() {
+    return { ...strategyStats };
+}
+
+// A full reset drops the pending step, so the strategy cannot continue
+simulationEvents.on('state:reset', () => {
+    strategyTimer = null;
+    stopStrategy();
+});
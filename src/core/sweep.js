@@ -0,0 +1,589 @@
+/**
+ * @fileoverview Parameter sweeps
+ * Varies one or two parameters over a grid (tax rates, pool fees, liquidity,
+ * cascade depth, routing hops, agent trade size, strategy amount...) and plays the scenario at
+ * every point through the Monte Carlo runner. Every point uses the same seeds,
+ * so differences between points come from the parameters rather than luck.
+ * Each point keeps the percentiles of every Monte Carlo metric, ready for
+ * line plots (one parameter) or heatmaps (two).
+ */
+
+import { state, setPlsPrice, updateAllTokenPrices } from './state.js';
+import { simulationEvents } from './events.js';
+import { normalizeSeed } from './random.js';
+import { serializeScenario, loadScenario } from './scenario.js';
+import { TAX_SIDES, TAX_BUCKETS, setTaxRates } from './mechanics.js';
+import { setPriceProcess } from './priceProcess.js';
+import { toCsvCell } from '../utils/export.js';
+import {
+    createMonteCarloConfig,
+    validateMonteCarloConfig,
+    playScenarioRun,
+    restoreScenario,
+    isMonteCarloRunning,
+    getMonteCarloMetrics,
+    summarizeValues
+} from './monteCarlo.js';
+
+/**
+ * Most grid points along one axis
+ * @type {number}
+ */
+export const MAX_SWEEP_STEPS = 50;
+
+/**
+ * @typedef {Object} SweepAxis
+ * @property {string} parameter - Key of SWEEP_PARAMETERS
+ * @property {number|string} [tokenId] - Token parameters: token ID or 'all'
+ * @property {string} [side] - 'tax': 'buy', 'sell', 'transfer' or 'all'
+ * @property {string} [bucket] - 'tax': one of TAX_BUCKETS
+ * @property {number} from - First value
+ * @property {number} to - Last value
+ * @property {number} steps - Number of values from `from` to `to`, evenly spaced
+ */
+
+/**
+ * @typedef {Object} SweepConfig
+ * @property {SweepAxis} x - Parameter along the x axis
+ * @property {SweepAxis|null} y - Parameter along the y axis (null: one-parameter sweep)
+ * @property {number} runs - Runs per grid point
+ * @property {number} duration - Simulated seconds per run
+ * @property {number} seed - Seed of each point's first run; run i uses seed + i
+ * @property {Partial<AgentConfig>|null} agents - Agents to trade during each run (null: no agents)
+ * @property {StrategyConfig|null} strategy - Trading strategy to run during each run (null: none)
+ * @property {boolean} priceProcess - Whether the WPLS price process moves the price
+ */
+
+/**
+ * @typedef {Object} SweepPoint
+ * @property {number} x - Value of the x parameter
+ * @property {number|null} y - Value of the y parameter
+ * @property {string} [error] - Why the point could not be played
+ * @property {Object<string, MetricSummary>} [metrics] - Summary per metric key (see getMonteCarloMetrics)
+ */
+
+/**
+ * Apply a token parameter to every token the axis targets
+ * @param {SweepAxis} axis - Axis
+ * @param {Function} applyToToken - Called with each token; returns a result
+ * @returns {{success: boolean, error?: string}} First failure, or success
+ */
+function forEachTargetToken(axis, applyToToken) {
+    const tokens = axis.tokenId === 'all'
+        ? state.tokens
+        : state.tokens.filter(token => token.id === Number(axis.tokenId));
+    if (tokens.length === 0) {
+        return { success: false, error: `Token ${axis.tokenId} not found` };
+    }
+
+    for (const token of tokens) {
+        const result = applyToToken(token);
+        if (!result.success) {
+            // Name the token that failed when the axis covers them all
+            return { success: false, error: axis.tokenId === 'all' ? `${token.name}: ${result.error}` : result.error };
+        }
+    }
+    return { success: true };
+}
+
+/**
+ * Scale both reserves of a token's selected pool, keeping its price; LP balances scale along
+ * @param {Token} token - Token
+ * @param {number} factor - Multiplier
+ * @returns {{success: boolean, error?: string}} Result
+ */
+function scaleLiquidity(token, factor) {
+    const pool = token.primaryPool;
+    if (!pool || !pool.hasLiquidity()) {
+        return { success: false, error: 'no liquidity to scale' };
+    }
+    if (pool.type === 'concentrated') {
+        return { success: false, error: 'only constant-product and stable pools can be scaled' };
+    }
+    if (!(factor > 0)) {
+        return { success: false, error: 'liquidity multiplier must be positive' };
+    }
+
+    pool.setReserve(pool.assetA, pool.reserveA.times(factor));
+    pool.setReserve(pool.assetB, pool.reserveB.times(factor));
+    pool.lpTotalSupply = pool.lpTotalSupply.times(factor);
+    state.wallets.forEach(wallet => {
+        const lpAmount = wallet.lpBalances.get(pool.id);
+        if (lpAmount) {
+            wallet.lpBalances.set(pool.id, lpAmount.times(factor));
+        }
+    });
+
+    token.updateCapitalTracking();
+    simulationEvents.emit('pool:updated', { pool });
+    return { success: true };
+}
+
+/**
+ * Keep only the first tokens of the scenario, with their pools and balances
+ * In a cascade each token pairs with the one before it, so this cuts the cascade to `depth` levels.
+ * @param {number} depth - Tokens to keep
+ * @returns {{success: boolean, error?: string}} Result
+ */
+function truncateCascade(depth) {
+    if (depth < 1) {
+        return { success: false, error: 'Cascade depth must be at least 1' };
+    }
+
+    const removed = new Set(state.tokens.slice(depth).map(token => token.id));
+    if (removed.size === 0) {
+        return { success: true };
+    }
+
+    const removedPools = new Set(state.pools
+        .filter(pool => removed.has(pool.assetA) || removed.has(pool.assetB))
+        .map(pool => pool.id));
+
+    state.tokens = state.tokens.slice(0, depth);
+    state.pools = state.pools.filter(pool => !removedPools.has(pool.id));
+    state.wallets.forEach(wallet => {
+        removed.forEach(tokenId => {
+            wallet.tokenBalances.delete(tokenId);
+            wallet.reflectionBasis.delete(tokenId);
+        });
+        removedPools.forEach(poolId => wallet.lpBalances.delete(poolId));
+    });
+
+    updateAllTokenPrices();
+    state.tokens.forEach(token => token.updateCapitalTracking());
+    return { success: true };
+}
+
+/**
+ * Set an agent setting for the point's runs (validateSweepConfig makes sure agents are on)
+ * @param {Object} runConfig - The point's run settings
+ * @param {string} field - AgentConfig field
+ * @param {number} value - Value
+ * @returns {{success: boolean, error?: string}} Result
+ */
+function setAgentField(runConfig, field, value) {
+    runConfig.agents[field] = value;
+    return { success: true };
+}
+
+/**
+ * Set the strategy amount for the point's runs (validateSweepConfig makes sure the strategy is on)
+ * @param {Object} runConfig - The point's run settings
+ * @param {number} value - USD per trade
+ * @returns {{success: boolean, error?: string}} Result
+ */
+function setStrategyAmount(runConfig, value) {
+    if (!(value > 0)) {
+        return { success: false, error: 'Strategy amount must be greater than 0' };
+    }
+    runConfig.strategy.amount = value;
+    return { success: true };
+}
+
+/**
+ * Parameters a sweep can vary
+ * `scope` 'token' parameters apply to one token or all of them; 'agents', 'strategy' and
+ * 'priceProcess' ones need the agents, the trading strategy or the WPLS price process on
+ * during the runs. `integer` values are rounded.
+ * apply(value, axis, runConfig) changes the loaded scenario (or the point's run settings).
+ * @type {Object<string, {label: string, scope: string, integer: boolean, apply: Function}>}
+ */
+export const SWEEP_PARAMETERS = {
+    tax: {
+        label: 'Tax (%)',
+        scope: 'token',
+        integer: false,
+        apply: (value, axis) => forEachTargetToken(axis, token => {
+            const sides = axis.side === 'all' ? TAX_SIDES : [axis.side];
+            for (const side of sides) {
+                const result = setTaxRates(token, side, { [axis.bucket]: value });
+                if (!result.success) return result;
+            }
+            return { success: true };
+        })
+    },
+    poolFee: {
+        label: 'Pool Fee (%)',
+        scope: 'token',
+        integer: false,
+        apply: (value, axis) => forEachTargetToken(axis, token => token.primaryPool
+            ? token.primaryPool.setFeePercent(value)
+            : { success: false, error: 'no pool' })
+    },
+    liquidity: {
+        label: 'Liquidity (× current)',
+        scope: 'token',
+        integer: false,
+        apply: (value, axis) => forEachTargetToken(axis, token => scaleLiquidity(token, value))
+    },
+    cascadeDepth: {
+        label: 'Cascade Depth (first N tokens)',
+        scope: 'scenario',
+        integer: true,
+        apply: value => truncateCascade(value)
+    },
+    maxRoutingHops: {
+        label: 'Max Routing Hops',
+        scope: 'scenario',
+        integer: true,
+        apply: value => {
+            if (value < 1) {
+                return { success: false, error: 'Max routing hops must be at least 1' };
+            }
+            state.maxRoutingHops = value;
+            return { success: true };
+        }
+    },
+    plsPrice: {
+        label: 'Starting WPLS Price ($)',
+        scope: 'scenario',
+        integer: false,
+        apply: value => {
+            if (!(value > 0)) {
+                return { success: false, error: 'WPLS price must be positive' };
+            }
+            setPlsPrice(value);
+            return { success: true };
+        }
+    },
+    wplsDrift: {
+        label: 'WPLS Drift (% per hour)',
+        scope: 'priceProcess',
+        integer: false,
+        apply: value => setPriceProcess({ drift: value })
+    },
+    wplsVolatility: {
+        label: 'WPLS Volatility (% per √hour)',
+        scope: 'priceProcess',
+        integer: false,
+        apply: value => setPriceProcess({ volatility: value })
+    },
+    agentTradeSize: {
+        label: 'Agent Trade Size (% of USD)',
+        scope: 'agents',
+        integer: false,
+        apply: (value, axis, runConfig) => setAgentField(runConfig, 'tradeFraction', value / 100)
+    },
+    agentActivity: {
+        label: 'Agent Activity (%)',
+        scope: 'agents',
+        integer: false,
+        apply: (value, axis, runConfig) => setAgentField(runConfig, 'activity', value / 100)
+    },
+    strategyAmount: {
+        label: 'Strategy Amount (USD per trade)',
+        scope: 'strategy',
+        integer: false,
+        apply: (value, axis, runConfig) => setStrategyAmount(runConfig, value)
+    }
+};
+
+/**
+ * Check whether a parameter does anything under the current WPLS price process
+ * The regime-switching process takes its drift and volatility from the market regime,
+ * so the process-wide ones are not used.
+ * @param {string} parameter - Key of SWEEP_PARAMETERS
+ * @returns {boolean} False when sweeping it would change nothing
+ */
+export function isSweepParameterUsed(parameter) {
+    return SWEEP_PARAMETERS[parameter]?.scope !== 'priceProcess' || state.plsPriceProcess.process !== 'regime-switching';
+}
+
+// Sweep in progress
+let sweep = null;
+
+// Grid and points of the last sweep that finished a point
+let lastResults = null;
+
+/**
+ * Describe an axis, e.g. "Token 2 sell burn tax (%)"
+ * @param {SweepAxis} axis - Axis
+ * @returns {string} Label
+ */
+export function describeAxis(axis) {
+    const parameter = SWEEP_PARAMETERS[axis.parameter];
+    if (!parameter) return axis.parameter;
+    if (parameter.scope !== 'token') return parameter.label;
+
+    const token = state.tokens.find(t => t.id === Number(axis.tokenId));
+    const target = axis.tokenId === 'all' ? 'All tokens' : (token ? token.name : `Token ${axis.tokenId}`);
+    if (axis.parameter === 'tax') {
+        const side = axis.side === 'all' ? '' : ` ${axis.side}`;
+        return `${target}${side} ${axis.bucket} tax (%)`;
+    }
+    return `${target} ${parameter.label.charAt(0).toLowerCase()}${parameter.label.slice(1)}`;
+}
+
+/**
+ * Check one axis
+ * @param {SweepAxis} axis - Axis
+ * @returns {{isValid: boolean, message?: string}} Validation result
+ */
+export function validateSweepAxis(axis) {
+    const parameter = SWEEP_PARAMETERS[axis.parameter];
+    if (!parameter) {
+        return { isValid: false, message: `Unknown sweep parameter: ${axis.parameter}` };
+    }
+    if (!Number.isFinite(Number(axis.from)) || !Number.isFinite(Number(axis.to))) {
+        return { isValid: false, message: `${parameter.label}: the range needs a start and an end` };
+    }
+    if (!Number.isInteger(axis.steps) || axis.steps < 1 || axis.steps > MAX_SWEEP_STEPS) {
+        return { isValid: false, message: `${parameter.label}: steps must be a whole number from 1 to ${MAX_SWEEP_STEPS}` };
+    }
+    if (parameter.scope === 'token' && axis.tokenId !== 'all' && !state.tokens.some(t => t.id === Number(axis.tokenId))) {
+        return { isValid: false, message: `${parameter.label}: token ${axis.tokenId} not found` };
+    }
+    if (axis.parameter === 'tax') {
+        if (axis.side !== 'all' && !TAX_SIDES.includes(axis.side)) {
+            return { isValid: false, message: `Unknown tax side: ${axis.side}` };
+        }
+        if (!TAX_BUCKETS.includes(axis.bucket)) {
+            return { isValid: false, message: `Unknown tax destination: ${axis.bucket}` };
+        }
+    }
+    return { isValid: true };
+}
+
+/**
+ * List an axis' values: `steps` evenly spaced from `from` to `to`
+ * Integer parameters are rounded, and repeats dropped.
+ * @param {SweepAxis} axis - Axis
+ * @returns {number[]} Values
+ */
+export function getAxisValues(axis) {
+    const from = Number(axis.from);
+    const to = Number(axis.to);
+    const values = axis.steps === 1
+        ? [from]
+        : Array.from({ length: axis.steps }, (_, index) => from + ((to - from) * index) / (axis.steps - 1));
+
+    if (!SWEEP_PARAMETERS[axis.parameter]?.integer) {
+        return values;
+    }
+    return [...new Set(values.map(Math.round))];
+}
+
+/**
+ * Apply one axis value to the loaded scenario
+ * @param {SweepAxis} axis - Axis
+ * @param {number} value - Value
+ * @param {Object} runConfig - The point's run settings
+ * @returns {{success: boolean, error?: string}} Result
+ */
+function applyAxis(axis, value, runConfig) {
+    const result = SWEEP_PARAMETERS[axis.parameter].apply(value, axis, runConfig);
+    return result.success ? result : { success: false, error: `${describeAxis(axis)} = ${value}: ${result.error}` };
+}
+
+/**
+ * Play one grid point: load the base scenario, apply the values and play its runs
+ * @param {number} x - x value
+ * @param {number|null} y - y value
+ * @returns {Promise<SweepPoint|null>} The point, or null when the sweep was cancelled mid-point
+ */
+async function playPoint(x, y) {
+    const { config, scenario, tokenNames } = sweep;
+    const runConfig = {
+        ...config,
+        agents: config.agents ? { ...config.agents } : null,
+        strategy: config.strategy ? { ...config.strategy } : null
+    };
+
+    const loaded = loadScenario(structuredClone(scenario));
+    if (!loaded.success) {
+        throw new Error(`Could not load the scenario: ${loaded.error}`);
+    }
+    for (const [axis, value] of [[config.x, x], [config.y, y]]) {
+        if (!axis) continue;
+        const result = applyAxis(axis, value, runConfig);
+        if (!result.success) {
+            console.warn('Sweep point skipped:', result.error);
+            return { x, y, error: result.error };
+        }
+    }
+    const pointScenario = serializeScenario();
+
+    const runs = [];
+    for (let i = 0; i < config.runs; i++) {
+        const seed = (normalizeSeed(config.seed) + i) >>> 0;
+        const run = await playScenarioRun(pointScenario, runConfig, seed, () => sweep.cancelled);
+        if (!run) return null;
+        runs.push(run);
+    }
+
+    const metrics = {};
+    getMonteCarloMetrics({ runs, tokenNames }).forEach(metric => {
+        metrics[metric.key] = summarizeValues(metric.values);
+    });
+    return { x, y, metrics };
+}
+
+/**
+ * Create a sweep configuration with defaults
+ * @returns {SweepConfig} Default configuration
+ */
+export function createSweepConfig() {
+    const { duration, seed, agents, strategy, priceProcess } = createMonteCarloConfig();
+    return {
+        x: { parameter: 'tax', tokenId: 'all', side: 'all', bucket: 'burn', from: 1, to: 10, steps: 10 },
+        y: null,
+        runs: 1,
+        duration,
+        seed,
+        agents,
+        strategy,
+        priceProcess
+    };
+}
+
+/**
+ * Check a sweep configuration
+ * @param {SweepConfig} config - Configuration
+ * @returns {{isValid: boolean, message?: string}} Validation result
+ */
+export function validateSweepConfig(config) {
+    for (const axis of [config.x, config.y]) {
+        if (!axis) continue;
+        const validation = validateSweepAxis(axis);
+        if (!validation.isValid) {
+            return validation;
+        }
+        const { scope, label } = SWEEP_PARAMETERS[axis.parameter];
+        if (scope === 'agents' && !config.agents) {
+            return { isValid: false, message: `Turn the market agents on to sweep ${label}` };
+        }
+        if (scope === 'strategy' && !config.strategy) {
+            return { isValid: false, message: `Turn the trading strategy on to sweep ${label}` };
+        }
+        if (scope === 'priceProcess' && !config.priceProcess) {
+            return { isValid: false, message: `Turn the WPLS price process on to sweep ${label}` };
+        }
+        if (!isSweepParameterUsed(axis.parameter)) {
+            return { isValid: false, message: `${label} is not used by the regime-switching process; each market regime sets its own` };
+        }
+    }
+    return validateMonteCarloConfig(config);
+}
+
+/**
+ * Sweep the current scenario over a grid of one or two parameters
+ * Resolves once every point has been played or the sweep was cancelled; the
+ * scenario, its history, seed and clock mode are back as they were either way.
+ * @param {Partial<SweepConfig>} [options={}] - Configuration; missing fields use createSweepConfig()
+ * @returns {Promise<{success: boolean, error?: string, cancelled?: boolean, points?: SweepPoint[]}>} Result with the finished points
+ */
+export async function runSweep(options = {}) {
+    if (sweep || isMonteCarloRunning()) {
+        return { success: false, error: 'A sweep or Monte Carlo batch is already running' };
+    }
+
+    const config = { ...createSweepConfig(), ...options };
+    const validation = validateSweepConfig(config);
+    if (!validation.isValid) {
+        return { success: false, error: validation.message };
+    }
+    if (state.tokens.length === 0) {
+        return { success: false, error: 'Create a token before running a sweep' };
+    }
+
+    const tokenNames = Object.fromEntries(state.tokens.map(token => [token.id, token.name]));
+    const xValues = getAxisValues(config.x);
+    const yValues = config.y ? getAxisValues(config.y) : [null];
+    sweep = {
+        config,
+        scenario: serializeScenario(),
+        tokenNames,
+        cancelled: false
+    };
+
+    const grid = {
+        config,
+        xLabel: describeAxis(config.x),
+        yLabel: config.y ? describeAxis(config.y) : null,
+        xValues,
+        yValues: config.y ? yValues : [],
+        metrics: getMonteCarloMetrics({ runs: [], tokenNames }).map(({ key, label }) => ({ key, label }))
+    };
+    const total = xValues.length * yValues.length;
+
+    console.log('Sweep started:', { x: grid.xLabel, y: grid.yLabel, points: total, runs: config.runs });
+    simulationEvents.emit('sweep:started', { config, total });
+
+    const points = [];
+    let error = null;
+    try {
+        for (const y of yValues) {
+            for (const x of xValues) {
+                if (sweep.cancelled) break;
+                const point = await playPoint(x, y);
+                if (!point) break;
+
+                points.push(point);
+                simulationEvents.emit('sweep:progress', { point, completed: points.length, total });
+            }
+        }
+    } catch (pointError) {
+        console.error('Error in sweep:', pointError);
+        error = pointError.message;
+    } finally {
+        const restored = restoreScenario(sweep.scenario);
+        if (!restored.success) {
+            error = error || `Could not restore the scenario: ${restored.error}`;
+        }
+    }
+
+    const cancelled = sweep.cancelled;
+    sweep = null;
+
+    const results = { ...grid, points, cancelled };
+    lastResults = points.length > 0 ? results : lastResults;
+
+    console.log('Sweep finished:', { points: points.length, cancelled });
+    simulationEvents.emit('sweep:completed', results);
+    return error ? { success: false, error, cancelled, points } : { success: true, cancelled, points };
+}
+
+/**
+ * Stop the sweep after the run in progress; the point being played is dropped
+ */
+export function cancelSweep() {
+    if (sweep) {
+        sweep.cancelled = true;
+    }
+}
+
+/**
+ * Check whether a sweep is running
+ * @returns {boolean} True while running
+ */
+export function isSweepRunning() {
+    return sweep !== null;
+}
+
+/**
+ * Get the last sweep's results
+ * @returns {{config: SweepConfig, xLabel: string, yLabel: string|null, xValues: number[], yValues: number[], metrics: {key: string, label: string}[], points: SweepPoint[], cancelled: boolean}|null} Results, or null before the first sweep
+ */
+export function getSweepResults() {
+    return lastResults;
+}
+
+/**
+ * Export a sweep as CSV, one row per grid point with each metric's mean
+ * @param {Object} [results=lastResults] - Sweep results
+ * @returns {string} CSV text (empty before the first sweep)
+ */
+export function exportSweepCSV(results = lastResults) {
+    if (!results) return '';
+
+    const header = [results.xLabel, ...(results.yLabel ? [results.yLabel] : []), ...results.metrics.map(m => m.label), 'error'];
+
+    const rows = results.points.map(point => [
+        point.x,
+        ...(results.yLabel ? [point.y] : []),
+        ...results.metrics.map(metric => point.metrics?.[metric.key]?.mean),
+        point.error
+    ].map(toCsvCell).join(','));
+
+    return [header.map(toCsvCell).join(','), ...rows].join('\n');
+}
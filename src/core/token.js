@@ -0,0 +1,814 @@
+/**
+ * @fileoverview Token class module for managing individual tokens and their liquidity
+ * A token owns its supply and the pools it is paired in, but not their reserves:
+ * addLiquidity and removeLiquidity mint and burn LP against a pool found through
+ * pool.js, and the USD price is read from the pair graph. Liquidity changes emit
+ * 'liquidity:added' and 'liquidity:removed'; swaps emit 'swap:executed'.
+ */
+
+import Decimal from './decimal.js';
+import { state } from './state.js';
+import { simulationEvents } from './events.js';
+import { getWalletById } from './wallet.js';
+import { getPool, getOrCreatePool, getPoolsForAsset, getAssetPriceUSD, isBaseAsset, normalizeAsset, DEFAULT_POOL_FEE } from './pool.js';
+import { ConcentratedPool } from './concentratedPool.js';
+import { POOL_TYPES, getPoolClass } from './poolTypes.js';
+import { validateAmplification } from './stablePool.js';
+import { getActiveCurve } from './bondingCurve.js';
+import { now } from './clock.js';
+import { createTaxSchedule, createTaxRates, DEFAULT_LIQUIFY_THRESHOLD } from './mechanics.js';
+import { createBuybackConfig } from './buyback.js';
+import { calculateLiquidityDepth, calculateRealCapital, calculateDerivedCapital } from './capitalTracking.js';
+import { formatNumber } from '../utils/formatters.js';
+
+/**
+ * How long a token's cached USD price stays valid, in simulated milliseconds
+ * @type {number}
+ */
+const PRICE_CACHE_MS = 1000;
+
+/**
+ * @typedef {Object} TokenOptions
+ * @property {number} id - Token identifier
+ * @property {Decimal} [initialSupply] - Initial token supply
+ * @property {Decimal} [oppositeTokenPercentage] - Initial percentage for opposite token
+ * @property {Decimal} [plsPercentage] - Initial PLS percentage
+ */
+
+/**
+ * @typedef {Object} LiquidityOptions
+ * @property {number|string} [walletId] - Wallet that provides the liquidity and receives the LP tokens
+ * @property {boolean} [fromContract] - Auto-liquidity add (swapAndLiquify): take the tokens from the
+ *   token's contract balance; the pair side is the proceeds of a swap the contract already made
+ * @property {boolean} [fromSupply] - Deployer add: take tokens from the unallocated supply
+ *   instead of the wallet. A USD or WPLS side is still paid by the wallet when one is given;
+ *   without a wallet WPLS comes from the contract balance. Defaults to true when no wallet
+ *   is given; LP minted without a wallet is not owned by anyone.
+ * @property {string|number} [pairAsset] - Other side of the pool ('USD', 'WPLS' or a token ID).
+ *   Defaults to the token's selected pair.
+ * @property {{min: string|number|Decimal, max: string|number|Decimal}} [priceRange] - Token price range
+ *   (in pair units) for a concentrated liquidity position. A range opens a concentrated pool for a new
+ *   pair; adds to a concentrated pool without one cover the full range.
+ * @property {string} [poolType] - Type of pool a new pair opens: 'constant-product', 'concentrated' or
+ *   'stable'. Defaults to 'concentrated' with a price range, else 'constant-product'; an existing pool keeps its type.
+ * @property {number|string} [amplification] - Amplification coefficient of a new stable pool
+ *   (DEFAULT_AMPLIFICATION in stablePool.js if not given); an existing pool keeps its own.
+ */
+
+/**
+ * Get a wallet's balance of a pair asset
+ * @param {Wallet} wallet - Wallet to read
+ * @param {string|number} asset - 'USD', 'WPLS' or a token ID
+ * @returns {Decimal} Balance of USD, PLS or the token
+ */
+function getPairAssetBalance(wallet, asset) {
+    if (asset === 'USD') return wallet.usdBalance;
+    if (asset === 'WPLS') return wallet.plsBalance;
+    return wallet.getTokenBalance(asset);
+}
+
+/**
+ * Add (or with a negative amount, remove) a pair asset to a wallet
+ * @param {Wallet} wallet - Wallet to update
+ * @param {string|number} asset - 'USD', 'WPLS' or a token ID
+ * @param {Decimal} amount - Amount to add
+ */
+function addPairAssetBalance(wallet, asset, amount) {
+    if (asset === 'USD') {
+        wallet.usdBalance = wallet.usdBalance.plus(amount);
+    } else if (asset === 'WPLS') {
+        wallet.plsBalance = wallet.plsBalance.plus(amount);
+    } else {
+        wallet.addTokenBalance(asset, amount);
+    }
+}
+
+/**
+ * Class representing a token in the trading system
+ */
+export class Token {
+    /**
+     * Create a new Token instance
+     * @param {TokenOptions} options - Token initialization options
+     */
+    constructor({ id, initialSupply, oppositeTokenPercentage, plsPercentage }) {
+        try {
+            if (!id || typeof id !== 'number') {
+                throw new Error('Invalid token ID');
+            }
+
+            this.id = id;
+            this.name = `Token ${id}`; // Default name
+            this.amountProcessed = new Decimal(0);
+            this.plsBalance = new Decimal('1000000'); // Start each token with 1,000,000 WPLS
+            this.oppositeTokenPercentage = new Decimal(oppositeTokenPercentage || 0);
+            this.plsPercentage = new Decimal(plsPercentage || 0);
+            this.selectedOppositeToken = null;
+
+            // Token Supply Management
+            this.totalSupply = new Decimal(initialSupply || '1000000');
+
+            // Selected pair: the pool the token card trades and provides liquidity to.
+            // Reserves live in state.pools; the token can sit in any number of pools.
+            this.pairType = 'USD';  // 'USD', 'WPLS', or 'TOKEN'
+            this.pairedTokenId = null;  // ID of paired token if pairType === 'TOKEN'
+
+            // Price caching
+            this.cachedUSDPrice = new Decimal('0');
+            this.priceLastUpdated = null;  // Simulated time of the cached price; null when invalid
+            this.pricingPoolId = null;  // Pool the cached price was taken from
+
+            // Capital tracking (real vs derived liquidity)
+            this.liquidityDepth = Infinity;  // Hops from WPLS (0=WPLS, 1=token paired with WPLS, etc.)
+            this.realCapital = new Decimal('0');  // Actual WPLS deposited
+            this.derivedCapital = new Decimal('0');  // Value from token pairs
+
+            // Reflection/Burn Mechanics: tax rates per side and destination (see mechanics.js)
+            this.taxes = createTaxSchedule();
+            this.taxDestinations = {
+                marketing: { walletId: null, swapToWPLS: false },
+                dev: { walletId: null, swapToWPLS: false }
+            };
+            this.launchTax = { percent: new Decimal('0'), duration: 0, bucket: 'marketing' };  // Fades to 0 over duration seconds
+            this.taxesCollected = createTaxRates();  // Cumulative tokens taxed per destination
+            this.contractBalance = new Decimal('0');  // Tax tokens held by the token contract, swapped into liquidity by swapAndLiquify
+            this.pendingTaxSwaps = { marketing: new Decimal('0'), dev: new Decimal('0'), buyback: new Decimal('0') };  // Part of contractBalance that buys taxed for a swap, swapped on the next sell or transfer
+            this.contractAssets = new Map();  // USD or paired tokens left over from swapAndLiquify, by asset (WPLS goes to plsBalance)
+            this.autoLiquidity = { enabled: true, threshold: new Decimal(DEFAULT_LIQUIFY_THRESHOLD) };  // Contract balance that triggers swapAndLiquify
+            this.buyback = createBuybackConfig();  // Buyback-and-burn settings and tax-funded treasury (see buyback.js)
+            this.totalBurned = new Decimal('0');  // Cumulative burned tokens
+            this.totalReflected = new Decimal('0');  // Cumulative reflected tokens
+            this.lpFeesCollected = new Decimal('0');  // Cumulative LP fees
+
+            // Reflection accounting (see reflection.js)
+            this.reflectionRate = new Decimal('1');  // Reflected units per token; falls with every reflection
+            this.reflectedSupply = new Decimal('0');  // Reflected units held by included wallets
+            this.reflectionExcluded = new Set();  // Wallet IDs, pool IDs or 'burn' left out of reflections
+            this.reflectionEarnings = new Map();  // Pool ID or 'burn' -> Decimal reflections received
+
+            // Launch curve (see bondingCurve.js); the token trades on it until it migrates to a pool
+            this.bondingCurve = null;
+
+            console.log(`Token ${id} created successfully with AMM support`);
+        } catch (error) {
+            console.error('Error creating token:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Asset of the selected pair
+     * @returns {string|number|null} 'USD', 'WPLS', the paired token ID, or null if no token is selected
+     */
+    get pairAsset() {
+        return this.pairType === 'TOKEN' ? this.pairedTokenId : this.pairType;
+    }
+
+    /**
+     * Pool with the selected pair
+     * @returns {Pool|null} Pool or null if it has never had liquidity
+     */
+    get primaryPool() {
+        return this.pairAsset === null ? null : getPool(this.id, this.pairAsset);
+    }
+
+    /**
+     * This token's reserve in the selected pool
+     * @returns {Decimal} Token reserve
+     */
+    get tokenReserve() {
+        const pool = this.primaryPool;
+        return pool ? pool.getReserve(this.id) : new Decimal(0);
+    }
+
+    /**
+     * Pair asset reserve in the selected pool
+     * @returns {Decimal} Pair reserve (USD, WPLS or the paired token)
+     */
+    get pairReserve() {
+        const pool = this.primaryPool;
+        return pool ? pool.getReserve(this.pairAsset) : new Decimal(0);
+    }
+
+    /**
+     * LP tokens issued by the selected pool
+     * @returns {Decimal} LP supply
+     */
+    get lpTotalSupply() {
+        const pool = this.primaryPool;
+        return pool ? pool.lpTotalSupply : new Decimal(0);
+    }
+
+    /**
+     * Constant product invariant of the selected pool
+     * @returns {Decimal} k
+     */
+    get k() {
+        const pool = this.primaryPool;
+        return pool ? pool.k : new Decimal(0);
+    }
+
+    /**
+     * Legacy alias for the selected pool's pair reserve
+     * @returns {Decimal} Pair reserve
+     */
+    get totalLiquidity() {
+        return this.pairReserve;
+    }
+
+    /**
+     * Get every pool this token is in
+     * @param {boolean} [liquidOnly=false] - Skip pools without liquidity
+     * @returns {Pool[]} Pools containing this token
+     */
+    getPools(liquidOnly = false) {
+        return getPoolsForAsset(this.id, liquidOnly);
+    }
+
+    /**
+     * Check whether the token has a liquid pool against USD or WPLS
+     * @returns {boolean} True if the token is paired with real capital
+     */
+    hasBasePool() {
+        return this.getPools(true).some(pool => isBaseAsset(pool.otherAsset(this.id)));
+    }
+
+    /**
+     * Check whether the token has a liquid pool against another token
+     * @returns {boolean} True if the token is paired with another token
+     */
+    hasTokenPool() {
+        return this.getPools(true).some(pool => !isBaseAsset(pool.otherAsset(this.id)));
+    }
+
+    /**
+     * Invalidate price caches for this token and all tokens that depend on it
+     */
+    invalidatePriceCascade() {
+        // Invalidate this token's cache
+        this.priceLastUpdated = null;
+
+        // Tokens sharing a pool with this one may be priced through it
+        this.getPools().forEach(pool => {
+            const other = pool.otherAsset(this.id);
+            const token = isBaseAsset(other) ? null : state.tokens.find(t => t.id === other);
+
+            // Recursively invalidate their caches
+            if (token && token.priceLastUpdated !== null) {
+                token.invalidatePriceCascade();
+            }
+        });
+    }
+
+    /**
+     * Calculate the token price in USD from the pair graph
+     * The price comes from the pool whose pair side holds the most USD value,
+     * so a thin side pool cannot move the quoted price.
+     * @param {Set<number>} visited - Set of visited token IDs to prevent circular loops
+     * @returns {Decimal} Calculated token price in USD
+     */
+    calculateTokenPriceUSD(visited = new Set()) {
+        // Use cached price if it was taken less than a simulated second ago
+        const currentTime = now();
+        if (this.priceLastUpdated !== null && currentTime - this.priceLastUpdated < PRICE_CACHE_MS && !this.cachedUSDPrice.isZero()) {
+            return this.cachedUSDPrice;
+        }
+
+        // Prevent infinite loops around cycles in the pair graph
+        if (visited.has(this.id)) {
+            return new Decimal('0');
+        }
+
+        visited.add(this.id);
+
+        // A token still on its launch curve has no pool: the curve sets the price
+        const curve = getActiveCurve(this);
+        if (curve) {
+            this.cachedUSDPrice = curve.getPrice();
+            this.priceLastUpdated = currentTime;
+            this.pricingPoolId = null;
+            return this.cachedUSDPrice;
+        }
+
+        let usdPrice = new Decimal('0');
+        let deepestPairValue = new Decimal('0');
+        let pricingPool = null;
+
+        this.getPools(true).forEach(pool => {
+            const pairAsset = pool.otherAsset(this.id);
+
+            // Price = (Pair asset in pool / Tokens in pool) × Pair asset USD price
+            const pairPriceUSD = getAssetPriceUSD(pairAsset, visited);
+            const pairValue = pool.getReserve(pairAsset).times(pairPriceUSD);
+
+            if (pairValue.gt(deepestPairValue)) {
+                deepestPairValue = pairValue;
+                usdPrice = pool.getSpotPrice(this.id).times(pairPriceUSD);
+                pricingPool = pool;
+            }
+        });
+
+        // Cache the price
+        this.cachedUSDPrice = usdPrice;
+        this.priceLastUpdated = currentTime;
+        this.pricingPoolId = pricingPool ? pricingPool.id : null;
+
+        return usdPrice;
+    }
+
+    /**
+     * Calculate the token price (legacy method for backward compatibility)
+     * @returns {Decimal} Calculated token price in USD
+     */
+    calculateTokenPrice() {
+        return this.calculateTokenPriceUSD();
+    }
+
+    /**
+     * Add liquidity to a pool (dual-sided)
+     * The pool is created on the first add, so a token can be given pools
+     * against USD, WPLS and any number of other tokens.
+     * @param {string|number|Decimal} tokenAmount - Amount of this token to add
+     * @param {string|number|Decimal} pairAmount - Amount of pair asset to add
+     * @param {LiquidityOptions} [options={}] - Who provides the liquidity and to which pool
+     * @returns {{success: boolean, error?: string, lpMinted?: Decimal, tokenAmount?: Decimal, pairAmount?: Decimal}} Result
+     *   of the operation, with the amounts actually deposited
+     */
+    addLiquidity(tokenAmount, pairAmount, { walletId = null, fromContract = false, fromSupply = walletId === null && !fromContract, pairAsset = this.pairAsset, priceRange = null, poolType = priceRange !== null ? 'concentrated' : 'constant-product', amplification = null } = {}) {
+        let tokenToAdd = new Decimal(tokenAmount);
+        let pairToAdd = new Decimal(pairAmount);
+
+        // Validate inputs (a concentrated position outside the current price takes one side only)
+        if (tokenToAdd.lt(0) || pairToAdd.lt(0) || (tokenToAdd.isZero() && pairToAdd.isZero())) {
+            return { success: false, error: 'Both amounts must be greater than 0' };
+        }
+
+        let wallet = null;
+        if (walletId !== null) {
+            wallet = getWalletById(parseInt(walletId));
+            if (!wallet) {
+                return { success: false, error: 'Wallet not found' };
+            }
+        }
+
+        const pair = pairAsset === null ? null : normalizeAsset(pairAsset);
+        const pairedToken = isBaseAsset(pair) ? null : state.tokens.find(t => t.id === pair);
+        if (!isBaseAsset(pair) && !pairedToken) {
+            return { success: false, error: 'Paired token not found' };
+        }
+        if (pair === this.id) {
+            return { success: false, error: 'A token cannot be paired with itself' };
+        }
+        if (getActiveCurve(this) || (pairedToken && getActiveCurve(pairedToken))) {
+            return { success: false, error: 'A token on its bonding curve gets its pool when the curve migrates' };
+        }
+
+        const existingPool = getPool(this.id, pair);
+        const tokenReserve = existingPool ? existingPool.getReserve(this.id) : new Decimal(0);
+        const pairReserve = existingPool ? existingPool.getReserve(pair) : new Decimal(0);
+
+        const type = existingPool ? existingPool.type : poolType;
+        if (!POOL_TYPES[type]) {
+            return { success: false, error: `Unknown pool type: ${type}` };
+        }
+        const isConcentrated = type === 'concentrated';
+        if (priceRange !== null && !isConcentrated) {
+            return { success: false, error: `Price ranges need a concentrated pool; this pair's pool is ${type}` };
+        }
+        if (!existingPool && type === 'stable' && amplification !== null) {
+            const validation = validateAmplification(amplification);
+            if (!validation.isValid) {
+                return { success: false, error: validation.message };
+            }
+        }
+        if (!isConcentrated && (tokenToAdd.isZero() || pairToAdd.isZero())) {
+            return { success: false, error: 'Both amounts must be greater than 0' };
+        }
+        // Opening price of a new concentrated pool, from the amounts offered
+        const startPrice = tokenToAdd.isZero() ? null : pairToAdd.dividedBy(tokenToAdd);
+
+        // Check available supply
+        const availableSupply = this.getAvailableSupply();
+        if (fromSupply && tokenToAdd.gt(availableSupply)) {
+            return { success: false, error: `Insufficient token supply!\nAvailable: ${availableSupply.toString()}\nTrying to add: ${tokenToAdd.toString()}\nTotal Supply: ${this.totalSupply.toString()}\nAlready in pools: ${this.getTokensInPools().toString()}` };
+        }
+
+        // Check if this is initial liquidity
+        const isInitialLiquidity = pairReserve.isZero() && tokenReserve.isZero();
+
+        if (isConcentrated) {
+            // A position takes what its range allows at the current price; the rest stays with the provider
+            const quotePool = existingPool || new ConcentratedPool({ assetA: this.id, assetB: pair });
+            const deposit = quotePool.quoteDeposit(this.id, tokenToAdd, pairToAdd, { priceRange, startPrice });
+            if (!deposit.success) {
+                return { success: false, error: deposit.error };
+            }
+            tokenToAdd = deposit.amount;
+            pairToAdd = deposit.otherAmount;
+        } else if (!isInitialLiquidity) {
+            // For subsequent liquidity additions, maintain price ratio
+            const currentRatio = pairReserve.dividedBy(tokenReserve);
+            const providedRatio = pairToAdd.dividedBy(tokenToAdd);
+
+            // Allow 0.1% tolerance for ratio matching
+            const tolerance = new Decimal('0.001');
+            const ratioDiff = currentRatio.minus(providedRatio).abs().dividedBy(currentRatio);
+
+            if (ratioDiff.gt(tolerance)) {
+                return { success: false, error: `Amounts must maintain current pool ratio.\nCurrent ratio: 1 Token = ${formatNumber(currentRatio, 0)} ${pair === 'WPLS' ? 'WPLS' : 'Pair Token'}\nYour ratio: 1 Token = ${formatNumber(providedRatio, 0)}` };
+            }
+        }
+
+        if (fromContract) {
+            // Auto-liquidity add: the tokens are taxes the contract holds, the pair side it just swapped for
+            if (this.contractBalance.lt(tokenToAdd)) {
+                return { success: false, error: `Insufficient contract balance. Have: ${this.contractBalance.toString()}, Need: ${tokenToAdd.toString()}` };
+            }
+            this.contractBalance = this.contractBalance.minus(tokenToAdd);
+        } else if (!fromSupply) {
+            // Wallet-funded add: both sides come out of the wallet
+            const tokenBalance = wallet.getTokenBalance(this.id);
+            if (tokenBalance.lt(tokenToAdd)) {
+                return { success: false, error: `Insufficient ${this.name} balance in ${wallet.name}. Have: ${tokenBalance.toString()}, Need: ${tokenToAdd.toString()}` };
+            }
+
+            const pairBalance = getPairAssetBalance(wallet, pair);
+            if (pairBalance.lt(pairToAdd)) {
+                return { success: false, error: `Insufficient pair balance in ${wallet.name}. Have: ${pairBalance.toString()}, Need: ${pairToAdd.toString()}` };
+            }
+
+            wallet.addTokenBalance(this.id, tokenToAdd.negated());
+            addPairAssetBalance(wallet, pair, pairToAdd.negated());
+        } else if (wallet && isBaseAsset(pair)) {
+            // Deployer add credited to a wallet: the tokens come from supply, but the
+            // wallet pays the USD or WPLS side, so removing the LP returns what it put in
+            const pairBalance = getPairAssetBalance(wallet, pair);
+            if (pairBalance.lt(pairToAdd)) {
+                return { success: false, error: `Insufficient ${pair} balance in ${wallet.name}. Have: ${pairBalance.toString()}, Need: ${pairToAdd.toString()}` };
+            }
+            addPairAssetBalance(wallet, pair, pairToAdd.negated());
+        } else if (pair === 'WPLS') {
+            // For WPLS pairs, check PLS balance
+            if (pairToAdd.gt(this.plsBalance)) {
+                return { success: false, error: 'Insufficient PLS balance in contract' };
+            }
+            this.plsBalance = this.plsBalance.minus(pairToAdd);
+        } else if (pairedToken) {
+            // Check if paired token has enough available supply
+            const pairedTokenAvailable = pairedToken.getAvailableSupply();
+            if (pairToAdd.gt(pairedTokenAvailable)) {
+                return {
+                    success: false,
+                    error: `Insufficient ${pairedToken.name || 'paired token'} supply!\n` +
+                           `Available: ${pairedTokenAvailable.toString()}\n` +
+                           `Trying to use: ${pairToAdd.toString()}\n` +
+                           `Total Supply: ${pairedToken.totalSupply.toString()}\n` +
+                           `Already in pools: ${pairedToken.getTokensInPools().toString()}`
+                };
+            }
+
+            // Supply is tracked in paired token's available supply calculation
+            // No need to deduct here - getAvailableSupply() will account for it
+        }
+
+        // Deposit and mint LP tokens (liquidity for a concentrated position), then credit the provider
+        const pool = getOrCreatePool(this.id, pair, getPoolClass(type), amplification !== null ? { amplification } : {});
+        const lpTokensToMint = pool.mint(this.id, tokenToAdd, pairToAdd, {
+            priceRange,
+            owner: wallet ? wallet.id : null,
+            startPrice
+        });
+        if (wallet) {
+            wallet.addLpBalance(pool.id, lpTokensToMint);
+        }
+
+        // Update capital tracking (the new pool can change the paired token's figures too)
+        this.updateCapitalTracking();
+        if (pairedToken) {
+            pairedToken.updateCapitalTracking();
+        }
+
+        // Invalidate price cache for this token and all dependent tokens
+        this.invalidatePriceCascade();
+
+        console.log('Liquidity added:', {
+            tokenId: this.id,
+            poolId: pool.id,
+            tokenAdded: tokenToAdd.toString(),
+            pairAdded: pairToAdd.toString(),
+            lpMinted: lpTokensToMint.toString(),
+            newK: pool.k.toString(),
+            newPrice: this.calculateTokenPriceUSD().toString(),
+            liquidityDepth: this.liquidityDepth,
+            realCapital: this.realCapital.toString(),
+            derivedCapital: this.derivedCapital.toString()
+        });
+
+        simulationEvents.emit('liquidity:added', {
+            token: this,
+            pool,
+            tokenAmount: tokenToAdd,
+            pairAmount: pairToAdd,
+            lpMinted: lpTokensToMint,
+            walletId: wallet ? wallet.id : null
+        });
+        simulationEvents.emit('token:updated', { token: this });
+        if (pairedToken) {
+            simulationEvents.emit('token:updated', { token: pairedToken });
+        }
+
+        return { success: true, lpMinted: lpTokensToMint, tokenAmount: tokenToAdd, pairAmount: pairToAdd };
+    }
+
+    /**
+     * Remove liquidity: burn a wallet's LP tokens and return both sides pro-rata
+     * The LP share of swap fees stays in the pool's reserves (or, in a concentrated
+     * pool, is owed to the position), so the returned amounts include the wallet's
+     * share of it.
+     * @param {string|number|Decimal} lpAmount - LP tokens to burn
+     * @param {number|string} walletId - Wallet that owns the LP tokens
+     * @param {Object} [options={}] - Which pool to withdraw from
+     * @param {string|number} [options.pairAsset] - Other side of the pool; defaults to the selected pair
+     * @returns {{success: boolean, error?: string, tokenAmount?: Decimal, pairAmount?: Decimal}} Result of the operation
+     */
+    removeLiquidity(lpAmount, walletId, { pairAsset = this.pairAsset } = {}) {
+        const lpToBurn = new Decimal(lpAmount);
+
+        if (lpToBurn.lte(0)) {
+            return { success: false, error: 'LP amount must be greater than 0' };
+        }
+
+        const wallet = getWalletById(parseInt(walletId));
+        if (!wallet) {
+            return { success: false, error: 'Wallet not found' };
+        }
+
+        const pool = pairAsset === null ? null : getPool(this.id, pairAsset);
+        if (!pool) {
+            return { success: false, error: 'No pool for this pair' };
+        }
+        const pair = pool.otherAsset(this.id);
+
+        const lpBalance = wallet.getLpBalance(pool.id);
+        if (lpBalance.lt(lpToBurn)) {
+            return { success: false, error: `Insufficient LP balance. Have: ${lpBalance.toString()}, Need: ${lpToBurn.toString()}` };
+        }
+
+        // Burn LP and take the pro-rata share of both reserves
+        wallet.addLpBalance(pool.id, lpToBurn.negated());
+        const { amountA, amountB } = pool.burn(lpToBurn, { owner: wallet.id });
+        const tokenOut = pool.assetA === this.id ? amountA : amountB;
+        const pairOut = pool.assetA === this.id ? amountB : amountA;
+
+        // Pay out both sides
+        wallet.addTokenBalance(this.id, tokenOut);
+        addPairAssetBalance(wallet, pair, pairOut);
+
+        const pairedToken = isBaseAsset(pair) ? null : state.tokens.find(t => t.id === pair);
+        this.updateCapitalTracking();
+        if (pairedToken) {
+            pairedToken.updateCapitalTracking();
+        }
+        this.invalidatePriceCascade();
+
+        console.log('Liquidity removed:', {
+            tokenId: this.id,
+            poolId: pool.id,
+            walletId: wallet.id,
+            lpBurned: lpToBurn.toString(),
+            tokenOut: tokenOut.toString(),
+            pairOut: pairOut.toString(),
+            newK: pool.k.toString()
+        });
+
+        simulationEvents.emit('liquidity:removed', {
+            token: this,
+            pool,
+            walletId: wallet.id,
+            lpBurned: lpToBurn,
+            tokenAmount: tokenOut,
+            pairAmount: pairOut
+        });
+        simulationEvents.emit('token:updated', { token: this });
+        if (pairedToken) {
+            simulationEvents.emit('token:updated', { token: pairedToken });
+        }
+
+        return { success: true, tokenAmount: tokenOut, pairAmount: pairOut };
+    }
+
+    /**
+     * Calculate output amount for AMM swap using constant product formula
+     * @param {Decimal} inputAmount - Amount of input asset
+     * @param {Decimal} inputReserve - Reserve of input asset
+     * @param {Decimal} outputReserve - Reserve of output asset
+     * @param {number} [feePercent] - Fee percentage (defaults to the selected pool's fee)
+     * @returns {Decimal} Output amount
+     */
+    calculateSwapOutput(inputAmount, inputReserve, outputReserve, feePercent = this.primaryPool ? this.primaryPool.feePercent : DEFAULT_POOL_FEE) {
+        const input = new Decimal(inputAmount);
+
+        // Apply the pool fee
+        const fee = new Decimal(feePercent).dividedBy(100);
+        const inputWithFee = input.times(new Decimal('1').minus(fee));
+
+        // Constant product formula: (x + Δx) * (y - Δy) = k
+        // Δy = (y * Δx) / (x + Δx)
+        const output = outputReserve.times(inputWithFee).dividedBy(
+            inputReserve.plus(inputWithFee)
+        );
+
+        return output;
+    }
+
+    /**
+     * Execute AMM buy (buy this token with pair asset in the selected pool)
+     * @param {Decimal} pairAmountIn - Amount of pair asset to spend
+     * @returns {Object} Result with success, tokensReceived, priceImpact, newPrice
+     */
+    executeBuy(pairAmountIn) {
+        const pool = this.primaryPool;
+        if (!pool) {
+            return { success: false, error: 'No liquidity in pool' };
+        }
+
+        // Realistic mode uses the constant product curve; ideal mode fills at the current price
+        const amountIn = new Decimal(pairAmountIn);
+        const swap = pool.swap(this.pairAsset, amountIn, { applySlippage: state.applySlippage });
+        if (!swap.success) {
+            return { success: false, error: swap.error };
+        }
+
+        const tokenOut = swap.amountOut;
+        const priceImpact = swap.priceImpact;
+
+        // Invalidate price cache for this token and all dependent tokens
+        this.invalidatePriceCascade();
+
+        simulationEvents.emit('swap:executed', {
+            token: this,
+            pool,
+            side: 'buy',
+            amountIn,
+            amountOut: tokenOut,
+            priceImpact
+        });
+        simulationEvents.emit('token:updated', { token: this });
+
+        return {
+            success: true,
+            tokensReceived: tokenOut,
+            priceImpact: priceImpact,
+            slippageApplied: state.applySlippage,
+            newPrice: this.calculateTokenPriceUSD()
+        };
+    }
+
+    /**
+     * Execute AMM sell (sell this token for pair asset in the selected pool)
+     * @param {Decimal} tokenAmountIn - Amount of tokens to sell
+     * @returns {Object} Result with success, pairReceived, priceImpact, newPrice
+     */
+    executeSell(tokenAmountIn) {
+        const pool = this.primaryPool;
+        if (!pool) {
+            return { success: false, error: 'No liquidity in pool' };
+        }
+
+        // Realistic mode uses the constant product curve; ideal mode fills at the current price
+        const amountIn = new Decimal(tokenAmountIn);
+        const swap = pool.swap(this.id, amountIn, { applySlippage: state.applySlippage });
+        if (!swap.success) {
+            return { success: false, error: swap.error };
+        }
+
+        const pairOut = swap.amountOut;
+        const priceImpact = swap.priceImpact;
+
+        // Invalidate price cache for this token and all dependent tokens
+        this.invalidatePriceCascade();
+
+        simulationEvents.emit('swap:executed', {
+            token: this,
+            pool,
+            side: 'sell',
+            amountIn,
+            amountOut: pairOut,
+            priceImpact
+        });
+        simulationEvents.emit('token:updated', { token: this });
+
+        return {
+            success: true,
+            pairReceived: pairOut,
+            priceImpact: priceImpact,
+            slippageApplied: state.applySlippage,
+            newPrice: this.calculateTokenPriceUSD()
+        };
+    }
+
+    /**
+     * Calculate price impact percentage for a trade
+     * @param {Decimal} amountIn - Amount of pair asset being traded
+     * @param {Decimal} amountOut - Amount of tokens being received
+     * @returns {Decimal} Price impact as a percentage
+     */
+    calculatePriceImpact(amountIn, amountOut) {
+        // Price before = pairReserve / tokenReserve
+        const priceBefore = this.pairReserve.dividedBy(this.tokenReserve);
+
+        // Price after = (pairReserve + amountIn) / (tokenReserve - amountOut)
+        const priceAfter = this.pairReserve.plus(amountIn).dividedBy(
+            this.tokenReserve.minus(amountOut)
+        );
+
+        // Impact = (priceAfter - priceBefore) / priceBefore * 100
+        const impact = priceAfter.minus(priceBefore).dividedBy(priceBefore).times(100);
+
+        return impact;
+    }
+
+    /**
+     * Update capital tracking (real vs derived)
+     * Calculates liquidity depth and capital sources
+     */
+    updateCapitalTracking() {
+        this.liquidityDepth = calculateLiquidityDepth(this);
+        this.realCapital = calculateRealCapital(this);
+        this.derivedCapital = calculateDerivedCapital(this);
+    }
+
+    /**
+     * Get this token's reserves across all of its pools
+     * @returns {Decimal} Tokens held by pools
+     */
+    getTokensInPools() {
+        return this.getPools().reduce((sum, pool) => sum.plus(pool.getReserve(this.id)), new Decimal(0));
+    }
+
+    /**
+     * Get tokens locked in pools other than the selected one
+     * @returns {Decimal} Tokens locked in other pools
+     */
+    getTokensLockedInOtherPools() {
+        return this.getTokensInPools().minus(this.tokenReserve);
+    }
+
+    /**
+     * Get available token supply (total supply - tokens in pools)
+     * Accounts for every pool the token is in, whichever side it is on, and
+     * for the unsold part of an active launch curve
+     * @returns {Decimal} Available supply
+     */
+    getAvailableSupply() {
+        const curve = getActiveCurve(this);
+        const onCurve = curve ? curve.getRemaining() : new Decimal(0);
+        return this.totalSupply.minus(this.getTokensInPools()).minus(onCurve);
+    }
+
+    /**
+     * Update total supply (can only increase, not decrease below allocated amount)
+     * @param {number|string|Decimal} newSupply - New total supply
+     * @returns {{success: boolean, error?: string}} Result of the update
+     */
+    updateTotalSupply(newSupply) {
+        const supply = new Decimal(newSupply);
+
+        const tokensInPools = this.getTokensInPools();
+        if (supply.lt(tokensInPools)) {
+            return { success: false, error: `Cannot set total supply below tokens already in pools (${tokensInPools.toString()})` };
+        }
+
+        this.totalSupply = supply;
+        simulationEvents.emit('token:updated', { token: this });
+        return { success: true };
+    }
+}
+
+/**
+ * Create a token and register it in the global state
+ * @param {Object} [options={}] - TokenOptions without the ID, which is assigned here
+ * @returns {{success: boolean, token?: Token, error?: string}} Result with the new token
+ */
+export function createToken(options = {}) {
+    if (state.tokens.length >= state.maxTokens) {
+        return { success: false, error: `Maximum number of tokens (${state.maxTokens}) reached!` };
+    }
+
+    const newTokenId = state.tokens.length + 1;
+    const token = new Token({ ...options, id: newTokenId });
+    state.tokens.push(token);
+
+    simulationEvents.emit('token:created', { token });
+
+    return { success: true, token };
+}
+
+/**
+ * Get token by ID
+ * @param {number} tokenId - Token ID
+ * @returns {Token|null} Token instance or null
+ */
+export function getTokenById(tokenId) {
+    return state.tokens.find(t => t.id === tokenId) || null;
+}
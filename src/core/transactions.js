@@ -1,23 +1,32 @@
 /**
  * @fileoverview Transaction processing module for handling all trading operations
+ * Results are returned to the caller and broadcast through simulationEvents.
  */
 
-import { state, calculateGas, getRandomDelay, addToTotalGasUsed, addToTotalProcessed, incrementTransactionCount } from './state.js';
+import Decimal from './decimal.js';
+import { state, calculateGas, getRandomDelay, addToTotalGasUsed, addToTotalProcessed, incrementTransactionCount, updateAllTokenPrices } from './state.js';
+import { simulationEvents } from './events.js';
 import { validatePositiveNumber, validateWalletId, validateTokenId } from '../utils/validators.js';
-import { addTransactionToHistory, updateMetricsDisplay } from './ui.js';
-import { findBestPath, executeRoute, getRoutePreview } from './routing.js';
+import { requiresRouting, findBestSplitRoute, executeSplitRoute } from './routing.js';
 import { getWalletById } from './wallet.js';
-import { processTransactionMechanics } from './reflectionBurn.js';
+import { processTransactionMechanics, getTaxPercent } from './mechanics.js';
+import { getPool } from './pool.js';
+import { getActiveCurve, tradeOnCurve, checkCurveMigration } from './bondingCurve.js';
+import { sleep, resetClock } from './clock.js';
 
 /**
- * Get the Decimal instance, throwing an error if it's not available
- * @returns {typeof Decimal} The Decimal constructor
+ * Handler asked to approve multi-hop routes when state.requireRoutingConfirmation is on.
+ * Headless runs keep the default, which approves every route.
+ * @type {function(SplitRoute, Decimal, Token): (boolean|Promise<boolean>)}
  */
-function getDecimal() {
-    if (!window.Decimal) {
-        throw new Error('Decimal.js not loaded');
-    }
-    return window.Decimal;
+let routeConfirmationHandler = () => true;
+
+/**
+ * Set the handler that approves multi-hop routes
+ * @param {function(SplitRoute, Decimal, Token): (boolean|Promise<boolean>)} handler - Returns true to proceed
+ */
+export function setRouteConfirmationHandler(handler) {
+    routeConfirmationHandler = handler;
 }
 
 /**
@@ -35,9 +44,10 @@ function getDecimal() {
  * @param {string} params.walletId - Wallet identifier
  * @param {number} params.tokenId - Token to buy
  * @param {boolean} [params.isInitialBuy=true] - Whether this is the initial buy
+ * @param {boolean} [params.isChained=false] - Whether a transaction chain made this buy
  * @returns {Promise<TransactionResult>} Transaction result
  */
-export async function processBuy({ amount, walletId, tokenId, isInitialBuy = true }) {
+export async function processBuy({ amount, walletId, tokenId, isInitialBuy = true, isChained = false }) {
     // Validate inputs
     const amountValidation = validatePositiveNumber(amount);
     if (!amountValidation.isValid) {
@@ -60,7 +70,6 @@ export async function processBuy({ amount, walletId, tokenId, isInitialBuy = tru
     }
 
     try {
-        const Decimal = getDecimal();
         const token = state.tokens.find(t => t.id === tokenId);
         if (!token) {
             return { success: false, error: 'Token not found' };
@@ -82,9 +91,7 @@ export async function processBuy({ amount, walletId, tokenId, isInitialBuy = tru
 
         // Check if wallet has enough PLS for gas
         if (state.requireGas && wallet.plsBalance.lt(gasUsed)) {
-            // Show gas warning modal
-            const { showGasWarningModal } = await import('./swapCard.js');
-            showGasWarningModal();
+            simulationEvents.emit('gas:insufficient', { walletId, required: gasUsed, available: wallet.plsBalance });
             return { success: false, error: `Insufficient PLS for gas. Have: ${wallet.plsBalance.toFixed(8)} PLS, Need: ${gasUsed.toFixed(8)} PLS` };
         }
 
@@ -93,15 +100,33 @@ export async function processBuy({ amount, walletId, tokenId, isInitialBuy = tru
         let tokensReceived = null;
         let priceImpact = null;
         let routeInfo = null;
+        let curveInfo = null;
+
+        const curve = getActiveCurve(token);
+        if (curve) {
+            // Launch mode: the token is minted along its bonding curve for USD
+            const curveResult = tradeOnCurve(token, 'buy', amount);
+            if (!curveResult.success) {
+                return { success: false, error: curveResult.error };
+            }
 
-        // Check if token has liquidity (AMM is active)
-        if (!token.pairReserve.isZero() && !token.tokenReserve.isZero()) {
-            // Check if we need routing (token not directly paired with USD/WPLS)
-            const needsRouting = token.pairType === 'TOKEN';
-
-            if (needsRouting) {
-                // Find best route
-                const route = findBestPath(token, amount);
+            // A buy past the end of the curve only pays for the tokens left on it
+            amount = curveResult.amountIn;
+            tokensReceived = curveResult.amountOut;
+            priceImpact = curveResult.priceImpact;
+            curveInfo = { curveType: curve.curveType, price: curve.getPrice() };
+
+            console.log('Bonding curve buy executed:', {
+                tokenId: token.id,
+                usdAmount: amount.toString(),
+                tokensReceived: tokensReceived.toString(),
+                price: curveInfo.price.toString()
+            });
+        } else if (token.getPools(true).length > 0) {
+            // AMM is active: route unless the only pool is the selected USD/WPLS pair
+            if (requiresRouting(token)) {
+                // Find best route, split across paths when that fills better
+                const route = findBestSplitRoute(token, amount);
 
                 if (!route) {
                     return { success: false, error: 'No liquidity path available to this token' };
@@ -109,14 +134,15 @@ export async function processBuy({ amount, walletId, tokenId, isInitialBuy = tru
 
                 // Check if confirmation is required
                 if (state.requireRoutingConfirmation && route.hops.length > 1) {
-                    const confirmed = await confirmRoute(route, amount, token);
+                    const confirmed = await routeConfirmationHandler(route, amount, token);
                     if (!confirmed) {
                         return { success: false, error: 'Route confirmation cancelled' };
                     }
                 }
 
-                // Execute the route
-                const routeResult = executeRoute(route, amount, walletId);
+                // Execute the route, leg by leg; it is quoted again first, since the
+                // pools may have moved while the route waited for confirmation
+                const routeResult = executeSplitRoute(route, walletId);
 
                 if (!routeResult.success) {
                     return { success: false, error: routeResult.error };
@@ -126,6 +152,7 @@ export async function processBuy({ amount, walletId, tokenId, isInitialBuy = tru
                 priceImpact = routeResult.totalPriceImpact;
                 routeInfo = {
                     hops: routeResult.hops,
+                    legs: routeResult.legs,
                     pathDescription: routeResult.pathDescription
                 };
 
@@ -134,6 +161,7 @@ export async function processBuy({ amount, walletId, tokenId, isInitialBuy = tru
                     usdAmount: amount.toString(),
                     route: routeResult.pathDescription,
                     hops: routeResult.hops.length,
+                    legs: routeResult.legs.length,
                     tokensReceived: tokensReceived.toString(),
                     priceImpact: priceImpact.toFixed(2) + '%'
                 });
@@ -176,16 +204,14 @@ export async function processBuy({ amount, walletId, tokenId, isInitialBuy = tru
         if (state.requireGas) {
             wallet.subtractPLS(gasUsed);
         }
+        let mechanicsResult = null;
         if (tokensReceived) {
             wallet.addTokenBalance(tokenId, tokensReceived);
 
-            // Apply reflection/burn mechanics if configured
-            const mechanicsResult = processTransactionMechanics(token, tokensReceived, state.wallets);
+            // Apply reflection/burn mechanics if configured; the fees come out of the tokens received
+            mechanicsResult = processTransactionMechanics(token, tokensReceived, { side: 'buy', payer: wallet });
             if (mechanicsResult && mechanicsResult.total.gt(0)) {
-                // Deduct the mechanics fees from the user's received amount
-                const netTokensReceived = tokensReceived.minus(mechanicsResult.total);
-                wallet.setTokenBalance(tokenId, wallet.getTokenBalance(tokenId).minus(mechanicsResult.total));
-                tokensReceived = netTokensReceived;
+                tokensReceived = tokensReceived.minus(mechanicsResult.total);
             }
         }
 
@@ -199,15 +225,30 @@ export async function processBuy({ amount, walletId, tokenId, isInitialBuy = tru
         addToTotalProcessed(amount);
         incrementTransactionCount();
 
-        // Update displays
-        token.updateDisplay();
-        token.triggerGlowEffect();
+        simulationEvents.emit('token:updated', { token });
+
+        // Report the trade with AMM data and routing info
+        simulationEvents.emit('transaction:completed', {
+            type: 'buy',
+            walletId,
+            tokenId: token.id,
+            amount,
+            tokensReceived,
+            gasUsed,
+            plsRemaining: wallet.plsBalance,
+            priceImpact,
+            routeInfo,
+            bondingCurve: curveInfo,
+            mechanics: mechanicsResult,
+            isChained
+        });
 
-        // Add transaction to history with AMM data and routing info
-        addTransactionToHistory(walletId, amount, token.id, gasUsed, wallet.plsBalance, tokensReceived, priceImpact, routeInfo);
+        // Hitting the market cap threshold moves the curve's reserve into a pool
+        if (curve) {
+            checkCurveMigration(token);
+        }
 
         // Update all prices after trade (important for price chains)
-        const { updateAllTokenPrices } = await import('./state.js');
         updateAllTokenPrices();
 
         // Process next transaction if needed
@@ -263,7 +304,6 @@ export async function processSell({ tokenAmount, walletId, tokenId }) {
     }
 
     try {
-        const Decimal = getDecimal();
         const token = state.tokens.find(t => t.id === tokenId);
         if (!token) {
             return { success: false, error: 'Token not found' };
@@ -281,26 +321,34 @@ export async function processSell({ tokenAmount, walletId, tokenId }) {
             return { success: false, error: `Insufficient token balance. Have: ${walletTokenBalance.toFixed(2)}, Need: ${tokenAmount.toFixed(2)}` };
         }
 
+        // A token on its launch curve sells back into the curve's USD reserve
+        const curve = getActiveCurve(token);
+        const pairType = curve ? 'USD' : token.pairType;
+
+        // The sell tax comes out of the tokens sent; only the rest reaches the pool
+        const taxAmount = tokenAmount.times(getTaxPercent(token, 'sell')).dividedBy(100);
+        const sellAmount = tokenAmount.minus(taxAmount);
+
         // Check if token has liquidity
-        if (token.pairReserve.isZero() || token.tokenReserve.isZero()) {
+        if (!curve && (!token.primaryPool || !token.primaryPool.hasLiquidity())) {
             return { success: false, error: 'No liquidity in pool to sell to' };
         }
 
-        // Execute AMM sell
-        const sellResult = token.executeSell(tokenAmount);
-
-        if (!sellResult.success) {
-            return { success: false, error: sellResult.error };
+        // Quote first so a sell that cannot pay its gas never touches the pool
+        const quote = curve
+            ? curve.quote(token.id, sellAmount)
+            : token.primaryPool.quote(token.id, sellAmount, { applySlippage: state.applySlippage });
+        if (!quote) {
+            return { success: false, error: 'Insufficient liquidity for this trade' };
         }
 
-        const pairReceived = sellResult.pairReceived;
-        const priceImpact = sellResult.priceImpact;
+        const pairReceived = quote.amountOut;
 
         // Calculate USD value received
         let usdReceived;
-        if (token.pairType === 'USD') {
+        if (pairType === 'USD') {
             usdReceived = pairReceived;
-        } else if (token.pairType === 'WPLS') {
+        } else if (pairType === 'WPLS') {
             usdReceived = pairReceived.times(state.plsPrice);
         } else {
             // TOKEN pair - get paired token's USD price
@@ -318,36 +366,38 @@ export async function processSell({ tokenAmount, walletId, tokenId }) {
 
         // Check if wallet has enough PLS for gas
         if (state.requireGas && wallet.plsBalance.lt(gasUsed)) {
-            // Revert the sell
-            token.tokenReserve = token.tokenReserve.minus(tokenAmount);
-            token.pairReserve = token.pairReserve.plus(pairReceived);
-            token.k = token.tokenReserve.times(token.pairReserve);
-            // Show gas warning modal
-            const { showGasWarningModal } = await import('./swapCard.js');
-            showGasWarningModal();
+            simulationEvents.emit('gas:insufficient', { walletId, required: gasUsed, available: wallet.plsBalance });
             return { success: false, error: `Insufficient PLS for gas. Have: ${wallet.plsBalance.toFixed(8)} PLS, Need: ${gasUsed.toFixed(8)} PLS` };
         }
 
-        // Apply reflection/burn mechanics before processing the sell
-        const mechanicsResult = processTransactionMechanics(token, tokenAmount, state.wallets);
-        if (mechanicsResult && mechanicsResult.total.gt(0)) {
-            console.log('Mechanics applied on sell:', {
-                reflection: mechanicsResult.reflection.toString(),
-                burn: mechanicsResult.burn.toString(),
-                lpFee: mechanicsResult.lpFee.toString()
-            });
+        // Execute AMM sell
+        const sellResult = curve ? tradeOnCurve(token, 'sell', sellAmount) : token.executeSell(sellAmount);
+        if (!sellResult.success) {
+            return { success: false, error: sellResult.error };
         }
+        const priceImpact = sellResult.priceImpact;
 
         // Execute wallet transfers for successful sell
-        wallet.subtractTokenBalance(tokenId, tokenAmount);
+        wallet.subtractTokenBalance(tokenId, sellAmount);
         if (state.requireGas) {
             wallet.subtractPLS(gasUsed);
         }
 
+        // Apply the sell tax from the seller's balance before it is shared out, so they earn none of the reflection
+        const mechanicsResult = processTransactionMechanics(token, tokenAmount, { side: 'sell', payer: wallet });
+        if (mechanicsResult && mechanicsResult.total.gt(0)) {
+            console.log('Mechanics applied on sell:', {
+                reflection: mechanicsResult.reflection.toString(),
+                burn: mechanicsResult.burn.toString(),
+                liquidity: mechanicsResult.liquidity.toString(),
+                total: mechanicsResult.total.toString()
+            });
+        }
+
         // Add received pair asset to wallet
-        if (token.pairType === 'USD') {
+        if (pairType === 'USD') {
             wallet.addUSD(pairReceived);
-        } else if (token.pairType === 'WPLS') {
+        } else if (pairType === 'WPLS') {
             wallet.addPLS(pairReceived);
         } else {
             // TOKEN pair - add received tokens to wallet
@@ -364,15 +414,25 @@ export async function processSell({ tokenAmount, walletId, tokenId }) {
         addToTotalProcessed(usdReceived);
         incrementTransactionCount();
 
-        // Update displays
-        token.updateDisplay();
-        token.triggerGlowEffect();
+        simulationEvents.emit('token:updated', { token });
 
-        // Add transaction to history (negative amount for sell)
-        addTransactionToHistory(walletId, usdReceived.negated(), token.id, gasUsed, wallet.plsBalance, tokenAmount.negated(), priceImpact, null);
+        // Report the trade (negative amounts for sell)
+        simulationEvents.emit('transaction:completed', {
+            type: 'sell',
+            walletId,
+            tokenId: token.id,
+            amount: usdReceived.negated(),
+            tokensReceived: tokenAmount.negated(),
+            gasUsed,
+            plsRemaining: wallet.plsBalance,
+            priceImpact,
+            routeInfo: null,
+            bondingCurve: curve ? { curveType: curve.curveType, price: curve.getPrice() } : null,
+            mechanics: mechanicsResult,
+            isChained: false
+        });
 
         // Update all prices after trade
-        const { updateAllTokenPrices } = await import('./state.js');
         updateAllTokenPrices();
 
         console.log('Sell executed:', {
@@ -452,7 +512,6 @@ async function processNextTransaction(currentToken, currentAmount, walletId) {
     });
 
     // Add PLS to wallet for next transaction
-    const { getWalletById } = await import('./wallet.js');
     const wallet = getWalletById(parseInt(walletId));
     if (wallet && plsAmount.gt(0)) {
         wallet.addPLS(plsAmount);
@@ -463,14 +522,15 @@ async function processNextTransaction(currentToken, currentAmount, walletId) {
     if (nextToken && nextAmount.gt(0)) {
         const delay = getRandomDelay(walletId);
         console.log(`Waiting ${delay}ms before next transaction...`);
-        await new Promise(resolve => setTimeout(resolve, delay));
+        await sleep(delay);
 
         console.log(`Executing buy of ${nextToken.name} with ${nextAmount.toString()} USD`);
         await processBuy({
             amount: nextAmount,
             walletId,
             tokenId: nextToken.id,
-            isInitialBuy: false
+            isInitialBuy: false,
+            isChained: true
         });
     } else {
         console.log('Chain stopped:', { hasNextToken: !!nextToken, nextAmount: nextAmount.toString() });
@@ -478,40 +538,79 @@ async function processNextTransaction(currentToken, currentAmount, walletId) {
 }
 
 /**
- * Confirm a route with the user
- * @param {Object} route - Route to confirm
- * @param {Decimal} amountIn - USD amount
- * @param {Object} targetToken - Target token
- * @returns {Promise<boolean>} Whether user confirmed
+ * Swap one token directly for another
+ * The caller supplies the quoted receive amount; when the two tokens share a pool
+ * its reserves are moved by the swap.
+ * @param {Object} params - Swap parameters
+ * @param {number} params.payTokenId - Token being paid
+ * @param {number} params.receiveTokenId - Token being received
+ * @param {Decimal} params.amount - Amount of pay token
+ * @param {Decimal} params.receiveAmount - Amount of receive token
+ * @param {string|number} params.walletId - Wallet performing the swap
+ * @returns {TransactionResult} Transaction result
  */
-async function confirmRoute(route, amountIn, targetToken) {
-    const { formatNumber, formatCurrency } = await import('../utils/formatters.js');
+export function processTokenSwap({ payTokenId, receiveTokenId, amount, receiveAmount, walletId }) {
+    const amountValidation = validatePositiveNumber(amount);
+    if (!amountValidation.isValid) {
+        return { success: false, error: amountValidation.message };
+    }
 
-    let message = `Multi-Hop Routing Required\n\n`;
-    message += `To buy ${targetToken.name}, your trade will route through ${route.hops.length} ${route.hops.length === 1 ? 'swap' : 'swaps'}:\n\n`;
+    const payToken = state.tokens.find(t => t.id === payTokenId);
+    const receiveToken = state.tokens.find(t => t.id === receiveTokenId);
+    if (!payToken || !receiveToken) {
+        return { success: false, error: 'Invalid tokens selected' };
+    }
 
-    // Show each hop with amounts
-    message += `Route: ${route.pathDescription}\n\n`;
-    message += `Intermediate amounts:\n`;
+    const wallet = getWalletById(parseInt(walletId));
+    if (!wallet) {
+        return { success: false, error: 'No wallet selected' };
+    }
 
-    route.hops.forEach((hop, index) => {
-        const amountInStr = formatCurrency(hop.amountIn, '$', 0);
-        const amountOutStr = formatNumber(hop.amountOut, 0);
-        const tokenName = hop.token.name;
+    // Check if we have enough tokens to pay
+    if (wallet.getTokenBalance(payTokenId).lt(amount)) {
+        return { success: false, error: `Insufficient ${payToken.name} balance` };
+    }
 
-        if (index === 0) {
-            message += `1. ${amountInStr} → ${amountOutStr} ${tokenName}\n`;
-        } else {
-            const prevTokenName = route.hops[index - 1].token ? route.hops[index - 1].token.name : 'tokens';
-            message += `${index + 1}. ${formatNumber(hop.amountIn, 0)} ${prevTokenName} → ${amountOutStr} ${tokenName}\n`;
-        }
-    });
+    // Move balances
+    wallet.addTokenBalance(payTokenId, amount.negated());
+    wallet.addTokenBalance(receiveTokenId, receiveAmount);
+
+    // Update the reserves of the pool the two tokens share, if any
+    const pool = getPool(payToken.id, receiveToken.id);
+    if (pool) {
+        const quote = pool.quote(payToken.id, amount, { applySlippage: state.applySlippage });
+        pool.applySwap(payToken.id, amount, receiveAmount, quote ? quote.fee : new Decimal(0));
+        payToken.invalidatePriceCascade();
+        receiveToken.invalidatePriceCascade();
+    }
 
-    message += `\nFinal: You receive ${formatNumber(route.totalAmountOut, 0)} ${targetToken.name}\n`;
-    message += `Total Price Impact: ${route.totalPriceImpact.toFixed(2)}%\n\n`;
-    message += `Proceed with this route?`;
+    updateAllTokenPrices();
+
+    simulationEvents.emit('token:updated', { token: payToken });
+    simulationEvents.emit('token:updated', { token: receiveToken });
+
+    // Swaps pay no gas; their USD value is the pay side at its current price
+    simulationEvents.emit('transaction:completed', {
+        type: 'swap',
+        walletId,
+        tokenId: receiveToken.id,
+        amount: amount.times(payToken.calculateTokenPriceUSD()),
+        tokensReceived: receiveAmount,
+        gasUsed: new Decimal(0),
+        plsRemaining: wallet.plsBalance,
+        priceImpact: null,
+        routeInfo: null,
+        mechanics: null,
+        isChained: false,
+        payTokenId: payToken.id,
+        payAmount: amount
+    });
 
-    return confirm(message);
+    return {
+        success: true,
+        amount,
+        receiveAmount
+    };
 }
 
 /**
@@ -575,22 +674,13 @@ export function addPlsToAll(totalAmount) {
  * This clears transaction history and resets counters
  */
 export function resetTransactions() {
-    const Decimal = getDecimal();
     state.currentTxNumber = 0;
     state.transactionCount = 0;
     state.totalProcessed = new Decimal(0);
     state.totalGasUsed = new Decimal(0);
-    state.startTime = Date.now();
+    resetClock();
     state.walletIntervals.clear();
     state.activeTransactions.clear();
 
-    // Update UI
-    updateMetricsDisplay({
-        elapsedSeconds: 0,
-        transactionsPerMinute: 0,
-        plsPrice: state.plsPrice,
-        totalGasUsed: state.totalGasUsed,
-        transactionCount: state.transactionCount,
-        totalProcessed: state.totalProcessed
-    });
+    simulationEvents.emit('transactions:reset');
 } 
\ No newline at end of file
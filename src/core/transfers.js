@@ -0,0 +1,361 @@
+/**
+ * @fileoverview Wallet-to-wallet transfers and airdrops
+ * Token transfers pay the token's transfer tax (see mechanics.js): the tax comes
+ * out of the tokens sent, the recipient gets the rest, and the reflection part is
+ * shared out afterwards, so the recipient already earns on what it received.
+ * USD and PLS move untaxed.
+ *
+ * An airdrop spreads an amount of a token over many wallets, from a wallet (taxed
+ * as one transfer) or from the token's undistributed supply (untaxed, as the
+ * deployer minting it out). Shares are equal, weighted, or proportional to a
+ * snapshot of what each wallet holds of a token at the time of the drop.
+ */
+
+import Decimal from './decimal.js';
+import { state, calculateGas, addToTotalGasUsed, updateAllTokenPrices } from './state.js';
+import { simulationEvents } from './events.js';
+import { validatePositiveNumber, validateNonNegativeNumber } from '../utils/validators.js';
+import { getWalletById } from './wallet.js';
+import { processTransactionMechanics, getTaxPercent } from './mechanics.js';
+
+/**
+ * Airdrop distribution rules
+ * @type {string[]}
+ */
+export const AIRDROP_MODES = ['equal', 'weighted', 'snapshot'];
+
+/**
+ * @typedef {Object} AirdropShare
+ * @property {number} walletId - Recipient
+ * @property {Decimal} amount - Tokens allotted
+ * @property {Decimal} received - Tokens received after the transfer tax
+ */
+
+/**
+ * Resolve an asset selector
+ * @param {string|number} asset - 'USD', 'PLS' (or 'WPLS'), or a token ID
+ * @returns {{asset: string|number, token: Token|null}|null} Normalized asset and its token, or null if unknown
+ */
+function resolveAsset(asset) {
+    if (asset === 'USD') return { asset: 'USD', token: null };
+    if (asset === 'PLS' || asset === 'WPLS') return { asset: 'PLS', token: null };
+
+    const token = state.tokens.find(t => t.id === parseInt(asset));
+    return token ? { asset: token.id, token } : null;
+}
+
+/**
+ * Balance a wallet holds of an asset
+ * @param {Wallet} wallet - Wallet
+ * @param {string|number} asset - 'USD', 'PLS' or a token ID
+ * @returns {Decimal} Balance
+ */
+function getAssetBalance(wallet, asset) {
+    if (asset === 'USD') return wallet.usdBalance;
+    if (asset === 'PLS') return wallet.plsBalance;
+    return wallet.getTokenBalance(asset);
+}
+
+/**
+ * Move an asset between wallets, with no tax
+ * @param {Wallet} from - Sender
+ * @param {Wallet} to - Recipient
+ * @param {string|number} asset - 'USD', 'PLS' or a token ID
+ * @param {Decimal} amount - Amount
+ */
+function moveAsset(from, to, asset, amount) {
+    if (asset === 'USD') {
+        from.subtractUSD(amount);
+        to.addUSD(amount);
+    } else if (asset === 'PLS') {
+        from.subtractPLS(amount);
+        to.addPLS(amount);
+    } else {
+        from.subtractTokenBalance(asset, amount);
+        to.addTokenBalance(asset, amount);
+    }
+}
+
+/**
+ * USD value of an amount of an asset at current prices
+ * @param {string|number} asset - 'USD', 'PLS' or a token ID
+ * @param {Token|null} token - Token, for token assets
+ * @param {Decimal} amount - Amount
+ * @returns {Decimal} USD value
+ */
+function getUSDValue(asset, token, amount) {
+    if (asset === 'USD') return amount;
+    if (asset === 'PLS') return amount.times(state.plsPrice);
+    return amount.times(token.calculateTokenPriceUSD());
+}
+
+/**
+ * Tokens of a token that nobody holds yet: not in pools, on its curve, in wallets or in the contract
+ * @param {Token} token - Token
+ * @returns {Decimal} Supply an airdrop can mint out
+ */
+export function getUndistributedSupply(token) {
+    const held = state.wallets.reduce((total, wallet) => total.plus(wallet.getTokenBalance(token.id)), new Decimal(0));
+    return Decimal.max(0, token.getAvailableSupply().minus(held).minus(token.contractBalance));
+}
+
+/**
+ * Charge a wallet the gas for a transfer, if gas is required
+ * @param {Wallet} wallet - Wallet paying
+ * @param {Decimal} usdValue - Value moved
+ * @param {Decimal} [reserved=0] - PLS the wallet must keep for the transfer itself
+ * @returns {{success: boolean, error?: string, gasUsed?: Decimal}} Gas charged
+ */
+function chargeGas(wallet, usdValue, reserved = new Decimal(0)) {
+    if (!state.requireGas) {
+        return { success: true, gasUsed: new Decimal(0) };
+    }
+
+    const gasUsed = calculateGas(usdValue);
+    if (wallet.plsBalance.minus(reserved).lt(gasUsed)) {
+        simulationEvents.emit('gas:insufficient', { walletId: wallet.id, required: gasUsed, available: wallet.plsBalance });
+        return { success: false, error: `Insufficient PLS for gas. Have: ${wallet.plsBalance.toFixed(8)} PLS, Need: ${gasUsed.toFixed(8)} PLS` };
+    }
+
+    wallet.subtractPLS(gasUsed);
+    addToTotalGasUsed(gasUsed);
+    return { success: true, gasUsed };
+}
+
+/**
+ * Send USD, PLS or a token from one wallet to another
+ * @param {Object} params - Transfer parameters
+ * @param {string|number} params.asset - 'USD', 'PLS' or a token ID
+ * @param {Decimal} params.amount - Amount sent (tax included)
+ * @param {string|number} params.fromWalletId - Sender
+ * @param {string|number} params.toWalletId - Recipient
+ * @returns {{success: boolean, error?: string, amount?: Decimal, received?: Decimal, gasUsed?: Decimal,
+ *   mechanics?: Object|null}} Result; mechanics is the transfer tax for token transfers
+ */
+export function processTransfer({ asset, amount, fromWalletId, toWalletId }) {
+    const amountValidation = validatePositiveNumber(amount);
+    if (!amountValidation.isValid) {
+        return { success: false, error: amountValidation.message };
+    }
+
+    if (state.isPaused) {
+        return { success: false, error: 'Trading is paused' };
+    }
+
+    const from = getWalletById(parseInt(fromWalletId));
+    const to = getWalletById(parseInt(toWalletId));
+    if (!from || !to) {
+        return { success: false, error: 'Wallet not found' };
+    }
+    if (from === to) {
+        return { success: false, error: 'Cannot transfer to the same wallet' };
+    }
+
+    const resolved = resolveAsset(asset);
+    if (!resolved) {
+        return { success: false, error: 'Token not found' };
+    }
+    const { token } = resolved;
+    const amountDecimal = new Decimal(amount);
+
+    const balance = getAssetBalance(from, resolved.asset);
+    if (balance.lt(amountDecimal)) {
+        return { success: false, error: `Insufficient balance. Have: ${balance.toFixed(2)}, Need: ${amountDecimal.toFixed(2)}` };
+    }
+
+    const usdValue = getUSDValue(resolved.asset, token, amountDecimal);
+    const gas = chargeGas(from, usdValue, resolved.asset === 'PLS' ? amountDecimal : new Decimal(0));
+    if (!gas.success) {
+        return { success: false, error: gas.error };
+    }
+
+    let received = amountDecimal;
+    let mechanics = null;
+    if (token) {
+        // The transfer tax comes out of the tokens sent; the sender's balance pays it before it is shared out
+        received = amountDecimal.minus(amountDecimal.times(getTaxPercent(token, 'transfer')).dividedBy(100));
+        moveAsset(from, to, token.id, received);
+        mechanics = processTransactionMechanics(token, amountDecimal, { side: 'transfer', payer: from });
+    } else {
+        moveAsset(from, to, resolved.asset, amountDecimal);
+    }
+
+    console.log('Transfer executed:', {
+        asset: resolved.asset,
+        from: from.id,
+        to: to.id,
+        amount: amountDecimal.toString(),
+        received: received.toString()
+    });
+
+    simulationEvents.emit('transfer:completed', {
+        walletId: from.id,
+        toWalletId: to.id,
+        asset: resolved.asset,
+        amount: amountDecimal,
+        received,
+        usdValue,
+        gasUsed: gas.gasUsed,
+        plsRemaining: from.plsBalance,
+        mechanics
+    });
+
+    // Taxes swapped into pools move prices
+    if (mechanics && mechanics.total.gt(0)) {
+        updateAllTokenPrices();
+    }
+
+    return { success: true, amount: amountDecimal, received, gasUsed: gas.gasUsed, mechanics };
+}
+
+/**
+ * Weight of each recipient of an airdrop
+ * @param {Object} params - See processAirdrop
+ * @returns {{success: boolean, error?: string, weights?: Map<number, Decimal>}} Weight per wallet ID
+ */
+function getAirdropWeights({ mode, sender, recipients, weights, snapshotTokenId, minHolding }) {
+    const isRecipient = wallet => wallet !== sender;
+    const result = new Map();
+
+    if (mode === 'equal') {
+        const ids = recipients || state.wallets.filter(isRecipient).map(wallet => wallet.id);
+        ids.forEach(id => {
+            const wallet = getWalletById(parseInt(id));
+            if (wallet && isRecipient(wallet)) result.set(wallet.id, new Decimal(1));
+        });
+    } else if (mode === 'weighted') {
+        Object.entries(weights || {}).forEach(([id, weight]) => {
+            const wallet = getWalletById(parseInt(id));
+            const value = new Decimal(weight || 0);
+            if (wallet && isRecipient(wallet) && value.gt(0)) result.set(wallet.id, value);
+        });
+    } else if (mode === 'snapshot') {
+        const snapshotToken = state.tokens.find(t => t.id === parseInt(snapshotTokenId));
+        if (!snapshotToken) {
+            return { success: false, error: 'Snapshot token not found' };
+        }
+        const minimum = new Decimal(minHolding || 0);
+        state.wallets.filter(isRecipient).forEach(wallet => {
+            const held = wallet.getTokenBalance(snapshotToken.id);
+            if (held.gt(0) && held.gte(minimum)) result.set(wallet.id, held);
+        });
+    } else {
+        return { success: false, error: `Unknown airdrop mode: ${mode}` };
+    }
+
+    if (result.size === 0) {
+        return { success: false, error: 'No wallets qualify for this airdrop' };
+    }
+    return { success: true, weights: result };
+}
+
+/**
+ * Distribute a token across many wallets
+ * @param {Object} params - Airdrop parameters
+ * @param {number} params.tokenId - Token dropped
+ * @param {Decimal} params.totalAmount - Tokens to distribute in total
+ * @param {string} [params.mode='equal'] - 'equal', 'weighted' or 'snapshot'
+ * @param {string|number|null} [params.fromWalletId=null] - Wallet paying (taxed as a transfer); null mints
+ *   out of the undistributed supply
+ * @param {number[]} [params.recipients] - Equal mode: wallets to drop to (default every other wallet)
+ * @param {Object<string, number|string>} [params.weights] - Weighted mode: weight per wallet ID
+ * @param {number} [params.snapshotTokenId=tokenId] - Snapshot mode: token whose holders receive the drop
+ * @param {number|string|Decimal} [params.minHolding=0] - Snapshot mode: least a holder must hold to qualify
+ * @returns {{success: boolean, error?: string, shares?: AirdropShare[], total?: Decimal, tax?: Decimal,
+ *   gasUsed?: Decimal}} Result
+ */
+export function processAirdrop({ tokenId, totalAmount, mode = 'equal', fromWalletId = null, recipients, weights, snapshotTokenId = tokenId, minHolding = 0 }) {
+    const amountValidation = validatePositiveNumber(totalAmount);
+    if (!amountValidation.isValid) {
+        return { success: false, error: amountValidation.message };
+    }
+    const minimumValidation = validateNonNegativeNumber(minHolding);
+    if (!minimumValidation.isValid) {
+        return { success: false, error: minimumValidation.message };
+    }
+
+    if (state.isPaused) {
+        return { success: false, error: 'Trading is paused' };
+    }
+
+    const token = state.tokens.find(t => t.id === parseInt(tokenId));
+    if (!token) {
+        return { success: false, error: 'Token not found' };
+    }
+    const total = new Decimal(totalAmount);
+
+    let sender = null;
+    if (fromWalletId !== null) {
+        sender = getWalletById(parseInt(fromWalletId));
+        if (!sender) {
+            return { success: false, error: 'Wallet not found' };
+        }
+        const balance = sender.getTokenBalance(token.id);
+        if (balance.lt(total)) {
+            return { success: false, error: `Insufficient ${token.name} balance. Have: ${balance.toFixed(2)}, Need: ${total.toFixed(2)}` };
+        }
+    } else {
+        const undistributed = getUndistributedSupply(token);
+        if (undistributed.lt(total)) {
+            return { success: false, error: `Insufficient undistributed supply. Available: ${undistributed.toFixed(2)}, Need: ${total.toFixed(2)}` };
+        }
+    }
+
+    const weighting = getAirdropWeights({ mode, sender, recipients, weights, snapshotTokenId, minHolding });
+    if (!weighting.success) {
+        return { success: false, error: weighting.error };
+    }
+
+    // One airdrop contract call: the sender pays gas once
+    let gasUsed = new Decimal(0);
+    if (sender) {
+        const gas = chargeGas(sender, getUSDValue(token.id, token, total));
+        if (!gas.success) {
+            return { success: false, error: gas.error };
+        }
+        gasUsed = gas.gasUsed;
+    }
+
+    // Wallets dropped from the supply are paid untaxed; a wallet's drop pays the transfer tax once on the total
+    const taxPercent = sender ? getTaxPercent(token, 'transfer') : new Decimal(0);
+    const totalWeight = [...weighting.weights.values()].reduce((sum, weight) => sum.plus(weight), new Decimal(0));
+    const shares = [...weighting.weights.entries()].map(([walletId, weight]) => {
+        const amount = total.times(weight).dividedBy(totalWeight);
+        const received = amount.minus(amount.times(taxPercent).dividedBy(100));
+        const wallet = getWalletById(walletId);
+        if (sender) {
+            sender.subtractTokenBalance(token.id, received);
+        }
+        wallet.addTokenBalance(token.id, received);
+        return { walletId, amount, received };
+    });
+
+    const mechanics = sender ? processTransactionMechanics(token, total, { side: 'transfer', payer: sender }) : null;
+    const tax = mechanics ? mechanics.total : new Decimal(0);
+
+    console.log('Airdrop executed:', {
+        tokenId: token.id,
+        mode,
+        from: sender ? sender.id : 'supply',
+        recipients: shares.length,
+        total: total.toString(),
+        tax: tax.toString()
+    });
+
+    simulationEvents.emit('airdrop:completed', {
+        token,
+        walletId: sender ? sender.id : null,
+        mode,
+        total,
+        shares,
+        gasUsed,
+        mechanics
+    });
+    simulationEvents.emit('token:updated', { token });
+
+    if (tax.gt(0)) {
+        updateAllTokenPrices();
+    }
+
+    return { success: true, shares, total, tax, gasUsed };
+}
@@ -0,0 +1,337 @@
+/**
+ * @fileoverview Wallet management module for handling wallet balances and ownership
+ */
+
+import Decimal from './decimal.js';
+import { state } from './state.js';
+import { simulationEvents } from './events.js';
+import { fromStoredBalance, toStoredBalance, trackStoredChange } from './reflection.js';
+
+/**
+ * USD and PLS a wallet starts with unless told otherwise
+ * @type {string}
+ */
+export const DEFAULT_STARTING_BALANCE = '1000000';
+
+/**
+ * Tags the simulation knows; wallets can carry any others too
+ * @type {string[]}
+ */
+export const WALLET_TAGS = ['whale', 'retail', 'bot'];
+
+/**
+ * Normalize a tag: trimmed and lower case
+ * @param {string} tag - Tag as entered
+ * @returns {string} Normalized tag ('' if blank)
+ */
+export function normalizeTag(tag) {
+    return String(tag ?? '').trim().toLowerCase();
+}
+
+/**
+ * Wallet class representing a user wallet with token and PLS balances
+ */
+export class Wallet {
+    /**
+     * Create a new wallet
+     * @param {Object} options - Wallet options
+     * @param {number} options.id - Wallet ID
+     * @param {string} [options.name] - Wallet name (defaults to "Wallet X")
+     * @param {Decimal|string|number} [options.usdBalance=DEFAULT_STARTING_BALANCE] - Starting USD
+     * @param {Decimal|string|number} [options.plsBalance=DEFAULT_STARTING_BALANCE] - Starting PLS
+     * @param {string[]} [options.tags=[]] - Tags such as 'whale', 'retail' or 'bot'
+     */
+    constructor({ id, name, usdBalance = DEFAULT_STARTING_BALANCE, plsBalance = DEFAULT_STARTING_BALANCE, tags = [] }) {
+        this.id = id;
+        this.name = name || `Wallet ${id}`;
+
+        // Labels strategies and tools pick wallets by
+        this.tags = new Set(tags.map(normalizeTag).filter(Boolean));
+
+        // Token balances: Map of tokenId -> Decimal stored amount, in reflected units (rOwned)
+        // unless the wallet is excluded from the token's reflections (see reflection.js)
+        this.tokenBalances = new Map();
+
+        // Balance each token would have without reflections: Map of tokenId -> Decimal
+        this.reflectionBasis = new Map();
+
+        // LP token balances: Map of pool ID -> Decimal LP amount
+        this.lpBalances = new Map();
+
+        // PLS balance for gas
+        this.plsBalance = new Decimal(plsBalance);
+
+        // USD balance for buying
+        this.usdBalance = new Decimal(usdBalance);
+    }
+
+    /**
+     * Check whether the wallet carries a tag
+     * @param {string} tag - Tag
+     * @returns {boolean} True if tagged
+     */
+    hasTag(tag) {
+        return this.tags.has(normalizeTag(tag));
+    }
+
+    /**
+     * Add or remove a tag
+     * @param {string} tag - Tag
+     * @param {boolean} [tagged=true] - False to remove it
+     */
+    setTag(tag, tagged = true) {
+        const normalized = normalizeTag(tag);
+        if (!normalized) return;
+
+        if (tagged) {
+            this.tags.add(normalized);
+        } else {
+            this.tags.delete(normalized);
+        }
+        simulationEvents.emit('wallet:tagged', { wallet: this, tag: normalized, tagged });
+    }
+
+    /**
+     * Get balance of a specific token
+     * @param {number} tokenId - Token ID
+     * @returns {Decimal} Token balance
+     */
+    getTokenBalance(tokenId) {
+        const stored = this.tokenBalances.get(tokenId);
+        return stored ? fromStoredBalance(tokenId, this.id, stored) : new Decimal(0);
+    }
+
+    /**
+     * Set balance of a specific token
+     * The change counts towards the balance without reflections, so reflections
+     * earned stay the difference between the two.
+     * @param {number} tokenId - Token ID
+     * @param {Decimal|string|number} balance - New balance
+     */
+    setTokenBalance(tokenId, balance) {
+        const newBalance = new Decimal(balance);
+        const delta = newBalance.minus(this.getTokenBalance(tokenId));
+        this.reflectionBasis.set(tokenId, this.getReflectionBasis(tokenId).plus(delta));
+
+        const stored = toStoredBalance(tokenId, this.id, newBalance);
+        trackStoredChange(tokenId, this.id, stored.minus(this.tokenBalances.get(tokenId) || 0));
+        this.tokenBalances.set(tokenId, stored);
+    }
+
+    /**
+     * Get the balance a token would have without reflections
+     * @param {number} tokenId - Token ID
+     * @returns {Decimal} Balance from trades and transfers only
+     */
+    getReflectionBasis(tokenId) {
+        return this.reflectionBasis.get(tokenId) || new Decimal(0);
+    }
+
+    /**
+     * Get the reflections a token has paid this wallet
+     * @param {number} tokenId - Token ID
+     * @returns {Decimal} Reflections earned (0 if none)
+     */
+    getReflectionEarnings(tokenId) {
+        return Decimal.max(this.getTokenBalance(tokenId).minus(this.getReflectionBasis(tokenId)), 0);
+    }
+
+    /**
+     * Add to token balance
+     * @param {number} tokenId - Token ID
+     * @param {Decimal|string|number} amount - Amount to add
+     */
+    addTokenBalance(tokenId, amount) {
+        const currentBalance = this.getTokenBalance(tokenId);
+        const newBalance = currentBalance.plus(new Decimal(amount));
+        this.setTokenBalance(tokenId, newBalance);
+    }
+
+    /**
+     * Subtract from token balance
+     * @param {number} tokenId - Token ID
+     * @param {Decimal|string|number} amount - Amount to subtract
+     * @returns {boolean} Success (false if insufficient balance)
+     */
+    subtractTokenBalance(tokenId, amount) {
+        const currentBalance = this.getTokenBalance(tokenId);
+        const amountDecimal = new Decimal(amount);
+
+        if (currentBalance.lt(amountDecimal)) {
+            return false; // Insufficient balance
+        }
+
+        const newBalance = currentBalance.minus(amountDecimal);
+        this.setTokenBalance(tokenId, newBalance);
+        return true;
+    }
+
+    /**
+     * Get LP balance for a pool
+     * @param {string} poolId - Pool ID (see poolKey)
+     * @returns {Decimal} LP token balance
+     */
+    getLpBalance(poolId) {
+        return this.lpBalances.get(poolId) || new Decimal(0);
+    }
+
+    /**
+     * Add to LP balance for a pool
+     * @param {string} poolId - Pool ID (see poolKey)
+     * @param {Decimal|string|number} amount - LP amount to add (negative to remove)
+     */
+    addLpBalance(poolId, amount) {
+        this.lpBalances.set(poolId, this.getLpBalance(poolId).plus(new Decimal(amount)));
+    }
+
+    /**
+     * Add USD to wallet
+     * @param {Decimal|string|number} amount - Amount to add
+     */
+    addUSD(amount) {
+        this.usdBalance = this.usdBalance.plus(new Decimal(amount));
+    }
+
+    /**
+     * Subtract USD from wallet
+     * @param {Decimal|string|number} amount - Amount to subtract
+     * @returns {boolean} Success (false if insufficient balance)
+     */
+    subtractUSD(amount) {
+        const amountDecimal = new Decimal(amount);
+
+        if (this.usdBalance.lt(amountDecimal)) {
+            return false; // Insufficient balance
+        }
+
+        this.usdBalance = this.usdBalance.minus(amountDecimal);
+        return true;
+    }
+
+    /**
+     * Add PLS to wallet
+     * @param {Decimal|string|number} amount - Amount to add
+     */
+    addPLS(amount) {
+        this.plsBalance = this.plsBalance.plus(new Decimal(amount));
+    }
+
+    /**
+     * Subtract PLS from wallet
+     * @param {Decimal|string|number} amount - Amount to subtract
+     * @returns {boolean} Success (false if insufficient balance)
+     */
+    subtractPLS(amount) {
+        const amountDecimal = new Decimal(amount);
+
+        if (this.plsBalance.lt(amountDecimal)) {
+            return false; // Insufficient balance
+        }
+
+        this.plsBalance = this.plsBalance.minus(amountDecimal);
+        return true;
+    }
+
+    /**
+     * Get summary of wallet balances
+     * @returns {Object} Balance summary
+     */
+    getBalanceSummary() {
+        const summary = {
+            name: this.name,
+            usd: this.usdBalance,
+            pls: this.plsBalance,
+            tags: [...this.tags],
+            tokens: {}
+        };
+
+        for (const tokenId of this.tokenBalances.keys()) {
+            const balance = this.getTokenBalance(tokenId);
+            if (balance.gt(0)) {
+                const token = state.tokens.find(t => t.id === tokenId);
+                summary.tokens[tokenId] = {
+                    balance: balance,
+                    name: token ? token.name : `Token ${tokenId}`
+                };
+            }
+        }
+
+        return summary;
+    }
+}
+
+/**
+ * Initialize wallet system
+ */
+export function initializeWalletSystem() {
+    if (!state.wallets) {
+        state.wallets = [];
+    }
+
+    // Create first wallet if none exist
+    if (state.wallets.length === 0) {
+        const wallet1 = new Wallet({ id: 1, name: 'Wallet 1' });
+        state.wallets.push(wallet1);
+        console.log('Created Wallet 1');
+    }
+}
+
+/**
+ * Get wallet by ID
+ * @param {number} walletId - Wallet ID
+ * @returns {Wallet|null} Wallet instance or null
+ */
+export function getWalletById(walletId) {
+    return state.wallets.find(w => w.id === walletId) || null;
+}
+
+/**
+ * Get wallet by name
+ * @param {string} walletName - Wallet name
+ * @returns {Wallet|null} Wallet instance or null
+ */
+export function getWalletByName(walletName) {
+    return state.wallets.find(w => w.name === walletName) || null;
+}
+
+/**
+ * Create a new wallet
+ * @param {string} [name] - Wallet name (defaults to "Wallet X")
+ * @param {Object} [options={}] - Starting balances and tags (see Wallet)
+ * @returns {Wallet} New wallet instance
+ */
+export function createWallet(name, options = {}) {
+    const newId = state.wallets.length + 1;
+    const wallet = new Wallet({ ...options, id: newId, name: name || `Wallet ${newId}` });
+    state.wallets.push(wallet);
+    console.log(`Created ${wallet.name}`);
+    simulationEvents.emit('wallet:created', { wallet });
+    return wallet;
+}
+
+/**
+ * Get every wallet carrying a tag
+ * @param {string} tag - Tag
+ * @returns {Wallet[]} Tagged wallets
+ */
+export function getWalletsByTag(tag) {
+    return state.wallets.filter(wallet => wallet.hasTag(tag));
+}
+
+/**
+ * Get every tag in use
+ * @returns {string[]} Tags, sorted
+ */
+export function getWalletTags() {
+    const tags = new Set();
+    state.wallets.forEach(wallet => wallet.tags.forEach(tag => tags.add(tag)));
+    return [...tags].sort();
+}
+
+/**
+ * Get all wallets
+ * @returns {Wallet[]} Array of all wallets
+ */
+export function getAllWallets() {
+    return state.wallets || [];
+}
@@ -0,0 +1,168 @@
+/**
+ * @fileoverview Bulk wallet generation
+ * Creates many wallets at once with starting balances drawn from a distribution,
+ * so a run can start with a realistic spread of whales and retail:
+ * - 'fixed': every wallet gets value
+ * - 'uniform': anywhere between min and max
+ * - 'log-normal': centred on median, spread by sigma (most wallets small, a long right tail)
+ * - 'pareto': at least min, tail heaviness alpha (lower alpha = more whales); capped at max if given
+ * Draws go through random(), so a seeded run generates the same wallets.
+ */
+
+import Decimal from './decimal.js';
+import { state } from './state.js';
+import { simulationEvents } from './events.js';
+import { random, randomNormal } from './random.js';
+import { Wallet, DEFAULT_STARTING_BALANCE } from './wallet.js';
+
+/**
+ * Balance distributions
+ * @type {string[]}
+ */
+export const BALANCE_DISTRIBUTIONS = ['fixed', 'uniform', 'log-normal', 'pareto'];
+
+/**
+ * Most wallets one call generates
+ * @type {number}
+ */
+export const MAX_GENERATED_WALLETS = 10000;
+
+/**
+ * @typedef {Object} BalanceDistribution
+ * @property {string} distribution - One of BALANCE_DISTRIBUTIONS
+ * @property {number} [value] - fixed: the balance
+ * @property {number} [min] - uniform: lowest balance; pareto: scale (smallest balance)
+ * @property {number} [max] - uniform: highest balance; pareto: optional cap
+ * @property {number} [median] - log-normal: median balance
+ * @property {number} [sigma] - log-normal: standard deviation of the log balance
+ * @property {number} [alpha] - pareto: shape
+ */
+
+/**
+ * Check a distribution's parameters
+ * @param {BalanceDistribution} spec - Distribution
+ * @returns {{isValid: boolean, message?: string}} Validation result
+ */
+export function validateDistribution(spec) {
+    const { distribution } = spec || {};
+    const isPositive = value => Number.isFinite(Number(value)) && Number(value) > 0;
+    const isNonNegative = value => Number.isFinite(Number(value)) && Number(value) >= 0;
+
+    if (distribution === 'fixed') {
+        return isNonNegative(spec.value) ? { isValid: true } : { isValid: false, message: 'Fixed balance cannot be negative' };
+    }
+    if (distribution === 'uniform') {
+        if (!isNonNegative(spec.min) || !isNonNegative(spec.max) || Number(spec.max) < Number(spec.min)) {
+            return { isValid: false, message: 'Uniform balances need 0 <= min <= max' };
+        }
+        return { isValid: true };
+    }
+    if (distribution === 'log-normal') {
+        if (!isPositive(spec.median) || !isNonNegative(spec.sigma)) {
+            return { isValid: false, message: 'Log-normal balances need a median above 0 and a sigma of 0 or more' };
+        }
+        return { isValid: true };
+    }
+    if (distribution === 'pareto') {
+        if (!isPositive(spec.min) || !isPositive(spec.alpha)) {
+            return { isValid: false, message: 'Pareto balances need a minimum and an alpha above 0' };
+        }
+        if (spec.max !== undefined && spec.max !== null && !(Number(spec.max) >= Number(spec.min))) {
+            return { isValid: false, message: 'Pareto cap must be at least the minimum' };
+        }
+        return { isValid: true };
+    }
+    return { isValid: false, message: `Unknown balance distribution: ${distribution}` };
+}
+
+/**
+ * Draw one balance from a distribution
+ * @param {BalanceDistribution} spec - Validated distribution
+ * @returns {Decimal} Balance
+ */
+export function drawBalance(spec) {
+    let value;
+    switch (spec.distribution) {
+        case 'uniform':
+            value = Number(spec.min) + (Number(spec.max) - Number(spec.min)) * random();
+            break;
+        case 'log-normal':
+            value = Number(spec.median) * Math.exp(Number(spec.sigma) * randomNormal());
+            break;
+        case 'pareto':
+            value = Number(spec.min) / Math.pow(1 - random(), 1 / Number(spec.alpha));
+            if (spec.max !== undefined && spec.max !== null) {
+                value = Math.min(value, Number(spec.max));
+            }
+            break;
+        default:
+            value = Number(spec.value);
+    }
+    // Cents are enough for a starting balance
+    return new Decimal(value.toFixed(2));
+}
+
+/**
+ * Create many wallets at once
+ * @param {Object} options - Generation options
+ * @param {number} options.count - Wallets to create
+ * @param {BalanceDistribution} [options.usd] - USD balance distribution (default: fixed 1,000,000)
+ * @param {BalanceDistribution} [options.pls] - PLS balance distribution (default: fixed 1,000,000)
+ * @param {string[]} [options.tags=[]] - Tags every generated wallet gets, e.g. ['bot']
+ * @param {number|null} [options.whaleThreshold=null] - Tag wallets starting with at least this much USD 'whale'
+ *   and the rest 'retail'; null leaves them untagged
+ * @param {string} [options.namePrefix='Wallet'] - Names are the prefix and the wallet ID
+ * @returns {{success: boolean, error?: string, wallets?: Wallet[]}} Result with the new wallets
+ */
+export function generateWallets({
+    count,
+    usd = { distribution: 'fixed', value: DEFAULT_STARTING_BALANCE },
+    pls = { distribution: 'fixed', value: DEFAULT_STARTING_BALANCE },
+    tags = [],
+    whaleThreshold = null,
+    namePrefix = 'Wallet'
+}) {
+    const total = Number(count);
+    if (!Number.isInteger(total) || total <= 0 || total > MAX_GENERATED_WALLETS) {
+        return { success: false, error: `Wallet count must be a whole number from 1 to ${MAX_GENERATED_WALLETS}` };
+    }
+    for (const [label, spec] of [['USD', usd], ['PLS', pls]]) {
+        const validation = validateDistribution(spec);
+        if (!validation.isValid) {
+            return { success: false, error: `${label}: ${validation.message}` };
+        }
+    }
+    if (whaleThreshold !== null && !(Number(whaleThreshold) >= 0)) {
+        return { success: false, error: 'Whale threshold cannot be negative' };
+    }
+
+    const wallets = [];
+    for (let i = 0; i < total; i++) {
+        const id = state.wallets.length + 1;
+        const usdBalance = drawBalance(usd);
+        const walletTags = [...tags];
+        if (whaleThreshold !== null) {
+            walletTags.push(usdBalance.gte(whaleThreshold) ? 'whale' : 'retail');
+        }
+
+        const wallet = new Wallet({
+            id,
+            name: `${namePrefix} ${id}`,
+            usdBalance,
+            plsBalance: drawBalance(pls),
+            tags: walletTags
+        });
+        state.wallets.push(wallet);
+        wallets.push(wallet);
+    }
+
+    console.log(`Generated ${wallets.length} wallets:`, {
+        usd: usd.distribution,
+        pls: pls.distribution,
+        totalUSD: wallets.reduce((sum, wallet) => sum.plus(wallet.usdBalance), new Decimal(0)).toString()
+    });
+
+    // One event for the batch; listeners to 'wallet:created' would redraw once per wallet
+    simulationEvents.emit('wallets:generated', { wallets });
+    return { success: true, wallets };
+}
@@ -2,33 +2,38 @@
  * @fileoverview Main application entry point
  */
 
+import Decimal from './core/decimal.js';
 import { initializePage, elements } from './modules/ui.js';
 import { initializeSettings } from './modules/settings.js';
 import { startMetricsUpdate } from './modules/metrics.js';
-import { processBuy, addPls, addPlsToAll, resetTransactions } from './modules/transactions.js';
-import { state, initializeStateValues } from './modules/state.js';
+import { processBuy, processSell, addPls, addPlsToAll, resetTransactions } from './core/transactions.js';
+import { state, initializeStateValues, togglePauseState } from './core/state.js';
 import { validatePositiveNumber, validateWalletId } from './utils/validators.js';
 import { initializeCapitalDashboard } from './modules/capitalDashboard.js';
 import { initializeCascadePreset } from './modules/cascadePreset.js';
-import { initializeWalletSystem } from './modules/wallet.js';
-import { initializeSwapCard, updateSwapWallet, updateSwapBalances } from './modules/swapCard.js';
-import { initializeReflectionBurnUI, updateTokenSelectOptions } from './modules/reflectionBurn.js';
+import { initializeWalletSystem } from './core/wallet.js';
+import { initializeSwapCard } from './modules/swapCard.js';
+import { initializeReflectionBurnUI } from './modules/reflectionBurn.js';
 import { initializeTradingUI } from './modules/tradingStrategies.js';
 import { initializeSidebar } from './modules/sidebar.js';
+import { initializeTokenViews } from './modules/tokenView.js';
+import { initializeScenarioStorage } from './modules/scenarioStorage.js';
+import { initializePriceChart } from './modules/priceChart.js';
+import { initializeTransfersUI } from './modules/transfers.js';
+import { initializeWalletGenerator } from './modules/walletGenerator.js';
+import { initializeAgentsUI } from './modules/agents.js';
+import { initializeMonteCarloUI } from './modules/monteCarlo.js';
+import { initializeSweepUI } from './modules/sweep.js';
+import { initializePriceReplayUI } from './modules/priceReplay.js';
 
 /**
  * Verify Decimal.js is loaded and configured
  * @returns {boolean} Whether Decimal.js is ready
  */
 function verifyDecimalJs() {
-    if (!window.Decimal) {
-        console.error('Decimal.js not found in global scope');
-        return false;
-    }
-    
     try {
         // Test Decimal functionality
-        const test = new window.Decimal(1);
+        const test = new Decimal(1);
         test.plus(1);
         console.log('Decimal.js verified working');
         return true;
@@ -62,6 +67,9 @@ function initializeApp() {
         // Initialize wallet system
         initializeWalletSystem();
 
+        // Subscribe token cards to core events before any token exists
+        initializeTokenViews();
+
         // Initialize UI components
         initializePage();
 
@@ -71,6 +79,9 @@ function initializeApp() {
         // Initialize settings
         initializeSettings();
 
+        // Initialize historical WPLS replay controls
+        initializePriceReplayUI();
+
         // Initialize capital dashboard
         initializeCapitalDashboard();
 
@@ -86,12 +97,33 @@ function initializeApp() {
         // Initialize trading strategies UI
         initializeTradingUI();
 
+        // Initialize the multi-agent market panel
+        initializeAgentsUI();
+
+        // Initialize the Monte Carlo batch panel
+        initializeMonteCarloUI();
+
+        // Initialize the parameter sweep panel
+        initializeSweepUI();
+
+        // Initialize price history chart
+        initializePriceChart();
+
+        // Initialize transfers and airdrops panel
+        initializeTransfersUI();
+
+        // Initialize the Generate Wallets modal
+        initializeWalletGenerator();
+
         // Start metrics updates
         startMetricsUpdate();
 
         // Bind event handlers
         bindEventHandlers();
 
+        // Restore the autosaved scenario and start autosaving
+        initializeScenarioStorage();
+
         console.log('Application initialized successfully');
     } catch (error) {
         console.error('Error initializing application:', error);
@@ -139,7 +171,6 @@ function bindEventHandlers() {
  * @returns {Promise<void>}
  */
 async function handleBuy() {
-    const Decimal = window.Decimal;
     const amount = new Decimal(elements.buyAmount?.value || 0);
     const amountValidation = validatePositiveNumber(amount);
     if (!amountValidation.isValid) {
@@ -195,7 +226,6 @@ async function handleBuy() {
  * @returns {Promise<void>}
  */
 async function handleSell() {
-    const Decimal = window.Decimal;
     const tokenAmount = new Decimal(elements.sellAmount?.value || 0);
     const amountValidation = validatePositiveNumber(tokenAmount);
     if (!amountValidation.isValid) {
@@ -224,7 +254,6 @@ async function handleSell() {
     }
 
     // Process the sell transaction
-    const { processSell } = await import('./modules/transactions.js');
     const result = await processSell({
         tokenAmount,
         walletId: selectedWallet,
@@ -250,7 +279,6 @@ async function handleSell() {
  * Handle add funds button click
  */
 async function handleAddFunds() {
-    const Decimal = window.Decimal;
     const amount = new Decimal(elements.addPlsAmount?.value || 0);
     const amountValidation = validatePositiveNumber(amount);
     if (!amountValidation.isValid) {
@@ -280,7 +308,6 @@ async function handleAddFunds() {
  * Handle add all funds button click
  */
 async function handleAddAllFunds() {
-    const Decimal = window.Decimal;
     const amount = new Decimal(elements.addPlsAmount?.value || 0);
     const amountValidation = validatePositiveNumber(amount);
     if (!amountValidation.isValid) {
@@ -310,7 +337,7 @@ async function handleAddAllFunds() {
  * Handle pause button click
  */
 function handlePause() {
-    state.isPaused = !state.isPaused;
+    togglePauseState();
     
     if (elements.pauseButton) {
         elements.pauseButton.textContent = state.isPaused ? 'Resume' : 'Pause';
@@ -0,0 +1,157 @@
+/**
+ * @fileoverview Market Agents panel
+ * Sets the population shares and parameters, starts and stops the agents, and
+ * shows per-profile stats; the agents themselves live in core/agents.js.
+ */
+
+import { simulationEvents } from '../core/events.js';
+import { getWalletsByTag, getWalletTags } from '../core/wallet.js';
+import { AGENT_PROFILES, startAgents, stopAgents, isAgentsRunning, getAgentStats } from '../core/agents.js';
+import { formatNumber } from '../utils/formatters.js';
+
+/**
+ * Initialize the Market Agents panel
+ */
+export function initializeAgentsUI() {
+    const startBtn = document.getElementById('startAgentsBtn');
+    if (startBtn) {
+        startBtn.addEventListener('click', handleStart);
+    }
+
+    const stopBtn = document.getElementById('stopAgentsBtn');
+    if (stopBtn) {
+        stopBtn.addEventListener('click', () => stopAgents());
+    }
+
+    ['wallet:created', 'wallets:generated', 'wallet:tagged', 'scenario:loaded', 'state:reset'].forEach(eventName => {
+        simulationEvents.on(eventName, updateWalletTagSelect);
+    });
+    ['agents:started', 'agents:round', 'agents:stopped'].forEach(eventName => {
+        simulationEvents.on(eventName, updateAgentsUI);
+    });
+
+    updateWalletTagSelect();
+    updateAgentsUI();
+}
+
+/**
+ * Read a number input
+ * @param {string} inputId - Input element ID
+ * @returns {number} Value (NaN when blank)
+ */
+function readNumber(inputId) {
+    return parseFloat(document.getElementById(inputId)?.value);
+}
+
+/**
+ * Read the agent settings from the panel
+ * Also used by the Monte Carlo panel, so batch runs trade with the same agents.
+ * @returns {Partial<AgentConfig>} Agent configuration
+ */
+export function readAgentConfig() {
+    const population = {};
+    document.querySelectorAll('.agents-population input[data-profile]').forEach(input => {
+        population[input.dataset.profile] = parseFloat(input.value) || 0;
+    });
+
+    return {
+        population,
+        walletTag: document.getElementById('agentsWalletTag')?.value || '',
+        tradeFraction: readNumber('agentsTradeSize') / 100,
+        interval: readNumber('agentsInterval'),
+        activity: readNumber('agentsActivity') / 100,
+        rounds: parseInt(document.getElementById('agentsRounds')?.value) || 0,
+        lookback: readNumber('agentsLookback'),
+        threshold: readNumber('agentsThreshold'),
+        takeProfit: readNumber('agentsTakeProfit')
+    };
+}
+
+/**
+ * Start the agents with the panel's settings
+ */
+function handleStart() {
+    const result = startAgents(readAgentConfig());
+    if (!result.success) {
+        alert(result.error);
+    }
+}
+
+/**
+ * Update the wallet tag select with every tag in use
+ */
+function updateWalletTagSelect() {
+    const select = document.getElementById('agentsWalletTag');
+    if (!select) return;
+
+    const currentValue = select.value;
+    select.innerHTML = '<option value="">All Wallets</option>';
+
+    getWalletTags().forEach(tag => {
+        const option = document.createElement('option');
+        option.value = tag;
+        option.textContent = `Tagged "${tag}" (${getWalletsByTag(tag).length})`;
+        select.appendChild(option);
+    });
+
+    if (currentValue && getWalletTags().includes(currentValue)) {
+        select.value = currentValue;
+    }
+}
+
+/**
+ * Show the running state and per-profile stats
+ * @param {Object} [data] - Event payload; 'agents:stopped' carries the final stats
+ */
+function updateAgentsUI(data) {
+    const running = isAgentsRunning();
+    const stats = getAgentStats() || data?.stats || null;
+
+    const statusEl = document.getElementById('agentsStatus');
+    if (statusEl) {
+        statusEl.classList.toggle('active', running);
+        statusEl.classList.toggle('inactive', !running);
+    }
+    const statusText = document.getElementById('agentsStatusText');
+    if (statusText) {
+        statusText.textContent = running
+            ? `Round ${stats.round} · ${stats.totalTrades} trades · ${Math.floor(stats.elapsed / 1000)}s`
+            : 'Inactive';
+    }
+
+    document.getElementById('startAgentsBtn')?.classList.toggle('hidden', running);
+    document.getElementById('stopAgentsBtn')?.classList.toggle('hidden', !running);
+
+    const statsEl = document.getElementById('agentsStats');
+    if (!statsEl) return;
+
+    // The last run's numbers stay on screen after it stops
+    if (!stats) return;
+    statsEl.classList.remove('hidden');
+
+    const rows = AGENT_PROFILES
+        .filter(profile => stats.profiles[profile].agents > 0)
+        .map(profile => {
+            const { agents, buys, sells, spent, received } = stats.profiles[profile];
+            return `
+                <tr>
+                    <td>${profile}</td>
+                    <td>${agents}</td>
+                    <td>${buys}</td>
+                    <td>${sells}</td>
+                    <td>$${formatNumber(spent, 2)}</td>
+                    <td>$${formatNumber(received, 2)}</td>
+                </tr>
+            `;
+        })
+        .join('');
+
+    statsEl.innerHTML = `
+        <table>
+            <thead>
+                <tr><th>Profile</th><th>Agents</th><th>Buys</th><th>Sells</th><th>Spent</th><th>Received</th></tr>
+            </thead>
+            <tbody>${rows}</tbody>
+        </table>
+    `;
+}
@@ -2,21 +2,12 @@
  * @fileoverview Capital dashboard UI module for displaying real vs derived capital
  */
 
-import { state } from './state.js';
-import { getCapitalBreakdown, calculateCascadeImpact, setCapitalCalculationMode, capitalCalculationMode } from './capitalTracking.js';
+import { state } from '../core/state.js';
+import { getCapitalBreakdown, calculateCascadeImpact, setCapitalCalculationMode, capitalCalculationMode } from '../core/capitalTracking.js';
+import { refreshTokenViews } from './tokenView.js';
+import { simulationEvents } from '../core/events.js';
 import { formatCurrency } from '../utils/formatters.js';
 
-/**
- * Get the Decimal instance
- * @returns {typeof Decimal} The Decimal constructor
- */
-function getDecimal() {
-    if (!window.Decimal) {
-        throw new Error('Decimal.js not loaded');
-    }
-    return window.Decimal;
-}
-
 /**
  * Initialize capital dashboard
  */
@@ -39,9 +30,7 @@ export function initializeCapitalDashboard() {
             }
             updateCapitalDashboard();
             // Update all token displays
-            state.tokens.forEach(token => {
-                token.updateLiquidityDisplay();
-            });
+            refreshTokenViews();
         });
 
         backingModeBtn.addEventListener('click', () => {
@@ -54,9 +43,12 @@ export function initializeCapitalDashboard() {
             }
             updateCapitalDashboard();
             // Update all token displays
-            state.tokens.forEach(token => {
-                token.updateLiquidityDisplay();
-            });
+            refreshTokenViews();
+        });
+
+        // A loaded scenario carries its own mode; replay the matching button
+        simulationEvents.on('scenario:loaded', () => {
+            (capitalCalculationMode === 'backing' ? backingModeBtn : marketModeBtn).click();
         });
     }
 
@@ -73,6 +65,9 @@ export function initializeCapitalDashboard() {
         });
     }
 
+    // Derived capital moves with the WPLS price
+    simulationEvents.on('wpls:priceChanged', updateCapitalDashboard);
+
     // Initial update
     updateCapitalDashboard();
 }
@@ -177,15 +172,3 @@ function updateStressTest(percentChange) {
     html += '</div>';
     stressResults.innerHTML = html;
 }
-
-/**
- * Get color based on leverage ratio
- * @param {number} ratio - Leverage ratio
- * @returns {string} CSS color
- */
-function getLeverageColor(ratio) {
-    if (ratio < 1) return '#2ecc71';
-    if (ratio < 3) return '#f39c12';
-    if (ratio < 5) return '#e67e22';
-    return '#e74c3c';
-}
@@ -2,18 +2,9 @@
  * @fileoverview Cascade preset module for auto-configuring 50/50 liquidity chains
  */
 
-import { state } from './state.js';
-
-/**
- * Get the Decimal instance
- * @returns {typeof Decimal} The Decimal constructor
- */
-function getDecimal() {
-    if (!window.Decimal) {
-        throw new Error('Decimal.js not loaded');
-    }
-    return window.Decimal;
-}
+import Decimal from '../core/decimal.js';
+import { state } from '../core/state.js';
+import { refreshTokenViews } from './tokenView.js';
 
 /**
  * Initialize cascade preset functionality
@@ -30,15 +21,28 @@ export function initializeCascadePreset() {
  * Handle cascade setup button click
  */
 function handleCascadeSetup() {
-    const Decimal = getDecimal();
     const usdAmountInput = document.getElementById('cascadeUsdAmount');
     const usdAmount = new Decimal(usdAmountInput?.value || 100);
+    const rangeInput = document.getElementById('cascadeRangePercent');
+    const rangePercent = rangeInput?.value ? new Decimal(rangeInput.value) : null;
+    const amplificationInput = document.getElementById('cascadeAmplification');
+    const amplification = amplificationInput?.value ? Number(amplificationInput.value) : null;
 
     if (usdAmount.lte(0)) {
         alert('USD amount must be greater than 0');
         return;
     }
 
+    if (rangePercent !== null && rangePercent.lte(0)) {
+        alert('Range must be greater than 0%, or blank for constant product pools');
+        return;
+    }
+
+    if (rangePercent !== null && amplification !== null) {
+        alert('Pick either a price range (concentrated pools) or an amplification (StableSwap pools), not both');
+        return;
+    }
+
     if (state.tokens.length < 2) {
         alert('Need at least 2 tokens to create a cascade. Please add more tokens first.');
         return;
@@ -55,21 +59,39 @@ function handleCascadeSetup() {
         `• Token 2: 500,000 tokens paired with remaining 500,000 Token 1\n` +
         `• Token 3: 500,000 tokens paired with remaining 500,000 Token 2\n` +
         `• And so on...\n\n` +
+        (rangePercent ? `Concentrated pools within ±${rangePercent.toString()}% of each starting price\n\n` : '') +
+        (amplification !== null ? `StableSwap pools with A = ${amplification}, pegged at each starting price\n\n` : '') +
         `Continue?`
     );
 
     if (!confirmation) return;
 
-    setupCascade(usdAmount);
+    setupCascade(usdAmount, rangePercent, amplification);
+}
+
+/**
+ * Price range within a percentage of the starting price of an add
+ * The range is symmetric in log price, so the whole of both amounts is used.
+ * @param {Decimal} tokenAmount - Tokens added
+ * @param {Decimal} pairAmount - Pair asset added
+ * @param {Decimal|null} rangePercent - Width of the range (%), or null for a constant product pool
+ * @returns {{min: Decimal, max: Decimal}|null} Price range, or null for the full range
+ */
+function getCascadePriceRange(tokenAmount, pairAmount, rangePercent) {
+    if (rangePercent === null) return null;
+
+    const price = pairAmount.dividedBy(tokenAmount);
+    const factor = rangePercent.dividedBy(100).plus(1);
+    return { min: price.dividedBy(factor), max: price.times(factor) };
 }
 
 /**
  * Setup cascade liquidity pattern
  * @param {Decimal} usdAmount - USD amount for first token
+ * @param {Decimal|null} [rangePercent=null] - Concentrate every pool within this % of its starting price
+ * @param {number|null} [amplification=null] - Build StableSwap pools with this amplification coefficient
  */
-function setupCascade(usdAmount) {
-    const Decimal = getDecimal();
-
+function setupCascade(usdAmount, rangePercent = null, amplification = null) {
     if (state.tokens.length === 0) return;
 
     // Token 1: Pair 50% with USD
@@ -82,10 +104,17 @@ function setupCascade(usdAmount) {
     token1.pairedTokenId = null;
 
     // Add liquidity: 50% of supply with USD
-    const success1 = token1.addLiquidity(token1HalfSupply.toString(), usdAmount.toString());
+    // Deployer adds from supply; the selected wallet pays the USD side and gets the LP
+    const lpOwner = { walletId: state.currentWalletId, fromSupply: true };
+    const poolOptions = amplification !== null ? { poolType: 'stable', amplification } : {};
+    const result1 = token1.addLiquidity(token1HalfSupply.toString(), usdAmount.toString(), {
+        ...lpOwner,
+        priceRange: getCascadePriceRange(token1HalfSupply, usdAmount, rangePercent),
+        ...poolOptions
+    });
 
-    if (!success1) {
-        alert('Failed to add liquidity to Token 1. Please check supply and try again.');
+    if (!result1.success) {
+        alert(`Failed to add liquidity to Token 1: ${result1.error}`);
         return;
     }
 
@@ -115,27 +144,21 @@ function setupCascade(usdAmount) {
         const pairAmount = previousAvailable;
 
         // Add liquidity
-        const success = currentToken.addLiquidity(
+        const result = currentToken.addLiquidity(
             currentTokenHalfSupply.toString(),
-            pairAmount.toString()
+            pairAmount.toString(),
+            { ...lpOwner, priceRange: getCascadePriceRange(currentTokenHalfSupply, pairAmount, rangePercent), ...poolOptions }
         );
 
-        if (success) {
+        if (result.success) {
             console.log(`${currentToken.name}: Added ${currentTokenHalfSupply.toString()} tokens with ${pairAmount.toString()} ${previousToken.name}`);
         } else {
-            console.warn(`Failed to add liquidity to ${currentToken.name}`);
+            console.warn(`Failed to add liquidity to ${currentToken.name}: ${result.error}`);
         }
-
-        // Update displays
-        previousToken.updateDisplay();
-        currentToken.updateDisplay();
     }
 
-    // Final update all displays
-    state.tokens.forEach(token => {
-        token.updateDisplay();
-        token.updateLiquidityDisplay();
-    });
+    // Pairing changes available supply of the previous tokens too, so redraw every card
+    refreshTokenViews();
 
     // Show success message
     alert(
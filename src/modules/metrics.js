@@ -2,21 +2,12 @@
  * @fileoverview Metrics and statistics tracking module
  */
 
-import { state, updateAllTokenPrices } from './state.js';
+import Decimal from '../core/decimal.js';
+import { state, updateAllTokenPrices } from '../core/state.js';
+import { now, resetClock } from '../core/clock.js';
 import { updateMetricsDisplay } from './ui.js';
 import { updateCapitalDashboard } from './capitalDashboard.js';
 
-/**
- * Get the Decimal instance, throwing an error if it's not available
- * @returns {typeof Decimal} The Decimal constructor
- */
-function getDecimal() {
-    if (!window.Decimal) {
-        throw new Error('Decimal.js not loaded');
-    }
-    return window.Decimal;
-}
-
 /**
  * @typedef {Object} MetricsSnapshot
  * @property {number} elapsedSeconds - Total seconds elapsed
@@ -48,11 +39,11 @@ function getElapsedMinutes() {
 }
 
 /**
- * Get elapsed seconds since start
+ * Get simulated seconds since start
  * @returns {number} Elapsed seconds
  */
 export function getElapsedSeconds() {
-    return Math.floor((Date.now() - state.startTime) / 1000);
+    return Math.floor(now() / 1000);
 }
 
 /**
@@ -60,7 +51,6 @@ export function getElapsedSeconds() {
  * @returns {Decimal} Average gas used
  */
 export function calculateAverageGas() {
-    const Decimal = getDecimal();
     if (state.transactionCount === 0) return new Decimal(0);
     return state.totalGasUsed.dividedBy(state.transactionCount);
 }
@@ -70,7 +60,6 @@ export function calculateAverageGas() {
  * @returns {Decimal} Average transaction amount
  */
 export function calculateAverageTransactionAmount() {
-    const Decimal = getDecimal();
     if (state.transactionCount === 0) return new Decimal(0);
     return state.totalProcessed.dividedBy(state.transactionCount);
 }
@@ -88,7 +77,6 @@ export function getActiveWalletCount() {
  * @returns {Decimal} Total PLS liquidity
  */
 export function calculateTotalLiquidity() {
-    const Decimal = getDecimal();
     return state.tokens.reduce((total, token) => {
         return total.plus(token.totalLiquidity);
     }, new Decimal(0));
@@ -99,7 +87,6 @@ export function calculateTotalLiquidity() {
  * @returns {Decimal} Total PLS balance
  */
 export function calculateTotalPlsBalance() {
-    const Decimal = getDecimal();
     return state.tokens.reduce((total, token) => {
         return total.plus(token.plsBalance);
     }, new Decimal(0));
@@ -219,9 +206,8 @@ export function calculateWalletMetrics(walletId) {
  * This resets all calculated values but maintains current price
  */
 export function resetMetrics() {
-    const Decimal = getDecimal();
     const currentPrice = state.plsPrice;
-    state.startTime = Date.now();
+    resetClock();
     state.transactionCount = 0;
     state.totalProcessed = new Decimal(0);
     state.totalGasUsed = new Decimal(0);
@@ -0,0 +1,211 @@
+/**
+ * @fileoverview Monte Carlo panel
+ * Starts and cancels batch runs, then shows each metric as a histogram and every
+ * metric's percentiles in a table; the batch itself lives in core/monteCarlo.js.
+ */
+
+import { simulationEvents } from '../core/events.js';
+import {
+    runMonteCarlo,
+    cancelMonteCarlo,
+    isMonteCarloRunning,
+    getMonteCarloResults,
+    getMonteCarloMetrics,
+    summarizeValues,
+    buildHistogram,
+    exportMonteCarloCSV,
+    exportMonteCarloJSON,
+    PERCENTILES
+} from '../core/monteCarlo.js';
+import { readAgentConfig } from './agents.js';
+import { readStrategyConfig } from './tradingStrategies.js';
+import { formatNumber, formatSignificant } from '../utils/formatters.js';
+import { downloadText, fileStamp } from '../utils/export.js';
+
+/**
+ * Histogram padding in CSS pixels: room for the axis labels
+ * @type {{top: number, right: number, bottom: number, left: number}}
+ */
+const PADDING = { top: 12, right: 16, bottom: 28, left: 40 };
+
+/**
+ * Format a metric value: thousands with separators, smaller values to 4 significant digits
+ * @param {number} value - Value
+ * @returns {string} Formatted value
+ */
+function formatValue(value) {
+    return Math.abs(value) >= 1000 ? formatNumber(value) : formatSignificant(value, 4);
+}
+
+/**
+ * Initialize the Monte Carlo panel
+ */
+export function initializeMonteCarloUI() {
+    document.getElementById('runMonteCarloBtn')?.addEventListener('click', handleRun);
+    document.getElementById('cancelMonteCarloBtn')?.addEventListener('click', cancelMonteCarlo);
+    document.getElementById('monteCarloMetric')?.addEventListener('change', drawHistogram);
+
+    document.getElementById('exportMonteCarloCsvBtn')?.addEventListener('click', () => {
+        downloadText(`monte-carlo-${fileStamp()}.csv`, exportMonteCarloCSV(), 'text/csv');
+    });
+    document.getElementById('exportMonteCarloJsonBtn')?.addEventListener('click', () => {
+        downloadText(`monte-carlo-${fileStamp()}.json`, JSON.stringify(exportMonteCarloJSON(), null, 2), 'application/json');
+    });
+
+    ['monteCarlo:started', 'monteCarlo:progress'].forEach(eventName => {
+        simulationEvents.on(eventName, updateStatus);
+    });
+    simulationEvents.on('monteCarlo:completed', () => {
+        updateStatus();
+        renderResults();
+    });
+
+    updateStatus();
+}
+
+/**
+ * Start a batch with the panel's settings
+ */
+async function handleRun() {
+    const result = await runMonteCarlo({
+        runs: parseInt(document.getElementById('monteCarloRuns')?.value),
+        duration: parseFloat(document.getElementById('monteCarloDuration')?.value),
+        seed: document.getElementById('monteCarloSeed')?.value,
+        agents: document.getElementById('monteCarloUseAgents')?.checked ? readAgentConfig() : null,
+        strategy: document.getElementById('monteCarloUseStrategy')?.checked ? readStrategyConfig() : null,
+        priceProcess: document.getElementById('monteCarloPriceProcess')?.checked || false
+    });
+    if (!result.success) {
+        alert(result.error);
+    }
+}
+
+/**
+ * Show the running state and progress
+ * @param {Object} [data] - 'monteCarlo:progress' payload
+ */
+function updateStatus(data) {
+    const running = isMonteCarloRunning();
+
+    const statusEl = document.getElementById('monteCarloStatus');
+    if (statusEl) {
+        statusEl.classList.toggle('active', running);
+        statusEl.classList.toggle('inactive', !running);
+    }
+
+    const statusText = document.getElementById('monteCarloStatusText');
+    if (statusText) {
+        const results = getMonteCarloResults();
+        if (running) {
+            statusText.textContent = data?.total ? `Run ${data.completed} / ${data.total} done` : 'Starting...';
+        } else if (results) {
+            statusText.textContent = `${results.runs.length} runs${results.cancelled ? ' (cancelled)' : ''}`;
+        } else {
+            statusText.textContent = 'No batch yet';
+        }
+    }
+
+    document.getElementById('runMonteCarloBtn')?.classList.toggle('hidden', running);
+    document.getElementById('cancelMonteCarloBtn')?.classList.toggle('hidden', !running);
+}
+
+/**
+ * Fill the metric select and percentile table, and draw the histogram
+ */
+function renderResults() {
+    const resultsEl = document.getElementById('monteCarloResults');
+    const metrics = getMonteCarloMetrics();
+    if (!resultsEl || metrics.length === 0) return;
+    resultsEl.classList.remove('hidden');
+
+    const select = document.getElementById('monteCarloMetric');
+    if (select) {
+        const currentValue = select.value;
+        select.innerHTML = metrics
+            .map(metric => `<option value="${metric.key}">${metric.label}</option>`)
+            .join('');
+        if (metrics.some(metric => metric.key === currentValue)) {
+            select.value = currentValue;
+        }
+    }
+
+    const table = document.getElementById('monteCarloTable');
+    if (table) {
+        const rows = metrics.map(metric => {
+            const summary = summarizeValues(metric.values);
+            if (!summary) return '';
+            const cells = [summary.mean, summary.stdDev, ...PERCENTILES.map(p => summary.percentiles[p]), summary.min, summary.max]
+                .map(value => `<td>${formatValue(value)}</td>`)
+                .join('');
+            return `<tr><td>${metric.label}</td>${cells}</tr>`;
+        }).join('');
+
+        table.innerHTML = `
+            <table>
+                <thead>
+                    <tr>
+                        <th>Metric</th><th>Mean</th><th>Std Dev</th>
+                        ${PERCENTILES.map(p => `<th>P${p}</th>`).join('')}
+                        <th>Min</th><th>Max</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+
+    drawHistogram();
+}
+
+/**
+ * Draw the selected metric's histogram
+ */
+function drawHistogram() {
+    const canvas = document.getElementById('monteCarloHistogram');
+    const metricKey = document.getElementById('monteCarloMetric')?.value;
+    const metric = getMonteCarloMetrics().find(m => m.key === metricKey);
+    if (!canvas || !metric) return;
+
+    const ratio = window.devicePixelRatio || 1;
+    const width = canvas.clientWidth;
+    const height = canvas.clientHeight;
+    canvas.width = Math.round(width * ratio);
+    canvas.height = Math.round(height * ratio);
+
+    const ctx = canvas.getContext('2d');
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+    ctx.clearRect(0, 0, width, height);
+
+    const bins = buildHistogram(metric.values);
+    if (bins.length === 0) return;
+
+    const plot = {
+        left: PADDING.left,
+        top: PADDING.top,
+        width: width - PADDING.left - PADDING.right,
+        height: height - PADDING.top - PADDING.bottom
+    };
+    const maxCount = Math.max(...bins.map(bin => bin.count));
+    const barWidth = plot.width / bins.length;
+
+    ctx.fillStyle = '#666';
+    ctx.font = '11px sans-serif';
+    ctx.textAlign = 'right';
+    ctx.fillText(String(maxCount), plot.left - 6, plot.top + 8);
+    ctx.fillText('0', plot.left - 6, plot.top + plot.height);
+
+    ctx.fillStyle = '#2563eb';
+    bins.forEach((bin, index) => {
+        const barHeight = (bin.count / maxCount) * plot.height;
+        ctx.fillRect(plot.left + index * barWidth + 1, plot.top + plot.height - barHeight, Math.max(1, barWidth - 2), barHeight);
+    });
+
+    // Label both ends and the middle of the range
+    ctx.fillStyle = '#666';
+    const from = bins[0].from;
+    const to = bins[bins.length - 1].to;
+    [['left', 0], ['center', 0.5], ['right', 1]].forEach(([align, share]) => {
+        ctx.textAlign = align;
+        ctx.fillText(formatValue(from + (to - from) * share), plot.left + plot.width * share, plot.top + plot.height + 18);
+    });
+}
@@ -0,0 +1,438 @@
+/**
+ * @fileoverview Price history chart UI module
+ * Draws line and candlestick charts of a token's history on a canvas, and an
+ * overlay that compares every token's % change to show a buy rippling down a
+ * cascade. Scroll to zoom, drag to pan, double-click to go back to the full run.
+ */
+
+import { state } from '../core/state.js';
+import { simulationEvents } from '../core/events.js';
+import { getPriceHistory, getPriceHistoryTokenIds, getCandles, PRICE_HISTORY_TICK_MS } from '../core/priceHistory.js';
+import { formatSignificant, formatDuration } from '../utils/formatters.js';
+
+/**
+ * Line colors, one per token in the overlay
+ * @type {string[]}
+ */
+const SERIES_COLORS = ['#2563eb', '#e74c3c', '#27ae60', '#f39c12', '#8e44ad', '#16a085', '#d35400', '#2c3e50', '#c0392b', '#7f8c8d'];
+
+/**
+ * Candles drawn across the visible range
+ * @type {number}
+ */
+const TARGET_CANDLES = 60;
+
+/**
+ * Chart padding in CSS pixels: room for the axis labels
+ * @type {{top: number, right: number, bottom: number, left: number}}
+ */
+const PADDING = { top: 12, right: 16, bottom: 28, left: 72 };
+
+// Visible time range; null follows the whole run as it grows
+let viewRange = null;
+
+// Drag in progress: pointer x and the range when the drag started
+let dragStart = null;
+
+// Pending animation frame for a redraw
+let redrawFrame = null;
+
+/**
+ * Initialize the price chart panel
+ */
+export function initializePriceChart() {
+    const canvas = document.getElementById('priceChartCanvas');
+    if (!canvas) return;
+
+    ['priceChartToken', 'priceChartField', 'priceChartType', 'priceChartCompare'].forEach(id => {
+        const control = document.getElementById(id);
+        if (control) {
+            control.addEventListener('change', scheduleRedraw);
+        }
+    });
+
+    const resetZoomBtn = document.getElementById('priceChartResetZoom');
+    if (resetZoomBtn) {
+        resetZoomBtn.addEventListener('click', resetZoom);
+    }
+
+    canvas.addEventListener('wheel', handleWheel, { passive: false });
+    canvas.addEventListener('mousedown', handleMouseDown);
+    canvas.addEventListener('mousemove', handleMouseMove);
+    canvas.addEventListener('mouseleave', () => updateReadout(null));
+    canvas.addEventListener('dblclick', resetZoom);
+    window.addEventListener('mouseup', () => {
+        dragStart = null;
+    });
+    window.addEventListener('resize', scheduleRedraw);
+
+    simulationEvents.on('priceHistory:recorded', scheduleRedraw);
+    simulationEvents.on('priceHistory:cleared', () => {
+        viewRange = null;
+        scheduleRedraw();
+    });
+    simulationEvents.on('token:created', updateTokenOptions);
+    simulationEvents.on('scenario:loaded', updateTokenOptions);
+    simulationEvents.on('state:reset', updateTokenOptions);
+
+    updateTokenOptions();
+}
+
+/**
+ * Rebuild the token select, keeping the selection when the token still exists
+ */
+function updateTokenOptions() {
+    const select = document.getElementById('priceChartToken');
+    if (!select) return;
+
+    const currentValue = select.value;
+    select.innerHTML = '';
+    state.tokens.forEach(token => {
+        const option = document.createElement('option');
+        option.value = token.id;
+        option.textContent = token.name || `Token ${token.id}`;
+        select.appendChild(option);
+    });
+
+    if (currentValue && state.tokens.find(t => t.id === parseInt(currentValue))) {
+        select.value = currentValue;
+    }
+    scheduleRedraw();
+}
+
+/**
+ * Read the chart controls
+ * @returns {{tokenId: number, field: string, type: string, compare: boolean}} Chart options
+ */
+function getChartOptions() {
+    return {
+        tokenId: parseInt(document.getElementById('priceChartToken')?.value),
+        field: document.getElementById('priceChartField')?.value || 'price',
+        type: document.getElementById('priceChartType')?.value || 'line',
+        compare: document.getElementById('priceChartCompare')?.checked || false
+    };
+}
+
+/**
+ * Redraw on the next animation frame, at most once per frame
+ */
+function scheduleRedraw() {
+    if (redrawFrame !== null) return;
+    redrawFrame = requestAnimationFrame(() => {
+        redrawFrame = null;
+        drawChart();
+    });
+}
+
+/**
+ * Get the time range of the whole run
+ * @returns {{from: number, to: number}} Range in simulated ms
+ */
+function getFullRange() {
+    let from = Infinity;
+    let to = -Infinity;
+    getPriceHistoryTokenIds().forEach(tokenId => {
+        const points = getPriceHistory(tokenId);
+        if (points.length > 0) {
+            from = Math.min(from, points[0].time);
+            to = Math.max(to, points[points.length - 1].time);
+        }
+    });
+
+    if (!Number.isFinite(from)) return { from: 0, to: PRICE_HISTORY_TICK_MS };
+    if (to - from < PRICE_HISTORY_TICK_MS) to = from + PRICE_HISTORY_TICK_MS;
+    return { from, to };
+}
+
+/**
+ * Get the visible time range
+ * @returns {{from: number, to: number}} Range in simulated ms
+ */
+function getVisibleRange() {
+    return viewRange || getFullRange();
+}
+
+/**
+ * Build the series to draw
+ * @param {Object} options - Chart options from getChartOptions
+ * @param {{from: number, to: number}} range - Visible range
+ * @returns {Array<{label: string, color: string, points: Array<{time: number, value: number}>}>} Series
+ */
+function buildLineSeries(options, range) {
+    const tokenIds = options.compare ? getPriceHistoryTokenIds() : [options.tokenId];
+
+    return tokenIds.map((tokenId, index) => {
+        const token = state.tokens.find(t => t.id === tokenId);
+        let points = getPriceHistory(tokenId, range).map(point => ({
+            time: point.time,
+            value: point[options.field].toNumber()
+        }));
+
+        // Compare as % change from the first visible point so every token shares an axis
+        if (options.compare && points.length > 0) {
+            const base = points[0].value;
+            points = points.map(point => ({
+                time: point.time,
+                value: base === 0 ? 0 : (point.value / base - 1) * 100
+            }));
+        }
+
+        return {
+            label: token ? token.name : `Token ${tokenId}`,
+            color: SERIES_COLORS[index % SERIES_COLORS.length],
+            points
+        };
+    }).filter(line => line.points.length > 0);
+}
+
+/**
+ * Size the canvas backing store to its CSS size
+ * @param {HTMLCanvasElement} canvas - Chart canvas
+ * @returns {{ctx: CanvasRenderingContext2D, width: number, height: number}} Context and CSS size
+ */
+function prepareCanvas(canvas) {
+    const ratio = window.devicePixelRatio || 1;
+    const width = canvas.clientWidth;
+    const height = canvas.clientHeight;
+    if (canvas.width !== Math.round(width * ratio) || canvas.height !== Math.round(height * ratio)) {
+        canvas.width = Math.round(width * ratio);
+        canvas.height = Math.round(height * ratio);
+    }
+
+    const ctx = canvas.getContext('2d');
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+    ctx.clearRect(0, 0, width, height);
+    return { ctx, width, height };
+}
+
+/**
+ * Draw the chart
+ */
+function drawChart() {
+    const canvas = document.getElementById('priceChartCanvas');
+    if (!canvas) return;
+
+    const { ctx, width, height } = prepareCanvas(canvas);
+    const options = getChartOptions();
+    const range = getVisibleRange();
+    const plot = {
+        left: PADDING.left,
+        top: PADDING.top,
+        width: width - PADDING.left - PADDING.right,
+        height: height - PADDING.top - PADDING.bottom
+    };
+
+    const useCandles = options.type === 'candles' && !options.compare;
+    const bucketMs = Math.max(PRICE_HISTORY_TICK_MS,
+        Math.ceil((range.to - range.from) / TARGET_CANDLES / PRICE_HISTORY_TICK_MS) * PRICE_HISTORY_TICK_MS);
+    const candles = useCandles ? getCandles(options.tokenId, bucketMs, { field: options.field, ...range }) : [];
+    const lines = useCandles ? [] : buildLineSeries(options, range);
+
+    const values = useCandles
+        ? candles.flatMap(candle => [candle.high, candle.low])
+        : lines.flatMap(line => line.points.map(point => point.value));
+
+    if (values.length === 0) {
+        ctx.fillStyle = '#666';
+        ctx.font = '13px sans-serif';
+        ctx.fillText('No price history yet - trades will appear here', plot.left, plot.top + 20);
+        updateLegend([]);
+        return;
+    }
+
+    let min = Math.min(...values);
+    let max = Math.max(...values);
+    if (max === min) {
+        const pad = Math.abs(max) * 0.01 || 1;
+        min -= pad;
+        max += pad;
+    }
+
+    const x = time => plot.left + ((time - range.from) / (range.to - range.from)) * plot.width;
+    const y = value => plot.top + (1 - (value - min) / (max - min)) * plot.height;
+
+    drawAxes(ctx, plot, range, min, max, options.compare);
+
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(plot.left, plot.top, plot.width, plot.height);
+    ctx.clip();
+
+    if (useCandles) {
+        const candleWidth = Math.max(1, (bucketMs / (range.to - range.from)) * plot.width * 0.7);
+        candles.forEach(candle => {
+            const center = x(candle.time + bucketMs / 2);
+            const rising = candle.close >= candle.open;
+            ctx.strokeStyle = ctx.fillStyle = rising ? '#27ae60' : '#e74c3c';
+            ctx.beginPath();
+            ctx.moveTo(center, y(candle.high));
+            ctx.lineTo(center, y(candle.low));
+            ctx.stroke();
+            const top = y(Math.max(candle.open, candle.close));
+            const bodyHeight = Math.max(1, Math.abs(y(candle.open) - y(candle.close)));
+            ctx.fillRect(center - candleWidth / 2, top, candleWidth, bodyHeight);
+        });
+    } else {
+        lines.forEach(line => {
+            ctx.strokeStyle = line.color;
+            ctx.lineWidth = 1.5;
+            ctx.beginPath();
+            line.points.forEach((point, index) => {
+                // Prices hold until the next snapshot, so draw steps
+                if (index === 0) {
+                    ctx.moveTo(x(point.time), y(point.value));
+                } else {
+                    ctx.lineTo(x(point.time), y(line.points[index - 1].value));
+                    ctx.lineTo(x(point.time), y(point.value));
+                }
+            });
+            ctx.stroke();
+        });
+    }
+
+    ctx.restore();
+    updateLegend(options.compare ? lines : []);
+}
+
+/**
+ * Draw gridlines and axis labels
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Object} plot - Plot area
+ * @param {{from: number, to: number}} range - Visible range
+ * @param {number} min - Lowest value
+ * @param {number} max - Highest value
+ * @param {boolean} isPercent - Label values as % change
+ */
+function drawAxes(ctx, plot, range, min, max, isPercent) {
+    ctx.strokeStyle = 'rgba(0, 0, 0, 0.08)';
+    ctx.fillStyle = '#666';
+    ctx.font = '11px sans-serif';
+    ctx.lineWidth = 1;
+
+    const rows = 4;
+    for (let i = 0; i <= rows; i++) {
+        const value = min + ((max - min) * i) / rows;
+        const yPos = plot.top + plot.height - (plot.height * i) / rows;
+        ctx.beginPath();
+        ctx.moveTo(plot.left, yPos);
+        ctx.lineTo(plot.left + plot.width, yPos);
+        ctx.stroke();
+        ctx.textAlign = 'right';
+        ctx.fillText(isPercent ? `${value.toFixed(2)}%` : formatSignificant(value, 4), plot.left - 6, yPos + 4);
+    }
+
+    const columns = 5;
+    ctx.textAlign = 'center';
+    for (let i = 0; i <= columns; i++) {
+        const time = range.from + ((range.to - range.from) * i) / columns;
+        const xPos = plot.left + (plot.width * i) / columns;
+        ctx.fillText(formatDuration(Math.floor(time / 1000)), xPos, plot.top + plot.height + 18);
+    }
+    ctx.textAlign = 'left';
+}
+
+/**
+ * Show which color is which token in the overlay
+ * @param {Array<{label: string, color: string}>} lines - Drawn series
+ */
+function updateLegend(lines) {
+    const legend = document.getElementById('priceChartLegend');
+    if (!legend) return;
+
+    legend.innerHTML = lines.map(line =>
+        `<span class="price-chart-legend-item"><span class="price-chart-swatch" style="background: ${line.color}"></span>${line.label}</span>`
+    ).join('');
+}
+
+/**
+ * Convert a pointer position to simulated time
+ * @param {MouseEvent} e - Mouse event
+ * @returns {number} Simulated time under the pointer
+ */
+function timeAtPointer(e) {
+    const canvas = e.currentTarget;
+    const range = getVisibleRange();
+    const plotWidth = canvas.clientWidth - PADDING.left - PADDING.right;
+    const offset = Math.min(Math.max(e.offsetX - PADDING.left, 0), plotWidth);
+    return range.from + (offset / plotWidth) * (range.to - range.from);
+}
+
+/**
+ * Zoom around the pointer
+ * @param {WheelEvent} e - Wheel event
+ */
+function handleWheel(e) {
+    e.preventDefault();
+    const range = getVisibleRange();
+    const full = getFullRange();
+    const pivot = timeAtPointer(e);
+    const factor = e.deltaY < 0 ? 0.8 : 1.25;
+
+    const from = Math.max(full.from, pivot - (pivot - range.from) * factor);
+    const to = Math.min(full.to, pivot + (range.to - pivot) * factor);
+
+    // Stop zooming in below one tick
+    if (to - from < PRICE_HISTORY_TICK_MS) return;
+
+    // Zoomed all the way out: follow the run again
+    viewRange = from <= full.from && to >= full.to ? null : { from, to };
+    scheduleRedraw();
+}
+
+/**
+ * Start a pan
+ * @param {MouseEvent} e - Mouse event
+ */
+function handleMouseDown(e) {
+    dragStart = { x: e.offsetX, range: getVisibleRange() };
+}
+
+/**
+ * Pan while dragging, otherwise show the value under the pointer
+ * @param {MouseEvent} e - Mouse event
+ */
+function handleMouseMove(e) {
+    if (!dragStart) {
+        updateReadout(timeAtPointer(e));
+        return;
+    }
+
+    const plotWidth = e.currentTarget.clientWidth - PADDING.left - PADDING.right;
+    const span = dragStart.range.to - dragStart.range.from;
+    const full = getFullRange();
+    const shift = ((dragStart.x - e.offsetX) / plotWidth) * span;
+
+    const from = Math.min(Math.max(full.from, dragStart.range.from + shift), full.to - span);
+    viewRange = { from, to: from + span };
+    scheduleRedraw();
+}
+
+/**
+ * Go back to the whole run
+ */
+function resetZoom() {
+    viewRange = null;
+    scheduleRedraw();
+}
+
+/**
+ * Show the selected token's values at a simulated time
+ * @param {number|null} time - Simulated time, or null to clear
+ */
+function updateReadout(time) {
+    const readout = document.getElementById('priceChartReadout');
+    if (!readout) return;
+
+    const { tokenId } = getChartOptions();
+    const point = time === null ? null : getPriceHistory(tokenId, { to: time }).pop();
+    if (!point) {
+        readout.textContent = '';
+        return;
+    }
+
+    readout.textContent = `${formatDuration(Math.floor(point.time / 1000))} · Tx #${point.txNumber} · ` +
+        `Price $${formatSignificant(point.price.toNumber(), 6)} · ` +
+        `MCap $${formatSignificant(point.marketCap.toNumber(), 6)} · ` +
+        `Liquidity $${formatSignificant(point.liquidity.toNumber(), 6)} · ` +
+        `k ${formatSignificant(point.k.toNumber(), 4)}`;
+}
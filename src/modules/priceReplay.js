@@ -0,0 +1,152 @@
+/**
+ * @fileoverview Historical WPLS Replay controls
+ * Loads a local price file, sets the range, speed and looping, and shows where
+ * playback is; parsing and playback live in core/priceReplay.js.
+ */
+
+import { simulationEvents } from '../core/events.js';
+import {
+    importPriceData,
+    startPriceReplay,
+    stopPriceReplay,
+    setReplaySpeed,
+    setReplayLoop,
+    getReplayStatus
+} from '../core/priceReplay.js';
+import { formatNumber } from '../utils/formatters.js';
+
+/**
+ * Format a time for a datetime-local input (local time, to the second)
+ * @param {number} time - Unix milliseconds
+ * @returns {string} Input value
+ */
+function toInputValue(time) {
+    const date = new Date(time);
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` +
+        `T${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+}
+
+/**
+ * Read a datetime-local input
+ * @param {string} inputId - Input element ID
+ * @param {number} fallback - Value when the input is blank
+ * @returns {number} Unix milliseconds
+ */
+function readTime(inputId, fallback) {
+    const value = document.getElementById(inputId)?.value;
+    const time = value ? new Date(value).getTime() : NaN;
+    return Number.isNaN(time) ? fallback : time;
+}
+
+/**
+ * Load prices from a user-selected file
+ * @param {File} file - CSV or JSON file
+ */
+function loadFile(file) {
+    const reader = new FileReader();
+
+    reader.onload = () => {
+        const result = importPriceData(reader.result, file.name);
+        if (!result.success) {
+            alert(`Could not read ${file.name}: ${result.error}`);
+            return;
+        }
+
+        const status = getReplayStatus();
+        const fromInput = document.getElementById('replayFrom');
+        const toInput = document.getElementById('replayTo');
+        if (fromInput) fromInput.value = toInputValue(status.from);
+        if (toInput) toInput.value = toInputValue(status.to);
+
+        if (result.skipped > 0) {
+            alert(`Loaded ${result.points} prices; skipped ${result.skipped} rows without a valid time and price`);
+        }
+        updateSeriesInfo();
+    };
+
+    reader.onerror = () => {
+        alert(`Could not read ${file.name}`);
+    };
+
+    reader.readAsText(file);
+}
+
+/**
+ * Show the loaded file and the range it covers
+ */
+function updateSeriesInfo() {
+    const info = document.getElementById('replaySeriesInfo');
+    const status = getReplayStatus();
+    if (!info || !status.loaded) return;
+
+    info.textContent = `${status.name}: ${formatNumber(status.points)} prices from ` +
+        `${new Date(status.from).toLocaleString()} to ${new Date(status.to).toLocaleString()}`;
+}
+
+/**
+ * Show the playback position
+ */
+function updateReplayStatus() {
+    const statusEl = document.getElementById('replayStatus');
+    if (!statusEl) return;
+
+    const status = getReplayStatus();
+    if (!status.running) {
+        statusEl.textContent = 'Not playing';
+        return;
+    }
+
+    const loops = status.loops > 0 ? ` · loop ${status.loops + 1}` : '';
+    statusEl.textContent = `Playing ${new Date(status.time).toLocaleString()} ` +
+        `(${formatNumber(status.index + 1)} / ${formatNumber(status.total)})${loops}`;
+}
+
+/**
+ * Start playback with the selected range, speed and looping
+ */
+function handlePlay() {
+    const result = startPriceReplay({
+        speed: parseFloat(document.getElementById('replaySpeed')?.value),
+        loop: document.getElementById('replayLoop')?.checked || false,
+        from: readTime('replayFrom', -Infinity),
+        to: readTime('replayTo', Infinity)
+    });
+    if (!result.success) {
+        alert(result.error);
+    }
+}
+
+/**
+ * Initialize the Historical WPLS Replay controls
+ */
+export function initializePriceReplayUI() {
+    const loadBtn = document.getElementById('loadReplayBtn');
+    const fileInput = document.getElementById('replayFile');
+    if (loadBtn && fileInput) {
+        loadBtn.addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file) {
+                loadFile(file);
+            }
+            // Allow loading the same file twice in a row
+            e.target.value = '';
+        });
+    }
+
+    document.getElementById('startReplayBtn')?.addEventListener('click', handlePlay);
+    document.getElementById('stopReplayBtn')?.addEventListener('click', () => stopPriceReplay());
+
+    // Speed and looping apply to a running playback straight away
+    document.getElementById('replaySpeed')?.addEventListener('change', (e) => {
+        setReplaySpeed(parseFloat(e.target.value));
+    });
+    document.getElementById('replayLoop')?.addEventListener('change', (e) => {
+        setReplayLoop(e.target.checked);
+    });
+
+    ['wpls:replayStarted', 'wpls:replayLooped', 'wpls:replayStopped', 'wpls:priceChanged'].forEach(eventName => {
+        simulationEvents.on(eventName, updateReplayStatus);
+    });
+}
@@ -0,0 +1,213 @@
+/**
+ * @fileoverview Scenario export/import and localStorage autosave
+ * The scenario format itself lives in core/scenario.js
+ */
+
+import { simulationEvents } from '../core/events.js';
+import { serializeScenario, loadScenario } from '../core/scenario.js';
+import { isMonteCarloRunning } from '../core/monteCarlo.js';
+import { isSweepRunning } from '../core/sweep.js';
+import { downloadText } from '../utils/export.js';
+
+/**
+ * localStorage key holding the autosaved scenario
+ * @type {string}
+ */
+const AUTOSAVE_KEY = 'infiniteTransactions.scenario';
+
+/**
+ * localStorage key holding the autosave on/off preference
+ * @type {string}
+ */
+const AUTOSAVE_ENABLED_KEY = 'infiniteTransactions.autosaveEnabled';
+
+/**
+ * Delay before writing after the last change, in milliseconds
+ * @type {number}
+ */
+const AUTOSAVE_DELAY = 1000;
+
+let autosaveTimer = null;
+
+/**
+ * Whether autosave is switched on
+ * @returns {boolean} Autosave preference (defaults to on)
+ */
+function isAutosaveEnabled() {
+    return localStorage.getItem(AUTOSAVE_ENABLED_KEY) !== 'false';
+}
+
+/**
+ * Whether a Monte Carlo batch or sweep is playing its runs
+ * The state then holds one of its runs, not the user's scenario, so nothing is saved;
+ * the batch restores the scenario and the autosave after it finishes saves that.
+ * @returns {boolean} True while runs are playing
+ */
+function isBatchRunning() {
+    return isMonteCarloRunning() || isSweepRunning();
+}
+
+/**
+ * Update the autosave status line
+ * @param {string} message - Status text
+ */
+function setAutosaveStatus(message) {
+    const status = document.getElementById('autosaveStatus');
+    if (status) {
+        status.textContent = message;
+    }
+}
+
+/**
+ * Write the current scenario to localStorage
+ * Without its history: the ledger alone takes over a kilobyte per trade and would soon
+ * fill the storage quota. Export the scenario to keep the history.
+ */
+export function saveScenarioNow() {
+    clearTimeout(autosaveTimer);
+    autosaveTimer = null;
+
+    if (!isAutosaveEnabled() || isBatchRunning()) return;
+
+    try {
+        localStorage.setItem(AUTOSAVE_KEY, JSON.stringify(serializeScenario({ includeHistory: false })));
+        setAutosaveStatus(`Saved at ${new Date().toLocaleTimeString()}`);
+    } catch (error) {
+        // Quota exceeded or storage disabled
+        console.error('Autosave failed:', error);
+        setAutosaveStatus('Autosave failed - export the scenario to keep it');
+    }
+}
+
+/**
+ * Schedule an autosave after changes settle
+ */
+function scheduleAutosave() {
+    if (!isAutosaveEnabled() || isBatchRunning()) return;
+
+    clearTimeout(autosaveTimer);
+    autosaveTimer = setTimeout(saveScenarioNow, AUTOSAVE_DELAY);
+}
+
+/**
+ * Restore the autosaved scenario, if any
+ * @returns {boolean} Whether a scenario was restored
+ */
+function restoreAutosave() {
+    const saved = localStorage.getItem(AUTOSAVE_KEY);
+    if (!saved || !isAutosaveEnabled()) return false;
+
+    let result;
+    try {
+        result = loadScenario(JSON.parse(saved));
+    } catch (error) {
+        result = { success: false, error: error.message };
+    }
+
+    if (!result.success) {
+        console.warn('Ignoring autosaved scenario:', result.error);
+        setAutosaveStatus('Autosaved scenario could not be restored');
+        return false;
+    }
+
+    setAutosaveStatus('Restored autosaved scenario');
+    console.log('Restored autosaved scenario');
+    return true;
+}
+
+/**
+ * Download the current scenario as a JSON file
+ */
+function exportScenario() {
+    const scenario = serializeScenario();
+    // Named after savedAt, so the file name matches the time inside it
+    downloadText(`scenario-${scenario.savedAt.slice(0, 19).replace(/:/g, '-')}.json`, JSON.stringify(scenario, null, 2), 'application/json');
+}
+
+/**
+ * Load a scenario from a user-selected file
+ * @param {File} file - Scenario JSON file
+ */
+function importScenario(file) {
+    const reader = new FileReader();
+
+    reader.onload = () => {
+        let data;
+        try {
+            data = JSON.parse(reader.result);
+        } catch (error) {
+            alert(`Could not read ${file.name}: not valid JSON`);
+            return;
+        }
+
+        const result = loadScenario(data);
+        if (!result.success) {
+            alert(result.error);
+            return;
+        }
+
+        saveScenarioNow();
+        console.log(`Imported scenario from ${file.name}`);
+    };
+
+    reader.onerror = () => {
+        alert(`Could not read ${file.name}`);
+    };
+
+    reader.readAsText(file);
+}
+
+/**
+ * Initialize scenario export/import buttons and autosave
+ * Call after the rest of the page so a restored scenario can rebuild it.
+ */
+export function initializeScenarioStorage() {
+    const exportBtn = document.getElementById('exportScenarioBtn');
+    const importBtn = document.getElementById('importScenarioBtn');
+    const importFile = document.getElementById('importScenarioFile');
+    const autosaveToggle = document.getElementById('autosaveScenario');
+    const clearAutosaveBtn = document.getElementById('clearAutosaveBtn');
+
+    if (exportBtn) {
+        exportBtn.addEventListener('click', exportScenario);
+    }
+
+    if (importBtn && importFile) {
+        importBtn.addEventListener('click', () => importFile.click());
+        importFile.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file) {
+                importScenario(file);
+            }
+            // Allow importing the same file twice in a row
+            e.target.value = '';
+        });
+    }
+
+    if (autosaveToggle) {
+        autosaveToggle.checked = isAutosaveEnabled();
+        autosaveToggle.addEventListener('change', (e) => {
+            localStorage.setItem(AUTOSAVE_ENABLED_KEY, String(e.target.checked));
+            if (e.target.checked) {
+                saveScenarioNow();
+            } else {
+                setAutosaveStatus('Autosave off');
+            }
+        });
+    }
+
+    if (clearAutosaveBtn) {
+        clearAutosaveBtn.addEventListener('click', () => {
+            localStorage.removeItem(AUTOSAVE_KEY);
+            setAutosaveStatus('Autosave cleared');
+        });
+    }
+
+    restoreAutosave();
+
+    // Core changes arrive as events; token names, percentages and settings are
+    // edited straight on the inputs, so listen for their change events too
+    simulationEvents.on('*', scheduleAutosave);
+    document.addEventListener('change', scheduleAutosave);
+    window.addEventListener('beforeunload', saveScenarioNow);
+}
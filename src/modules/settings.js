@@ -2,20 +2,18 @@
  * @fileoverview Settings management module for handling application configuration
  */
 
-import { state } from './state.js';
-import { validateRange, validatePercentage, validateGas, validateTimeInterval } from '../utils/validators.js';
+import Decimal from '../core/decimal.js';
+import { state, setPlsPrice } from '../core/state.js';
+import { validateRange, validatePercentage } from '../utils/validators.js';
 import { elements } from './ui.js';
+import { simulationEvents } from '../core/events.js';
+import { startArbitrageAgent, stopArbitrageAgent } from '../core/arbitrage.js';
+import { setRandomSeed, generateSeed } from '../core/random.js';
+import { setClockMode, setTimeScale } from '../core/clock.js';
+import { MARKET_REGIMES, setPriceProcess } from '../core/priceProcess.js';
 
-/**
- * Get the Decimal instance, throwing an error if it's not available
- * @returns {typeof Decimal} The Decimal constructor
- */
-function getDecimal() {
-    if (!window.Decimal) {
-        throw new Error('Decimal.js not loaded');
-    }
-    return window.Decimal;
-}
+// Profit the arbitrage bot has made since the page loaded
+let arbitrageProfitUSD = null;
 
 /**
  * @typedef {Object} Settings
@@ -39,9 +37,107 @@ function getDecimal() {
  * Initialize settings panel and bind event listeners
  */
 export function initializeSettings() {
+    // Subscribed first so the initial price is displayed too
+    simulationEvents.on('wpls:priceChanged', updateWplsPriceDisplay);
+    simulationEvents.on('wpls:regimeChanged', syncPriceProcessControls);
+
     bindSettingsEvents();
     loadInitialSettings();
     updateSettingsDisplay();
+
+    simulationEvents.on('scenario:loaded', syncSettingsFromState);
+    simulationEvents.on('arbitrage:executed', handleArbitrageExecuted);
+}
+
+/**
+ * Write the current state settings back into the settings controls
+ * Used after a scenario replaces the state.
+ */
+function syncSettingsFromState() {
+    const wplsPriceInput = document.getElementById('wplsPrice');
+    if (wplsPriceInput) {
+        wplsPriceInput.value = state.plsPrice.toString();
+        handleWplsPriceChange({ target: wplsPriceInput });
+    }
+
+    if (elements.minGlobalGas) {
+        elements.minGlobalGas.value = state.minGlobalGas.toString();
+    }
+    if (elements.maxGlobalGas) {
+        elements.maxGlobalGas.value = state.maxGlobalGas.toString();
+    }
+    if (elements.minTimeInterval) {
+        elements.minTimeInterval.value = state.minTimeInterval.toString();
+    }
+    if (elements.maxTimeInterval) {
+        elements.maxTimeInterval.value = state.maxTimeInterval.toString();
+    }
+
+    const maxRoutingHops = document.getElementById('maxRoutingHops');
+    if (maxRoutingHops) {
+        maxRoutingHops.value = state.maxRoutingHops;
+        handleMaxHopsChange({ target: maxRoutingHops });
+    }
+
+    const requireRoutingConfirmation = document.getElementById('requireRoutingConfirmation');
+    if (requireRoutingConfirmation) {
+        requireRoutingConfirmation.checked = state.requireRoutingConfirmation;
+    }
+
+    const requireGas = document.getElementById('requireGas');
+    if (requireGas) {
+        requireGas.checked = state.requireGas;
+        handleRequireGasChange({ target: requireGas });
+    }
+
+    const applySlippage = document.getElementById('applySlippage');
+    if (applySlippage) {
+        applySlippage.checked = state.applySlippage;
+    }
+
+    const arbitrageEnabled = document.getElementById('arbitrageEnabled');
+    if (arbitrageEnabled) {
+        arbitrageEnabled.checked = state.arbitrageEnabled;
+    }
+
+    const randomSeed = document.getElementById('randomSeed');
+    if (randomSeed) {
+        randomSeed.value = state.randomSeed;
+    }
+
+    const fastForward = document.getElementById('fastForward');
+    if (fastForward) {
+        fastForward.checked = state.clockMode === 'fast-forward';
+    }
+
+    const timeScale = document.getElementById('timeScale');
+    if (timeScale) {
+        timeScale.value = state.timeScale;
+    }
+    updateClockDisplay();
+
+    const arbitrageWalletId = document.getElementById('arbitrageWalletId');
+    if (arbitrageWalletId) {
+        arbitrageWalletId.value = state.arbitrageWalletId;
+    }
+
+    const protocolFeeShare = document.getElementById('protocolFeeShare');
+    if (protocolFeeShare) {
+        protocolFeeShare.value = state.protocolFeeShare;
+    }
+
+    const treasuryWalletId = document.getElementById('treasuryWalletId');
+    if (treasuryWalletId) {
+        treasuryWalletId.value = state.treasuryWalletId ?? '';
+    }
+
+    const arbitrageMinProfit = document.getElementById('arbitrageMinProfit');
+    if (arbitrageMinProfit) {
+        arbitrageMinProfit.value = state.arbitrageMinProfit.toString();
+    }
+
+    syncPriceProcessControls();
+    updateSettingsDisplay();
 }
 
 /**
@@ -104,6 +200,64 @@ function bindSettingsEvents() {
         applySlippage.addEventListener('change', handleApplySlippageChange);
     }
 
+    // Random seed
+    const randomSeed = document.getElementById('randomSeed');
+    if (randomSeed) {
+        randomSeed.addEventListener('change', handleRandomSeedChange);
+    }
+
+    const newSeedBtn = document.getElementById('newSeedBtn');
+    if (newSeedBtn && randomSeed) {
+        newSeedBtn.addEventListener('click', () => {
+            randomSeed.value = generateSeed();
+            handleRandomSeedChange({ target: randomSeed });
+        });
+    }
+
+    // Protocol fee
+    const protocolFeeShare = document.getElementById('protocolFeeShare');
+    if (protocolFeeShare) {
+        protocolFeeShare.addEventListener('change', handleProtocolFeeShareChange);
+    }
+
+    const treasuryWalletId = document.getElementById('treasuryWalletId');
+    if (treasuryWalletId) {
+        treasuryWalletId.addEventListener('change', handleTreasuryWalletChange);
+    }
+
+    // Simulated clock
+    const fastForward = document.getElementById('fastForward');
+    if (fastForward) {
+        fastForward.addEventListener('change', handleFastForwardChange);
+    }
+
+    const timeScale = document.getElementById('timeScale');
+    if (timeScale) {
+        timeScale.addEventListener('change', handleTimeScaleChange);
+    }
+
+    // Arbitrage bot
+    const arbitrageEnabled = document.getElementById('arbitrageEnabled');
+    if (arbitrageEnabled) {
+        arbitrageEnabled.addEventListener('change', handleArbitrageEnabledChange);
+    }
+
+    const arbitrageWalletId = document.getElementById('arbitrageWalletId');
+    if (arbitrageWalletId) {
+        arbitrageWalletId.addEventListener('change', handleArbitrageWalletChange);
+    }
+
+    const arbitrageMinProfit = document.getElementById('arbitrageMinProfit');
+    if (arbitrageMinProfit) {
+        arbitrageMinProfit.addEventListener('input', handleArbitrageMinProfitChange);
+    }
+
+    // WPLS price process
+    document.querySelectorAll('.price-process-settings input, .price-process-settings select').forEach(control => {
+        control.addEventListener('change', handlePriceProcessChange);
+    });
+    syncPriceProcessControls();
+
     // Bind preset button events using event delegation
     bindPresetButtonEvents();
 }
@@ -153,6 +307,12 @@ function handlePresetButtonClick(e) {
             elements.maxTimeInterval.value = maxValue;
             handleMaxTimeIntervalChange({ target: elements.maxTimeInterval });
         }
+    } else if (target === 'timeScale') {
+        const timeScale = document.getElementById('timeScale');
+        if (timeScale) {
+            timeScale.value = value;
+            handleTimeScaleChange({ target: timeScale });
+        }
     } else if (value !== undefined) {
         // Handle single-input presets
         const inputId = button.closest('.wpls-price-control, .reflections-settings, .routing-settings, .ui-settings, .stress-test-panel').querySelector('input[type="number"]');
@@ -243,7 +403,6 @@ function updateSettingsDisplay() {
  * @param {Event} e - Input event
  */
 function handleWplsPriceChange(e) {
-    const Decimal = getDecimal();
     const price = parseFloat(e.target.value);
 
     // Validate input
@@ -251,36 +410,132 @@ function handleWplsPriceChange(e) {
         return;
     }
 
-    state.plsPrice = new Decimal(price.toString());
+    // Token cards and the price displays refresh themselves on wpls:priceChanged
+    setPlsPrice(new Decimal(price.toString()));
+}
+
+/**
+ * Show the WPLS price wherever it is displayed, however it was changed
+ */
+function updateWplsPriceDisplay() {
+    const price = state.plsPrice.toNumber();
+
+    // Format price based on magnitude
+    const decimals = price >= 0.01 ? 2 : price >= 0.0001 ? 4 : 6;
 
     const wplsPriceValue = document.getElementById('wplsPriceValue');
     if (wplsPriceValue) {
-        // Format price based on magnitude
-        if (price >= 0.01) {
-            wplsPriceValue.textContent = `$${price.toFixed(2)}`;
-        } else if (price >= 0.0001) {
-            wplsPriceValue.textContent = `$${price.toFixed(4)}`;
-        } else {
-            wplsPriceValue.textContent = `$${price.toFixed(6)}`;
-        }
+        wplsPriceValue.textContent = `$${price.toFixed(decimals)}`;
+    }
+
+    // Leave the input alone while someone is typing in it
+    const wplsPriceInput = document.getElementById('wplsPrice');
+    if (wplsPriceInput && document.activeElement !== wplsPriceInput) {
+        wplsPriceInput.value = state.plsPrice.toSignificantDigits(6).toString();
     }
 
     // Update PLS price display in metrics
     const plsPriceDisplay = document.getElementById('plsPrice');
     if (plsPriceDisplay) {
-        if (price >= 0.01) {
-            plsPriceDisplay.textContent = price.toFixed(2);
-        } else if (price >= 0.0001) {
-            plsPriceDisplay.textContent = price.toFixed(4);
-        } else {
-            plsPriceDisplay.textContent = price.toFixed(6);
-        }
+        plsPriceDisplay.textContent = price.toFixed(decimals);
     }
 
-    // Update all token displays that depend on WPLS price
-    state.tokens.forEach(token => {
-        token.updateLiquidityDisplay();
+    updatePriceProcessStatus();
+}
+
+/**
+ * Write the price process settings into its controls
+ */
+function syncPriceProcessControls() {
+    const settings = state.plsPriceProcess;
+    const values = {
+        priceProcessType: settings.process,
+        priceProcessInterval: settings.interval,
+        priceProcessDrift: settings.drift,
+        priceProcessVolatility: settings.volatility,
+        priceProcessJumpIntensity: settings.jumpIntensity,
+        priceProcessJumpMean: settings.jumpMean,
+        priceProcessJumpVolatility: settings.jumpVolatility,
+        priceProcessRegime: settings.regime,
+        priceProcessSwitchRate: settings.switchRate
+    };
+    Object.entries(values).forEach(([id, value]) => {
+        const control = document.getElementById(id);
+        if (control) control.value = value;
     });
+
+    const enabled = document.getElementById('priceProcessEnabled');
+    if (enabled) {
+        enabled.checked = settings.enabled;
+    }
+
+    document.querySelectorAll('.regime-grid input[data-regime]').forEach(input => {
+        input.value = settings.regimes[input.dataset.regime][input.dataset.param];
+    });
+
+    updatePriceProcessFields();
+    updatePriceProcessStatus();
+}
+
+/**
+ * Show only the inputs the selected process uses
+ */
+function updatePriceProcessFields() {
+    const process = document.getElementById('priceProcessType')?.value;
+    document.querySelectorAll('.price-process-field').forEach(field => {
+        field.classList.toggle('hidden', !field.dataset.processes.split(' ').includes(process));
+    });
+}
+
+/**
+ * Show whether the process runs, and the regime it is in
+ */
+function updatePriceProcessStatus() {
+    const status = document.getElementById('priceProcessStatus');
+    if (!status) return;
+
+    const settings = state.plsPriceProcess;
+    if (!settings.enabled) {
+        status.textContent = 'Price process off';
+        return;
+    }
+    const regime = settings.process === 'regime-switching' ? ` · ${settings.regime} market` : '';
+    status.textContent = `Running${regime} · WPLS $${state.plsPrice.toSignificantDigits(6).toString()}`;
+}
+
+/**
+ * Apply the price process controls
+ */
+function handlePriceProcessChange() {
+    const readNumber = id => parseFloat(document.getElementById(id)?.value);
+
+    const regimes = {};
+    MARKET_REGIMES.forEach(regime => {
+        regimes[regime] = {};
+    });
+    document.querySelectorAll('.regime-grid input[data-regime]').forEach(input => {
+        regimes[input.dataset.regime][input.dataset.param] = parseFloat(input.value);
+    });
+
+    const result = setPriceProcess({
+        enabled: document.getElementById('priceProcessEnabled')?.checked || false,
+        process: document.getElementById('priceProcessType')?.value,
+        interval: readNumber('priceProcessInterval'),
+        drift: readNumber('priceProcessDrift'),
+        volatility: readNumber('priceProcessVolatility'),
+        jumpIntensity: readNumber('priceProcessJumpIntensity'),
+        jumpMean: readNumber('priceProcessJumpMean'),
+        jumpVolatility: readNumber('priceProcessJumpVolatility'),
+        regime: document.getElementById('priceProcessRegime')?.value,
+        switchRate: readNumber('priceProcessSwitchRate'),
+        regimes
+    });
+    if (!result.success) {
+        alert(result.error);
+    }
+
+    // Put back whatever was not accepted
+    syncPriceProcessControls();
 }
 
 /**
@@ -355,7 +610,6 @@ function formatGasValue(value) {
  * @param {Event} e - Input event
  */
 function handleMinGasChange(e) {
-    const Decimal = getDecimal();
     let newMin = new Decimal(e.target.value);
 
     // Basic validation - just ensure it's a positive number
@@ -379,7 +633,6 @@ function handleMinGasChange(e) {
  * @param {Event} e - Input event
  */
 function handleMaxGasChange(e) {
-    const Decimal = getDecimal();
     let newMax = new Decimal(e.target.value);
 
     // Basic validation - just ensure it's a positive number
@@ -403,7 +656,6 @@ function handleMaxGasChange(e) {
  * @param {Event} e - Input event
  */
 function handleMinTimeIntervalChange(e) {
-    const Decimal = getDecimal();
     let newMin = new Decimal(e.target.value);
 
     // Basic validation - just ensure it's a positive number
@@ -427,7 +679,6 @@ function handleMinTimeIntervalChange(e) {
  * @param {Event} e - Input event
  */
 function handleMaxTimeIntervalChange(e) {
-    const Decimal = getDecimal();
     let newMax = new Decimal(e.target.value);
 
     // Basic validation - just ensure it's a positive number
@@ -482,6 +733,149 @@ function handleRequireGasChange(e) {
     }
 }
 
+/**
+ * Handle random seed change; the sequence restarts from the new seed
+ * @param {Event} e - Change event
+ */
+function handleRandomSeedChange(e) {
+    const result = setRandomSeed(e.target.value);
+    if (!result.success) {
+        alert(result.error);
+        e.target.value = state.randomSeed;
+        return;
+    }
+    e.target.value = result.seed;
+    console.log(`Random seed set to ${result.seed}`);
+}
+
+/**
+ * Handle protocol fee share change
+ * @param {Event} e - Change event
+ */
+function handleProtocolFeeShareChange(e) {
+    const validation = validatePercentage(e.target.value);
+    if (!validation.isValid) {
+        alert(validation.message);
+        e.target.value = state.protocolFeeShare;
+        return;
+    }
+    state.protocolFeeShare = parseFloat(e.target.value);
+}
+
+/**
+ * Handle treasury wallet change; an empty value turns the protocol fee off
+ * @param {Event} e - Change event
+ */
+function handleTreasuryWalletChange(e) {
+    if (e.target.value === '') {
+        state.treasuryWalletId = null;
+        return;
+    }
+
+    const walletId = parseInt(e.target.value);
+    if (!state.wallets.some(w => w.id === walletId)) {
+        alert(`Wallet ${e.target.value} does not exist`);
+        e.target.value = state.treasuryWalletId ?? '';
+        return;
+    }
+    state.treasuryWalletId = walletId;
+}
+
+/**
+ * Handle fast-forward toggle change
+ * @param {Event} e - Change event
+ */
+function handleFastForwardChange(e) {
+    setClockMode(e.target.checked ? 'fast-forward' : 'realtime');
+    updateClockDisplay();
+    console.log(`Clock mode set to ${state.clockMode}`);
+}
+
+/**
+ * Handle time scale change
+ * @param {Event} e - Change event
+ */
+function handleTimeScaleChange(e) {
+    const result = setTimeScale(e.target.value);
+    if (!result.success) {
+        alert(result.error);
+        e.target.value = state.timeScale;
+        return;
+    }
+    updateClockDisplay();
+    console.log(`Time scale set to ${state.timeScale}x`);
+}
+
+/**
+ * Show the time scale, which only applies outside fast-forward
+ */
+function updateClockDisplay() {
+    const timeScaleValue = document.getElementById('timeScaleValue');
+    if (timeScaleValue) {
+        timeScaleValue.textContent = `${state.timeScale}x`;
+    }
+
+    const timeScaleContainer = document.getElementById('timeScaleContainer');
+    if (timeScaleContainer) {
+        timeScaleContainer.style.display = state.clockMode === 'fast-forward' ? 'none' : 'block';
+    }
+}
+
+/**
+ * Handle arbitrage bot toggle change
+ * @param {Event} e - Change event
+ */
+function handleArbitrageEnabledChange(e) {
+    if (!e.target.checked) {
+        stopArbitrageAgent();
+        return;
+    }
+
+    const result = startArbitrageAgent(state.arbitrageWalletId);
+    if (!result.success) {
+        e.target.checked = false;
+        alert(result.error);
+    }
+}
+
+/**
+ * Handle arbitrage wallet change
+ * @param {Event} e - Change event
+ */
+function handleArbitrageWalletChange(e) {
+    const walletId = parseInt(e.target.value);
+    if (!state.wallets.some(w => w.id === walletId)) {
+        alert(`Wallet ${e.target.value} does not exist`);
+        e.target.value = state.arbitrageWalletId;
+        return;
+    }
+    state.arbitrageWalletId = walletId;
+}
+
+/**
+ * Handle arbitrage minimum profit change
+ * @param {Event} e - Input event
+ */
+function handleArbitrageMinProfitChange(e) {
+    const value = parseFloat(e.target.value);
+    if (!isNaN(value) && value >= 0) {
+        state.arbitrageMinProfit = new Decimal(value);
+    }
+}
+
+/**
+ * Show the latest arbitrage trade and the agent's running profit
+ * @param {Object} trade - Payload of 'arbitrage:executed'
+ */
+function handleArbitrageExecuted(trade) {
+    arbitrageProfitUSD = arbitrageProfitUSD ? arbitrageProfitUSD.plus(trade.profitUSD) : trade.profitUSD;
+
+    const status = document.getElementById('arbitrageStatus');
+    if (status) {
+        status.textContent = `Last: ${trade.pathDescription} (+$${trade.profitUSD.toFixed(2)}). Total profit: $${arbitrageProfitUSD.toFixed(2)}`;
+    }
+}
+
 /**
  * Handle slippage toggle change
  * @param {Event} e - Change event
@@ -543,7 +937,6 @@ export function validateSettings(settings) {
     }
 
     // Basic validation for gas limits - just ensure they're positive
-    const Decimal = getDecimal();
     if (settings.minGlobalGas.lte(0) || settings.maxGlobalGas.lte(0)) {
         return {
             isValid: false,
@@ -2,11 +2,15 @@
  * @fileoverview DEX-style swap card component
  */
 
-import { state } from './state.js';
-import { getWalletById } from './wallet.js';
-import { processBuy, processSell } from './transactions.js';
+import Decimal from '../core/decimal.js';
+import { state, calculateGas } from '../core/state.js';
+import { getWalletById } from '../core/wallet.js';
+import { processBuy, processSell, processTokenSwap } from '../core/transactions.js';
+import { simulationEvents } from '../core/events.js';
 import { updateWalletBalanceDisplay } from './ui.js';
-import { findBestPath } from './routing.js';
+import { requiresRouting, findBestSplitRoute } from '../core/routing.js';
+import { getPool } from '../core/pool.js';
+import { refreshTokenViews } from './tokenView.js';
 
 // Swap state
 let swapState = {
@@ -24,6 +28,16 @@ let swapState = {
  * Initialize swap card
  */
 export function initializeSwapCard() {
+    // The core reports missing gas; the modal is ours to show
+    simulationEvents.on('gas:insufficient', showGasWarningModal);
+    simulationEvents.on('scenario:loaded', () => {
+        updateSwapWalletDropdown();
+        updateSwapBalances();
+    });
+    simulationEvents.on('liquidity:added', updateSwapBalances);
+    simulationEvents.on('liquidity:removed', updateSwapBalances);
+    simulationEvents.on('wallets:generated', updateSwapWalletDropdown);
+
     bindSwapEventListeners();
     updateSwapWalletDropdown();
     updateSwapBalances();
@@ -204,7 +218,6 @@ function closeSwapSettings() {
  * Handle Add 1M PLS button click
  */
 async function handleAdd1mPls() {
-    const Decimal = window.Decimal;
     const wallet = getWalletById(state.currentWalletId);
 
     if (!wallet) {
@@ -270,6 +283,7 @@ async function handleWalletChange(e) {
         state.currentWalletId = parseInt(e.target.value);
         updateSwapBalances();
         await updateWalletBalanceDisplay();
+        refreshTokenViews();
     }
 }
 
@@ -280,7 +294,6 @@ function updateSwapBalances() {
     const wallet = getWalletById(state.currentWalletId);
     if (!wallet) return;
 
-    const Decimal = window.Decimal;
 
     // Update pay balance
     const payBalanceEl = document.getElementById('payBalance');
@@ -484,7 +497,6 @@ function calculatePayUsdValue() {
         return;
     }
 
-    const Decimal = window.Decimal;
     let usdValue = new Decimal(0);
 
     if (swapState.payToken === 'USD') {
@@ -512,9 +524,11 @@ function calculateSwapOutput() {
         return;
     }
 
-    const Decimal = window.Decimal;
     const payAmount = new Decimal(swapState.payAmount);
 
+    // Only routed buys show a route; they fill it back in below
+    updateRouteDisplay(null);
+
     // Buying a token with USD
     if (swapState.payToken === 'USD' && typeof swapState.receiveToken === 'number') {
         calculateTokenBuy(payAmount, 'USD');
@@ -547,103 +561,59 @@ function calculateSwapOutput() {
  */
 function calculateTokenBuy(payAmount, payAsset) {
     const token = state.tokens.find(t => t.id === swapState.receiveToken);
-    if (!token || token.pairReserve.isZero() || token.tokenReserve.isZero()) {
+    if (!token || token.getPools(true).length === 0) {
         clearSwapOutput();
         return;
     }
 
-    const Decimal = window.Decimal;
 
-    // Convert pay amount to pair asset
-    let pairAssetAmount;
-    let usdValue;
+    // processBuy works in USD, so WPLS is valued at the current PLS price
+    const usdValue = payAsset === 'USD' ? payAmount : payAmount.times(state.plsPrice);
 
-    if (payAsset === 'USD') {
-        usdValue = payAmount;
-        if (token.pairType === 'USD') {
-            pairAssetAmount = payAmount;
-        } else if (token.pairType === 'WPLS') {
-            pairAssetAmount = payAmount.dividedBy(state.plsPrice);
-        } else {
-            // TOKEN pair - use routing
-            const route = findBestPath(token, payAmount);
-            if (!route) {
-                clearSwapOutput();
-                return;
-            }
-
-            // Update receive amount from routing
-            const receiveInput = document.getElementById('receiveAmountInput');
-            if (receiveInput) {
-                receiveInput.value = route.totalAmountOut.toFixed(2);
-            }
+    // Same decision processBuy makes: route (and maybe split) unless the token
+    // only trades in its selected USD/WPLS pool
+    if (requiresRouting(token)) {
+        const route = findBestSplitRoute(token, usdValue);
+        if (!route) {
+            clearSwapOutput();
+            return;
+        }
 
-            swapState.receiveAmount = route.totalAmountOut.toNumber();
+        // Update receive amount from routing
+        const receiveInput = document.getElementById('receiveAmountInput');
+        if (receiveInput) {
+            receiveInput.value = route.totalAmountOut.toFixed(2);
+        }
 
-            // Calculate price impact from route
-            const priceImpact = route.totalPriceImpact;
-            updateSwapDetails(route.totalAmountOut, priceImpact, usdValue);
+        swapState.receiveAmount = route.totalAmountOut.toNumber();
 
-            // Update USD value for receive
-            const receiveUsdEl = document.getElementById('receiveUsdValue');
-            if (receiveUsdEl) {
-                const tokenUSDPrice = token.calculateTokenPriceUSD(new Set());
-                const receiveUsdValue = route.totalAmountOut.times(tokenUSDPrice);
-                receiveUsdEl.textContent = receiveUsdValue.toFixed(2);
-            }
+        updateSwapDetails(route.totalAmountOut, route.totalPriceImpact, usdValue);
+        updateRouteDisplay(route);
 
-            updateSwapButton();
-            return;
+        // Update USD value for receive
+        const receiveUsdEl = document.getElementById('receiveUsdValue');
+        if (receiveUsdEl) {
+            const tokenUSDPrice = token.calculateTokenPriceUSD(new Set());
+            const receiveUsdValue = route.totalAmountOut.times(tokenUSDPrice);
+            receiveUsdEl.textContent = receiveUsdValue.toFixed(2);
         }
-    } else if (payAsset === 'WPLS') {
-        usdValue = payAmount.times(state.plsPrice);
-        if (token.pairType === 'USD') {
-            // Need to convert WPLS to USD
-            pairAssetAmount = payAmount.times(state.plsPrice);
-        } else if (token.pairType === 'WPLS') {
-            pairAssetAmount = payAmount;
-        } else {
-            // TOKEN pair - use routing (convert WPLS to USD value first)
-            const usdAmount = payAmount.times(state.plsPrice);
-            const route = findBestPath(token, usdAmount);
-            if (!route) {
-                clearSwapOutput();
-                return;
-            }
-
-            // Update receive amount from routing
-            const receiveInput = document.getElementById('receiveAmountInput');
-            if (receiveInput) {
-                receiveInput.value = route.totalAmountOut.toFixed(2);
-            }
-
-            swapState.receiveAmount = route.totalAmountOut.toNumber();
 
-            // Calculate price impact from route
-            const priceImpact = route.totalPriceImpact;
-            updateSwapDetails(route.totalAmountOut, priceImpact, usdValue);
+        updateSwapButton();
+        return;
+    }
 
-            // Update USD value for receive
-            const receiveUsdEl = document.getElementById('receiveUsdValue');
-            if (receiveUsdEl) {
-                const tokenUSDPrice = token.calculateTokenPriceUSD(new Set());
-                const receiveUsdValue = route.totalAmountOut.times(tokenUSDPrice);
-                receiveUsdEl.textContent = receiveUsdValue.toFixed(2);
-            }
+    // Convert pay amount to pair asset
+    let pairAssetAmount;
 
-            updateSwapButton();
-            return;
-        }
+    if (payAsset === 'USD') {
+        pairAssetAmount = token.pairType === 'WPLS' ? payAmount.dividedBy(state.plsPrice) : payAmount;
+    } else if (payAsset === 'WPLS') {
+        // Need to convert WPLS to USD for a USD pair
+        pairAssetAmount = token.pairType === 'USD' ? payAmount.times(state.plsPrice) : payAmount;
     }
 
     // Calculate output
-    let tokensOut;
-    if (state.applySlippage) {
-        tokensOut = token.calculateSwapOutput(pairAssetAmount, token.pairReserve, token.tokenReserve);
-    } else {
-        const price = token.pairReserve.dividedBy(token.tokenReserve);
-        tokensOut = pairAssetAmount.dividedBy(price);
-    }
+    const tokensOut = quotePoolTrade(token, true, pairAssetAmount);
 
     // Update receive amount
     const receiveInput = document.getElementById('receiveAmountInput');
@@ -671,21 +641,14 @@ function calculateTokenBuy(payAmount, payAsset) {
  */
 function calculateTokenSell(tokenAmount, receiveAsset) {
     const token = state.tokens.find(t => t.id === swapState.payToken);
-    if (!token || token.pairReserve.isZero() || token.tokenReserve.isZero()) {
+    if (!token || !hasPoolLiquidity(token)) {
         clearSwapOutput();
         return;
     }
 
-    const Decimal = window.Decimal;
 
     // Calculate output in pair asset
-    let pairOut;
-    if (state.applySlippage) {
-        pairOut = token.calculateSwapOutput(tokenAmount, token.tokenReserve, token.pairReserve);
-    } else {
-        const price = token.pairReserve.dividedBy(token.tokenReserve);
-        pairOut = tokenAmount.times(price);
-    }
+    const pairOut = quotePoolTrade(token, false, tokenAmount);
 
     // Convert to requested asset
     let receiveAmount;
@@ -756,8 +719,6 @@ function calculateTokenSell(tokenAmount, receiveAsset) {
  * Calculate token-to-token swap
  */
 function calculateIndirectSwap(amount) {
-    const Decimal = window.Decimal;
-
     // Both must be tokens for this function
     if (typeof swapState.payToken !== 'number' || typeof swapState.receiveToken !== 'number') {
         clearSwapOutput();
@@ -772,13 +733,10 @@ function calculateIndirectSwap(amount) {
         return;
     }
 
-    // Check if tokens are directly paired
-    const directlyPaired = (
-        (payToken.pairType === 'TOKEN' && payToken.pairedTokenId === receiveToken.id) ||
-        (receiveToken.pairType === 'TOKEN' && receiveToken.pairedTokenId === payToken.id)
-    );
+    // Check if tokens share a pool
+    const sharedPool = getPool(payToken.id, receiveToken.id);
 
-    if (directlyPaired) {
+    if (sharedPool && sharedPool.hasLiquidity()) {
         // Direct swap between paired tokens
         calculateDirectTokenSwap(amount, payToken, receiveToken);
     } else {
@@ -788,55 +746,18 @@ function calculateIndirectSwap(amount) {
 }
 
 /**
- * Calculate direct token-to-token swap for paired tokens
+ * Calculate direct token-to-token swap through the pool both tokens share
  */
 function calculateDirectTokenSwap(tokenAmount, payToken, receiveToken) {
-    const Decimal = window.Decimal;
-
-    // Determine which token has the pair
-    let poolToken, outputToken, isPayTokenPool;
-
-    if (payToken.pairType === 'TOKEN' && payToken.pairedTokenId === receiveToken.id) {
-        // Pay token is paired with receive token
-        poolToken = payToken;
-        outputToken = receiveToken;
-        isPayTokenPool = true;
-    } else if (receiveToken.pairType === 'TOKEN' && receiveToken.pairedTokenId === payToken.id) {
-        // Receive token is paired with pay token
-        poolToken = receiveToken;
-        outputToken = payToken;
-        isPayTokenPool = false;
-    } else {
-        clearSwapOutput();
-        return;
-    }
-
-    // Check liquidity
-    if (poolToken.pairReserve.isZero() || poolToken.tokenReserve.isZero()) {
+    // Quote against the pool the two tokens share
+    const pool = getPool(payToken.id, receiveToken.id);
+    const quote = pool ? pool.quote(payToken.id, tokenAmount, { applySlippage: state.applySlippage }) : null;
+    if (!quote) {
         clearSwapOutput();
         return;
     }
 
-    let outputAmount;
-    if (isPayTokenPool) {
-        // Swapping tokenAmount of payToken (which is the pool token) for pairToken (receiveToken)
-        // We're selling the pool token for its pair
-        if (state.applySlippage) {
-            outputAmount = poolToken.calculateSwapOutput(tokenAmount, poolToken.tokenReserve, poolToken.pairReserve);
-        } else {
-            const price = poolToken.pairReserve.dividedBy(poolToken.tokenReserve);
-            outputAmount = tokenAmount.times(price);
-        }
-    } else {
-        // Swapping tokenAmount of payToken for poolToken (receiveToken)
-        // We're buying the pool token with its pair
-        if (state.applySlippage) {
-            outputAmount = poolToken.calculateSwapOutput(tokenAmount, poolToken.pairReserve, poolToken.tokenReserve);
-        } else {
-            const price = poolToken.tokenReserve.dividedBy(poolToken.pairReserve);
-            outputAmount = tokenAmount.times(price);
-        }
-    }
+    const outputAmount = quote.amountOut;
 
     // Update receive amount
     const receiveInput = document.getElementById('receiveAmountInput');
@@ -852,10 +773,7 @@ function calculateDirectTokenSwap(tokenAmount, payToken, receiveToken) {
     const payUsdValue = tokenAmount.times(payTokenPrice);
     const receiveUsdValue = outputAmount.times(receiveTokenPrice);
 
-    // Calculate price impact
-    const priceImpact = isPayTokenPool
-        ? calculatePriceImpact(tokenAmount, outputAmount, poolToken)
-        : calculatePriceImpact(tokenAmount, outputAmount, poolToken);
+    const priceImpact = quote.priceImpact;
 
     updateSwapDetails(outputAmount, priceImpact, receiveUsdValue);
 
@@ -870,10 +788,8 @@ function calculateDirectTokenSwap(tokenAmount, payToken, receiveToken) {
  * Calculate routed token-to-token swap (through USD/WPLS)
  */
 function calculateRoutedTokenSwap(tokenAmount, payToken, receiveToken) {
-    const Decimal = window.Decimal;
-
     // First convert pay token to USD
-    if (payToken.pairReserve.isZero() || payToken.tokenReserve.isZero()) {
+    if (!hasPoolLiquidity(payToken)) {
         clearSwapOutput();
         return;
     }
@@ -881,23 +797,10 @@ function calculateRoutedTokenSwap(tokenAmount, payToken, receiveToken) {
     let usdAmount;
     if (payToken.pairType === 'USD') {
         // Calculate USD from selling tokens
-        let pairOut;
-        if (state.applySlippage) {
-            pairOut = payToken.calculateSwapOutput(tokenAmount, payToken.tokenReserve, payToken.pairReserve);
-        } else {
-            const price = payToken.pairReserve.dividedBy(payToken.tokenReserve);
-            pairOut = tokenAmount.times(price);
-        }
-        usdAmount = pairOut;
+        usdAmount = quotePoolTrade(payToken, false, tokenAmount);
     } else if (payToken.pairType === 'WPLS') {
         // Calculate WPLS from selling tokens, then convert to USD
-        let wplsOut;
-        if (state.applySlippage) {
-            wplsOut = payToken.calculateSwapOutput(tokenAmount, payToken.tokenReserve, payToken.pairReserve);
-        } else {
-            const price = payToken.pairReserve.dividedBy(payToken.tokenReserve);
-            wplsOut = tokenAmount.times(price);
-        }
+        const wplsOut = quotePoolTrade(payToken, false, tokenAmount);
         usdAmount = wplsOut.times(state.plsPrice);
     } else {
         // Can't route
@@ -906,7 +809,7 @@ function calculateRoutedTokenSwap(tokenAmount, payToken, receiveToken) {
     }
 
     // Now convert USD to receive token
-    if (receiveToken.pairReserve.isZero() || receiveToken.tokenReserve.isZero()) {
+    if (!hasPoolLiquidity(receiveToken)) {
         clearSwapOutput();
         return;
     }
@@ -922,13 +825,7 @@ function calculateRoutedTokenSwap(tokenAmount, payToken, receiveToken) {
         return;
     }
 
-    let tokensOut;
-    if (state.applySlippage) {
-        tokensOut = receiveToken.calculateSwapOutput(pairAssetAmount, receiveToken.pairReserve, receiveToken.tokenReserve);
-    } else {
-        const price = receiveToken.pairReserve.dividedBy(receiveToken.tokenReserve);
-        tokensOut = pairAssetAmount.dividedBy(price);
-    }
+    const tokensOut = quotePoolTrade(receiveToken, true, pairAssetAmount);
 
     // Update receive amount
     const receiveInput = document.getElementById('receiveAmountInput');
@@ -950,15 +847,36 @@ function calculateRoutedTokenSwap(tokenAmount, payToken, receiveToken) {
     }
 }
 
+/**
+ * Check whether a token's selected pool can be traded
+ * @param {Token} token - Token to check
+ * @returns {boolean} True if the pool has liquidity
+ */
+function hasPoolLiquidity(token) {
+    return Boolean(token.primaryPool && token.primaryPool.hasLiquidity());
+}
+
+/**
+ * Quote a trade in a token's selected pool, the same way the trade will execute
+ * (constant product or concentrated, with or without slippage)
+ * @param {Token} token - Token traded
+ * @param {boolean} isBuy - True to pay the pair asset for the token, false to sell the token
+ * @param {Decimal} amountIn - Amount paid
+ * @returns {Decimal} Amount received (0 if the pool cannot fill it)
+ */
+function quotePoolTrade(token, isBuy, amountIn) {
+    const assetIn = isBuy ? token.pairAsset : token.id;
+    const quote = token.primaryPool.quote(assetIn, amountIn, { applySlippage: state.applySlippage });
+    return quote ? quote.amountOut : new Decimal(0);
+}
+
 /**
  * Calculate price impact
  */
 function calculatePriceImpact(amountIn, amountOut, token) {
-    const Decimal = window.Decimal;
-
     if (!state.applySlippage) return new Decimal(0);
 
-    const spotPrice = token.pairReserve.dividedBy(token.tokenReserve);
+    const spotPrice = token.primaryPool.getSpotPrice(token.id);
     const executionPrice = amountIn.dividedBy(amountOut);
     const impact = executionPrice.minus(spotPrice).dividedBy(spotPrice).times(100).abs();
 
@@ -969,8 +887,6 @@ function calculatePriceImpact(amountIn, amountOut, token) {
  * Update swap details
  */
 async function updateSwapDetails(amountOut, priceImpact, usdValue) {
-    const Decimal = window.Decimal;
-
     // Minimum received (with slippage)
     const slippageMultiplier = new Decimal(1).minus(new Decimal(swapState.slippage).dividedBy(100));
     const minReceived = amountOut.times(slippageMultiplier);
@@ -1001,7 +917,6 @@ async function updateSwapDetails(amountOut, priceImpact, usdValue) {
     // Network fee
     const networkFeeEl = document.getElementById('networkFeeValue');
     if (networkFeeEl && state.requireGas) {
-        const { calculateGas } = await import('./state.js');
         const gasUsed = calculateGas(usdValue);
         const gasCost = gasUsed.times(state.plsPrice);
         networkFeeEl.textContent = `~$${gasCost.toFixed(4)}`;
@@ -1010,6 +925,28 @@ async function updateSwapDetails(amountOut, priceImpact, usdValue) {
     }
 }
 
+/**
+ * Show the route a buy will take, with each leg's share when the order is split
+ * @param {SplitRoute|null} route - Route to show, or null for a direct swap
+ */
+function updateRouteDisplay(route) {
+    const routeRow = document.getElementById('routeRow');
+    const routeValue = document.getElementById('routeValue');
+    if (!routeRow || !routeValue) return;
+
+    if (!route) {
+        routeRow.style.display = 'none';
+        routeValue.textContent = 'Direct swap';
+        return;
+    }
+
+    routeRow.style.display = '';
+    routeValue.innerHTML = route.legs.map(leg => route.legs.length > 1
+        ? `<div>${Math.round(leg.share * 100)}%: ${leg.route.pathDescription}</div>`
+        : `<div>${leg.route.pathDescription}</div>`
+    ).join('');
+}
+
 /**
  * Clear swap output
  */
@@ -1034,6 +971,8 @@ function clearSwapOutput() {
         priceImpactEl.textContent = '0.00%';
         priceImpactEl.classList.remove('low', 'medium', 'high');
     }
+
+    updateRouteDisplay(null);
 }
 
 /**
@@ -1133,7 +1072,6 @@ function updateRateDisplay() {
 
     if (rateDisplay) rateDisplay.style.display = 'flex';
 
-    const Decimal = window.Decimal;
     const payToken = state.tokens.find(t => t.id === swapState.payToken);
     const receiveToken = state.tokens.find(t => t.id === swapState.receiveToken);
 
@@ -1195,8 +1133,6 @@ function updateSwapButton() {
 async function handleSwapAction() {
     if (!swapState.payAmount || !swapState.receiveToken) return;
 
-    const Decimal = window.Decimal;
-    const { getWalletById } = await import('./wallet.js');
     const wallet = getWalletById(state.currentWalletId);
 
     if (!wallet) {
@@ -1227,65 +1163,13 @@ async function handleSwapAction() {
         });
     } else if (isPayToken && isReceiveToken) {
         // Token-to-token swap
-        const payToken = state.tokens.find(t => t.id === swapState.payToken);
-        const receiveToken = state.tokens.find(t => t.id === swapState.receiveToken);
-
-        if (!payToken || !receiveToken) {
-            alert('Invalid tokens selected');
-            return;
-        }
-
-        // Check if we have enough tokens to pay
-        const payBalance = wallet.getTokenBalance(swapState.payToken);
-        const payAmount = new Decimal(swapState.payAmount);
-
-        if (payBalance.lt(payAmount)) {
-            alert(`Insufficient ${payToken.name} balance`);
-            return;
-        }
-
-        // Deduct pay tokens
-        wallet.addTokenBalance(swapState.payToken, payAmount.negated());
-
-        // Add receive tokens
-        const receiveAmount = new Decimal(swapState.receiveAmount);
-        wallet.addTokenBalance(swapState.receiveToken, receiveAmount);
-
-        // Update token reserves based on which token has the pair
-        const directlyPaired = (
-            (payToken.pairType === 'TOKEN' && payToken.pairedTokenId === receiveToken.id) ||
-            (receiveToken.pairType === 'TOKEN' && receiveToken.pairedTokenId === payToken.id)
-        );
-
-        if (directlyPaired) {
-            if (payToken.pairType === 'TOKEN' && payToken.pairedTokenId === receiveToken.id) {
-                // Pay token has the pool
-                payToken.tokenReserve = payToken.tokenReserve.plus(payAmount);
-                payToken.pairReserve = payToken.pairReserve.minus(receiveAmount);
-                payToken.k = payToken.tokenReserve.times(payToken.pairReserve);
-                // Invalidate price cache cascade
-                payToken.invalidatePriceCascade();
-            } else {
-                // Receive token has the pool
-                receiveToken.pairReserve = receiveToken.pairReserve.plus(payAmount);
-                receiveToken.tokenReserve = receiveToken.tokenReserve.minus(receiveAmount);
-                receiveToken.k = receiveToken.tokenReserve.times(receiveToken.pairReserve);
-                // Invalidate price cache cascade
-                receiveToken.invalidatePriceCascade();
-            }
-        }
-
-        // Update all token prices
-        const { updateAllTokenPrices } = await import('./state.js');
-        updateAllTokenPrices();
-
-        // Update displays
-        payToken.updateDisplay();
-        payToken.updateLiquidityDisplay();
-        receiveToken.updateDisplay();
-        receiveToken.updateLiquidityDisplay();
-
-        result = { success: true };
+        result = processTokenSwap({
+            payTokenId: swapState.payToken,
+            receiveTokenId: swapState.receiveToken,
+            amount: new Decimal(swapState.payAmount),
+            receiveAmount: new Decimal(swapState.receiveAmount),
+            walletId: state.currentWalletId
+        });
     }
 
     if (!result.success) {
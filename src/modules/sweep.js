@@ -0,0 +1,468 @@
+/**
+ * @fileoverview Parameter Sweep panel
+ * Picks one or two parameters and their ranges, runs the sweep, and draws each
+ * chosen metric as a line plot (one parameter) or a heatmap (two); the sweep
+ * itself lives in core/sweep.js.
+ */
+
+import { state } from '../core/state.js';
+import { simulationEvents } from '../core/events.js';
+import { TAX_SIDES, TAX_BUCKETS } from '../core/mechanics.js';
+import { SWEEP_PARAMETERS, runSweep, cancelSweep, isSweepRunning, isSweepParameterUsed, getSweepResults, exportSweepCSV } from '../core/sweep.js';
+import { readAgentConfig } from './agents.js';
+import { readStrategyConfig } from './tradingStrategies.js';
+import { formatNumber, formatSignificant } from '../utils/formatters.js';
+import { downloadText, fileStamp } from '../utils/export.js';
+
+/**
+ * Chart padding in CSS pixels: room for the axis labels
+ * @type {{top: number, right: number, bottom: number, left: number}}
+ */
+const PADDING = { top: 12, right: 16, bottom: 40, left: 64 };
+
+/**
+ * Metric selected when the first sweep finishes
+ * @type {string}
+ */
+const DEFAULT_METRIC = 'leverageRatio';
+
+/**
+ * Format a value: thousands with separators, smaller values to 4 significant digits
+ * @param {number} value - Value
+ * @returns {string} Formatted value
+ */
+function formatValue(value) {
+    return Math.abs(value) >= 1000 ? formatNumber(value) : formatSignificant(value, 4);
+}
+
+/**
+ * Initialize the Parameter Sweep panel
+ */
+export function initializeSweepUI() {
+    ['X', 'Y'].forEach(axis => {
+        const parameterSelect = document.getElementById(`sweep${axis}Parameter`);
+        if (!parameterSelect) return;
+
+        const options = Object.entries(SWEEP_PARAMETERS)
+            .map(([key, parameter]) => `<option value="${key}">${parameter.label}</option>`)
+            .join('');
+        parameterSelect.innerHTML = (axis === 'Y' ? '<option value="">None</option>' : '') + options;
+        parameterSelect.addEventListener('change', () => updateAxisFields(axis));
+
+        const sideSelect = document.getElementById(`sweep${axis}Side`);
+        if (sideSelect) {
+            sideSelect.innerHTML = '<option value="all">All sides</option>' +
+                TAX_SIDES.map(side => `<option value="${side}">${side}</option>`).join('');
+        }
+        const bucketSelect = document.getElementById(`sweep${axis}Bucket`);
+        if (bucketSelect) {
+            bucketSelect.innerHTML = TAX_BUCKETS.map(bucket => `<option value="${bucket}">${bucket}</option>`).join('');
+            bucketSelect.value = 'burn';
+        }
+        updateAxisFields(axis);
+    });
+
+    document.getElementById('runSweepBtn')?.addEventListener('click', handleRun);
+    document.getElementById('cancelSweepBtn')?.addEventListener('click', cancelSweep);
+    document.getElementById('sweepMetrics')?.addEventListener('change', drawCharts);
+    document.getElementById('exportSweepCsvBtn')?.addEventListener('click', handleExport);
+
+    ['token:created', 'scenario:loaded', 'state:reset'].forEach(eventName => {
+        simulationEvents.on(eventName, updateTokenSelects);
+    });
+    ['wpls:processConfigured', 'scenario:loaded', 'state:reset'].forEach(eventName => {
+        simulationEvents.on(eventName, updateParameterOptions);
+    });
+    ['sweep:started', 'sweep:progress'].forEach(eventName => {
+        simulationEvents.on(eventName, updateStatus);
+    });
+    simulationEvents.on('sweep:completed', () => {
+        updateStatus();
+        renderResults();
+    });
+
+    updateTokenSelects();
+    updateParameterOptions();
+    updateStatus();
+}
+
+/**
+ * Disable the parameters the current WPLS price process does not use, and say why
+ */
+function updateParameterOptions() {
+    // Sweep points load copies of the scenario; their settings are the base scenario's
+    if (isSweepRunning()) return;
+
+    ['X', 'Y'].forEach(axis => {
+        document.querySelectorAll(`#sweep${axis}Parameter option`).forEach(option => {
+            const parameter = SWEEP_PARAMETERS[option.value];
+            if (!parameter) return;
+
+            const used = isSweepParameterUsed(option.value);
+            option.disabled = !used;
+            option.textContent = used ? parameter.label : `${parameter.label} (not used by regime switching)`;
+        });
+    });
+}
+
+/**
+ * Show the token, tax and range fields the axis' parameter needs
+ * @param {string} axis - 'X' or 'Y'
+ */
+function updateAxisFields(axis) {
+    const parameter = document.getElementById(`sweep${axis}Parameter`)?.value;
+    const scope = SWEEP_PARAMETERS[parameter]?.scope;
+
+    document.querySelectorAll(`.sweep-axis[data-axis="${axis}"] .sweep-token-field`).forEach(field => {
+        field.classList.toggle('hidden', scope !== 'token');
+    });
+    document.querySelectorAll(`.sweep-axis[data-axis="${axis}"] .sweep-tax-field`).forEach(field => {
+        field.classList.toggle('hidden', parameter !== 'tax');
+    });
+    document.querySelectorAll(`.sweep-axis[data-axis="${axis}"] .sweep-range-field`).forEach(field => {
+        field.classList.toggle('hidden', !parameter);
+    });
+}
+
+/**
+ * Update both token selects with the current tokens
+ */
+function updateTokenSelects() {
+    // Sweep points load trimmed copies of the scenario; keep the choice made before it started
+    if (isSweepRunning()) return;
+
+    ['X', 'Y'].forEach(axis => {
+        const select = document.getElementById(`sweep${axis}Token`);
+        if (!select) return;
+
+        const currentValue = select.value;
+        select.innerHTML = '<option value="all">All tokens</option>' +
+            state.tokens.map(token => `<option value="${token.id}">${token.name}</option>`).join('');
+
+        if ([...select.options].some(option => option.value === currentValue)) {
+            select.value = currentValue;
+        }
+    });
+}
+
+/**
+ * Read one axis from the panel
+ * @param {string} axis - 'X' or 'Y'
+ * @returns {SweepAxis|null} Axis, or null when no parameter is chosen
+ */
+function readAxis(axis) {
+    const parameter = document.getElementById(`sweep${axis}Parameter`)?.value;
+    if (!parameter) return null;
+
+    const tokenId = document.getElementById(`sweep${axis}Token`)?.value || 'all';
+    return {
+        parameter,
+        tokenId: tokenId === 'all' ? 'all' : Number(tokenId),
+        side: document.getElementById(`sweep${axis}Side`)?.value || 'all',
+        bucket: document.getElementById(`sweep${axis}Bucket`)?.value || 'burn',
+        from: parseFloat(document.getElementById(`sweep${axis}From`)?.value),
+        to: parseFloat(document.getElementById(`sweep${axis}To`)?.value),
+        steps: parseInt(document.getElementById(`sweep${axis}Steps`)?.value)
+    };
+}
+
+/**
+ * Start a sweep with the panel's settings
+ */
+async function handleRun() {
+    const result = await runSweep({
+        x: readAxis('X'),
+        y: readAxis('Y'),
+        runs: parseInt(document.getElementById('sweepRuns')?.value),
+        duration: parseFloat(document.getElementById('sweepDuration')?.value),
+        seed: document.getElementById('sweepSeed')?.value,
+        agents: document.getElementById('sweepUseAgents')?.checked ? readAgentConfig() : null,
+        strategy: document.getElementById('sweepUseStrategy')?.checked ? readStrategyConfig() : null,
+        priceProcess: document.getElementById('sweepPriceProcess')?.checked || false
+    });
+    if (!result.success) {
+        alert(result.error);
+    }
+}
+
+/**
+ * Download the last sweep as CSV
+ */
+function handleExport() {
+    downloadText(`sweep-${fileStamp()}.csv`, exportSweepCSV(), 'text/csv');
+}
+
+/**
+ * Show the running state and progress
+ * @param {Object} [data] - 'sweep:started' or 'sweep:progress' payload
+ */
+function updateStatus(data) {
+    const running = isSweepRunning();
+
+    const statusEl = document.getElementById('sweepStatus');
+    if (statusEl) {
+        statusEl.classList.toggle('active', running);
+        statusEl.classList.toggle('inactive', !running);
+    }
+
+    const statusText = document.getElementById('sweepStatusText');
+    if (statusText) {
+        const results = getSweepResults();
+        if (running) {
+            statusText.textContent = `Point ${data?.completed || 0} / ${data?.total || '?'} done`;
+        } else if (results) {
+            const failed = results.points.filter(point => point.error).length;
+            statusText.textContent = `${results.points.length} points` +
+                (failed > 0 ? ` (${failed} skipped)` : '') +
+                (results.cancelled ? ' (cancelled)' : '');
+        } else {
+            statusText.textContent = 'No sweep yet';
+        }
+    }
+
+    document.getElementById('runSweepBtn')?.classList.toggle('hidden', running);
+    document.getElementById('cancelSweepBtn')?.classList.toggle('hidden', !running);
+}
+
+/**
+ * Fill the metric list and draw the charts
+ */
+function renderResults() {
+    const results = getSweepResults();
+    const resultsEl = document.getElementById('sweepResults');
+    if (!results || !resultsEl) return;
+    resultsEl.classList.remove('hidden');
+
+    const select = document.getElementById('sweepMetrics');
+    if (select) {
+        const chosen = new Set([...select.selectedOptions].map(option => option.value));
+        if (chosen.size === 0) chosen.add(DEFAULT_METRIC);
+
+        select.innerHTML = results.metrics
+            .map(metric => `<option value="${metric.key}"${chosen.has(metric.key) ? ' selected' : ''}>${metric.label}</option>`)
+            .join('');
+    }
+
+    drawCharts();
+}
+
+/**
+ * Draw one chart per chosen metric
+ */
+function drawCharts() {
+    const results = getSweepResults();
+    const container = document.getElementById('sweepCharts');
+    const select = document.getElementById('sweepMetrics');
+    if (!results || !container || !select) return;
+
+    container.innerHTML = '';
+    [...select.selectedOptions].forEach(option => {
+        const chart = document.createElement('div');
+        chart.className = 'sweep-chart';
+        chart.innerHTML = `<h4>${option.textContent}</h4><canvas></canvas>`;
+        container.appendChild(chart);
+
+        const canvas = chart.querySelector('canvas');
+        if (results.yLabel) {
+            const range = drawHeatmap(canvas, results, option.value);
+            if (range) {
+                chart.insertAdjacentHTML('beforeend',
+                    `<p class="sweep-legend">Blue ${formatValue(range.min)} → red ${formatValue(range.max)}</p>`);
+            }
+        } else {
+            drawLinePlot(canvas, results, option.value);
+        }
+    });
+}
+
+/**
+ * Size the canvas backing store to its CSS size
+ * @param {HTMLCanvasElement} canvas - Chart canvas
+ * @returns {{ctx: CanvasRenderingContext2D, plot: Object}} Context and plot area
+ */
+function prepareCanvas(canvas) {
+    const ratio = window.devicePixelRatio || 1;
+    const width = canvas.clientWidth;
+    const height = canvas.clientHeight;
+    canvas.width = Math.round(width * ratio);
+    canvas.height = Math.round(height * ratio);
+
+    const ctx = canvas.getContext('2d');
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+    ctx.clearRect(0, 0, width, height);
+    ctx.font = '11px sans-serif';
+
+    const plot = {
+        left: PADDING.left,
+        top: PADDING.top,
+        width: width - PADDING.left - PADDING.right,
+        height: height - PADDING.top - PADDING.bottom
+    };
+    return { ctx, plot };
+}
+
+/**
+ * Write an axis title under the plot
+ * @param {CanvasRenderingContext2D} ctx - Canvas context
+ * @param {Object} plot - Plot area
+ * @param {string} label - Axis title
+ */
+function drawXAxisTitle(ctx, plot, label) {
+    ctx.fillStyle = '#666';
+    ctx.textAlign = 'center';
+    ctx.fillText(label, plot.left + plot.width / 2, plot.top + plot.height + 34);
+}
+
+/**
+ * Plot a metric's mean against the x parameter, shading P5-P95 when points ran more than once
+ * @param {HTMLCanvasElement} canvas - Chart canvas
+ * @param {Object} results - Sweep results
+ * @param {string} metricKey - Metric to plot
+ */
+function drawLinePlot(canvas, results, metricKey) {
+    const { ctx, plot } = prepareCanvas(canvas);
+    const points = results.points
+        .filter(point => point.metrics?.[metricKey])
+        .map(point => ({ x: point.x, ...point.metrics[metricKey] }));
+
+    if (points.length === 0) {
+        ctx.fillStyle = '#666';
+        ctx.fillText('No points to plot', plot.left, plot.top + 20);
+        return;
+    }
+
+    const showBand = results.config.runs > 1;
+    const values = points.flatMap(point => showBand ? [point.percentiles[5], point.percentiles[95]] : [point.mean]);
+    let min = Math.min(...values);
+    let max = Math.max(...values);
+    if (max === min) {
+        const pad = Math.abs(max) * 0.01 || 1;
+        min -= pad;
+        max += pad;
+    }
+    const xMin = Math.min(...results.xValues);
+    const xMax = Math.max(...results.xValues);
+    const xSpan = xMax - xMin || 1;
+
+    const x = value => plot.left + (xMax === xMin ? 0.5 : (value - xMin) / xSpan) * plot.width;
+    const y = value => plot.top + (1 - (value - min) / (max - min)) * plot.height;
+
+    // Gridlines and value labels
+    ctx.strokeStyle = 'rgba(0, 0, 0, 0.08)';
+    ctx.fillStyle = '#666';
+    ctx.lineWidth = 1;
+    for (let i = 0; i <= 4; i++) {
+        const value = min + ((max - min) * i) / 4;
+        ctx.beginPath();
+        ctx.moveTo(plot.left, y(value));
+        ctx.lineTo(plot.left + plot.width, y(value));
+        ctx.stroke();
+        ctx.textAlign = 'right';
+        ctx.fillText(formatValue(value), plot.left - 6, y(value) + 4);
+    }
+    ctx.textAlign = 'center';
+    results.xValues.forEach(value => {
+        ctx.fillText(formatValue(value), x(value), plot.top + plot.height + 16);
+    });
+    drawXAxisTitle(ctx, plot, results.xLabel);
+
+    if (showBand) {
+        ctx.fillStyle = 'rgba(37, 99, 235, 0.15)';
+        ctx.beginPath();
+        points.forEach((point, index) => {
+            const method = index === 0 ? 'moveTo' : 'lineTo';
+            ctx[method](x(point.x), y(point.percentiles[95]));
+        });
+        [...points].reverse().forEach(point => ctx.lineTo(x(point.x), y(point.percentiles[5])));
+        ctx.closePath();
+        ctx.fill();
+    }
+
+    ctx.strokeStyle = ctx.fillStyle = '#2563eb';
+    ctx.lineWidth = 1.5;
+    ctx.beginPath();
+    points.forEach((point, index) => {
+        const method = index === 0 ? 'moveTo' : 'lineTo';
+        ctx[method](x(point.x), y(point.mean));
+    });
+    ctx.stroke();
+    points.forEach(point => {
+        ctx.beginPath();
+        ctx.arc(x(point.x), y(point.mean), 2.5, 0, Math.PI * 2);
+        ctx.fill();
+    });
+}
+
+/**
+ * Color for a share of the range: blue for the low end, red for the high end
+ * @param {number} share - Position in the range (0-1)
+ * @returns {string} CSS color
+ */
+function heatColor(share) {
+    const hue = 220 - 220 * share;
+    return `hsl(${hue}, 70%, 55%)`;
+}
+
+/**
+ * Draw a metric's mean over the x-y grid
+ * @param {HTMLCanvasElement} canvas - Chart canvas
+ * @param {Object} results - Sweep results
+ * @param {string} metricKey - Metric to draw
+ * @returns {{min: number, max: number}|null} Range the colors span, or null without points
+ */
+function drawHeatmap(canvas, results, metricKey) {
+    const { ctx, plot } = prepareCanvas(canvas);
+    const { xValues, yValues } = results;
+    const cellWidth = plot.width / xValues.length;
+    const cellHeight = plot.height / yValues.length;
+
+    const means = results.points
+        .filter(point => point.metrics?.[metricKey])
+        .map(point => point.metrics[metricKey].mean);
+    if (means.length === 0) {
+        ctx.fillStyle = '#666';
+        ctx.fillText('No points to plot', plot.left, plot.top + 20);
+        return null;
+    }
+    const min = Math.min(...means);
+    const max = Math.max(...means);
+
+    results.points.forEach(point => {
+        const column = xValues.indexOf(point.x);
+        // Lowest y value at the bottom
+        const row = yValues.length - 1 - yValues.indexOf(point.y);
+        const left = plot.left + column * cellWidth;
+        const top = plot.top + row * cellHeight;
+        const summary = point.metrics?.[metricKey];
+
+        if (!summary) {
+            // Skipped point
+            ctx.fillStyle = '#eee';
+            ctx.fillRect(left, top, cellWidth - 1, cellHeight - 1);
+            return;
+        }
+
+        ctx.fillStyle = heatColor(max > min ? (summary.mean - min) / (max - min) : 0.5);
+        ctx.fillRect(left, top, cellWidth - 1, cellHeight - 1);
+
+        if (cellWidth >= 44 && cellHeight >= 16) {
+            ctx.fillStyle = '#fff';
+            ctx.textAlign = 'center';
+            ctx.fillText(formatValue(summary.mean), left + cellWidth / 2, top + cellHeight / 2 + 4);
+        }
+    });
+
+    ctx.fillStyle = '#666';
+    ctx.textAlign = 'center';
+    xValues.forEach((value, index) => {
+        ctx.fillText(formatValue(value), plot.left + (index + 0.5) * cellWidth, plot.top + plot.height + 16);
+    });
+    ctx.textAlign = 'right';
+    yValues.forEach((value, index) => {
+        const row = yValues.length - 1 - index;
+        ctx.fillText(formatValue(value), plot.left - 6, plot.top + (row + 0.5) * cellHeight + 4);
+    });
+    drawXAxisTitle(ctx, plot, `${results.xLabel} (rows: ${results.yLabel})`);
+
+    return { min, max };
+}
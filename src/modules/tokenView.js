@@ -0,0 +1,1614 @@
+/**
+ * @fileoverview Token card UI
+ * Renders a core Token and keeps the card in sync through simulation events.
+ */
+
+import Decimal from '../core/decimal.js';
+import { state } from '../core/state.js';
+import { simulationEvents } from '../core/events.js';
+import { getWalletById } from '../core/wallet.js';
+import { getPool, getOrCreatePool, getAssetName, DEFAULT_POOL_FEE } from '../core/pool.js';
+import { getPoolClass } from '../core/poolTypes.js';
+import { DEFAULT_AMPLIFICATION } from '../core/stablePool.js';
+import { DEFAULT_CURVE_OPTIONS, launchBondingCurve, getActiveCurve } from '../core/bondingCurve.js';
+import { BURN_ADDRESS, isExcludedFromReflections, setReflectionExcluded, getReflectionEarnings } from '../core/reflection.js';
+import { PRESETS, TAX_SIDES, TAX_BUCKETS, WALLET_TAX_BUCKETS, applyPreset, setTaxRates, setTaxDestination, setLaunchTax, setAutoLiquidity, getLaunchTaxPercent, getTaxPercent } from '../core/mechanics.js';
+import { setBuybackConfig, executeBuyback, getBuybackReport, getBuybackAsset } from '../core/buyback.js';
+import { getDepthLabel, getDepthColor } from '../core/capitalTracking.js';
+import { formatNumber, formatCurrency } from '../utils/formatters.js';
+
+/**
+ * Display names of the pool types
+ * @type {Object<string, string>}
+ */
+const POOL_TYPE_NAMES = {
+    'constant-product': 'Constant Product',
+    concentrated: 'Concentrated',
+    stable: 'StableSwap'
+};
+
+/**
+ * Display names of the tax destinations
+ * @type {Object<string, string>}
+ */
+const TAX_BUCKET_NAMES = {
+    reflection: 'Reflection',
+    burn: 'Burn',
+    liquidity: 'Liquidity',
+    marketing: 'Marketing',
+    dev: 'Dev',
+    buyback: 'Buyback'
+};
+
+/**
+ * Views by token ID
+ * @type {Map<number, TokenView>}
+ */
+const tokenViews = new Map();
+
+/**
+ * DOM card for a single token
+ */
+export class TokenView {
+    /**
+     * Create a card for a token
+     * @param {Token} token - Core token to render
+     */
+    constructor(token) {
+        this.token = token;
+        this.isLiquidityExpanded = false;
+        this.element = this.createTokenElement();
+    }
+
+    /**
+     * Generate options for opposite token selection
+     * @returns {string} HTML string of option elements
+     */
+    generateOppositeTokenOptions() {
+        let options = '<option value="">Select Token</option>';
+        state.tokens
+            .filter(token => token.id !== this.token.id)
+            .forEach(token => {
+                options += `<option value="${token.id}">${token.name}</option>`;
+            });
+        return options;
+    }
+
+    /**
+     * Generate the rows of the tax table: one per destination, one input per side
+     * @returns {string} HTML string of table rows
+     */
+    generateTaxRows() {
+        return TAX_BUCKETS.map(bucket => `
+            <tr>
+                <td>${TAX_BUCKET_NAMES[bucket]}</td>
+                ${TAX_SIDES.map(side => `
+                    <td><input type="number" class="tax-input" data-side="${side}" data-bucket="${bucket}" value="${this.token.taxes[side][bucket].toString()}" min="0" max="100" step="0.1"></td>
+                `).join('')}
+            </tr>
+        `).join('');
+    }
+
+    /**
+     * Generate options for the destinations a launch tax can go to
+     * @returns {string} HTML string of option elements
+     */
+    generateTaxBucketOptions() {
+        return TAX_BUCKETS
+            .map(bucket => `<option value="${bucket}"${bucket === this.token.launchTax.bucket ? ' selected' : ''}>${TAX_BUCKET_NAMES[bucket]}</option>`)
+            .join('');
+    }
+
+    /**
+     * Generate options for a tax destination wallet
+     * @param {number|null} selectedId - Wallet currently selected
+     * @returns {string} HTML string of option elements
+     */
+    generateTaxWalletOptions(selectedId) {
+        let options = `<option value=""${selectedId === null ? ' selected' : ''}>Token contract</option>`;
+        state.wallets.forEach(wallet => {
+            options += `<option value="${wallet.id}"${wallet.id === selectedId ? ' selected' : ''}>${wallet.name}</option>`;
+        });
+        return options;
+    }
+
+    /**
+     * Generate options for pair selection (includes tokens)
+     * @returns {string} HTML string of option elements
+     */
+    generatePairTokenOptions() {
+        let options = '';
+        state.tokens
+            .filter(token => token.id !== this.token.id)
+            .forEach(token => {
+                options += `<option value="TOKEN:${token.id}">${token.name}</option>`;
+            });
+        return options;
+    }
+
+    /**
+     * Update token name in all dropdowns across all tokens
+     */
+    updateTokenNameInDropdowns() {
+        // Update all other tokens' dropdowns
+        tokenViews.forEach(view => {
+            if (view !== this) {
+                view.updateOppositeTokenOptions();
+            }
+        });
+    }
+
+    /**
+     * Create the token's DOM element
+     * @returns {HTMLElement} The created token element
+     */
+    createTokenElement() {
+        const tokenBox = document.createElement('div');
+        tokenBox.className = 'token-box';
+        
+        const template = `
+            <div class="token-header">
+                <input type="text" class="token-name-input" value="${this.token.name}" placeholder="Token Name">
+                <div class="token-stats">
+                    <span class="stat"><span class="label">Processed:</span> <span class="amount-processed">$0</span></span>
+                    <span class="stat"><span class="label">Supply:</span> <span class="available-supply">${this.token.totalSupply.toString()}</span></span>
+                </div>
+                <div class="token-stats">
+                    <span class="stat"><span class="label">Price (Pair):</span> <span class="pair-price-display-header">0</span></span>
+                    <span class="stat"><span class="label">Price (USD):</span> <span class="usd-price-display-header">$0</span></span>
+                </div>
+                <div class="token-stats">
+                    <span class="stat"><span class="label">PLS:</span> <span class="pls-balance">0</span></span>
+                </div>
+            </div>
+
+            <!-- Supply Management Section -->
+            <div class="config-section">
+                <button class="section-toggle supply-toggle" title="Configure token supply and transaction reflection settings">
+                    <span>Supply & Settings</span>
+                    <svg class="chevron-icon" viewBox="0 0 24 24" width="16" height="16">
+                        <path d="M6 9l6 6 6-6" stroke="currentColor" fill="none" stroke-width="2"/>
+                    </svg>
+                </button>
+                <div class="section-content hidden">
+                    <div>
+                        <label title="Total token supply (can only increase)">Total Supply:</label>
+                        <input type="number" class="total-supply-input" value="${this.token.totalSupply.toString()}" min="0" step="1" title="Set total token supply">
+                    </div>
+                    <div>
+                        <label title="Percentage that reflects to the selected token after a transaction">% to Next Token:</label>
+                        <input type="number" class="opposite-token-percentage" min="0" max="100" step="0.1" value="${this.token.oppositeTokenPercentage.toString()}" title="Set reflection percentage to next token">
+                    </div>
+                    <div>
+                        <label title="Percentage added as PLS to next token for gas fees">% to PLS for Next Contract:</label>
+                        <input type="number" class="pls-percentage" min="0" max="100" step="0.1" value="${this.token.plsPercentage.toString()}" title="Set PLS percentage for next token">
+                    </div>
+                    <div>
+                        <label title="Select which token receives reflections from this token">Buy Token:</label>
+                        <select class="opposite-token" title="Choose the token to reflect to">
+                            ${this.generateOppositeTokenOptions()}
+                        </select>
+                    </div>
+                    <div>
+                        <label class="reflection-holder-toggle" title="Pools count as holders and get their share of reflections added to their token reserve">
+                            <input type="checkbox" class="reflect-pools-checkbox" checked> Reflect to pools
+                        </label>
+                    </div>
+                    <div>
+                        <label class="reflection-holder-toggle" title="The burn address counts as a holder of the burned supply; its share of reflections is burned">
+                            <input type="checkbox" class="reflect-burn-checkbox" checked> Reflect to burn address
+                        </label>
+                    </div>
+                    <div>
+                        <label>Reflections Earned:</label>
+                        <div class="reflection-earnings-display">None yet</div>
+                    </div>
+                </div>
+            </div>
+
+            <!-- Tax Section -->
+            <div class="config-section">
+                <button class="section-toggle tax-toggle" title="Tax buys, sells and wallet-to-wallet transfers separately and choose where each tax goes">
+                    <span>Taxes</span>
+                    <svg class="chevron-icon" viewBox="0 0 24 24" width="16" height="16">
+                        <path d="M6 9l6 6 6-6" stroke="currentColor" fill="none" stroke-width="2"/>
+                    </svg>
+                </button>
+                <div class="section-content hidden">
+                    <div>
+                        <label title="Load a preset tax schedule into this token">Preset:</label>
+                        <select class="tax-preset-select">
+                            <option value="" selected>Choose a preset</option>
+                            ${Object.entries(PRESETS).filter(([key]) => key !== 'custom').map(([key, preset]) => `<option value="${key}" title="${preset.description}">${preset.name}</option>`).join('')}
+                        </select>
+                    </div>
+                    <table class="tax-table">
+                        <thead>
+                            <tr><th></th><th>Buy %</th><th>Sell %</th><th>Transfer %</th></tr>
+                        </thead>
+                        <tbody>
+                            ${this.generateTaxRows()}
+                        </tbody>
+                    </table>
+                    ${WALLET_TAX_BUCKETS.map(bucket => `
+                        <div>
+                            <label title="Wallet the ${TAX_BUCKET_NAMES[bucket].toLowerCase()} tax pays; without one the token contract keeps it">${TAX_BUCKET_NAMES[bucket]} Wallet:</label>
+                            <select class="tax-wallet-select" data-bucket="${bucket}">
+                                ${this.generateTaxWalletOptions(this.token.taxDestinations[bucket].walletId)}
+                            </select>
+                            <label class="reflection-holder-toggle" title="Sell the tax through the token's WPLS pool and send the PLS instead">
+                                <input type="checkbox" class="tax-swap-checkbox" data-bucket="${bucket}"> Swap to WPLS
+                            </label>
+                        </div>
+                    `).join('')}
+                    <div>
+                        <label title="Extra buy and sell tax at launch; it fades linearly to zero">Launch Tax %:</label>
+                        <input type="number" class="launch-tax-percent-input" value="${this.token.launchTax.percent.toString()}" min="0" max="100" step="1">
+                    </div>
+                    <div>
+                        <label title="Simulated seconds after launch until the launch tax reaches zero">Fades Over (s):</label>
+                        <input type="number" class="launch-tax-duration-input" value="${this.token.launchTax.duration}" min="0" step="1">
+                    </div>
+                    <div>
+                        <label title="Where the launch tax goes">Launch Tax To:</label>
+                        <select class="launch-tax-bucket-select">
+                            ${this.generateTaxBucketOptions()}
+                        </select>
+                    </div>
+                    <div>
+                        <label class="reflection-holder-toggle" title="Once the contract holds the threshold in taxes, sell half into the pool and add the proceeds with the other half as locked liquidity (on sells and transfers)">
+                            <input type="checkbox" class="auto-liquidity-checkbox" checked> Swap &amp; Liquify
+                        </label>
+                    </div>
+                    <div>
+                        <label title="Contract balance (tokens) that triggers a swap and liquify; also the most one run swaps">Liquify Threshold:</label>
+                        <input type="number" class="liquify-threshold-input" value="${this.token.autoLiquidity.threshold.toString()}" min="0" step="any">
+                    </div>
+                    <div class="tax-status-display"></div>
+                </div>
+            </div>
+
+            <!-- Buyback Section -->
+            <div class="config-section">
+                <button class="section-toggle buyback-toggle" title="Spend the token's treasury buying it back from its pool and burn what it buys">
+                    <span>Buyback &amp; Burn</span>
+                    <svg class="chevron-icon" viewBox="0 0 24 24" width="16" height="16">
+                        <path d="M6 9l6 6 6-6" stroke="currentColor" fill="none" stroke-width="2"/>
+                    </svg>
+                </button>
+                <div class="section-content hidden">
+                    <div>
+                        <label class="reflection-holder-toggle" title="Run buybacks on their own when the trigger is met">
+                            <input type="checkbox" class="buyback-enabled-checkbox"> Automatic Buybacks
+                        </label>
+                    </div>
+                    <div>
+                        <label title="Buy back on a schedule, or whenever the price is at or below the floor">Trigger:</label>
+                        <select class="buyback-trigger-select">
+                            <option value="schedule" selected>Every interval</option>
+                            <option value="price">Price at or below floor</option>
+                        </select>
+                    </div>
+                    <div>
+                        <label title="Simulated seconds between scheduled buybacks; the least time between price-triggered ones">Interval (s):</label>
+                        <input type="number" class="buyback-interval-input" value="${this.token.buyback.interval}" min="1" step="1">
+                    </div>
+                    <div>
+                        <label title="USD price at or below which a price-triggered buyback runs">Price Floor ($):</label>
+                        <input type="number" class="buyback-floor-input" value="${this.token.buyback.priceFloor.toString()}" min="0" step="any">
+                    </div>
+                    <div>
+                        <label title="Most of the treasury one buyback spends, in the pool's pair asset (USD for USD pairs, WPLS otherwise)">Amount per Buyback:</label>
+                        <input type="number" class="buyback-amount-input" value="${this.token.buyback.amount.toString()}" min="0" step="any">
+                    </div>
+                    <div>
+                        <label title="Spend only what the buyback tax has raised, or all the pair asset the token contract holds">Treasury:</label>
+                        <select class="buyback-source-select">
+                            <option value="taxes" selected>Buyback tax</option>
+                            <option value="plsBalance">Whole contract balance</option>
+                        </select>
+                    </div>
+                    <div>
+                        <button class="buyback-now-btn">Buy Back Now</button>
+                    </div>
+                    <div class="buyback-status-display">No buybacks yet</div>
+                </div>
+            </div>
+
+            <!-- Bonding Curve Launch Section -->
+            <div class="config-section">
+                <button class="section-toggle launch-toggle" title="Sell the token along a price curve until its market cap reaches the threshold, then move the reserve into a USD pool">
+                    <span>Bonding Curve Launch</span>
+                    <svg class="chevron-icon" viewBox="0 0 24 24" width="16" height="16">
+                        <path d="M6 9l6 6 6-6" stroke="currentColor" fill="none" stroke-width="2"/>
+                    </svg>
+                </button>
+                <div class="section-content hidden">
+                    <div>
+                        <label title="How the price rises as tokens are sold">Curve:</label>
+                        <select class="curve-type-select">
+                            <option value="linear" selected>Linear</option>
+                            <option value="exponential">Exponential</option>
+                            <option value="sigmoid">Sigmoid</option>
+                        </select>
+                    </div>
+                    <div>
+                        <label title="USD price of the first token sold">Start Price ($):</label>
+                        <input type="number" class="curve-start-price-input" value="${DEFAULT_CURVE_OPTIONS.startPrice}" min="0" step="any">
+                    </div>
+                    <div>
+                        <label title="USD price once the whole curve supply is sold">End Price ($):</label>
+                        <input type="number" class="curve-end-price-input" value="${DEFAULT_CURVE_OPTIONS.endPrice}" min="0" step="any">
+                    </div>
+                    <div>
+                        <label title="Share of the total supply sold along the curve; the rest seeds the pool">Curve Supply %:</label>
+                        <input type="number" class="curve-supply-input" value="${DEFAULT_CURVE_OPTIONS.curveSupplyPercent}" min="1" max="99" step="1">
+                    </div>
+                    <div>
+                        <label title="Sigmoid only: how sharply the price turns around the middle of the curve">Steepness:</label>
+                        <input type="number" class="curve-steepness-input" value="${DEFAULT_CURVE_OPTIONS.steepness}" min="1" step="1">
+                    </div>
+                    <div>
+                        <label title="USD market cap at which the reserve migrates into a constant product USD pool">Migrate at Market Cap ($):</label>
+                        <input type="number" class="curve-threshold-input" value="${DEFAULT_CURVE_OPTIONS.marketCapThreshold}" min="0" step="any">
+                    </div>
+                    <div>
+                        <button class="launch-curve-btn">Launch on Curve</button>
+                    </div>
+                    <div class="curve-status-display">Not launched</div>
+                    <canvas class="curve-chart"></canvas>
+                </div>
+            </div>
+
+            <button class="section-toggle liquidity-toggle">
+                <span>Liquidity</span>
+                <svg class="chevron-icon" viewBox="0 0 24 24" width="14" height="14">
+                    <path d="M6 9l6 6 6-6" stroke="currentColor" fill="none" stroke-width="2"/>
+                </svg>
+            </button>
+            <div class="liquidity-content hidden">
+                <div class="field-row">
+                    <label>Pair With</label>
+                    <select class="pair-select">
+                        <option value="USD" selected>USD</option>
+                        <option value="WPLS">WPLS</option>
+                        ${this.generatePairTokenOptions()}
+                    </select>
+                </div>
+                <div class="field-row">
+                    <label title="Swap fee of the selected pool; LPs keep it, minus the protocol share">Swap Fee %</label>
+                    <input type="number" class="pool-fee-input" value="${DEFAULT_POOL_FEE}" min="0" max="99" step="0.01">
+                </div>
+                <div class="field-row">
+                    <label title="Curve of a new pair's pool; an existing pool keeps its own">Pool Type</label>
+                    <select class="pool-type-select">
+                        <option value="constant-product" selected>Constant Product</option>
+                        <option value="concentrated">Concentrated (v3)</option>
+                        <option value="stable">StableSwap</option>
+                    </select>
+                </div>
+                <div class="field-row">
+                    <label title="StableSwap amplification A: higher keeps the price flatter around the peg">Amplification A</label>
+                    <input type="number" class="amplification-input" value="${DEFAULT_AMPLIFICATION}" min="1" step="1">
+                </div>
+                <div class="field-row">
+                    <label title="Token price range in pair units for a concentrated (v3-style) position. Leave blank for the full range; a range on a new pair opens a concentrated pool">Price Range</label>
+                    <input type="number" class="range-min-input" min="0" step="any" placeholder="Min">
+                    <input type="number" class="range-max-input" min="0" step="any" placeholder="Max">
+                </div>
+                <div class="field-row">
+                    <label>${this.token.name}</label>
+                    <input type="number" class="token-amount-input" value="0" min="0" step="0.000001" placeholder="0.0">
+                </div>
+                <div class="field-row">
+                    <label class="pair-label">USD</label>
+                    <input type="number" class="pair-amount-input" value="0" min="0" step="0.01" placeholder="0.0">
+                </div>
+                <div class="field-row">
+                    <label>Fund From</label>
+                    <select class="liquidity-source" title="Deployer adds take the tokens from unallocated supply and the USD or WPLS side from the selected wallet; wallet adds spend the selected wallet's balances for both sides">
+                        <option value="supply" selected>Token Supply (Deployer)</option>
+                        <option value="wallet">Selected Wallet</option>
+                    </select>
+                </div>
+                <div class="field-row preset-row">
+                    <button class="mini-btn preset-50">50%</button>
+                    <button class="mini-btn preset-100">100%</button>
+                    <button class="add-liquidity-btn">Add Liquidity</button>
+                </div>
+                <div class="field-row">
+                    <label>Remove LP</label>
+                    <input type="number" class="lp-remove-input" value="0" min="0" step="0.000001" placeholder="0.0">
+                </div>
+                <div class="field-row preset-row">
+                    <button class="mini-btn lp-max-btn">Max</button>
+                    <button class="remove-liquidity-btn">Remove Liquidity</button>
+                </div>
+                <div class="info-grid">
+                    <div><span class="token-reserve-label">Token Reserve:</span> <span class="token-reserve-display">0</span></div>
+                    <div><span class="pair-reserve-label">Pair Reserve:</span> <span class="pair-reserve-display">0</span></div>
+                    <div><span>Price (Pair):</span> <span class="pair-price-display">0</span></div>
+                    <div><span>Price (USD):</span> <span class="usd-price-display">$0</span></div>
+                    <div><span>K:</span> <span class="k-display">0</span></div>
+                    <div><span>LP:</span> <span class="lp-supply-display">0</span></div>
+                    <div><span>Wallet LP:</span> <span class="wallet-lp-display">0</span></div>
+                    <div><span>Pool Share:</span> <span class="wallet-lp-share-display">0%</span></div>
+                    <div><span title="LP share of swap fees since the pool opened, at current prices">Fees Earned:</span> <span class="fees-earned-display">$0</span></div>
+                    <div><span title="Fees earned over pool value, annualized over simulated time">Fee APR:</span> <span class="fee-apr-display">0%</span></div>
+                    <div><span>Pool Type:</span> <span class="pool-type-display">-</span></div>
+                    <div><span title="Virtual over real liquidity at the current price; above 1 the pool trades deeper than a constant product pool with the same capital">Capital Eff.:</span> <span class="capital-efficiency-display">0x</span></div>
+                    <div><span>Pools:</span> <span class="pools-display">None</span></div>
+                </div>
+                <div class="capital-row">
+                    <span class="depth-display">Depth: 0</span>
+                    <span class="real-capital-display">Real: $0</span>
+                    <span class="derived-capital-display">Derived: $0</span>
+                </div>
+            </div>
+        `;
+
+        tokenBox.innerHTML = template;
+        this.setupTokenEventListeners(tokenBox);
+        this.setupCollapsibleSections(tokenBox);
+        return tokenBox;
+    }
+
+    /**
+     * Set up collapsible section toggles
+     * @param {HTMLElement} tokenBox - The token's container element
+     */
+    setupCollapsibleSections(tokenBox) {
+        // Supply section toggle
+        const supplyToggle = tokenBox.querySelector('.supply-toggle');
+        const supplyContent = supplyToggle?.nextElementSibling;
+
+        if (supplyToggle && supplyContent) {
+            supplyToggle.addEventListener('click', (e) => {
+                e.preventDefault();
+                supplyContent.classList.toggle('hidden');
+                supplyToggle.classList.toggle('expanded');
+            });
+        }
+
+        // Tax section toggle
+        const taxToggle = tokenBox.querySelector('.tax-toggle');
+        const taxContent = taxToggle?.nextElementSibling;
+
+        if (taxToggle && taxContent) {
+            taxToggle.addEventListener('click', (e) => {
+                e.preventDefault();
+                taxContent.classList.toggle('hidden');
+                taxToggle.classList.toggle('expanded');
+            });
+        }
+
+        // Buyback section toggle
+        const buybackToggle = tokenBox.querySelector('.buyback-toggle');
+        const buybackContent = buybackToggle?.nextElementSibling;
+
+        if (buybackToggle && buybackContent) {
+            buybackToggle.addEventListener('click', (e) => {
+                e.preventDefault();
+                buybackContent.classList.toggle('hidden');
+                buybackToggle.classList.toggle('expanded');
+            });
+        }
+
+        // Launch section toggle (the chart can only be sized once it is visible)
+        const launchToggle = tokenBox.querySelector('.launch-toggle');
+        const launchContent = launchToggle?.nextElementSibling;
+
+        if (launchToggle && launchContent) {
+            launchToggle.addEventListener('click', (e) => {
+                e.preventDefault();
+                launchContent.classList.toggle('hidden');
+                launchToggle.classList.toggle('expanded');
+                this.drawCurveChart();
+            });
+        }
+
+        // Liquidity section toggle
+        const liquidityToggle = tokenBox.querySelector('.liquidity-toggle');
+        const liquidityContent = tokenBox.querySelector('.liquidity-content');
+
+        if (liquidityToggle && liquidityContent) {
+            liquidityToggle.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.isLiquidityExpanded = !this.isLiquidityExpanded;
+                liquidityContent.classList.toggle('hidden');
+                liquidityToggle.classList.toggle('expanded');
+            });
+        }
+    }
+
+    /**
+     * Set up event listeners for token controls
+     * @param {HTMLElement} tokenBox - The token's container element
+     */
+    setupTokenEventListeners(tokenBox) {
+        const tokenNameInput = tokenBox.querySelector('.token-name-input');
+        const oppositeTokenPercentageInput = tokenBox.querySelector('.opposite-token-percentage');
+        const plsPercentageInput = tokenBox.querySelector('.pls-percentage');
+        const oppositeTokenSelect = tokenBox.querySelector('.opposite-token');
+        const totalSupplyInput = tokenBox.querySelector('.total-supply-input');
+
+        // AMM-specific selectors
+        const pairSelect = tokenBox.querySelector('.pair-select');
+        const pairLabel = tokenBox.querySelector('.pair-label');
+        const tokenAmountInput = tokenBox.querySelector('.token-amount-input');
+        const pairAmountInput = tokenBox.querySelector('.pair-amount-input');
+        const addLiquidityBtn = tokenBox.querySelector('.add-liquidity-btn');
+        const liquiditySource = tokenBox.querySelector('.liquidity-source');
+        const rangeMinInput = tokenBox.querySelector('.range-min-input');
+        const rangeMaxInput = tokenBox.querySelector('.range-max-input');
+        const lpRemoveInput = tokenBox.querySelector('.lp-remove-input');
+        const lpMaxBtn = tokenBox.querySelector('.lp-max-btn');
+        const removeLiquidityBtn = tokenBox.querySelector('.remove-liquidity-btn');
+        const poolFeeInput = tokenBox.querySelector('.pool-fee-input');
+        const poolTypeSelect = tokenBox.querySelector('.pool-type-select');
+        const amplificationInput = tokenBox.querySelector('.amplification-input');
+        const launchCurveBtn = tokenBox.querySelector('.launch-curve-btn');
+        const reflectPoolsCheckbox = tokenBox.querySelector('.reflect-pools-checkbox');
+        const reflectBurnCheckbox = tokenBox.querySelector('.reflect-burn-checkbox');
+
+        // Token name input
+        if (tokenNameInput) {
+            tokenNameInput.addEventListener('change', (e) => {
+                const newName = e.target.value.trim();
+                if (newName) {
+                    this.token.name = newName;
+                    // Update all token references in dropdowns
+                    this.updateTokenNameInDropdowns();
+                    // Update liquidity labels for tokens sharing a pool with this one
+                    tokenViews.forEach(view => {
+                        if (view !== this && getPool(view.token.id, this.token.id)) {
+                            view.updateLiquidityDisplay();
+                        }
+                    });
+                    // Update this token's own display
+                    this.updateLiquidityDisplay();
+                } else {
+                    // Restore default name if empty
+                    this.token.name = `Token ${this.token.id}`;
+                    e.target.value = this.token.name;
+                }
+            });
+        }
+
+        if (oppositeTokenPercentageInput) {
+            oppositeTokenPercentageInput.addEventListener('change', (e) => {
+                let value = parseFloat(e.target.value);
+                // Validate range
+                if (value < 0) value = 0;
+                if (value > 100) value = 100;
+                e.target.value = value;
+
+                this.token.oppositeTokenPercentage = new Decimal(value);
+                console.log(`Token ${this.token.id}: Set opposite token percentage to ${value}%`);
+            });
+        }
+
+        if (plsPercentageInput) {
+            plsPercentageInput.addEventListener('change', (e) => {
+                let value = parseFloat(e.target.value);
+                // Validate range
+                if (value < 0) value = 0;
+                if (value > 100) value = 100;
+                e.target.value = value;
+
+                this.token.plsPercentage = new Decimal(value);
+                console.log(`Token ${this.token.id}: Set PLS percentage to ${value}%`);
+            });
+        }
+
+        if (oppositeTokenSelect) {
+            // Set initial value if selectedOppositeToken is already set
+            if (this.token.selectedOppositeToken) {
+                oppositeTokenSelect.value = this.token.selectedOppositeToken;
+            }
+
+            oppositeTokenSelect.addEventListener('change', (e) => {
+                const value = e.target.value;
+                if (value === '' || value === null) {
+                    this.token.selectedOppositeToken = null;
+                    console.log(`Token ${this.token.id}: Cleared buy token selection`);
+                } else {
+                    const tokenId = parseInt(value);
+                    this.token.selectedOppositeToken = tokenId;
+                    const targetToken = state.tokens.find(t => t.id === tokenId);
+                    console.log(`Token ${this.token.id}: Set buy token to Token ${tokenId} (${targetToken?.name || 'Unknown'})`);
+                }
+            });
+        }
+
+        // Total supply input
+        if (totalSupplyInput) {
+            totalSupplyInput.addEventListener('change', (e) => {
+                const newSupply = e.target.value;
+                if (newSupply && parseFloat(newSupply) > 0) {
+                    const result = this.token.updateTotalSupply(newSupply);
+                    if (!result.success) {
+                        alert(result.error);
+                        e.target.value = this.token.totalSupply.toString();
+                    }
+                }
+            });
+        }
+
+        // Pair selection (combined USD/WPLS/Token dropdown)
+        if (pairSelect) {
+            pairSelect.addEventListener('change', (e) => {
+                const value = e.target.value;
+
+                if (value.startsWith('TOKEN:')) {
+                    // Token pairing
+                    this.token.pairType = 'TOKEN';
+                    const tokenId = parseInt(value.split(':')[1]);
+                    this.token.pairedTokenId = tokenId;
+
+                    // Get the paired token's name
+                    const pairedToken = state.tokens.find(t => t.id === tokenId);
+                    const pairedTokenName = pairedToken ? pairedToken.name : `Token ${tokenId}`;
+                    if (pairLabel) pairLabel.textContent = `${pairedTokenName} Amount:`;
+                } else if (value === 'USD') {
+                    // USD pairing
+                    this.token.pairType = 'USD';
+                    this.token.pairedTokenId = null;
+                    if (pairLabel) pairLabel.textContent = 'USD Amount:';
+                } else if (value === 'WPLS') {
+                    // WPLS pairing
+                    this.token.pairType = 'WPLS';
+                    this.token.pairedTokenId = null;
+                    if (pairLabel) pairLabel.textContent = 'WPLS Amount:';
+                }
+
+                this.updateLiquidityDisplay();
+            });
+        }
+
+        // Swap fee of the selected pool (created empty if no liquidity was added yet)
+        if (poolFeeInput) {
+            poolFeeInput.addEventListener('change', (e) => {
+                if (this.token.pairAsset === null) {
+                    alert('Select a pair first');
+                    this.updateLiquidityDisplay();
+                    return;
+                }
+
+                const poolOptions = poolTypeSelect?.value === 'stable' && amplificationInput ? { amplification: amplificationInput.value } : {};
+                const pool = getOrCreatePool(this.token.id, this.token.pairAsset, getPoolClass(poolTypeSelect?.value), poolOptions);
+                const result = pool.setFeePercent(e.target.value);
+                if (!result.success) {
+                    alert(result.error);
+                }
+                this.updateLiquidityDisplay();
+            });
+        }
+
+        // Amplification of the selected StableSwap pool
+        if (amplificationInput) {
+            amplificationInput.addEventListener('change', (e) => {
+                const pool = this.token.primaryPool;
+                if (!pool || pool.type !== 'stable') {
+                    // Applied when the stable pool is opened
+                    return;
+                }
+
+                const result = pool.setAmplification(e.target.value);
+                if (!result.success) {
+                    alert(result.error);
+                }
+                this.updateLiquidityDisplay();
+            });
+        }
+
+        // Token amount input - auto-calculate pair amount to maintain ratio
+        if (tokenAmountInput) {
+            tokenAmountInput.addEventListener('input', (e) => {
+                if (this.hasConstantProductLiquidity()) {
+                    // Auto-calculate pair amount to maintain ratio
+                    const tokenAmount = new Decimal(e.target.value || 0);
+                    const ratio = this.token.pairReserve.dividedBy(this.token.tokenReserve);
+                    const calculatedPairAmount = tokenAmount.times(ratio);
+
+                    if (pairAmountInput) {
+                        pairAmountInput.value = calculatedPairAmount.toNumber();
+                    }
+                }
+            });
+        }
+
+        // Pair amount input - auto-calculate token amount to maintain ratio
+        if (pairAmountInput) {
+            pairAmountInput.addEventListener('input', (e) => {
+                if (this.hasConstantProductLiquidity()) {
+                    // Auto-calculate token amount to maintain ratio
+                    const pairAmount = new Decimal(e.target.value || 0);
+                    const ratio = this.token.tokenReserve.dividedBy(this.token.pairReserve);
+                    const calculatedTokenAmount = pairAmount.times(ratio);
+
+                    if (tokenAmountInput) {
+                        tokenAmountInput.value = calculatedTokenAmount.toNumber();
+                    }
+                }
+            });
+        }
+
+        // Add liquidity button
+        if (addLiquidityBtn) {
+            addLiquidityBtn.addEventListener('click', () => {
+                const tokenAmount = tokenAmountInput?.value || 0;
+                const pairAmount = pairAmountInput?.value || 0;
+
+                // Both ends of the range given: a concentrated position
+                const rangeMin = rangeMinInput?.value || '';
+                const rangeMax = rangeMaxInput?.value || '';
+                const priceRange = rangeMin !== '' && rangeMax !== '' ? { min: rangeMin, max: rangeMax } : null;
+
+                // LP always goes to the selected wallet; the source decides who pays
+                const options = {
+                    walletId: state.currentWalletId,
+                    fromSupply: liquiditySource?.value !== 'wallet',
+                    priceRange
+                };
+                if (priceRange === null && poolTypeSelect) {
+                    // A range always means a concentrated position
+                    options.poolType = poolTypeSelect.value;
+                }
+                if (options.poolType === 'stable' && amplificationInput) {
+                    // A new stable pool opens with the amplification entered here
+                    options.amplification = amplificationInput.value;
+                }
+
+                const result = this.token.addLiquidity(tokenAmount, pairAmount, options);
+                if (!result.success) {
+                    alert(result.error);
+                    return;
+                }
+
+                // Clear inputs on success
+                if (tokenAmountInput) tokenAmountInput.value = '0';
+                if (pairAmountInput) pairAmountInput.value = '0';
+            });
+        }
+
+        // Max button - fill in the selected wallet's whole LP balance
+        if (lpMaxBtn && lpRemoveInput) {
+            lpMaxBtn.addEventListener('click', () => {
+                const wallet = getWalletById(state.currentWalletId);
+                const pool = this.token.primaryPool;
+                lpRemoveInput.value = wallet && pool ? wallet.getLpBalance(pool.id).toString() : '0';
+            });
+        }
+
+        // Remove liquidity button
+        if (removeLiquidityBtn) {
+            removeLiquidityBtn.addEventListener('click', () => {
+                const lpAmount = lpRemoveInput?.value || 0;
+
+                const result = this.token.removeLiquidity(lpAmount, state.currentWalletId);
+                if (!result.success) {
+                    alert(result.error);
+                    return;
+                }
+
+                if (lpRemoveInput) lpRemoveInput.value = '0';
+            });
+        }
+
+        // Include or exclude every pool of the token from its reflections
+        if (reflectPoolsCheckbox) {
+            reflectPoolsCheckbox.addEventListener('change', (e) => {
+                this.token.getPools().forEach(pool => {
+                    setReflectionExcluded(this.token, pool.id, !e.target.checked);
+                });
+            });
+        }
+
+        // Include or exclude the burn address
+        if (reflectBurnCheckbox) {
+            reflectBurnCheckbox.addEventListener('change', (e) => {
+                setReflectionExcluded(this.token, BURN_ADDRESS, !e.target.checked);
+            });
+        }
+
+        // Tax rates: one input per side and destination
+        tokenBox.querySelectorAll('.tax-input').forEach(input => {
+            input.addEventListener('change', (e) => {
+                const { side, bucket } = e.target.dataset;
+                const result = setTaxRates(this.token, side, { [bucket]: parseFloat(e.target.value) || 0 });
+                if (!result.success) {
+                    alert(result.error);
+                    e.target.value = this.token.taxes[side][bucket].toString();
+                }
+            });
+        });
+
+        // Load a preset schedule into this token
+        const taxPresetSelect = tokenBox.querySelector('.tax-preset-select');
+        if (taxPresetSelect) {
+            taxPresetSelect.addEventListener('change', (e) => {
+                if (!e.target.value) return;
+                const result = applyPreset(e.target.value, this.token.id);
+                if (!result.success) {
+                    alert(result.error);
+                }
+                e.target.value = '';
+                this.updateDisplay();
+            });
+        }
+
+        // Marketing and dev destinations
+        tokenBox.querySelectorAll('.tax-wallet-select').forEach(select => {
+            select.addEventListener('change', (e) => {
+                const walletId = e.target.value === '' ? null : parseInt(e.target.value);
+                const result = setTaxDestination(this.token, e.target.dataset.bucket, { walletId });
+                if (!result.success) {
+                    alert(result.error);
+                }
+            });
+        });
+        tokenBox.querySelectorAll('.tax-swap-checkbox').forEach(checkbox => {
+            checkbox.addEventListener('change', (e) => {
+                setTaxDestination(this.token, e.target.dataset.bucket, { swapToWPLS: e.target.checked });
+            });
+        });
+
+        // Swap & liquify switch and threshold
+        const autoLiquidityCheckbox = tokenBox.querySelector('.auto-liquidity-checkbox');
+        if (autoLiquidityCheckbox) {
+            autoLiquidityCheckbox.addEventListener('change', (e) => {
+                setAutoLiquidity(this.token, { enabled: e.target.checked });
+            });
+        }
+        const liquifyThresholdInput = tokenBox.querySelector('.liquify-threshold-input');
+        if (liquifyThresholdInput) {
+            liquifyThresholdInput.addEventListener('change', (e) => {
+                const result = setAutoLiquidity(this.token, { threshold: parseFloat(e.target.value) || 0 });
+                if (!result.success) {
+                    alert(result.error);
+                    e.target.value = this.token.autoLiquidity.threshold.toString();
+                }
+            });
+        }
+
+        // Launch tax: all three fields are set together
+        const launchTaxInputs = ['.launch-tax-percent-input', '.launch-tax-duration-input', '.launch-tax-bucket-select']
+            .map(selector => tokenBox.querySelector(selector));
+        launchTaxInputs.filter(Boolean).forEach(input => {
+            input.addEventListener('change', () => {
+                const [percentInput, durationInput, bucketSelect] = launchTaxInputs;
+                const result = setLaunchTax(this.token, {
+                    percent: parseFloat(percentInput.value) || 0,
+                    duration: parseFloat(durationInput.value) || 0,
+                    bucket: bucketSelect.value
+                });
+                if (!result.success) {
+                    alert(result.error);
+                    this.updateTaxDisplay();
+                }
+            });
+        });
+
+        // Buyback settings: all fields are set together
+        const buybackInputs = ['.buyback-enabled-checkbox', '.buyback-trigger-select', '.buyback-interval-input', '.buyback-floor-input', '.buyback-amount-input', '.buyback-source-select']
+            .map(selector => tokenBox.querySelector(selector));
+        buybackInputs.filter(Boolean).forEach(input => {
+            input.addEventListener('change', () => {
+                const [enabledCheckbox, triggerSelect, intervalInput, floorInput, amountInput, sourceSelect] = buybackInputs;
+                const result = setBuybackConfig(this.token, {
+                    enabled: enabledCheckbox.checked,
+                    trigger: triggerSelect.value,
+                    interval: parseFloat(intervalInput.value) || 0,
+                    priceFloor: parseFloat(floorInput.value) || 0,
+                    amount: parseFloat(amountInput.value) || 0,
+                    source: sourceSelect.value
+                });
+                if (!result.success) {
+                    alert(result.error);
+                    this.updateBuybackDisplay();
+                }
+            });
+        });
+
+        const buybackNowBtn = tokenBox.querySelector('.buyback-now-btn');
+        if (buybackNowBtn) {
+            buybackNowBtn.addEventListener('click', () => {
+                const result = executeBuyback(this.token);
+                if (!result.success) {
+                    alert(result.error);
+                }
+            });
+        }
+
+        // Launch on a bonding curve with the settings entered above it
+        if (launchCurveBtn) {
+            launchCurveBtn.addEventListener('click', () => {
+                const result = launchBondingCurve(this.token, {
+                    curveType: tokenBox.querySelector('.curve-type-select').value,
+                    startPrice: tokenBox.querySelector('.curve-start-price-input').value,
+                    endPrice: tokenBox.querySelector('.curve-end-price-input').value,
+                    curveSupplyPercent: tokenBox.querySelector('.curve-supply-input').value,
+                    steepness: tokenBox.querySelector('.curve-steepness-input').value,
+                    marketCapThreshold: tokenBox.querySelector('.curve-threshold-input').value
+                });
+                if (!result.success) {
+                    alert(result.error);
+                }
+            });
+        }
+
+        // Preset buttons
+        const preset50Btn = tokenBox.querySelector('.preset-50');
+        const preset100Btn = tokenBox.querySelector('.preset-100');
+        const presetCustomBtn = tokenBox.querySelector('.preset-custom');
+
+        if (preset50Btn) {
+            preset50Btn.addEventListener('click', () => {
+                this.applyLiquidityPreset(50, tokenAmountInput, pairAmountInput);
+            });
+        }
+
+        if (preset100Btn) {
+            preset100Btn.addEventListener('click', () => {
+                this.applyLiquidityPreset(100, tokenAmountInput, pairAmountInput);
+            });
+        }
+
+        if (presetCustomBtn) {
+            presetCustomBtn.addEventListener('click', () => {
+                // Just focus the token amount input for manual entry
+                if (tokenAmountInput) {
+                    tokenAmountInput.focus();
+                }
+            });
+        }
+    }
+
+    /**
+     * Check whether the selected pool is a constant product pool with liquidity,
+     * where new liquidity has to match the reserve ratio
+     * @returns {boolean} True if amounts should follow the reserve ratio
+     */
+    hasConstantProductLiquidity() {
+        const pool = this.token.primaryPool;
+        return Boolean(pool) && pool.type !== 'concentrated' && pool.hasLiquidity();
+    }
+
+    /**
+     * Apply a liquidity preset (50% or 100% of available supply)
+     * @param {number} percentage - Percentage of available supply to use
+     * @param {HTMLInputElement} tokenInput - Token amount input element
+     * @param {HTMLInputElement} pairInput - Pair amount input element
+     */
+    applyLiquidityPreset(percentage, tokenInput, pairInput) {
+        const availableSupply = this.token.getAvailableSupply();
+
+        if (availableSupply.isZero()) {
+            alert('No available supply to add to liquidity pool');
+            return;
+        }
+
+        // Calculate token amount based on percentage
+        const tokenAmount = availableSupply.times(percentage).dividedBy(100);
+
+        // Set token amount
+        if (tokenInput) {
+            tokenInput.value = tokenAmount.toString();
+        }
+
+        // For initial liquidity, suggest a reasonable USD amount based on token amount
+        if (this.token.pairReserve.isZero() && this.token.tokenReserve.isZero()) {
+            // Initial liquidity: suggest $1 per 1000 tokens as a starting point
+            const suggestedPairAmount = tokenAmount.dividedBy(1000);
+            if (pairInput) {
+                if (this.token.pairType === 'USD') {
+                    pairInput.value = suggestedPairAmount.toNumber();
+                } else if (this.token.pairType === 'WPLS') {
+                    // Convert USD to PLS
+                    const plsAmount = suggestedPairAmount.dividedBy(state.plsPrice);
+                    pairInput.value = plsAmount.toNumber();
+                } else if (this.token.pairType === 'TOKEN' && this.token.pairedTokenId) {
+                    // Suggest using proportional amount from paired token
+                    const pairedToken = state.tokens.find(t => t.id === this.token.pairedTokenId);
+                    if (pairedToken) {
+                        const pairedAvailable = pairedToken.getAvailableSupply();
+                        const pairedAmount = pairedAvailable.times(percentage).dividedBy(100);
+                        pairInput.value = pairedAmount.toNumber();
+                    }
+                }
+            }
+        } else if (this.hasConstantProductLiquidity()) {
+            // Subsequent liquidity: calculate to maintain ratio (concentrated positions take what their range allows)
+            const ratio = this.token.pairReserve.dividedBy(this.token.tokenReserve);
+            const pairAmount = tokenAmount.times(ratio);
+            if (pairInput) {
+                pairInput.value = pairAmount.toNumber();
+            }
+        }
+    }
+
+    /**
+     * Update opposite token selection options
+     */
+    updateOppositeTokenOptions() {
+        const select = this.element.querySelector('.opposite-token');
+        if (select) {
+            select.innerHTML = this.generateOppositeTokenOptions();
+            select.value = this.token.selectedOppositeToken ?? '';
+        }
+
+        // Also update pair selection dropdown
+        const pairSelect = this.element.querySelector('.pair-select');
+        if (pairSelect) {
+            const currentValue = this.token.pairType === 'TOKEN'
+                ? `TOKEN:${this.token.pairedTokenId}`
+                : this.token.pairType;
+            const usdOption = '<option value="USD">USD (Direct)</option>';
+            const wplsOption = '<option value="WPLS">WPLS</option>';
+            pairSelect.innerHTML = usdOption + wplsOption + this.generatePairTokenOptions();
+
+            // Restore selection if it still exists
+            if (currentValue && Array.from(pairSelect.options).some(opt => opt.value === currentValue)) {
+                pairSelect.value = currentValue;
+            }
+
+            const pairLabel = this.element.querySelector('.pair-label');
+            if (pairLabel && this.token.pairType === 'TOKEN') {
+                const pairedToken = state.tokens.find(t => t.id === this.token.pairedTokenId);
+                pairLabel.textContent = `${pairedToken ? pairedToken.name : `Token ${this.token.pairedTokenId}`} Amount:`;
+            } else if (pairLabel && this.token.pairType !== 'USD') {
+                pairLabel.textContent = `${this.token.pairType} Amount:`;
+            }
+        }
+    }
+
+    /**
+     * Update liquidity display information
+     */
+    updateLiquidityDisplay() {
+        // Update token amount label with current name
+        const tokenAmountLabels = this.element.querySelectorAll('.liquidity-input-row label');
+        if (tokenAmountLabels.length > 0) {
+            tokenAmountLabels[0].textContent = `${this.token.name} Amount:`;
+        }
+
+        // Update pair amount label based on pair type
+        if (tokenAmountLabels.length > 1) {
+            let pairLabelText = 'USD Amount:';
+            if (this.token.pairType === 'WPLS') {
+                pairLabelText = 'WPLS Amount:';
+            } else if (this.token.pairType === 'TOKEN' && this.token.pairedTokenId) {
+                const pairedToken = state.tokens.find(t => t.id === this.token.pairedTokenId);
+                const pairedTokenName = pairedToken ? pairedToken.name : `Token ${this.token.pairedTokenId}`;
+                pairLabelText = `${pairedTokenName} Amount:`;
+            }
+            tokenAmountLabels[1].textContent = pairLabelText;
+        }
+
+        // Update reserve labels
+        const tokenReserveLabel = this.element.querySelector('.token-reserve-label');
+        const pairReserveLabel = this.element.querySelector('.pair-reserve-label');
+
+        if (tokenReserveLabel) {
+            tokenReserveLabel.textContent = `${this.token.name}:`;
+        }
+
+        if (pairReserveLabel) {
+            let pairName = 'USD';
+            if (this.token.pairType === 'WPLS') {
+                pairName = 'WPLS';
+            } else if (this.token.pairType === 'TOKEN' && this.token.pairedTokenId) {
+                const pairedToken = state.tokens.find(t => t.id === this.token.pairedTokenId);
+                pairName = pairedToken ? pairedToken.name : `Token ${this.token.pairedTokenId}`;
+            }
+            pairReserveLabel.textContent = `${pairName}:`;
+        }
+
+        // Update reserves
+        const tokenReserveDisplay = this.element.querySelector('.token-reserve-display');
+        const pairReserveDisplay = this.element.querySelector('.pair-reserve-display');
+        const kDisplay = this.element.querySelector('.k-display');
+
+        if (tokenReserveDisplay) {
+            tokenReserveDisplay.textContent = formatNumber(this.token.tokenReserve, 0);
+        }
+        if (pairReserveDisplay) {
+            pairReserveDisplay.textContent = formatNumber(this.token.pairReserve, 0);
+        }
+        if (kDisplay) {
+            kDisplay.textContent = formatNumber(this.token.k, 0);
+        }
+
+        // Update ratio
+        const ratioDisplay = this.element.querySelector('.ratio-display');
+        if (ratioDisplay) {
+            if (this.token.tokenReserve.isZero() || this.token.pairReserve.isZero()) {
+                ratioDisplay.textContent = 'No liquidity yet';
+            } else {
+                const ratio = this.token.pairReserve.dividedBy(this.token.tokenReserve);
+                let pairName = 'USD';
+                if (this.token.pairType === 'WPLS') {
+                    pairName = 'WPLS';
+                } else if (this.token.pairType === 'TOKEN' && this.token.pairedTokenId) {
+                    const pairedToken = state.tokens.find(t => t.id === this.token.pairedTokenId);
+                    pairName = pairedToken ? pairedToken.name : `Token ${this.token.pairedTokenId}`;
+                }
+                ratioDisplay.textContent = `1 ${this.token.name} = ${formatNumber(ratio, 0)} ${pairName}`;
+            }
+        }
+
+        // Update prices (in liquidity section)
+        const pairPriceDisplay = this.element.querySelector('.pair-price-display');
+        const usdPriceDisplay = this.element.querySelector('.usd-price-display');
+
+        // Update prices (in header)
+        const pairPriceDisplayHeader = this.element.querySelector('.pair-price-display-header');
+        const usdPriceDisplayHeader = this.element.querySelector('.usd-price-display-header');
+
+        let pairPriceText = '0';
+        let usdPriceText = '$0';
+
+        const pricePool = this.token.primaryPool;
+        if (getActiveCurve(this.token)) {
+            // On its launch curve the token is priced in USD by the curve
+            const usdPrice = this.token.calculateTokenPriceUSD();
+            pairPriceText = formatNumber(usdPrice, 6);
+            usdPriceText = formatCurrency(usdPrice, '$', 6);
+        } else if (pricePool && pricePool.hasLiquidity()) {
+            const pairPrice = pricePool.getSpotPrice(this.token.id);
+            pairPriceText = formatNumber(pairPrice, 6);
+
+            const usdPrice = this.token.calculateTokenPriceUSD();
+            usdPriceText = formatCurrency(usdPrice, '$', 6);
+        }
+
+        // Update both locations
+        if (pairPriceDisplay) {
+            pairPriceDisplay.textContent = pairPriceText;
+        }
+        if (pairPriceDisplayHeader) {
+            pairPriceDisplayHeader.textContent = pairPriceText;
+        }
+
+        if (usdPriceDisplay) {
+            usdPriceDisplay.textContent = usdPriceText;
+        }
+        if (usdPriceDisplayHeader) {
+            usdPriceDisplayHeader.textContent = usdPriceText;
+        }
+
+        // Update LP supply
+        const lpSupplyDisplay = this.element.querySelector('.lp-supply-display');
+        if (lpSupplyDisplay) {
+            lpSupplyDisplay.textContent = formatNumber(this.token.lpTotalSupply, 0);
+        }
+
+        // Update the selected wallet's LP position
+        const walletLpDisplay = this.element.querySelector('.wallet-lp-display');
+        const walletLpShareDisplay = this.element.querySelector('.wallet-lp-share-display');
+        const wallet = getWalletById(state.currentWalletId);
+        const pool = this.token.primaryPool;
+        const walletLp = wallet && pool ? wallet.getLpBalance(pool.id) : new Decimal(0);
+        if (walletLpDisplay) {
+            walletLpDisplay.textContent = formatNumber(walletLp, 0);
+        }
+        if (walletLpShareDisplay) {
+            const share = this.token.lpTotalSupply.isZero()
+                ? new Decimal(0)
+                : walletLp.dividedBy(this.token.lpTotalSupply).times(100);
+            walletLpShareDisplay.textContent = `${share.toFixed(2)}%`;
+        }
+
+        // Swap fee and what it has earned LPs
+        const poolFeeInput = this.element.querySelector('.pool-fee-input');
+        if (poolFeeInput && document.activeElement !== poolFeeInput) {
+            poolFeeInput.value = pool ? pool.feePercent : DEFAULT_POOL_FEE;
+        }
+
+        // An existing pool's type is fixed; only a new pair can pick one
+        const poolTypeSelect = this.element.querySelector('.pool-type-select');
+        if (poolTypeSelect) {
+            if (pool) poolTypeSelect.value = pool.type;
+            poolTypeSelect.disabled = Boolean(pool);
+        }
+        const amplificationInput = this.element.querySelector('.amplification-input');
+        if (amplificationInput && document.activeElement !== amplificationInput && pool && pool.type === 'stable') {
+            amplificationInput.value = pool.amplification;
+        }
+        const feesEarnedDisplay = this.element.querySelector('.fees-earned-display');
+        if (feesEarnedDisplay) {
+            feesEarnedDisplay.textContent = formatCurrency(pool ? pool.getFeesEarnedUSD() : 0, '$', 2);
+        }
+        const feeAprDisplay = this.element.querySelector('.fee-apr-display');
+        if (feeAprDisplay) {
+            feeAprDisplay.textContent = `${(pool ? pool.getFeeAPR() : new Decimal(0)).toFixed(2)}%`;
+        }
+
+        // Pool type and how hard its capital works
+        const poolTypeDisplay = this.element.querySelector('.pool-type-display');
+        if (poolTypeDisplay) {
+            poolTypeDisplay.textContent = pool ? POOL_TYPE_NAMES[pool.type] : '-';
+        }
+        const capitalEfficiencyDisplay = this.element.querySelector('.capital-efficiency-display');
+        if (capitalEfficiencyDisplay) {
+            capitalEfficiencyDisplay.textContent = `${(pool ? pool.getCapitalEfficiency() : new Decimal(0)).toFixed(2)}x`;
+        }
+
+        // List every pool the token has liquidity in (the select picks which one is shown)
+        const poolsDisplay = this.element.querySelector('.pools-display');
+        if (poolsDisplay) {
+            const pools = this.token.getPools(true);
+            poolsDisplay.textContent = pools.length > 0
+                ? pools.map(p => getAssetName(p.otherAsset(this.token.id))).join(', ')
+                : 'None';
+        }
+
+        // Update available supply
+        const availableSupplyDisplay = this.element.querySelector('.available-supply');
+        if (availableSupplyDisplay) {
+            const available = this.token.getAvailableSupply();
+            availableSupplyDisplay.textContent = formatNumber(available, 0);
+        }
+
+        // Update capital tracking displays
+        this.updateCapitalDisplay();
+        this.updateLaunchDisplay();
+        this.updateReflectionDisplay();
+        this.updateTaxDisplay();
+        this.updateBuybackDisplay();
+
+        console.log('AMM Display updated:', {
+            tokenId: this.token.id,
+            tokenReserve: this.token.tokenReserve.toString(),
+            pairReserve: this.token.pairReserve.toString(),
+            k: this.token.k.toString(),
+            usdPrice: this.token.calculateTokenPriceUSD().toString(),
+            availableSupply: this.token.getAvailableSupply().toString(),
+            liquidityDepth: this.token.liquidityDepth,
+            realCapital: this.token.realCapital.toString(),
+            derivedCapital: this.token.derivedCapital.toString()
+        });
+    }
+
+    /**
+     * Update capital tracking display
+     */
+    updateCapitalDisplay() {
+        // Depth and capital depend on other pools, so refresh them before rendering
+        this.token.updateCapitalTracking();
+
+        const depthDisplay = this.element.querySelector('.depth-display');
+        if (depthDisplay) {
+            const depthLabel = getDepthLabel(this.token.liquidityDepth);
+            const depthColor = getDepthColor(this.token.liquidityDepth);
+            depthDisplay.textContent = depthLabel;
+            depthDisplay.style.backgroundColor = depthColor;
+            depthDisplay.style.color = 'white';
+            depthDisplay.style.padding = '4px 8px';
+            depthDisplay.style.borderRadius = '4px';
+            depthDisplay.style.fontSize = '0.85em';
+            depthDisplay.style.fontWeight = '600';
+        }
+
+        // Update real capital
+        const realCapitalDisplay = this.element.querySelector('.real-capital-display');
+        if (realCapitalDisplay) {
+            realCapitalDisplay.textContent = formatCurrency(this.token.realCapital, '$', 0);
+            realCapitalDisplay.style.color = '#2ecc71';
+            realCapitalDisplay.style.fontWeight = '600';
+        }
+
+        // Update derived capital
+        const derivedCapitalDisplay = this.element.querySelector('.derived-capital-display');
+        if (derivedCapitalDisplay) {
+            derivedCapitalDisplay.textContent = formatCurrency(this.token.derivedCapital, '$', 0);
+            derivedCapitalDisplay.style.color = '#e67e22';
+            derivedCapitalDisplay.style.fontWeight = '600';
+        }
+
+        // Update capital bar
+        const totalCapital = this.token.realCapital.plus(this.token.derivedCapital);
+        if (!totalCapital.isZero()) {
+            const realPercent = this.token.realCapital.dividedBy(totalCapital).times(100).toNumber();
+            const derivedPercent = this.token.derivedCapital.dividedBy(totalCapital).times(100).toNumber();
+
+            const realBar = this.element.querySelector('.capital-bar-real');
+            const derivedBar = this.element.querySelector('.capital-bar-derived');
+
+            if (realBar) {
+                realBar.style.width = `${realPercent}%`;
+            }
+            if (derivedBar) {
+                derivedBar.style.width = `${derivedPercent}%`;
+            }
+        }
+    }
+
+    /**
+     * Update the tax section from the token's schedule, leaving the field being edited alone
+     */
+    updateTaxDisplay() {
+        const isEditing = input => document.activeElement === input;
+
+        this.element.querySelectorAll('.tax-input').forEach(input => {
+            if (!isEditing(input)) {
+                input.value = this.token.taxes[input.dataset.side][input.dataset.bucket].toString();
+            }
+        });
+
+        this.element.querySelectorAll('.tax-wallet-select').forEach(select => {
+            if (!isEditing(select)) {
+                select.innerHTML = this.generateTaxWalletOptions(this.token.taxDestinations[select.dataset.bucket].walletId);
+            }
+        });
+        this.element.querySelectorAll('.tax-swap-checkbox').forEach(checkbox => {
+            checkbox.checked = this.token.taxDestinations[checkbox.dataset.bucket].swapToWPLS;
+        });
+
+        const percentInput = this.element.querySelector('.launch-tax-percent-input');
+        if (percentInput && !isEditing(percentInput)) {
+            percentInput.value = this.token.launchTax.percent.toString();
+        }
+        const durationInput = this.element.querySelector('.launch-tax-duration-input');
+        if (durationInput && !isEditing(durationInput)) {
+            durationInput.value = this.token.launchTax.duration;
+        }
+        const bucketSelect = this.element.querySelector('.launch-tax-bucket-select');
+        if (bucketSelect && !isEditing(bucketSelect)) {
+            bucketSelect.value = this.token.launchTax.bucket;
+        }
+
+        const autoLiquidityCheckbox = this.element.querySelector('.auto-liquidity-checkbox');
+        if (autoLiquidityCheckbox) {
+            autoLiquidityCheckbox.checked = this.token.autoLiquidity.enabled;
+        }
+        const liquifyThresholdInput = this.element.querySelector('.liquify-threshold-input');
+        if (liquifyThresholdInput && !isEditing(liquifyThresholdInput)) {
+            liquifyThresholdInput.value = this.token.autoLiquidity.threshold.toString();
+        }
+
+        const statusDisplay = this.element.querySelector('.tax-status-display');
+        if (statusDisplay) {
+            const launchTax = getLaunchTaxPercent(this.token);
+            const collected = TAX_BUCKETS
+                .filter(bucket => this.token.taxesCollected[bucket].gt(0))
+                .map(bucket => `${TAX_BUCKET_NAMES[bucket]} ${formatNumber(this.token.taxesCollected[bucket], 2)}`);
+            statusDisplay.textContent = [
+                `Now: buy ${getTaxPercent(this.token, 'buy').toFixed(2)}% · sell ${getTaxPercent(this.token, 'sell').toFixed(2)}% · ` +
+                    `transfer ${getTaxPercent(this.token, 'transfer').toFixed(2)}%`,
+                launchTax.gt(0) ? `Launch tax ${launchTax.toFixed(2)}%` : null,
+                collected.length > 0 ? `Collected: ${collected.join(', ')}` : null,
+                this.token.contractBalance.gt(0) ? `Held by contract: ${formatNumber(this.token.contractBalance, 2)}` : null
+            ].filter(Boolean).join(' · ');
+        }
+    }
+
+    /**
+     * Update the buyback settings and what the buybacks have done so far
+     */
+    updateBuybackDisplay() {
+        const config = this.token.buyback;
+        const isEditing = input => document.activeElement === input;
+
+        const enabledCheckbox = this.element.querySelector('.buyback-enabled-checkbox');
+        if (enabledCheckbox) {
+            enabledCheckbox.checked = config.enabled;
+        }
+        const fields = [
+            ['.buyback-trigger-select', config.trigger],
+            ['.buyback-interval-input', config.interval],
+            ['.buyback-floor-input', config.priceFloor.toString()],
+            ['.buyback-amount-input', config.amount.toString()],
+            ['.buyback-source-select', config.source]
+        ];
+        fields.forEach(([selector, value]) => {
+            const input = this.element.querySelector(selector);
+            if (input && !isEditing(input)) {
+                input.value = value;
+            }
+        });
+
+        const statusDisplay = this.element.querySelector('.buyback-status-display');
+        if (statusDisplay) {
+            const report = getBuybackReport(this.token);
+            const asset = getBuybackAsset(this.token);
+            statusDisplay.textContent = [
+                `Treasury: ${formatNumber(report.treasury, 2)} ${asset}`,
+                report.runs > 0
+                    ? `${report.runs} buyback${report.runs === 1 ? '' : 's'} spent ${formatNumber(report.spent, 2)} ${asset} · ` +
+                        `burned ${formatNumber(report.tokensBurned, 2)} (${report.burnedPercent.toFixed(2)}% of supply) · ` +
+                        `price support ${formatCurrency(report.priceSupport, '$', 6)}`
+                    : 'No buybacks yet'
+            ].join(' · ');
+        }
+    }
+
+    /**
+     * Update the reflection holder settings and the earnings per holder
+     */
+    updateReflectionDisplay() {
+        const reflectPoolsCheckbox = this.element.querySelector('.reflect-pools-checkbox');
+        if (reflectPoolsCheckbox) {
+            reflectPoolsCheckbox.checked = !this.token.getPools().some(pool => isExcludedFromReflections(this.token, pool.id));
+        }
+
+        const reflectBurnCheckbox = this.element.querySelector('.reflect-burn-checkbox');
+        if (reflectBurnCheckbox) {
+            reflectBurnCheckbox.checked = !isExcludedFromReflections(this.token, BURN_ADDRESS);
+        }
+
+        const earningsDisplay = this.element.querySelector('.reflection-earnings-display');
+        if (earningsDisplay) {
+            const earnings = getReflectionEarnings(this.token);
+            earningsDisplay.textContent = earnings.length === 0
+                ? 'None yet'
+                : earnings.map(entry => `${entry.name}: ${formatNumber(entry.amount, 2)}`).join(' · ');
+        }
+    }
+
+    /**
+     * Update the bonding curve launch section
+     */
+    updateLaunchDisplay() {
+        const curve = this.token.bondingCurve;
+
+        // Settings are fixed once the token has launched
+        this.element.querySelectorAll('.launch-toggle + .section-content input, .launch-toggle + .section-content select, .launch-curve-btn')
+            .forEach(control => {
+                control.disabled = Boolean(curve);
+            });
+
+        const statusDisplay = this.element.querySelector('.curve-status-display');
+        if (statusDisplay) {
+            if (!curve) {
+                statusDisplay.textContent = 'Not launched';
+            } else if (curve.isActive()) {
+                const soldPercent = curve.sold.dividedBy(curve.curveSupply).times(100);
+                statusDisplay.textContent = `${soldPercent.toFixed(1)}% sold · Reserve ${formatCurrency(curve.reserve, '$', 2)} · ` +
+                    `Market cap ${formatCurrency(curve.getMarketCap(this.token.totalSupply), '$', 0)} / ${formatCurrency(curve.marketCapThreshold, '$', 0)}`;
+            } else {
+                statusDisplay.textContent = 'Migrated to the USD pool' +
+                    (curve.reserve.gt(0) ? ` · ${formatCurrency(curve.reserve, '$', 2)} of the reserve kept by the deployer` : '');
+            }
+        }
+
+        this.drawCurveChart();
+    }
+
+    /**
+     * Draw the launch curve with the current point on it
+     */
+    drawCurveChart() {
+        const canvas = this.element.querySelector('.curve-chart');
+        const curve = this.token.bondingCurve;
+        if (!canvas || !curve || canvas.clientWidth === 0) return;
+
+        const ratio = window.devicePixelRatio || 1;
+        const width = canvas.clientWidth;
+        const height = canvas.clientHeight;
+        canvas.width = Math.round(width * ratio);
+        canvas.height = Math.round(height * ratio);
+        const ctx = canvas.getContext('2d');
+        ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+        ctx.clearRect(0, 0, width, height);
+
+        const points = curve.getCurvePoints();
+        const maxSold = curve.curveSupply.toNumber();
+        const maxPrice = curve.endPrice.toNumber();
+        const x = sold => (sold / maxSold) * (width - 8) + 4;
+        const y = price => height - 4 - (price / maxPrice) * (height - 8);
+
+        // Price at which the market cap reaches the threshold
+        const thresholdPrice = curve.marketCapThreshold.dividedBy(this.token.totalSupply).toNumber();
+        if (thresholdPrice <= maxPrice) {
+            ctx.strokeStyle = '#e74c3c';
+            ctx.setLineDash([4, 4]);
+            ctx.beginPath();
+            ctx.moveTo(0, y(thresholdPrice));
+            ctx.lineTo(width, y(thresholdPrice));
+            ctx.stroke();
+            ctx.setLineDash([]);
+        }
+
+        ctx.strokeStyle = '#000000';
+        ctx.lineWidth = 1.5;
+        ctx.beginPath();
+        points.forEach((point, index) => {
+            const px = x(point.sold.toNumber());
+            const py = y(point.price.toNumber());
+            if (index === 0) {
+                ctx.moveTo(px, py);
+            } else {
+                ctx.lineTo(px, py);
+            }
+        });
+        ctx.stroke();
+
+        ctx.fillStyle = curve.isActive() ? '#27ae60' : '#3498db';
+        ctx.beginPath();
+        ctx.arc(x(curve.sold.toNumber()), y(curve.getPrice().toNumber()), 4, 0, Math.PI * 2);
+        ctx.fill();
+    }
+
+    /**
+     * Update token display information
+     */
+    updateDisplay() {
+        const amountProcessed = this.element.querySelector('.amount-processed');
+        const plsBalance = this.element.querySelector('.pls-balance');
+
+        if (amountProcessed) {
+            amountProcessed.textContent = formatCurrency(this.token.amountProcessed, '$', 0);
+        }
+        if (plsBalance) {
+            plsBalance.textContent = formatNumber(this.token.plsBalance, 0);
+        }
+
+        this.updateLiquidityDisplay();
+    }
+
+    /**
+     * Trigger visual glow effect on the token element
+     */
+    triggerGlowEffect() {
+        this.element.classList.add('flash-glow');
+        setTimeout(() => {
+            this.element.classList.remove('flash-glow');
+        }, 100);
+    }
+}
+
+/**
+ * Create and register the view for a token
+ * @param {Token} token - Core token to render
+ * @returns {TokenView} The new view
+ */
+export function createTokenView(token) {
+    const view = new TokenView(token);
+    tokenViews.set(token.id, view);
+    return view;
+}
+
+/**
+ * Get the view for a token
+ * @param {number} tokenId - Token ID
+ * @returns {TokenView|undefined} The view, if the token has been rendered
+ */
+export function getTokenView(tokenId) {
+    return tokenViews.get(tokenId);
+}
+
+/**
+ * Forget every view (their elements are removed by the caller)
+ */
+export function clearTokenViews() {
+    tokenViews.clear();
+}
+
+/**
+ * Re-render every token card
+ */
+export function refreshTokenViews() {
+    tokenViews.forEach(view => view.updateDisplay());
+}
+
+/**
+ * Subscribe token cards to simulation events
+ */
+export function initializeTokenViews() {
+    simulationEvents.on('token:updated', ({ token }) => {
+        getTokenView(token.id)?.updateDisplay();
+    });
+
+    simulationEvents.on('transaction:completed', ({ tokenId }) => {
+        getTokenView(tokenId)?.triggerGlowEffect();
+    });
+
+    // USD prices of every card depend on the WPLS price
+    simulationEvents.on('wpls:priceChanged', refreshTokenViews);
+
+    // Tax destination lists offer every wallet
+    simulationEvents.on('wallet:created', refreshTokenViews);
+    simulationEvents.on('wallets:generated', refreshTokenViews);
+}
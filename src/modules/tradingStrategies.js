@@ -1,321 +1,36 @@
 /**
- * @fileoverview Automated Trading System
- * Configurable market simulation with buy/sell automation
+ * @fileoverview Automated Trading panel
+ * Reads the strategy settings, starts and stops it, and shows its progress;
+ * the strategy itself lives in core/strategy.js.
  */
 
-import { state } from './state.js';
-import { processBuy, processSell } from './transactions.js';
-import { getWalletById } from './wallet.js';
+import { state } from '../core/state.js';
+import { getWalletsByTag, getWalletTags } from '../core/wallet.js';
+import { now } from '../core/clock.js';
+import { simulationEvents } from '../core/events.js';
+import { startStrategy, stopStrategy, getActiveStrategyConfig, getStrategyStats } from '../core/strategy.js';
+import { isMonteCarloRunning } from '../core/monteCarlo.js';
+import { isSweepRunning } from '../core/sweep.js';
 
 /**
- * Get Decimal instance
+ * Read the strategy settings from the panel
+ * Also used by the Monte Carlo and sweep panels, so batch runs can trade with the same strategy.
+ * @returns {StrategyConfig} Strategy configuration
  */
-function getDecimal() {
-    if (typeof window !== 'undefined' && window.Decimal) {
-        return window.Decimal;
-    }
-    throw new Error('Decimal.js not loaded');
-}
-
-/**
- * Active strategy state
- */
-let activeStrategy = null;
-let strategyInterval = null;
-let currentTokenIndex = 0; // For in-order and reverse modes
-let strategyStats = {
-    currentTrade: 0,
-    totalTrades: 0,
-    totalSpent: 0,
-    totalEarned: 0,
-    totalImpact: 0,
-    startTime: null,
-    buys: 0,
-    sells: 0
-};
-
-/**
- * Start automated trading
- * @param {Object} config - Trading configuration
- */
-export async function startStrategy(config) {
-    if (activeStrategy) {
-        console.error('A strategy is already running');
-        return false;
-    }
-
-    // Validate config based on selection mode
-    if (config.tokenSelectionMode === 'specific' && (!config.tokenId || config.tokenId === '')) {
-        alert('Please select a target token');
-        return false;
-    }
-
-    if ((config.tokenSelectionMode === 'random' || config.tokenSelectionMode === 'in-order' || config.tokenSelectionMode === 'reverse') && state.tokens.length === 0) {
-        alert('No tokens available. Please add tokens first.');
-        return false;
-    }
-
-    if (!config.amount || config.amount <= 0) {
-        alert('Please enter a valid amount');
-        return false;
-    }
-
-    if (!config.interval || config.interval <= 0) {
-        alert('Please enter a valid interval');
-        return false;
-    }
-
-    if (!config.continuousMode && (!config.tradeCount || config.tradeCount <= 0)) {
-        alert('Please enter a valid trade count or enable continuous mode');
-        return false;
-    }
-
-    // Initialize strategy stats
-    strategyStats = {
-        currentTrade: 0,
-        totalTrades: config.continuousMode ? Infinity : parseInt(config.tradeCount),
-        totalSpent: 0,
-        totalEarned: 0,
-        totalImpact: 0,
-        startTime: Date.now(),
-        buys: 0,
-        sells: 0
+export function readStrategyConfig() {
+    const tokenSelectionMode = document.getElementById('tokenSelectionMode').value;
+    return {
+        tokenSelectionMode: tokenSelectionMode,
+        tokenId: tokenSelectionMode === 'specific' ? parseInt(document.getElementById('strategyTargetToken').value) : null,
+        tradingMode: document.getElementById('tradingMode').value,
+        amount: parseFloat(document.getElementById('strategyAmount').value),
+        amountVariance: parseFloat(document.getElementById('amountVariance').value),
+        interval: parseFloat(document.getElementById('strategyInterval').value),
+        intervalVariance: parseFloat(document.getElementById('intervalVariance').value),
+        tradeCount: parseInt(document.getElementById('strategyTradeCount').value),
+        continuousMode: document.getElementById('continuousMode').checked,
+        walletTag: document.getElementById('strategyWalletTag')?.value || ''
     };
-
-    activeStrategy = { config };
-
-    // Reset token index for ordered modes
-    if (config.tokenSelectionMode === 'reverse') {
-        currentTokenIndex = state.tokens.length - 1;
-    } else {
-        currentTokenIndex = 0;
-    }
-
-    // Start execution
-    executeStrategyStep();
-
-    // Update UI
-    updateStrategyUI();
-
-    console.log('Started automated trading strategy');
-    return true;
-}
-
-/**
- * Execute a single strategy step
- */
-async function executeStrategyStep() {
-    if (!activeStrategy) return;
-
-    const { config } = activeStrategy;
-    const Decimal = getDecimal();
-
-    try {
-        // Determine which token to trade
-        const targetTokenId = getTargetToken(config);
-
-        if (!targetTokenId) {
-            console.error('No token available for trading');
-            strategyInterval = setTimeout(executeStrategyStep, parseFloat(config.interval) * 1000);
-            return;
-        }
-
-        // Calculate randomized amount
-        const baseAmount = new Decimal(config.amount);
-        const variance = parseFloat(config.amountVariance) || 0;
-        const randomFactor = variance > 0 ?
-            (1 - variance/100) + (Math.random() * 2 * variance/100) : 1;
-        const amount = baseAmount.times(randomFactor);
-
-        // Determine action (buy or sell)
-        const action = determineAction(config);
-
-        let result;
-        if (action === 'buy') {
-            result = await processBuy({
-                amount,
-                walletId: state.currentWalletId.toString(),
-                tokenId: targetTokenId,
-                isInitialBuy: false
-            });
-            if (result.success) {
-                strategyStats.buys++;
-                strategyStats.totalSpent += parseFloat(amount.toString());
-            }
-        } else if (action === 'sell') {
-            // Get wallet holdings
-            const wallet = getWalletById(state.currentWalletId);
-            const holdings = wallet.getTokenBalance(targetTokenId);
-
-            if (holdings.gt(0)) {
-                // Sell a portion of holdings
-                const sellAmount = amount.dividedBy(
-                    state.tokens.find(t => t.id === targetTokenId)?.calculateTokenPriceUSD() || 1
-                );
-                const actualSellAmount = sellAmount.lt(holdings) ? sellAmount : holdings.times(0.5);
-
-                result = await processSell({
-                    tokenAmount: actualSellAmount,
-                    walletId: state.currentWalletId.toString(),
-                    tokenId: targetTokenId
-                });
-
-                if (result.success) {
-                    strategyStats.sells++;
-                    strategyStats.totalEarned += parseFloat(result.usdReceived || 0);
-                }
-            } else {
-                result = { success: true }; // Skip if no holdings
-            }
-        }
-
-        if (result && result.success) {
-            strategyStats.currentTrade++;
-
-            // Track price impact if available
-            if (result.priceImpact) {
-                strategyStats.totalImpact += parseFloat(result.priceImpact);
-            }
-
-            // Update UI
-            updateStrategyUI();
-
-            // Check if strategy is complete
-            if (!config.continuousMode && strategyStats.currentTrade >= strategyStats.totalTrades) {
-                stopStrategy();
-                alert(`Strategy completed! ${strategyStats.currentTrade} trades executed.`);
-                return;
-            }
-
-            // Calculate next interval with variance
-            let nextInterval = parseFloat(config.interval) * 1000;
-            const intervalVariance = parseFloat(config.intervalVariance) || 0;
-
-            if (intervalVariance > 0) {
-                const randomFactor = (1 - intervalVariance/100) +
-                    (Math.random() * 2 * intervalVariance/100);
-                nextInterval *= randomFactor;
-            }
-
-            // Schedule next execution
-            strategyInterval = setTimeout(executeStrategyStep, nextInterval);
-        } else {
-            console.error('Strategy execution failed:', result?.error);
-            // Continue anyway after a delay
-            strategyInterval = setTimeout(executeStrategyStep, parseFloat(config.interval) * 1000);
-        }
-    } catch (error) {
-        console.error('Error executing strategy:', error);
-        // Continue execution instead of stopping
-        strategyInterval = setTimeout(executeStrategyStep, parseFloat(config.interval) * 1000);
-    }
-}
-
-/**
- * Get the target token based on selection mode
- */
-function getTargetToken(config) {
-    const mode = config.tokenSelectionMode || 'specific';
-
-    console.log('getTargetToken called:', {
-        mode,
-        configTokenId: config.tokenId,
-        totalTokens: state.tokens.length,
-        tokenIds: state.tokens.map(t => t.id)
-    });
-
-    if (mode === 'specific') {
-        console.log('Using specific mode, returning:', config.tokenId);
-        return config.tokenId;
-    }
-
-    if (state.tokens.length === 0) {
-        console.log('No tokens available');
-        return null;
-    }
-
-    if (mode === 'random') {
-        const randomIndex = Math.floor(Math.random() * state.tokens.length);
-        const selectedToken = state.tokens[randomIndex];
-        console.log('Random mode selected:', {
-            randomIndex,
-            selectedTokenId: selectedToken.id,
-            selectedTokenName: selectedToken.name
-        });
-        return selectedToken.id;
-    }
-
-    if (mode === 'in-order') {
-        const token = state.tokens[currentTokenIndex];
-        console.log('In-order mode selected:', {
-            currentIndex: currentTokenIndex,
-            selectedTokenId: token.id,
-            selectedTokenName: token.name
-        });
-        currentTokenIndex = (currentTokenIndex + 1) % state.tokens.length;
-        return token.id;
-    }
-
-    if (mode === 'reverse') {
-        const token = state.tokens[currentTokenIndex];
-        console.log('Reverse mode selected:', {
-            currentIndex: currentTokenIndex,
-            selectedTokenId: token.id,
-            selectedTokenName: token.name
-        });
-        currentTokenIndex = currentTokenIndex - 1;
-        if (currentTokenIndex < 0) {
-            currentTokenIndex = state.tokens.length - 1;
-        }
-        return token.id;
-    }
-
-    console.log('No mode matched, falling back to config.tokenId:', config.tokenId);
-    return config.tokenId;
-}
-
-/**
- * Determine whether to buy or sell
- */
-function determineAction(config) {
-    const mode = config.tradingMode || 'buy-only';
-
-    if (mode === 'buy-only') return 'buy';
-    if (mode === 'sell-only') return 'sell';
-
-    // For 'both' mode, randomly choose
-    return Math.random() > 0.5 ? 'buy' : 'sell';
-}
-
-/**
- * Stop the active strategy
- */
-export function stopStrategy() {
-    if (strategyInterval) {
-        clearTimeout(strategyInterval);
-        strategyInterval = null;
-    }
-
-    activeStrategy = null;
-
-    // Update UI
-    updateStrategyUI();
-
-    console.log('Strategy stopped');
-}
-
-/**
- * Check if a strategy is currently running
- */
-export function isStrategyRunning() {
-    return activeStrategy !== null;
-}
-
-/**
- * Get current strategy stats
- */
-export function getStrategyStats() {
-    return { ...strategyStats };
 }
 
 /**
@@ -327,8 +42,10 @@ function updateStrategyUI() {
     const activeInfo = document.getElementById('activeStrategyInfo');
     const startBtn = document.getElementById('startStrategyBtn');
     const stopBtn = document.getElementById('stopStrategyBtn');
+    const config = getActiveStrategyConfig();
+    const strategyStats = getStrategyStats();
 
-    if (activeStrategy) {
+    if (config) {
         // Update status
         if (statusEl) {
             statusEl.classList.remove('inactive');
@@ -350,10 +67,10 @@ function updateStrategyUI() {
 
         if (progress) progress.textContent = strategyStats.currentTrade;
         if (total) {
-            total.textContent = activeStrategy.config.continuousMode ? '∞' : strategyStats.totalTrades;
+            total.textContent = config.continuousMode ? '∞' : strategyStats.totalTrades;
         }
 
-        if (progressBar && !activeStrategy.config.continuousMode) {
+        if (progressBar && !config.continuousMode) {
             const percentage = (strategyStats.currentTrade / strategyStats.totalTrades) * 100;
             progressBar.style.width = `${Math.min(percentage, 100)}%`;
         } else if (progressBar) {
@@ -376,7 +93,7 @@ function updateStrategyUI() {
         }
 
         if (timeElapsed) {
-            const elapsed = Math.floor((Date.now() - strategyStats.startTime) / 1000);
+            const elapsed = Math.floor((now() - strategyStats.startTime) / 1000);
             timeElapsed.textContent = elapsed;
         }
 
@@ -420,29 +137,24 @@ export function initializeTradingUI() {
     // Update token select
     updateTokenSelect();
 
+    // Wallet tags to trade from
+    updateWalletTagSelect();
+    ['wallet:created', 'wallets:generated', 'wallet:tagged', 'scenario:loaded', 'state:reset'].forEach(eventName => {
+        simulationEvents.on(eventName, updateWalletTagSelect);
+    });
+
     // Bind token selection mode listener
     bindTokenSelectionModeListener();
 
     // Start button
     if (startBtn) {
-        startBtn.addEventListener('click', async () => {
-            const tokenSelectionMode = document.getElementById('tokenSelectionMode').value;
-            const config = {
-                tokenSelectionMode: tokenSelectionMode,
-                tokenId: tokenSelectionMode === 'specific' ? parseInt(document.getElementById('strategyTargetToken').value) : null,
-                tradingMode: document.getElementById('tradingMode').value,
-                amount: parseFloat(document.getElementById('strategyAmount').value),
-                amountVariance: parseFloat(document.getElementById('amountVariance').value),
-                interval: parseFloat(document.getElementById('strategyInterval').value),
-                intervalVariance: parseFloat(document.getElementById('intervalVariance').value),
-                tradeCount: parseInt(document.getElementById('strategyTradeCount').value),
-                continuousMode: document.getElementById('continuousMode').checked
-            };
-
+        startBtn.addEventListener('click', () => {
+            const config = readStrategyConfig();
             console.log('Starting strategy with config:', config);
 
-            const started = await startStrategy(config);
-            if (!started) {
+            const result = startStrategy(config);
+            if (!result.success) {
+                alert(result.error);
                 console.error('Failed to start strategy');
             }
         });
@@ -457,6 +169,16 @@ export function initializeTradingUI() {
         });
     }
 
+    ['strategy:started', 'strategy:step', 'strategy:stopped'].forEach(eventName => {
+        simulationEvents.on(eventName, updateStrategyUI);
+    });
+    simulationEvents.on('strategy:stopped', ({ stats, completed }) => {
+        // Batch runs finish their strategies by the dozen; only a hand-started one reports back
+        if (completed && !isMonteCarloRunning() && !isSweepRunning()) {
+            alert(`Strategy completed! ${stats.currentTrade} trades executed.`);
+        }
+    });
+
     console.log('Trading UI initialized');
 }
 
@@ -581,3 +303,25 @@ export function updateTokenSelect() {
         select.value = currentValue;
     }
 }
+
+/**
+ * Update the wallet tag select with every tag in use
+ */
+export function updateWalletTagSelect() {
+    const select = document.getElementById('strategyWalletTag');
+    if (!select) return;
+
+    const currentValue = select.value;
+    select.innerHTML = '<option value="">Current Wallet</option>';
+
+    getWalletTags().forEach(tag => {
+        const option = document.createElement('option');
+        option.value = tag;
+        option.textContent = `Tagged "${tag}" (${getWalletsByTag(tag).length})`;
+        select.appendChild(option);
+    });
+
+    if (currentValue && getWalletTags().includes(currentValue)) {
+        select.value = currentValue;
+    }
+}
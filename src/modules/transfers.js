@@ -0,0 +1,189 @@
+/**
+ * @fileoverview Transfers and airdrops panel
+ * Sends USD, PLS or tokens from the current wallet and runs airdrops; the
+ * transfers themselves (and their tax) live in core/transfers.js.
+ */
+
+import Decimal from '../core/decimal.js';
+import { state } from '../core/state.js';
+import { simulationEvents } from '../core/events.js';
+import { getTaxPercent } from '../core/mechanics.js';
+import { processTransfer, processAirdrop } from '../core/transfers.js';
+import { formatNumber } from '../utils/formatters.js';
+
+/**
+ * Initialize the transfers and airdrops panel
+ */
+export function initializeTransfersUI() {
+    const transferBtn = document.getElementById('transferBtn');
+    if (transferBtn) {
+        transferBtn.addEventListener('click', handleTransfer);
+    }
+
+    const airdropBtn = document.getElementById('airdropBtn');
+    if (airdropBtn) {
+        airdropBtn.addEventListener('click', handleAirdrop);
+    }
+
+    const modeSelect = document.getElementById('airdropMode');
+    if (modeSelect) {
+        modeSelect.addEventListener('change', updateModeFields);
+    }
+
+    ['token:created', 'wallet:created', 'wallets:generated', 'scenario:loaded', 'state:reset'].forEach(eventName => {
+        simulationEvents.on(eventName, updateOptions);
+    });
+
+    updateOptions();
+    updateModeFields();
+}
+
+/**
+ * Fill a select with options, keeping the selection when it is still offered
+ * @param {HTMLSelectElement|null} select - Select to fill
+ * @param {{value: string|number, label: string}[]} options - Options
+ */
+function fillSelect(select, options) {
+    if (!select) return;
+
+    const currentValue = select.value;
+    select.innerHTML = '';
+    options.forEach(({ value, label }) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        select.appendChild(option);
+    });
+
+    if (options.some(option => String(option.value) === currentValue)) {
+        select.value = currentValue;
+    }
+}
+
+/**
+ * Rebuild the asset, token and wallet selects
+ */
+function updateOptions() {
+    const tokenOptions = state.tokens.map(token => ({ value: token.id, label: token.name || `Token ${token.id}` }));
+
+    fillSelect(document.getElementById('transferAsset'), [
+        { value: 'USD', label: 'USD' },
+        { value: 'PLS', label: 'PLS' },
+        ...tokenOptions
+    ]);
+    fillSelect(document.getElementById('airdropToken'), tokenOptions);
+    fillSelect(document.getElementById('airdropSnapshotToken'), tokenOptions);
+    fillSelect(document.getElementById('transferToWallet'), state.wallets.map(wallet => ({ value: wallet.id, label: wallet.name })));
+}
+
+/**
+ * Show the inputs the selected airdrop mode needs
+ */
+function updateModeFields() {
+    const mode = document.getElementById('airdropMode')?.value;
+
+    document.getElementById('airdropWeights')?.classList.toggle('hidden', mode !== 'weighted');
+    document.getElementById('airdropSnapshotToken')?.classList.toggle('hidden', mode !== 'snapshot');
+    document.getElementById('airdropMinHolding')?.classList.toggle('hidden', mode !== 'snapshot');
+}
+
+/**
+ * Show the outcome of the last transfer or airdrop
+ * @param {string} message - Message to show
+ */
+function showResult(message) {
+    const resultEl = document.getElementById('transferResult');
+    if (resultEl) {
+        resultEl.textContent = message;
+    }
+}
+
+/**
+ * Read a positive amount from an input
+ * @param {string} inputId - Input element ID
+ * @returns {Decimal|null} Amount, or null after alerting when it is not a positive number
+ */
+function readAmount(inputId) {
+    const value = parseFloat(document.getElementById(inputId)?.value);
+    if (!Number.isFinite(value) || value <= 0) {
+        alert('Please enter a valid amount');
+        return null;
+    }
+    return new Decimal(value);
+}
+
+/**
+ * Send the entered amount from the current wallet
+ */
+function handleTransfer() {
+    const amount = readAmount('transferAmount');
+    if (!amount) return;
+
+    const assetValue = document.getElementById('transferAsset')?.value;
+    const asset = assetValue === 'USD' || assetValue === 'PLS' ? assetValue : parseInt(assetValue);
+
+    const result = processTransfer({
+        asset,
+        amount,
+        fromWalletId: state.currentWalletId,
+        toWalletId: document.getElementById('transferToWallet')?.value
+    });
+    if (!result.success) {
+        alert(result.error);
+        return;
+    }
+
+    const token = typeof asset === 'number' ? state.tokens.find(t => t.id === asset) : null;
+    const assetName = token ? token.name : asset;
+    showResult(result.mechanics && result.mechanics.total.gt(0)
+        ? `Sent ${formatNumber(amount, 2)} ${assetName}: ${formatNumber(result.received, 2)} received, ` +
+            `${formatNumber(result.mechanics.total, 2)} transfer tax (${getTaxPercent(token, 'transfer').toFixed(2)}%)`
+        : `Sent ${formatNumber(amount, 2)} ${assetName}`);
+}
+
+/**
+ * Parse "walletId:weight" pairs separated by commas
+ * @param {string} text - Entered weights
+ * @returns {Object<string, number>} Weight per wallet ID
+ */
+function parseWeights(text) {
+    const weights = {};
+    text.split(',').forEach(pair => {
+        const [walletId, weight] = pair.split(':').map(part => part.trim());
+        if (walletId && weight) {
+            weights[walletId] = parseFloat(weight) || 0;
+        }
+    });
+    return weights;
+}
+
+/**
+ * Run the airdrop entered in the panel
+ */
+function handleAirdrop() {
+    const totalAmount = readAmount('airdropAmount');
+    if (!totalAmount) return;
+
+    const tokenId = parseInt(document.getElementById('airdropToken')?.value);
+    const mode = document.getElementById('airdropMode')?.value || 'equal';
+    const fromWallet = document.getElementById('airdropSource')?.value === 'wallet';
+
+    const result = processAirdrop({
+        tokenId,
+        totalAmount,
+        mode,
+        fromWalletId: fromWallet ? state.currentWalletId : null,
+        weights: parseWeights(document.getElementById('airdropWeights')?.value || ''),
+        snapshotTokenId: parseInt(document.getElementById('airdropSnapshotToken')?.value),
+        minHolding: parseFloat(document.getElementById('airdropMinHolding')?.value) || 0
+    });
+    if (!result.success) {
+        alert(result.error);
+        return;
+    }
+
+    const token = state.tokens.find(t => t.id === tokenId);
+    showResult(`Airdropped ${formatNumber(totalAmount, 2)} ${token.name} to ${result.shares.length} ` +
+        `wallet${result.shares.length === 1 ? '' : 's'}` +
+        (result.tax.gt(0) ? `, ${formatNumber(result.tax, 2)} transfer tax` : ''));
+}
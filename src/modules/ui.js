@@ -2,9 +2,17 @@
  * @fileoverview UI management module for handling DOM operations and updates
  */
 
-import { state } from './state.js';
-import { Token } from './token.js';
+import Decimal from '../core/decimal.js';
+import { state } from '../core/state.js';
+import { createToken } from '../core/token.js';
+import { simulationEvents } from '../core/events.js';
+import { setRouteConfirmationHandler } from '../core/transactions.js';
+import { getWalletById } from '../core/wallet.js';
+import { getAssetName } from '../core/pool.js';
+import { getLedgerEntries, getLedgerChildren, exportLedgerCSV, exportLedgerJSON, TRADE_TYPES, CURVE_EVENT_TYPES, TRANSFER_TYPES } from '../core/ledger.js';
+import { createTokenView, getTokenView, clearTokenViews, refreshTokenViews } from './tokenView.js';
 import { formatNumberWithSubscript, formatNumber, formatCurrency } from '../utils/formatters.js';
+import { downloadText, fileStamp } from '../utils/export.js';
 
 /**
  * @typedef {Object} DOMElements
@@ -99,7 +107,9 @@ export function initializePage() {
     }
     
     try {
+        bindSimulationEvents();
         bindAddTokenButton();
+        bindLedgerExportButtons();
         initializeSettingsPanel();
         initializeWalletModal();
         populateWalletDropdown();
@@ -114,6 +124,41 @@ export function initializePage() {
     }
 }
 
+/**
+ * Subscribe page-level displays to simulation events
+ */
+function bindSimulationEvents() {
+    simulationEvents.on('token:created', ({ token }) => renderTokenCard(token));
+    simulationEvents.on('scenario:loaded', rebuildFromState);
+    simulationEvents.on('liquidity:added', () => updateWalletBalanceDisplay());
+    simulationEvents.on('liquidity:removed', () => updateWalletBalanceDisplay());
+    simulationEvents.on('mechanics:applied', () => updateWalletBalanceDisplay());
+    simulationEvents.on('transfer:completed', () => updateWalletBalanceDisplay());
+    simulationEvents.on('airdrop:completed', () => updateWalletBalanceDisplay());
+    simulationEvents.on('wallets:generated', () => {
+        populateWalletDropdown();
+        if (elements.selectWallet && getWalletById(state.currentWalletId)) {
+            elements.selectWallet.value = state.currentWalletId;
+        }
+    });
+
+    simulationEvents.on('ledger:recorded', handleLedgerRecorded);
+    simulationEvents.on('ledger:cleared', clearTransactionHistory);
+
+    simulationEvents.on('transactions:reset', () => {
+        updateMetricsDisplay({
+            elapsedSeconds: 0,
+            transactionsPerMinute: 0,
+            plsPrice: state.plsPrice,
+            totalGasUsed: state.totalGasUsed,
+            transactionCount: state.transactionCount,
+            totalProcessed: state.totalProcessed
+        });
+    });
+
+    setRouteConfirmationHandler(confirmRoute);
+}
+
 /**
  * Bind the Add Token button event listener
  */
@@ -225,6 +270,8 @@ async function handleWalletSelectChange(e) {
         state.currentWalletId = parseInt(e.target.value);
         // Update wallet balance display when wallet changes
         await updateWalletBalanceDisplay();
+        // Token cards show the selected wallet's LP position
+        refreshTokenViews();
     }
 }
 
@@ -269,7 +316,7 @@ function createNewWallet() {
     const walletName = input?.value?.trim() || `Wallet ${nextWalletNum}`;
 
     // Import wallet module dynamically
-    import('./wallet.js').then(async module => {
+    import('../core/wallet.js').then(async module => {
         const newWallet = module.createWallet(walletName);
 
         // Refresh wallet dropdown
@@ -356,7 +403,6 @@ export function updateTokenOptions() {
  * Update wallet balance display
  */
 export async function updateWalletBalanceDisplay() {
-    const { getWalletById } = await import('./wallet.js');
     const wallet = getWalletById(state.currentWalletId);
 
     if (!wallet) return;
@@ -381,13 +427,15 @@ export async function updateWalletBalanceDisplay() {
 
     // Get all token balances
     const holdings = [];
-    wallet.tokenBalances.forEach((balance, tokenId) => {
+    wallet.tokenBalances.forEach((stored, tokenId) => {
+        const balance = wallet.getTokenBalance(tokenId);
         if (!balance.isZero()) {
             const token = state.tokens.find(t => t.id === tokenId);
             if (token) {
                 holdings.push({
                     name: token.name,
-                    amount: balance
+                    amount: balance,
+                    reflections: wallet.getReflectionEarnings(tokenId)
                 });
             }
         }
@@ -410,6 +458,12 @@ export async function updateWalletBalanceDisplay() {
             const amount = document.createElement('span');
             amount.className = 'holding-token-amount';
             amount.textContent = holding.amount.toFixed(2);
+            if (holding.reflections.gt(0)) {
+                const reflections = document.createElement('span');
+                reflections.className = 'holding-reflections';
+                reflections.textContent = ` (+${holding.reflections.toFixed(2)} reflections)`;
+                amount.appendChild(reflections);
+            }
 
             item.appendChild(name);
             item.appendChild(amount);
@@ -437,40 +491,164 @@ export function initializeTimeIntervalDisplays() {
 }
 
 /**
- * Add a transaction to the history table
- * @param {string} walletId - Wallet identifier
- * @param {Decimal} amountBought - Amount of tokens bought
- * @param {number} tokenBought - Token ID that was bought
- * @param {Decimal} gasUsed - Amount of gas used
- * @param {Decimal} plsRemaining - Remaining PLS balance
- * @param {Decimal|null} tokensReceived - Tokens received from AMM (null if no liquidity)
- * @param {Decimal|null} priceImpact - Price impact percentage (null if no liquidity)
+ * Render the whole history table from the ledger
+ */
+export function renderTransactionHistory() {
+    clearTransactionHistory();
+    getLedgerEntries().forEach(entry => {
+        if (TRADE_TYPES.includes(entry.type)) {
+            addTransactionToHistory(entry, getLedgerChildren(entry.id));
+        } else if (CURVE_EVENT_TYPES.includes(entry.type)) {
+            addCurveEventToHistory(entry);
+        } else if (TRANSFER_TYPES.includes(entry.type)) {
+            addTransferToHistory(entry, getLedgerChildren(entry.id));
+        }
+    });
+}
+
+/**
+ * Add newly recorded ledger entries to the history table
+ * @param {Object} payload - Payload of 'ledger:recorded'
+ * @param {LedgerEntry[]} payload.entries - A trade followed by its hops and deductions, or a liquidity change
+ */
+function handleLedgerRecorded({ entries }) {
+    const [trade, ...children] = entries;
+    if (trade && TRADE_TYPES.includes(trade.type)) {
+        addTransactionToHistory(trade, children);
+    } else if (trade && CURVE_EVENT_TYPES.includes(trade.type)) {
+        addCurveEventToHistory(trade);
+    } else if (trade && TRANSFER_TYPES.includes(trade.type)) {
+        addTransferToHistory(trade, children);
+    }
+}
+
+/**
+ * Add a bonding-curve launch or migration from the ledger to the history table
+ * @param {LedgerEntry} entry - 'curve-launch' or 'curve-migration' entry
+ */
+function addCurveEventToHistory(entry) {
+    const row = document.createElement('tr');
+    row.className = 'route-detail-row';
+
+    const cell = document.createElement('td');
+    cell.colSpan = 8;
+
+    const tokenName = entry.tokenName || `Token ${entry.tokenId}`;
+    if (entry.type === 'curve-launch') {
+        cell.innerHTML = `<div class="route-details"><strong>${tokenName} launched on a bonding curve:</strong> ${entry.route}</div>`;
+    } else {
+        cell.innerHTML = `<div class="route-details"><strong>${tokenName} migrated to its USD pool</strong> at ` +
+            `${formatCurrency(entry.usdValue, '$', 0)} market cap: ${formatNumber(entry.amountIn, 0)} ${tokenName} + ` +
+            `${formatCurrency(entry.pairAmount, '$', 2)}</div>`;
+    }
+    row.appendChild(cell);
+
+    if (elements.transactionTable) {
+        elements.transactionTable.insertBefore(row, elements.transactionTable.firstChild);
+    }
+}
+
+/**
+ * Name of a wallet for the history table
+ * @param {number|null} walletId - Wallet ID
+ * @returns {string} Wallet name
+ */
+function getWalletName(walletId) {
+    const wallet = getWalletById(walletId);
+    return wallet ? wallet.name : `Wallet ${walletId}`;
+}
+
+/**
+ * Add a transfer or airdrop from the ledger to the history table
+ * @param {LedgerEntry} entry - 'transfer' or 'airdrop' entry
+ * @param {LedgerEntry[]} [children=[]] - Its airdrop shares and tax deductions
  */
-export function addTransactionToHistory(walletId, amountBought, tokenBought, gasUsed, plsRemaining, tokensReceived = null, priceImpact = null, routeInfo = null) {
+function addTransferToHistory(entry, children = []) {
     const row = document.createElement('tr');
+    row.className = 'route-detail-row';
 
-    state.currentTxNumber++;
-    const txNumber = state.currentTxNumber.toString().padStart(3, '0');
+    const cell = document.createElement('td');
+    cell.colSpan = 8;
 
-    // Get token name
-    const token = state.tokens.find(t => t.id === tokenBought);
-    const tokenName = token ? token.name : `Token ${tokenBought}`;
+    const assetName = entry.assetInName;
+    const tax = children
+        .filter(child => child.type !== 'airdrop-share')
+        .reduce((total, child) => total.plus(child.amountIn), new Decimal(0));
+    const taxNote = tax.gt(0) ? ` (transfer tax ${formatNumber(tax, 2)})` : '';
 
-    // Format tokens received with route info
-    let tokensReceivedText = tokensReceived
-        ? formatNumberWithSubscript(tokensReceived.toString())
-        : 'No liquidity';
+    if (entry.type === 'transfer') {
+        cell.innerHTML = `<div class="route-details"><strong>${getWalletName(entry.walletId)} sent ${getWalletName(entry.toWalletId)}</strong> ` +
+            `${formatNumber(entry.amountIn, 2)} ${assetName}${taxNote}</div>`;
+    } else {
+        const source = entry.walletId === null ? `${assetName} supply` : getWalletName(entry.walletId);
+        cell.innerHTML = `<div class="route-details"><strong>Airdrop from ${source}:</strong> ` +
+            `${formatNumber(entry.amountIn, 2)} ${assetName}, ${entry.route}${taxNote}</div>`;
+    }
+    row.appendChild(cell);
+
+    if (elements.transactionTable) {
+        elements.transactionTable.insertBefore(row, elements.transactionTable.firstChild);
+    }
+}
+
+/**
+ * Add a trade from the ledger to the history table
+ * Sells show negative amounts, as the table always has.
+ * @param {LedgerEntry} trade - Trade entry (buy, sell, swap or arbitrage)
+ * @param {LedgerEntry[]} [children=[]] - Its hop and deduction entries
+ */
+export function addTransactionToHistory(trade, children = []) {
+    const row = document.createElement('tr');
+
+    const txNumber = trade.txNumber.toString().padStart(3, '0');
+    const hops = children.filter(entry => entry.type === 'hop');
+    const deductions = children.filter(entry => entry.type !== 'hop');
+
+    // USD amount and tokens received as the table shows them
+    let usdAmount;
+    let tokensReceived;
+    let tokenName = trade.tokenName || (trade.tokenId ? `Token ${trade.tokenId}` : '');
+
+    if (trade.type === 'sell') {
+        usdAmount = trade.amountOut.negated();
+        tokensReceived = trade.amountIn.negated();
+    } else if (trade.type === 'arbitrage') {
+        usdAmount = trade.usdValue || new Decimal(0);
+        tokensReceived = null;
+        tokenName = 'Arbitrage';
+    } else {
+        usdAmount = trade.usdValue || new Decimal(0);
+        tokensReceived = trade.amountOut;
+    }
+
+    let tokensReceivedText;
+    if (trade.type === 'arbitrage') {
+        tokensReceivedText = `+$${trade.profitUSD.toFixed(2)} profit`;
+    } else {
+        tokensReceivedText = tokensReceived
+            ? formatNumberWithSubscript(tokensReceived.toString())
+            : 'No liquidity';
+    }
+
+    if (trade.isChained) {
+        tokensReceivedText += '<br><span class="route-info">chained</span>';
+    }
 
     // Add route info if available
-    if (routeInfo && routeInfo.hops && routeInfo.hops.length > 1) {
-        tokensReceivedText += `<br><span class="route-info" title="${routeInfo.pathDescription}">${routeInfo.hops.length} hops</span>`;
+    if (hops.length > 1) {
+        const legCount = new Set(hops.map(hop => hop.route)).size;
+        const splitText = legCount > 1 ? `, split ${legCount} ways` : '';
+        tokensReceivedText += `<br><span class="route-info" title="${trade.route}">${hops.length} hops${splitText}</span>`;
+    } else if (hops.length === 0 && trade.route) {
+        // Filled off the pools, i.e. on a bonding curve
+        tokensReceivedText += `<br><span class="route-info">${trade.route}</span>`;
     }
 
     // Format price impact with color coding
     let priceImpactText = 'N/A';
     let priceImpactClass = '';
-    if (priceImpact !== null) {
-        const impactNum = priceImpact.toNumber();
+    if (trade.priceImpact !== null) {
+        const impactNum = trade.priceImpact.toNumber();
         priceImpactText = `${impactNum.toFixed(2)}%`;
 
         // Color code based on impact severity
@@ -485,13 +663,13 @@ export function addTransactionToHistory(walletId, amountBought, tokenBought, gas
 
     const cells = [
         txNumber,
-        walletId,
-        '$' + formatNumberWithSubscript(amountBought.toString()),
+        trade.walletId,
+        '$' + formatNumberWithSubscript(usdAmount.toString()),
         tokenName,
         tokensReceivedText,
         priceImpactText,
-        `$${gasUsed.toFixed(8)}`,
-        plsRemaining.toFixed(8)
+        `$${(trade.gasUsed || new Decimal(0)).toFixed(8)}`,
+        trade.plsRemaining ? trade.plsRemaining.toFixed(8) : ''
     ];
 
     cells.forEach((content, index) => {
@@ -499,7 +677,7 @@ export function addTransactionToHistory(walletId, amountBought, tokenBought, gas
         td.innerHTML = content;
 
         if (index === 2) { // Amount bought column
-            adjustFontSize(td, amountBought.toString());
+            adjustFontSize(td, usdAmount.toString());
         }
 
         // Apply price impact color class
@@ -510,8 +688,8 @@ export function addTransactionToHistory(walletId, amountBought, tokenBought, gas
         row.appendChild(td);
     });
 
-    // Add route details row if routing was used
-    if (routeInfo && routeInfo.hops && routeInfo.hops.length > 1) {
+    // Add details row if routing was used or mechanics took a cut
+    if (hops.length > 1 || deductions.length > 0) {
         const detailRow = document.createElement('tr');
         detailRow.className = 'route-detail-row';
 
@@ -519,21 +697,44 @@ export function addTransactionToHistory(walletId, amountBought, tokenBought, gas
         detailCell.colSpan = 8;
 
         let detailHTML = `<div class="route-details">`;
-        detailHTML += `<strong>Route:</strong> ${routeInfo.pathDescription}<br>`;
-        detailHTML += `<strong>Intermediate amounts:</strong><br>`;
-
-        routeInfo.hops.forEach((hop, index) => {
-            const amountInStr = index === 0
-                ? formatCurrency(hop.amountIn, '$', 0)
-                : formatNumber(hop.amountIn, 0);
-            const amountOutStr = formatNumber(hop.amountOut, 0);
 
-            // Get token name
-            const hopToken = state.tokens.find(t => t.id === hop.tokenId);
-            const hopTokenName = hopToken ? hopToken.name : `Token ${hop.tokenId}`;
+        if (hops.length > 1) {
+            detailHTML += `<strong>Route:</strong> ${trade.route}<br>`;
+            detailHTML += `<strong>Intermediate amounts:</strong><br>`;
+
+            // Hops of a split are labelled with their leg
+            let currentLeg = null;
+            let legHopIndex = 0;
+            hops.forEach(hop => {
+                if (hop.route !== currentLeg) {
+                    currentLeg = hop.route;
+                    legHopIndex = 0;
+                    if (currentLeg) {
+                        detailHTML += `&nbsp;&nbsp;<em>${currentLeg}</em><br>`;
+                    }
+                }
+                legHopIndex++;
+
+                const amountOutStr = formatNumber(hop.amountOut, 0);
+                detailHTML += `&nbsp;&nbsp;${legHopIndex}. ${formatHopInput(hop)} → ${amountOutStr} ${getAssetName(hop.assetOut)}<br>`;
+            });
+        }
 
-            detailHTML += `&nbsp;&nbsp;${index + 1}. ${amountInStr} → ${amountOutStr} ${hopTokenName}<br>`;
-        });
+        if (deductions.length > 0) {
+            const labels = {
+                reflection: 'Reflection',
+                burn: 'Burn',
+                'lp-fee': 'LP fee',
+                'marketing-tax': 'Marketing',
+                'dev-tax': 'Dev',
+                'buyback-tax': 'Buyback'
+            };
+            detailHTML += `<strong>Deducted:</strong> `;
+            detailHTML += deductions
+                .map(entry => `${labels[entry.type] || entry.type} ${formatNumber(entry.amountIn, 2)}`)
+                .join(', ');
+            detailHTML += `<br>`;
+        }
 
         detailHTML += `</div>`;
         detailCell.innerHTML = detailHTML;
@@ -550,6 +751,25 @@ export function addTransactionToHistory(walletId, amountBought, tokenBought, gas
     }
 }
 
+/**
+ * Bind the ledger CSV/JSON export buttons
+ */
+function bindLedgerExportButtons() {
+    const csvBtn = document.getElementById('exportLedgerCsvBtn');
+    if (csvBtn) {
+        csvBtn.addEventListener('click', () => {
+            downloadText(`ledger-${fileStamp()}.csv`, exportLedgerCSV(), 'text/csv');
+        });
+    }
+
+    const jsonBtn = document.getElementById('exportLedgerJsonBtn');
+    if (jsonBtn) {
+        jsonBtn.addEventListener('click', () => {
+            downloadText(`ledger-${fileStamp()}.json`, JSON.stringify(exportLedgerJSON(), null, 2), 'application/json');
+        });
+    }
+}
+
 /**
  * Adjust font size based on number of decimal places
  * @param {HTMLElement} element - Element to adjust
@@ -587,62 +807,143 @@ export function clearTransactionHistory() {
  * Handle adding a new token
  * @param {Event} event - Click event
  */
-export async function handleAddToken(event) {
+export function handleAddToken(event) {
     console.log('Handling add token...');
     event.preventDefault();
 
-    try {
-        if (!state.tokens) {
-            state.tokens = [];
-        }
+    // The card itself is rendered by the token:created listener
+    const result = createToken();
+    if (!result.success) {
+        alert(result.error);
+        return;
+    }
 
-        if (state.tokens.length >= state.maxTokens) {
-            alert(`Maximum number of tokens (${state.maxTokens}) reached!`);
-            return;
-        }
+    console.log('New token added successfully:', result.token.id);
+}
 
-        const newTokenId = state.tokens.length + 1;
-        console.log('Creating new token with ID:', newTokenId);
+/**
+ * Render the card for a newly created token and refresh token dropdowns
+ * @param {Token} token - Token that was created
+ */
+async function renderTokenCard(token) {
+    try {
+        insertTokenCard(token);
+        await refreshTokenDropdowns();
+    } catch (error) {
+        console.error('Error adding new token:', error);
+        alert('Failed to add token: ' + error.message);
+    }
+}
 
-        const newToken = new Token({ id: newTokenId });
-        state.tokens.push(newToken);
+/**
+ * Rebuild every token card, wallet dropdown and the history after a scenario load
+ */
+async function rebuildFromState() {
+    try {
+        clearTokenContainer();
+        clearTokenViews();
+        state.tokens.forEach(token => insertTokenCard(token));
+        await refreshTokenDropdowns();
 
-        const leftContainer = document.getElementById('leftContainer');
-        if (!leftContainer) {
-            throw new Error('Left container not found during token addition');
+        populateWalletDropdown();
+        if (elements.selectWallet && getWalletById(state.currentWalletId)) {
+            elements.selectWallet.value = state.currentWalletId;
         }
+        await updateWalletBalanceDisplay();
 
-        const addTokenBtn = leftContainer.querySelector('#addToken');
-        if (!addTokenBtn) {
-            throw new Error('Add Token button not found during token addition');
-        }
+        // The ledger has been restored from the scenario by now
+        renderTransactionHistory();
+    } catch (error) {
+        console.error('Error rebuilding page from scenario:', error);
+        alert('Failed to display scenario: ' + error.message);
+    }
+}
+
+/**
+ * Create the card for a token and insert it before the Add Token button
+ * @param {Token} token - Token to render
+ */
+function insertTokenCard(token) {
+    const leftContainer = document.getElementById('leftContainer');
+    if (!leftContainer) {
+        throw new Error('Left container not found during token addition');
+    }
 
-        leftContainer.insertBefore(newToken.element, addTokenBtn);
+    const addTokenBtn = leftContainer.querySelector('#addToken');
+    if (!addTokenBtn) {
+        throw new Error('Add Token button not found during token addition');
+    }
 
-        // Update token selection options
-        updateTokenOptions();
-        state.tokens.forEach(token => token.updateOppositeTokenOptions());
+    const view = createTokenView(token);
+    leftContainer.insertBefore(view.element, addTokenBtn);
+}
 
-        // Update reflection/burn mechanics token selector
-        const { updateTokenSelectOptions } = await import('./reflectionBurn.js');
-        updateTokenSelectOptions();
+/**
+ * Refresh every dropdown that lists tokens
+ * @returns {Promise<void>}
+ */
+async function refreshTokenDropdowns() {
+    // Update token selection options
+    updateTokenOptions();
+    state.tokens.forEach(t => getTokenView(t.id)?.updateOppositeTokenOptions());
 
-        // Update trading strategies token selector
-        const { updateTokenSelect } = await import('./tradingStrategies.js');
-        updateTokenSelect();
+    // Update reflection/burn mechanics token selector
+    const { updateTokenSelectOptions } = await import('./reflectionBurn.js');
+    updateTokenSelectOptions();
 
-        // Initialize Lucide icons
-        if (typeof lucide !== 'undefined') {
-            lucide.createIcons();
-        }
+    // Update trading strategies token selector
+    const { updateTokenSelect } = await import('./tradingStrategies.js');
+    updateTokenSelect();
 
-        console.log('New token added successfully:', newTokenId);
-    } catch (error) {
-        console.error('Error adding new token:', error);
-        alert('Failed to add token: ' + error.message);
+    // Initialize Lucide icons
+    if (typeof lucide !== 'undefined') {
+        lucide.createIcons();
     }
 }
 
+/**
+ * Format the amount paid into a route hop
+ * @param {Object} hop - Route hop with assetIn and amountIn
+ * @returns {string} '$100', '250 WPLS' or '1,000 Token 2'
+ */
+function formatHopInput(hop) {
+    if (hop.assetIn === 'USD') {
+        return formatCurrency(hop.amountIn, '$', 0);
+    }
+    return `${formatNumber(hop.amountIn, 0)} ${getAssetName(hop.assetIn)}`;
+}
+
+/**
+ * Confirm a multi-hop route with the user
+ * @param {Object} route - Split route to confirm
+ * @param {Decimal} amountIn - USD amount
+ * @param {Object} targetToken - Target token
+ * @returns {boolean} Whether user confirmed
+ */
+function confirmRoute(route, amountIn, targetToken) {
+    let message = `Multi-Hop Routing Required\n\n`;
+    message += `To buy ${targetToken.name}, your trade will route through ${route.hops.length} ${route.hops.length === 1 ? 'swap' : 'swaps'}`;
+    message += route.legs.length > 1 ? ` across ${route.legs.length} paths:\n\n` : `:\n\n`;
+
+    // Show each leg, then each hop with amounts
+    route.legs.forEach(leg => {
+        const share = route.legs.length > 1 ? `${Math.round(leg.share * 100)}% ` : '';
+        message += `Route: ${share}${leg.route.pathDescription}\n`;
+
+        leg.route.hops.forEach((hop, index) => {
+            const amountOutStr = formatNumber(hop.amountOut, 0);
+            message += `  ${index + 1}. ${formatHopInput(hop)} → ${amountOutStr} ${hop.token.name}\n`;
+        });
+        message += `\n`;
+    });
+
+    message += `\nFinal: You receive ${formatNumber(route.totalAmountOut, 0)} ${targetToken.name}\n`;
+    message += `Total Price Impact: ${route.totalPriceImpact.toFixed(2)}%\n\n`;
+    message += `Proceed with this route?`;
+
+    return confirm(message);
+}
+
 /**
  * Add the first token on page initialization
  */
@@ -0,0 +1,102 @@
+/**
+ * @fileoverview Generate Wallets modal
+ * Collects the count, balance distribution and tags; the wallets themselves are
+ * made by core/walletGenerator.js.
+ */
+
+import { generateWallets } from '../core/walletGenerator.js';
+
+/**
+ * Initialize the Generate Wallets modal
+ */
+export function initializeWalletGenerator() {
+    const modal = document.getElementById('generateWalletsModal');
+    if (!modal) return;
+
+    const openBtn = document.getElementById('openGenerateWalletsBtn');
+    if (openBtn) {
+        openBtn.addEventListener('click', () => {
+            document.getElementById('addWalletModal')?.classList.add('hidden');
+            modal.classList.remove('hidden');
+        });
+    }
+
+    document.getElementById('cancelGenerateWalletsBtn')?.addEventListener('click', hideModal);
+    document.getElementById('generateWalletsBtn')?.addEventListener('click', handleGenerate);
+    document.getElementById('generateDistribution')?.addEventListener('change', updateDistributionFields);
+
+    // Close modal when clicking outside
+    modal.addEventListener('click', (e) => {
+        if (e.target === modal) {
+            hideModal();
+        }
+    });
+
+    updateDistributionFields();
+}
+
+/**
+ * Hide the modal
+ */
+function hideModal() {
+    document.getElementById('generateWalletsModal')?.classList.add('hidden');
+}
+
+/**
+ * Show only the parameters the selected distribution uses
+ */
+function updateDistributionFields() {
+    const distribution = document.getElementById('generateDistribution')?.value;
+    document.querySelectorAll('#generateWalletsModal .distribution-field').forEach(field => {
+        field.classList.toggle('hidden', !field.dataset.distributions.split(' ').includes(distribution));
+    });
+}
+
+/**
+ * Read a number input
+ * @param {string} inputId - Input element ID
+ * @returns {number|null} Value, or null when blank
+ */
+function readNumber(inputId) {
+    const value = document.getElementById(inputId)?.value;
+    return value === undefined || value === '' ? null : parseFloat(value);
+}
+
+/**
+ * Generate the wallets described by the form
+ */
+function handleGenerate() {
+    const distribution = document.getElementById('generateDistribution')?.value || 'fixed';
+    const max = readNumber('generateMax');
+
+    // Uniform needs a maximum; for Pareto a blank one means no cap
+    const usd = {
+        distribution,
+        value: readNumber('generateFixedValue'),
+        min: readNumber('generateMin'),
+        max: distribution === 'pareto' && max === null ? undefined : max,
+        median: readNumber('generateMedian'),
+        sigma: readNumber('generateSigma'),
+        alpha: readNumber('generateAlpha')
+    };
+
+    const tags = (document.getElementById('generateTags')?.value || '')
+        .split(',')
+        .map(tag => tag.trim())
+        .filter(Boolean);
+
+    const result = generateWallets({
+        count: readNumber('generateWalletCount'),
+        usd,
+        pls: { distribution: 'fixed', value: readNumber('generatePlsBalance') ?? 0 },
+        tags,
+        whaleThreshold: readNumber('generateWhaleThreshold')
+    });
+    if (!result.success) {
+        alert(result.error);
+        return;
+    }
+
+    hideModal();
+    alert(`Generated ${result.wallets.length} wallets`);
+}
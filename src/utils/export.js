@@ -0,0 +1,41 @@
+/**
+ * @fileoverview Utility functions for exporting data as files
+ */
+
+/**
+ * Quote a CSV cell if it needs it
+ * @param {*} value - Cell value
+ * @returns {string} CSV-safe cell
+ */
+export function toCsvCell(value) {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Timestamp for export file names
+ * @returns {string} e.g. 2024-01-31T12-00-00
+ */
+export function fileStamp() {
+    return new Date().toISOString().slice(0, 19).replace(/:/g, '-');
+}
+
+/**
+ * Download text as a file
+ * @param {string} filename - Suggested file name
+ * @param {string} content - File content
+ * @param {string} type - MIME type
+ */
+export function downloadText(filename, content, type) {
+    const blob = new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
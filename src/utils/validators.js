@@ -2,16 +2,7 @@
  * @fileoverview Validation utilities for input checking and data verification
  */
 
-/**
- * Get the Decimal instance, throwing an error if it's not available
- * @returns {typeof Decimal} The Decimal constructor
- */
-function getDecimal() {
-    if (!window.Decimal) {
-        throw new Error('Decimal.js not loaded');
-    }
-    return window.Decimal;
-}
+import Decimal from '../core/decimal.js';
 
 /**
  * @typedef {Object} ValidationResult
@@ -28,7 +19,6 @@ function getDecimal() {
  */
 export function validateRange(value, min, max) {
     try {
-        const Decimal = getDecimal();
         const decValue = new Decimal(value);
         const decMin = new Decimal(min);
         const decMax = new Decimal(max);
@@ -72,7 +62,6 @@ export function validatePercentage(value) {
  */
 export function validatePositiveNumber(value) {
     try {
-        const Decimal = getDecimal();
         const decValue = new Decimal(value);
         
         if (decValue.lte(0)) {
@@ -98,7 +87,6 @@ export function validatePositiveNumber(value) {
  */
 export function validateNonNegativeNumber(value) {
     try {
-        const Decimal = getDecimal();
         const decValue = new Decimal(value);
         
         if (decValue.lt(0)) {
@@ -184,7 +172,6 @@ export function validateTokenId(tokenId, maxTokens) {
  */
 export function validateTimeInterval(value) {
     try {
-        const Decimal = getDecimal();
         const decValue = new Decimal(value);
         
         if (decValue.lt(0.01)) {
@@ -218,7 +205,6 @@ export function validateTimeInterval(value) {
  */
 export function validateLiquidity(amount, balance) {
     try {
-        const Decimal = getDecimal();
         const decAmount = new Decimal(amount);
         const decBalance = new Decimal(balance);
 
@@ -252,7 +238,6 @@ export function validateLiquidity(amount, balance) {
  */
 export function validateTokenSupply(supply) {
     try {
-        const Decimal = getDecimal();
         const decSupply = new Decimal(supply);
         
         if (decSupply.lte(0)) {
@@ -285,7 +270,6 @@ export function validateTokenSupply(supply) {
  */
 export function validateTotalPercentage(...percentages) {
     try {
-        const Decimal = getDecimal();
         const total = percentages.reduce((sum, value) => {
             return sum.plus(new Decimal(value));
         }, new Decimal(0));
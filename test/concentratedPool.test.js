@@ -0,0 +1,108 @@
+/**
+ * @fileoverview Tests for tick math and range-aware swaps (concentratedPool.js)
+ */
+
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import Decimal from '../src/core/decimal.js';
+import { Pool } from '../src/core/pool.js';
+import { ConcentratedPool, getSqrtPriceAtTick, getTickAtPrice } from '../src/core/concentratedPool.js';
+import { setupSimulation, assertClose } from './helpers.js';
+
+/**
+ * Open a concentrated pool of Token 1 against USD with one position
+ * @param {string|number} tokenAmount - Token 1 offered
+ * @param {string|number} usdAmount - USD offered
+ * @param {PriceRange|null} [priceRange=null] - Price range of Token 1 in USD; null for the full range
+ * @returns {{pool: ConcentratedPool, liquidity: Decimal}} Pool and the liquidity minted
+ */
+function openConcentratedPool(tokenAmount, usdAmount, priceRange = null) {
+    const pool = new ConcentratedPool({ assetA: 1, assetB: 'USD', feePercent: 0 });
+    const liquidity = pool.mint(1, new Decimal(tokenAmount), new Decimal(usdAmount), { priceRange, owner: 1 });
+    return { pool, liquidity };
+}
+
+describe('tick math', () => {
+    it('maps price 1 to tick 0 and 1.0001^n to tick n', () => {
+        assert.equal(getTickAtPrice(1), 0);
+        assert.equal(getTickAtPrice(new Decimal('1.0001').pow(100)), 100);
+        assert.equal(getTickAtPrice(new Decimal('1.0001').pow(-250)), -250);
+        assertClose(getSqrtPriceAtTick(0), '1');
+    });
+
+    it('puts every price between its tick and the next', () => {
+        ['0.00001234', '0.5', '1.5', '2.7182818', '98765.4321'].forEach(value => {
+            const price = new Decimal(value);
+            const tick = getTickAtPrice(price);
+            assert.ok(getSqrtPriceAtTick(tick).pow(2).lte(price.times('1.000000000001')), `tick ${tick} is at or below ${value}`);
+            assert.ok(getSqrtPriceAtTick(tick + 1).pow(2).gt(price), `tick ${tick + 1} is above ${value}`);
+        });
+    });
+});
+
+describe('ConcentratedPool', () => {
+    beforeEach(setupSimulation);
+
+    it('trades like a constant product pool over the full range', () => {
+        const { pool } = openConcentratedPool('100000', '100000');
+        const constantProduct = new Pool({ assetA: 1, assetB: 'USD', feePercent: 0 });
+        constantProduct.mint(1, new Decimal('100000'), new Decimal('100000'));
+
+        ['10', '5000', '40000'].forEach(amount => {
+            assertClose(pool.quote('USD', amount).amountOut, constantProduct.quote('USD', amount).amountOut, 1e-9);
+            assertClose(pool.quote(1, amount).amountOut, constantProduct.quote(1, amount).amountOut, 1e-9);
+        });
+    });
+
+    it('holds L² = x·y at the opening price over the full range', () => {
+        const { pool, liquidity } = openConcentratedPool('40000', '90000');
+
+        assertClose(liquidity.pow(2), new Decimal('40000').times('90000'), 1e-9);
+        assertClose(pool.getSpotPrice(1), '2.25');
+    });
+
+    it('fills deeper in a narrow range than over the full range', () => {
+        const full = openConcentratedPool('100000', '100000').pool;
+        const narrow = openConcentratedPool('100000', '100000', { min: '0.9', max: '1.1' }).pool;
+
+        const fullOut = full.quote('USD', '5000').amountOut;
+        const narrowOut = narrow.quote('USD', '5000').amountOut;
+
+        assert.ok(narrowOut.gt(fullOut));
+        assert.ok(narrow.getCapitalEfficiency().gt(5));
+    });
+
+    it('moves the reserves by the swap and the price the right way', () => {
+        const { pool } = openConcentratedPool('100000', '100000', { min: '0.5', max: '2' });
+        const priceBefore = pool.getSpotPrice(1);
+        const tokenBefore = pool.getReserve(1);
+        const usdBefore = pool.getReserve('USD');
+
+        const swap = pool.swap('USD', '10000');
+
+        assert.ok(swap.success, swap.error);
+        assertClose(pool.getReserve('USD'), usdBefore.plus('10000'));
+        assertClose(pool.getReserve(1), tokenBefore.minus(swap.amountOut));
+        assert.ok(pool.getSpotPrice(1).gt(priceBefore));
+        assert.equal(pool.tick, getTickAtPrice(pool.sqrtPrice.pow(2)));
+    });
+
+    it('refuses a swap that runs past every range', () => {
+        const { pool } = openConcentratedPool('1000', '1000', { min: '0.95', max: '1.05' });
+
+        assert.equal(pool.quote('USD', '1000000'), null);
+        assert.equal(pool.swap('USD', '1000000').success, false);
+    });
+
+    it('returns the position with its share of the pool when burned', () => {
+        const { pool, liquidity } = openConcentratedPool('100000', '100000', { min: '0.5', max: '2' });
+        const tokenHeld = pool.getReserve(1);
+        const usdHeld = pool.getReserve('USD');
+
+        const burned = pool.burn(liquidity.dividedBy(4), { owner: 1 });
+
+        assertClose(burned.share, '0.25', 1e-9);
+        assertClose(burned.amountA, tokenHeld.dividedBy(4), 1e-9);
+        assertClose(burned.amountB, usdHeld.dividedBy(4), 1e-9);
+    });
+});
@@ -0,0 +1,56 @@
+/**
+ * @fileoverview Shared setup for the core test suite
+ * The core logs every step to the console, so importing this module silences
+ * console.log to keep node:test's report readable. Each test file runs in its
+ * own process; setupSimulation() starts the shared state over between tests.
+ */
+
+import assert from 'node:assert/strict';
+import Decimal from '../src/core/decimal.js';
+import { state, resetState } from '../src/core/state.js';
+import { setClockMode } from '../src/core/clock.js';
+import { initializeWalletSystem } from '../src/core/wallet.js';
+import { createToken } from '../src/core/token.js';
+
+console.log = () => {};
+
+/**
+ * Start from an empty simulation: one wallet, no gas, fast-forward clock
+ * Fast-forward keeps the clock from holding the test process open on real timeouts.
+ */
+export function setupSimulation() {
+    resetState();
+    setClockMode('fast-forward');
+    initializeWalletSystem();
+    state.requireGas = false;
+}
+
+/**
+ * Create a token and seed its USD pool from the supply
+ * @param {string|number} tokenAmount - Tokens in the pool
+ * @param {string|number} usdAmount - USD in the pool
+ * @returns {Token} The new token
+ */
+export function createPooledToken(tokenAmount, usdAmount) {
+    const { token } = createToken();
+    const added = token.addLiquidity(tokenAmount, usdAmount, { fromSupply: true });
+    assert.ok(added.success, added.error);
+    return token;
+}
+
+/**
+ * Assert two amounts agree to a relative tolerance
+ * @param {Decimal|number|string} actual - Value computed
+ * @param {Decimal|number|string} expected - Value expected
+ * @param {number} [tolerance=1e-12] - Largest relative difference allowed
+ * @param {string} [message] - Failure message
+ */
+export function assertClose(actual, expected, tolerance = 1e-12, message) {
+    const a = new Decimal(actual);
+    const b = new Decimal(expected);
+    const scale = Decimal.max(a.abs(), b.abs(), 1);
+    assert.ok(
+        a.minus(b).abs().lte(scale.times(tolerance)),
+        message || `expected ${a.toString()} to be within ${tolerance} of ${b.toString()}`
+    );
+}
@@ -0,0 +1,126 @@
+/**
+ * @fileoverview Tests for seeded determinism (random.js and the runs built on it)
+ */
+
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import Decimal from '../src/core/decimal.js';
+import { state, setPlsPrice } from '../src/core/state.js';
+import { normalizeSeed, setRandomSeed, random, randomInt, randomNormal } from '../src/core/random.js';
+import { stepPlsPrice } from '../src/core/priceProcess.js';
+import { createWallet } from '../src/core/wallet.js';
+import { runMonteCarlo } from '../src/core/monteCarlo.js';
+import { processBuy } from '../src/core/transactions.js';
+import { exportLedgerJSON } from '../src/core/ledger.js';
+import { setupSimulation, createPooledToken } from './helpers.js';
+
+/**
+ * Draw numbers from a freshly seeded generator
+ * @param {number} seed - Seed
+ * @param {number} count - Numbers to draw
+ * @returns {number[]} Draws
+ */
+function draw(seed, count) {
+    setRandomSeed(seed);
+    return Array.from({ length: count }, () => random());
+}
+
+describe('random', () => {
+    it('repeats the sequence for the same seed', () => {
+        assert.deepEqual(draw(42, 50), draw(42, 50));
+    });
+
+    it('gives another sequence for another seed', () => {
+        assert.notDeepEqual(draw(42, 50), draw(43, 50));
+    });
+
+    it('stays in [0, 1) and keeps integers in range', () => {
+        setRandomSeed(7);
+        for (let i = 0; i < 1000; i++) {
+            const value = random();
+            assert.ok(value >= 0 && value < 1);
+            const integer = randomInt(6);
+            assert.ok(Number.isInteger(integer) && integer >= 0 && integer < 6);
+            assert.ok(Number.isFinite(randomNormal()));
+        }
+    });
+
+    it('carries on from a saved position', () => {
+        setRandomSeed(99);
+        draw(99, 10);
+        const saved = state.randomState;
+        const next = [random(), random()];
+
+        state.randomState = saved;
+        assert.deepEqual([random(), random()], next);
+    });
+
+    it('normalizes seeds to 32-bit integers', () => {
+        assert.equal(normalizeSeed(' 12 '), 12);
+        assert.equal(normalizeSeed(-1), 4294967295);
+        assert.equal(normalizeSeed(1.5), null);
+        assert.equal(normalizeSeed('abc'), null);
+        assert.equal(setRandomSeed('abc').success, false);
+    });
+});
+
+describe('seeded runs', () => {
+    beforeEach(setupSimulation);
+
+    /**
+     * Walk the WPLS price process from $1
+     * @param {number} seed - Seed
+     * @returns {string[]} Prices after each step
+     */
+    function walkPrice(seed) {
+        setPlsPrice(new Decimal(1));
+        state.plsPriceProcess.process = 'jump-diffusion';
+        setRandomSeed(seed);
+        return Array.from({ length: 100 }, () => stepPlsPrice(60000).price.toString());
+    }
+
+    it('walks the same price path for the same seed', () => {
+        const path = walkPrice(5);
+
+        assert.deepEqual(walkPrice(5), path);
+        assert.notDeepEqual(walkPrice(6), path);
+    });
+
+    /**
+     * Make a few buys in a fresh simulation
+     * @param {number} seed - Seed
+     * @returns {Promise<Object[]>} Ledger as exported
+     */
+    async function recordBuys(seed) {
+        setupSimulation();
+        const token = createPooledToken('500000', '200000');
+        setRandomSeed(seed);
+        for (const amount of ['100', '2500', '40']) {
+            const result = await processBuy({ amount: new Decimal(amount), walletId: '1', tokenId: token.id });
+            assert.ok(result.success, result.error);
+        }
+        return exportLedgerJSON();
+    }
+
+    it('records the same ledger, timestamps included, for the same seed', async () => {
+        const ledger = await recordBuys(3);
+
+        assert.ok(ledger.length > 0);
+        assert.deepEqual(await recordBuys(3), ledger);
+    });
+
+    it('replays a Monte Carlo batch identically', async () => {
+        createPooledToken('500000', '200000');
+        for (let i = 2; i <= 6; i++) {
+            createWallet(`Wallet ${i}`);
+        }
+        const config = { runs: 2, duration: 600, seed: 11, priceProcess: true };
+
+        const first = await runMonteCarlo(config);
+        const second = await runMonteCarlo(config);
+
+        assert.ok(first.success, first.error);
+        assert.deepEqual(second.runs, first.runs);
+        assert.notDeepEqual(first.runs[0].walletPnl, first.runs[1].walletPnl);
+    });
+});
@@ -0,0 +1,122 @@
+/**
+ * @fileoverview Tests for rOwned/tOwned reflection accounting (reflection.js)
+ */
+
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import Decimal from '../src/core/decimal.js';
+import { state } from '../src/core/state.js';
+import { createWallet } from '../src/core/wallet.js';
+import { setTaxRates } from '../src/core/mechanics.js';
+import { processBuy } from '../src/core/transactions.js';
+import { BURN_ADDRESS, distributeReflection, setReflectionExcluded, recalculateReflectedSupply } from '../src/core/reflection.js';
+import { setupSimulation, createPooledToken, assertClose } from './helpers.js';
+
+/**
+ * Sum of the stored (rOwned) amounts of the wallets included in a token's reflections
+ * @param {Token} token - Token
+ * @returns {Decimal} Reflected units held by included wallets
+ */
+function sumIncludedStored(token) {
+    return state.wallets
+        .filter(wallet => !token.reflectionExcluded.has(wallet.id))
+        .reduce((total, wallet) => total.plus(wallet.tokenBalances.get(token.id) || 0), new Decimal(0));
+}
+
+describe('reflection accounting', () => {
+    let token;
+    let first;
+    let second;
+    let pool;
+
+    beforeEach(() => {
+        setupSimulation();
+        token = createPooledToken('500000', '200000');
+        pool = token.primaryPool;
+        first = state.wallets[0];
+        second = createWallet('Wallet 2');
+        first.setTokenBalance(token.id, new Decimal('100000'));
+        second.setTokenBalance(token.id, new Decimal('300000'));
+    });
+
+    it('pays every included holder in proportion to its holding', () => {
+        // 400,000 in wallets and 500,000 in the pool share 9,000 tokens
+        const distribution = distributeReflection(token, new Decimal('9000'));
+
+        assertClose(first.getTokenBalance(token.id), '101000');
+        assertClose(second.getTokenBalance(token.id), '303000');
+        assertClose(pool.getReserve(token.id), '505000');
+        assertClose(distribution.wallets, '4000');
+        assertClose(distribution.pools[0].amount, '5000');
+        assertClose(first.getReflectionEarnings(token.id), '1000');
+    });
+
+    it('pays wallets by lowering the rate, not by touching rOwned', () => {
+        const storedBefore = first.tokenBalances.get(token.id);
+        const rateBefore = token.reflectionRate;
+
+        distributeReflection(token, new Decimal('9000'));
+
+        assert.ok(first.tokenBalances.get(token.id).eq(storedBefore));
+        assert.ok(token.reflectionRate.lt(rateBefore));
+        assertClose(first.getTokenBalance(token.id), storedBefore.dividedBy(token.reflectionRate));
+        assertClose(token.reflectedSupply, sumIncludedStored(token));
+    });
+
+    it('keeps an excluded wallet in tOwned at an unchanged balance', () => {
+        distributeReflection(token, new Decimal('9000'));
+        const balance = second.getTokenBalance(token.id);
+
+        assert.ok(setReflectionExcluded(token, second.id, true).success);
+        assertClose(second.getTokenBalance(token.id), balance);
+        assertClose(second.tokenBalances.get(token.id), balance);
+        assertClose(token.reflectedSupply, sumIncludedStored(token));
+
+        // Now 101,000 in the first wallet and 505,000 in the pool share 6,060
+        distributeReflection(token, new Decimal('6060'));
+        assertClose(second.getTokenBalance(token.id), balance);
+        assertClose(first.getTokenBalance(token.id), '102010');
+        assertClose(pool.getReserve(token.id), '510050');
+    });
+
+    it('converts back to rOwned without changing the balance', () => {
+        setReflectionExcluded(token, second.id, true);
+        distributeReflection(token, new Decimal('6000'));
+        const balance = second.getTokenBalance(token.id);
+
+        assert.ok(setReflectionExcluded(token, second.id, false).success);
+        assertClose(second.getTokenBalance(token.id), balance);
+        assertClose(token.reflectedSupply, sumIncludedStored(token));
+    });
+
+    it('burns the share of the burn address', () => {
+        token.totalBurned = new Decimal('100000');
+        token.totalSupply = token.totalSupply.minus('100000');
+        const supplyBefore = token.totalSupply;
+
+        // 400,000 in wallets, 500,000 in the pool and 100,000 burned share 10,000
+        const distribution = distributeReflection(token, new Decimal('10000'));
+
+        assertClose(distribution.burn, '1000');
+        assertClose(token.totalBurned, '101000');
+        assertClose(token.totalSupply, supplyBefore.minus('1000'));
+        assert.ok(setReflectionExcluded(token, BURN_ADDRESS, true).success);
+        assertClose(distributeReflection(token, new Decimal('1000')).burn, '0');
+    });
+
+    it('keeps rTotal in step with the wallets through taxed trades', async () => {
+        setTaxRates(token, 'buy', { reflection: 5 });
+
+        for (const wallet of [first, second, first]) {
+            const result = await processBuy({ amount: new Decimal('2500'), walletId: String(wallet.id), tokenId: token.id });
+            assert.ok(result.success, result.error);
+        }
+
+        const tracked = token.reflectedSupply;
+        assertClose(tracked, sumIncludedStored(token));
+        recalculateReflectedSupply(token);
+        assertClose(token.reflectedSupply, tracked);
+        assert.ok(first.getReflectionEarnings(token.id).gt(0));
+        assert.ok(token.totalReflected.gt(0));
+    });
+});
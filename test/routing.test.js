@@ -0,0 +1,163 @@
+/**
+ * @fileoverview Tests for split routing (routing.js) and routed buys
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import Decimal from '../src/core/decimal.js';
+import { state } from '../src/core/state.js';
+import { getPool } from '../src/core/pool.js';
+import { createToken } from '../src/core/token.js';
+import { findAllPaths, findBestPath, findBestSplitRoute, requiresRouting, executeSplitRoute } from '../src/core/routing.js';
+import { processBuy, setRouteConfirmationHandler } from '../src/core/transactions.js';
+import { setupSimulation, createPooledToken, assertClose } from './helpers.js';
+
+/**
+ * Two equally deep ways to Token 2: its own USD pool, or through Token 1
+ * Both pools price Token 2 at $1, so a large order fills best split about evenly.
+ * @returns {{hub: Token, target: Token}} Token 1 and Token 2
+ */
+function createParallelPaths() {
+    const hub = createPooledToken('500000', '200000');
+    const target = createPooledToken('100000', '100000');
+    const added = target.addLiquidity('100000', '250000', { fromSupply: true, pairAsset: hub.id });
+    assert.ok(added.success, added.error);
+    return { hub, target };
+}
+
+describe('findBestSplitRoute', () => {
+    beforeEach(setupSimulation);
+
+    it('finds both paths to a token with two pools', () => {
+        const { target } = createParallelPaths();
+
+        assert.ok(requiresRouting(target));
+        assert.equal(findAllPaths(target).length, 2);
+    });
+
+    it('splits a large order across parallel paths', () => {
+        const { target } = createParallelPaths();
+        const amount = new Decimal('50000');
+
+        const split = findBestSplitRoute(target, amount);
+        const single = findBestPath(target, amount);
+
+        assert.equal(split.legs.length, 2);
+        assert.ok(split.totalAmountOut.gt(single.totalAmountOut), 'the split fills better than one path');
+        split.legs.forEach(leg => {
+            assert.ok(leg.share > 0.3 && leg.share < 0.7, `leg share ${leg.share} is near half`);
+        });
+    });
+
+    it('hands out exactly the order, largest leg first', () => {
+        const { target } = createParallelPaths();
+        const amount = new Decimal('12345.67');
+
+        const split = findBestSplitRoute(target, amount);
+        const total = split.legs.reduce((sum, leg) => sum.plus(leg.amountIn), new Decimal(0));
+
+        assert.ok(total.eq(amount));
+        assert.ok(split.totalAmountIn.eq(amount));
+        for (let i = 1; i < split.legs.length; i++) {
+            assert.ok(split.legs[i - 1].amountIn.gte(split.legs[i].amountIn));
+        }
+        const legsOut = split.legs.reduce((sum, leg) => sum.plus(leg.route.totalAmountOut), new Decimal(0));
+        assert.ok(legsOut.eq(split.totalAmountOut));
+    });
+
+    it('never returns less than the best single path', () => {
+        const { target } = createParallelPaths();
+
+        ['1', '100', '5000', '80000'].forEach(value => {
+            const amount = new Decimal(value);
+            const split = findBestSplitRoute(target, amount);
+            const single = findBestPath(target, amount);
+            assert.ok(split.totalAmountOut.gte(single.totalAmountOut), `order of ${value} USD`);
+        });
+    });
+
+    it('returns null for a token without liquidity', () => {
+        createPooledToken('500000', '200000');
+        const { token } = createToken();
+
+        assert.equal(findBestSplitRoute(token, new Decimal('100')), null);
+    });
+});
+
+describe('routed buys', () => {
+    beforeEach(setupSimulation);
+    afterEach(() => {
+        state.requireRoutingConfirmation = false;
+        setRouteConfirmationHandler(() => true);
+    });
+
+    it('deliver the quoted split and move both pools', async () => {
+        const { hub, target } = createParallelPaths();
+        const amount = new Decimal('50000');
+        const quoted = findBestSplitRoute(target, amount);
+        const directPool = getPool(target.id, 'USD');
+        const hubPool = getPool(target.id, hub.id);
+        const directBefore = directPool.getReserve(target.id);
+        const hubBefore = hubPool.getReserve(target.id);
+
+        const result = await processBuy({ amount, walletId: '1', tokenId: target.id });
+
+        assert.ok(result.success, result.error);
+        assertClose(result.tokensReceived, quoted.totalAmountOut);
+        assertClose(state.wallets[0].getTokenBalance(target.id), quoted.totalAmountOut);
+        assert.ok(directPool.getReserve(target.id).lt(directBefore));
+        assert.ok(hubPool.getReserve(target.id).lt(hubBefore));
+        assert.ok(state.wallets[0].usdBalance.eq(new Decimal('1000000').minus(amount)));
+    });
+
+    it('fill at the current reserves after a small move while confirming', async () => {
+        const { target } = createParallelPaths();
+        const directPool = getPool(target.id, 'USD');
+        state.requireRoutingConfirmation = true;
+        let quoted = null;
+        setRouteConfirmationHandler(route => {
+            quoted = route.totalAmountOut;
+            directPool.swap('USD', '10');
+            return true;
+        });
+
+        const result = await processBuy({ amount: new Decimal('20000'), walletId: '1', tokenId: target.id });
+
+        assert.ok(result.success, result.error);
+        assert.ok(result.tokensReceived.lt(quoted));
+        assert.ok(result.tokensReceived.gt(quoted.times('0.995')));
+    });
+
+    it('fail without swapping when the pools moved too far while confirming', async () => {
+        const { hub, target } = createParallelPaths();
+        const directPool = getPool(target.id, 'USD');
+        const hubPool = getPool(target.id, hub.id);
+        state.requireRoutingConfirmation = true;
+        setRouteConfirmationHandler(() => {
+            directPool.swap('USD', '30000');
+            return true;
+        });
+        const directReserve = () => directPool.getReserve(target.id);
+        const hubBefore = hubPool.getReserve(target.id);
+
+        const result = await processBuy({ amount: new Decimal('20000'), walletId: '1', tokenId: target.id });
+        const afterMove = directReserve();
+
+        assert.equal(result.success, false);
+        assert.match(result.error, /Price moved/);
+        assert.ok(hubPool.getReserve(target.id).eq(hubBefore));
+        assert.ok(directReserve().eq(afterMove));
+        assert.ok(state.wallets[0].usdBalance.eq('1000000'));
+        assert.ok(state.wallets[0].getTokenBalance(target.id).isZero());
+    });
+
+    it('reject a split route quoted before the pools moved', () => {
+        const { target } = createParallelPaths();
+        const split = findBestSplitRoute(target, new Decimal('20000'));
+        getPool(target.id, 'USD').swap('USD', '30000');
+
+        const result = executeSplitRoute(split, '1', { maxDrift: 0.5 });
+        assert.equal(result.success, false);
+        assert.ok(executeSplitRoute(split, '1', { maxDrift: 100 }).success);
+    });
+});
@@ -0,0 +1,104 @@
+/**
+ * @fileoverview Tests for the StableSwap invariant and quotes (stablePool.js)
+ */
+
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import Decimal from '../src/core/decimal.js';
+import { Pool } from '../src/core/pool.js';
+import { StablePool, validateAmplification } from '../src/core/stablePool.js';
+import { setupSimulation, assertClose } from './helpers.js';
+
+/**
+ * Open a stable pool of Token 1 against USD
+ * @param {string|number} tokenAmount - Token 1 deposited
+ * @param {string|number} usdAmount - USD deposited
+ * @param {Object} [options={}] - Constructor options (feePercent, amplification)
+ * @returns {StablePool} Pool; its first deposit sets the peg
+ */
+function openStablePool(tokenAmount, usdAmount, options = {}) {
+    const pool = new StablePool({ assetA: 1, assetB: 'USD', ...options });
+    pool.mint(1, new Decimal(tokenAmount), new Decimal(usdAmount));
+    return pool;
+}
+
+describe('StablePool', () => {
+    beforeEach(setupSimulation);
+
+    it('sums the balances into D when they are even', () => {
+        const pool = openStablePool('100000', '100000');
+
+        assertClose(pool.getInvariant(), '200000');
+        assertClose(pool.k, '200000');
+        assertClose(pool.getSpotPrice(1), '1');
+    });
+
+    it('sets the peg from the first deposit', () => {
+        const pool = openStablePool('50000', '100000');
+
+        assertClose(pool.peg, '2');
+        assertClose(pool.getSpotPrice(1), '2');
+        assertClose(pool.getSpotPrice('USD'), '0.5');
+    });
+
+    it('keeps D through a swap without fees', () => {
+        const pool = openStablePool('100000', '100000', { feePercent: 0 });
+        const d = pool.k;
+
+        const swap = pool.swap('USD', '20000');
+
+        assert.ok(swap.success, swap.error);
+        assertClose(pool.getInvariant(), d, 1e-15);
+        assertClose(pool.getReserve(1), new Decimal('100000').minus(swap.amountOut));
+    });
+
+    it('grows D by the fee the LPs keep', () => {
+        const pool = openStablePool('100000', '100000');
+        const d = pool.k;
+
+        pool.swap('USD', '20000');
+
+        assert.ok(pool.k.gt(d));
+    });
+
+    it('fills close to the peg, far better than constant product', () => {
+        const stable = openStablePool('100000', '100000', { feePercent: 0 });
+        const constantProduct = new Pool({ assetA: 1, assetB: 'USD', feePercent: 0 });
+        constantProduct.mint(1, new Decimal('100000'), new Decimal('100000'));
+
+        const stableOut = stable.quote('USD', '10000').amountOut;
+        const constantProductOut = constantProduct.quote('USD', '10000').amountOut;
+
+        assert.ok(stableOut.lt('10000'));
+        assert.ok(stableOut.gt('9990'), `stable output ${stableOut} is within 0.1% of the peg`);
+        assert.ok(stableOut.gt(constantProductOut));
+        assert.ok(stable.getCapitalEfficiency().gt(10));
+    });
+
+    it('slips less the higher the amplification', () => {
+        const outputs = [1, 10, 100, 1000].map(amplification =>
+            openStablePool('100000', '100000', { amplification }).quote('USD', '30000').amountOut
+        );
+
+        for (let i = 1; i < outputs.length; i++) {
+            assert.ok(outputs[i].gt(outputs[i - 1]));
+        }
+    });
+
+    it('rejects an out-of-range amplification and keeps D in step with a new one', () => {
+        const pool = openStablePool('80000', '120000');
+
+        assert.equal(validateAmplification(0).isValid, false);
+        assert.equal(pool.setAmplification(0).success, false);
+        assert.ok(pool.setAmplification(500).success);
+        assertClose(pool.k, pool.getInvariant());
+    });
+
+    it('never pays out the whole reserve', () => {
+        const pool = openStablePool('1000', '1000');
+
+        const quote = pool.quote('USD', '1000000');
+        assert.ok(quote.amountOut.lt('1000'));
+        assert.ok(quote.amountOut.gt('999'));
+    });
+});